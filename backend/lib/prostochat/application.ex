@@ -51,10 +51,12 @@ defmodule Prostochat.Application do
     create_tables()
   end
 
+  @event_attributes [:id, :base, :type, :value, :actor, :date, :cause, :model, :session, :signature]
+
   defp create_tables do
     # Events table - main storage (ram_copies - data loaded from BSL on restart)
     case :mnesia.create_table(:events, [
-      attributes: [:id, :base, :type, :value, :actor, :date, :cause, :model, :session],
+      attributes: @event_attributes,
       ram_copies: [node()],
       type: :set
     ]) do
@@ -74,5 +76,29 @@ defmodule Prostochat.Application do
       {:timeout, _} -> Logger.warning("Timeout waiting for tables")
       {:error, reason} -> Logger.error("Table wait error: #{inspect(reason)}")
     end
+
+    migrate_events_table()
+  end
+
+  # The schema keeps the table definition of an older release: add the
+  # signature field (nil for events stored before it)
+  defp migrate_events_table do
+    case :mnesia.table_info(:events, :attributes) do
+      @event_attributes ->
+        :ok
+
+      [:id, :base, :type, :value, :actor, :date, :cause, :model, :session] ->
+        transform = fn {:events, id, base, type, value, actor, date, cause, model, session} ->
+          {:events, id, base, type, value, actor, date, cause, model, session, nil}
+        end
+
+        case :mnesia.transform_table(:events, transform, @event_attributes) do
+          {:atomic, :ok} -> Logger.info("Events table migrated: signature added")
+          {:aborted, reason} -> Logger.error("Events table migration error: #{inspect(reason)}")
+        end
+
+      attributes ->
+        Logger.warning("Events table has unknown attributes: #{inspect(attributes)}")
+    end
   end
 end
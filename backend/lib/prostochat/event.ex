@@ -2,7 +2,10 @@ defmodule Prostochat.Event do
   @moduledoc """
   Event structure for BSL events.
 
-  Format: {id, base, type, value, actor, date, cause, model, session}
+  Format: {id, base, type, value, actor, date, cause, model, session, signature}
+
+  `signature` is the actor's ECDSA signature over the canonical form of the
+  event, made by the client; the server keeps it as is.
   """
 
   @type t :: %__MODULE__{
@@ -14,10 +17,11 @@ defmodule Prostochat.Event do
     date: String.t(),
     cause: String.t() | list(String.t()) | nil,
     model: String.t() | nil,
-    session: String.t() | nil
+    session: String.t() | nil,
+    signature: String.t() | nil
   }
 
-  defstruct [:id, :base, :type, :value, :actor, :date, :cause, :model, :session]
+  defstruct [:id, :base, :type, :value, :actor, :date, :cause, :model, :session, :signature]
 
   @doc """
   Create a new event with auto-generated ID and timestamp.
@@ -33,7 +37,8 @@ defmodule Prostochat.Event do
       date: attrs[:date] || attrs["date"] || now_iso(),
       cause: normalize_cause(attrs[:cause] || attrs["cause"]),
       model: attrs[:model] || attrs["model"],
-      session: attrs[:session] || attrs["session"]
+      session: attrs[:session] || attrs["session"],
+      signature: attrs[:signature] || attrs["signature"]
     }
   end
 
@@ -83,7 +88,8 @@ defmodule Prostochat.Event do
       date: event.date,
       cause: event.cause,
       model: event.model,
-      session: event.session
+      session: event.session,
+      signature: event.signature
     }
   end
 
@@ -91,13 +97,13 @@ defmodule Prostochat.Event do
   Convert event to Mnesia record tuple.
   """
   def to_record(%__MODULE__{} = e) do
-    {:events, e.id, e.base, e.type, e.value, e.actor, e.date, e.cause, e.model, e.session}
+    {:events, e.id, e.base, e.type, e.value, e.actor, e.date, e.cause, e.model, e.session, e.signature}
   end
 
   @doc """
   Convert Mnesia record to Event struct.
   """
-  def from_record({:events, id, base, type, value, actor, date, cause, model, session}) do
+  def from_record({:events, id, base, type, value, actor, date, cause, model, session, signature}) do
     %__MODULE__{
       id: id,
       base: base,
@@ -107,7 +113,8 @@ defmodule Prostochat.Event do
       date: date,
       cause: cause,
       model: model,
-      session: session
+      session: session,
+      signature: signature
     }
   end
 
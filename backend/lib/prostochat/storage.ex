@@ -54,6 +54,7 @@ defmodule Prostochat.Storage do
     {"Default", "Restriction", "Individual", "Default", "Event", "SetRange", "System"},
     {"Cardinality", "Restriction", "Individual", "Cardinality", "Event", "Default", "System"},
     {"Mutable", "Restriction", "Individual", "Mutable", "Event", "Cardinality", "System"},
+    {"Invariant", "Restriction", "Individual", "Invariant", "Event", "Mutable", "System"},
 
     # === META MODELS ===
     {"Model_Event", "Event", "Model", "Model_Event", "Event", "Event", "System"},
@@ -155,6 +156,11 @@ defmodule Prostochat.Storage do
     # === MORE ROLES ===
     {"admin", "Role", "Individual", "admin", "Event", "Owner", "system"},
     {"manager", "Role", "Individual", "manager", "Event", "admin", "system"},
+    {"Grant", "Attribute", "Individual", "Grant", "Event", "manager", "system"},
+    {"Inherits", "Attribute", "Individual", "Inherits", "Event", "Grant", "system"},
+    {"Policy", "Attribute", "Individual", "Policy", "Event", "Inherits", "system"},
+    {"PublicKey", "Attribute", "Individual", "PublicKey", "Event", "Policy", "system"},
+    {"ImportanceRule", "Attribute", "Individual", "ImportanceRule", "Event", "PublicKey", "system"},
 
     # === ORGANIZATION APP ===
     {"OrganizationApp", "Application", "Individual", "Organization App", "Model_Application", "Application", "system"},
@@ -339,7 +345,7 @@ defmodule Prostochat.Storage do
   @doc "List all events with optional filters"
   def list(opts \\ []) do
     try do
-      :mnesia.dirty_match_object({:events, :_, :_, :_, :_, :_, :_, :_, :_, :_})
+      :mnesia.dirty_match_object({:events, :_, :_, :_, :_, :_, :_, :_, :_, :_, :_})
       |> Enum.map(&Event.from_record/1)
       |> filter_events(opts)
       |> Enum.sort_by(& &1.date)
@@ -473,8 +479,12 @@ defmodule Prostochat.Storage do
     actor = event_data[:actor] || event_data["actor"]
     current_cause = event_data[:cause] || event_data["cause"] || []
 
-    # Skip auto_chain for system/genesis events
-    if actor in ["System", "genesis"] or is_nil(base) or is_nil(actor) do
+    signed = event_data[:signature] || event_data["signature"]
+    content_addressed = content_id?(event_data[:id] || event_data["id"])
+
+    # Skip auto_chain for system/genesis events and for signed or content-addressed
+    # ones (their cause is signed or hashed into the id)
+    if actor in ["System", "genesis"] or is_nil(base) or is_nil(actor) or signed or content_addressed do
       event_data
     else
       # Find previous events with same (model, base, actor)
@@ -500,10 +510,14 @@ defmodule Prostochat.Storage do
     end
   end
 
+  # Content-addressed ids: h_ + 40 hex chars of SHA-256 (frontend event-hash.js)
+  defp content_id?("h_" <> hex), do: byte_size(hex) == 40
+  defp content_id?(_), do: false
+
   # Find previous event with same (base, model, actor), return latest by date
   defp find_previous_event(base, model, actor) do
     try do
-      :mnesia.dirty_match_object({:events, :_, :_, :_, :_, :_, :_, :_, :_, :_})
+      :mnesia.dirty_match_object({:events, :_, :_, :_, :_, :_, :_, :_, :_, :_, :_})
       |> Enum.map(&Event.from_record/1)
       |> Enum.filter(fn e ->
         e.base == base and
@@ -153,12 +153,18 @@ const App = {
     /**
      * Initialize application
      */
-    init() {
+    async init() {
         console.log('Prostochat initializing...');
 
+        // Open storage (IndexedDB, migrates localStorage data on first boot)
+        await Memory.initStorage();
+
         // Initialize memory first
         Memory.init();
 
+        // Load actor key pairs before events are signed (identity.js)
+        await Identity.init();
+
         // Initialize sync
         Sync.init();
 
@@ -166,6 +172,9 @@ const App = {
         Chat.init();
         UIRenderer.init();
 
+        // Run time-based guards: missed deadlines first, then on schedule
+        Memory.startScheduler();
+
         // Initialize panel resizer
         PanelResizer.init();
 
@@ -202,15 +211,16 @@ const App = {
         // Build options
         const options = [];
 
-        // Add actors
+        // Add actors (🔑: has a local identity, its events are signed)
+        const keyMark = id => Identity.hasIdentity(id) ? ' 🔑' : '';
         actors.forEach(a => {
-            options.push({ value: a.id, label: `${a.icon} ${a.name}`, icon: a.icon, group: 'actor' });
+            options.push({ value: a.id, label: `${a.icon} ${a.name}${keyMark(a.id)}`, icon: a.icon, group: 'actor' });
         });
 
         // Add roles (if different from actors)
         roles.forEach(r => {
             if (!options.find(o => o.value === r.id)) {
-                options.push({ value: r.id, label: `${r.icon} ${r.name}`, icon: r.icon, group: 'role' });
+                options.push({ value: r.id, label: `${r.icon} ${r.name}${keyMark(r.id)}`, icon: r.icon, group: 'role' });
             }
         });
 
@@ -486,6 +496,358 @@ function changeActor(actor) {
     }
 
     console.log('Actor changed to:', actor);
+
+    // Another client holds this actor's keys: its events here would be rejected there
+    if (!Identity.hasIdentity(actor) && Identity.publishedKeys(actor).length > 0) {
+        showToast(`У ${actor} есть ключ на другом устройстве: события без подписи не примут`, 'warning');
+    }
+
+    // What the actor may see and change differs per role (RBAC)
+    UIRenderer.render();
+}
+
+// === Identity Modal (key pairs, signed events) ===
+
+function showIdentityModal() {
+    renderIdentities();
+    document.getElementById('identity-modal').style.display = 'flex';
+}
+
+function closeIdentityModal() {
+    document.getElementById('identity-modal').style.display = 'none';
+}
+
+function renderIdentities() {
+    const escape = value => UIRenderer.escape(value);
+    const actor = Memory.getCurrentActor();
+
+    document.getElementById('identity-summary').innerHTML = `
+        <span class="summary-stat">Актор: <span class="stat-value">${escape(actor)}</span></span>
+        <span class="summary-stat">Подпись: <span class="stat-value">${Identity.hasIdentity(actor) ? 'есть' : 'нет'}</span></span>
+        <span class="summary-stat">Опубликовано ключей: <span class="stat-value">${Identity.publishedKeys(actor).length}</span></span>
+        ${Identity.isSupported() ? '' : '<span class="summary-stat">WebCrypto недоступен</span>'}
+    `;
+
+    const identities = Identity.listIdentities();
+    document.getElementById('identity-list').innerHTML = identities.length === 0
+        ? '<div class="identity-empty">Ключей нет: события не подписываются</div>'
+        : identities.map(identity => `
+            <div class="identity-item">
+                <strong>${escape(identity.actor)}</strong>
+                <code class="identity-fingerprint">${escape(identity.fingerprint)}</code>
+                <span class="identity-meta">${escape(new Date(identity.created).toLocaleString())}${identity.published ? '' : ', не опубликован'}</span>
+                <button class="btn-small" onclick="exportIdentity('${escape(identity.actor)}')">Экспорт</button>
+            </div>
+        `).join('');
+}
+
+async function createIdentity() {
+    const actor = Memory.getCurrentActor();
+    const replaces = Identity.hasIdentity(actor);
+    if (replaces && !confirm(`Заменить ключ ${actor}? Новый ключ будет подписан старым.`)) return;
+
+    try {
+        const identity = await Identity.createIdentity(actor);
+        showToast(`Ключ ${actor}: ${Identity.fingerprint(identity.publicKey)}`, 'success');
+    } catch (e) {
+        showToast(`Не удалось создать ключ: ${e.message}`, 'error');
+    }
+    renderIdentities();
+    App.initActorSelector();
+    App.renderEvents();
+}
+
+// Download the identity with its private key
+function exportIdentity(actor) {
+    const blob = new Blob([JSON.stringify(Identity.exportIdentity(actor), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `prostochat_identity_${actor}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    showToast('Файл содержит закрытый ключ: храните его отдельно', 'warning');
+}
+
+function importIdentity(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+        try {
+            const data = JSON.parse(e.target.result);
+            await Identity.importIdentity(data);
+            showToast(`Ключ ${data.actor} импортирован`, 'success');
+        } catch (err) {
+            showToast(`Не удалось импортировать ключ: ${err.message}`, 'error');
+        }
+        renderIdentities();
+        App.initActorSelector();
+        App.renderEvents();
+    };
+    reader.readAsText(file);
+}
+
+// === Access Control Modal (RBAC grants) ===
+
+function showAccessModal() {
+    if (!Memory.isSuperuser(Memory.getCurrentActor())) {
+        showToast('Менять права может только администратор', 'warning');
+    }
+    renderAccessRoles();
+    document.getElementById('access-modal').style.display = 'flex';
+}
+
+function closeAccessModal() {
+    document.getElementById('access-modal').style.display = 'none';
+}
+
+// Grant targets: *, every model and its fields
+function accessTargets() {
+    const targets = ['*'];
+    Memory.getExistingModels().forEach(model => {
+        const schema = Memory.getModelSchema(model);
+        if (!schema) return;
+        targets.push(model, ...Object.keys(schema.fields).map(field => `${model}.${field}`));
+    });
+    return targets;
+}
+
+function renderAccessRoles() {
+    const container = document.getElementById('access-roles');
+    const escape = value => UIRenderer.escape(value);
+    const editable = Memory.isSuperuser(Memory.getCurrentActor());
+    const disabled = editable ? '' : 'disabled';
+    const checkboxes = (access = []) => Memory.accessOperations.map(op =>
+        `<td><input type="checkbox" value="${op}" ${access.includes(op) ? 'checked' : ''} ${disabled}></td>`
+    ).join('');
+    const targetOptions = accessTargets().map(t => `<option value="${escape(t)}">${escape(t)}</option>`).join('');
+    const policyOptions = ['*', ...Memory.getExistingModels()].map(t => `<option value="${escape(t)}">${escape(t)}</option>`).join('');
+
+    document.getElementById('access-summary').innerHTML = `
+        <span class="summary-stat">Актор: <span class="stat-value">${escape(Memory.getCurrentActor())}</span></span>
+        <span class="summary-stat">Роли: <span class="stat-value">${escape(Memory.getActorRoleSet(Memory.getCurrentActor()).join(', ') || '-')}</span></span>
+        <span class="summary-stat">Модель без прав открыта всем, admin не ограничен</span>
+        <span class="summary-stat">Политика строк: условие BSL, например <code>$.assignee == $CurrentActor</code>; владелец видит свои записи всегда</span>
+    `;
+
+    container.innerHTML = Memory.getAvailableRoles().map(({ id: role }) => {
+        const rows = Memory.getGrants(role).map(grant => `
+            <tr data-target="${escape(grant.target)}">
+                <td>${escape(grant.target)}</td>
+                ${checkboxes(grant.access)}
+                <td>${editable ? '<button class="btn-small" onclick="saveGrant(this)">Сохранить</button>' : ''}</td>
+            </tr>
+        `).join('');
+        const newRow = editable ? `
+            <tr>
+                <td><select class="access-target">${targetOptions}</select></td>
+                ${checkboxes()}
+                <td><button class="btn-small" onclick="saveGrant(this)">Добавить</button></td>
+            </tr>
+        ` : '';
+        const policyRows = Memory.getPolicies(role).map(policy => `
+            <tr data-target="${escape(policy.target)}">
+                <td>${escape(policy.target)}</td>
+                <td><input type="text" class="access-condition" value="${escape(policy.condition)}" ${disabled}></td>
+                <td>${editable ? '<button class="btn-small" onclick="savePolicy(this)">Сохранить</button>' : ''}</td>
+            </tr>
+        `).join('');
+        const newPolicyRow = editable ? `
+            <tr>
+                <td><select class="access-target">${policyOptions}</select></td>
+                <td><input type="text" class="access-condition" placeholder="$Owner == $CurrentActor"></td>
+                <td><button class="btn-small" onclick="savePolicy(this)">Добавить</button></td>
+            </tr>
+        ` : '';
+
+        return `
+            <div class="access-role" data-role="${escape(role)}">
+                <div class="access-role-header">
+                    <strong>${escape(role)}</strong>
+                    <label>Наследует: <input type="text" class="access-inherits" value="${escape(Memory.getRoleInherits(role).join(', '))}" placeholder="user, viewer" ${disabled}></label>
+                    ${editable ? '<button class="btn-small" onclick="saveRoleInherits(this)">Сохранить</button>' : ''}
+                </div>
+                <table class="access-grants">
+                    <thead><tr><th>Модель / поле</th>${Memory.accessOperations.map(op => `<th>${op}</th>`).join('')}<th></th></tr></thead>
+                    <tbody>${rows}${newRow}</tbody>
+                </table>
+                <table class="access-grants access-policies">
+                    <thead><tr><th>Модель</th><th>Политика строк</th><th></th></tr></thead>
+                    <tbody>${policyRows}${newPolicyRow}</tbody>
+                </table>
+            </div>
+        `;
+    }).join('');
+}
+
+// Save the checked operations of a grant row (none checked revokes)
+function saveGrant(button) {
+    const row = button.closest('tr');
+    const role = button.closest('.access-role').dataset.role;
+    const target = row.dataset.target || row.querySelector('.access-target').value;
+    const access = [...row.querySelectorAll('input[type="checkbox"]:checked')].map(cb => cb.value);
+
+    if (!Memory.setGrant(role, target, access)) {
+        showToast(`Не удалось изменить права ${role}`, 'warning');
+        return;
+    }
+    showToast(`Права ${role} на ${target}: ${access.join(', ') || 'нет'}`, 'success');
+    renderAccessRoles();
+    UIRenderer.render();
+}
+
+// Save the row policy of a role (empty condition removes it)
+function savePolicy(button) {
+    const row = button.closest('tr');
+    const role = button.closest('.access-role').dataset.role;
+    const target = row.dataset.target || row.querySelector('.access-target').value;
+    const condition = row.querySelector('.access-condition').value.trim();
+
+    if (!Memory.setPolicy(role, target, condition)) {
+        showToast(`Не удалось изменить политику ${role}`, 'warning');
+        return;
+    }
+    showToast(`Политика ${role} для ${target}: ${condition || 'нет'}`, 'success');
+    renderAccessRoles();
+    UIRenderer.render();
+}
+
+function saveRoleInherits(button) {
+    const roleEl = button.closest('.access-role');
+    const parents = roleEl.querySelector('.access-inherits').value.split(',').map(r => r.trim()).filter(Boolean);
+
+    if (!Memory.setRoleInherits(roleEl.dataset.role, parents)) {
+        showToast(`Не удалось изменить наследование ${roleEl.dataset.role}`, 'warning');
+        return;
+    }
+    showToast(`${roleEl.dataset.role} наследует: ${parents.join(', ') || 'ничего'}`, 'success');
+    renderAccessRoles();
+    UIRenderer.render();
+}
+
+// === Importance Modal (episodic memory rules and scores) ===
+
+const IMPORTANCE_FACTORS = {
+    base: 'база', type: 'тип события', model: 'модель', field: 'поле', actor: 'актор', role: 'роль',
+    chat: 'упомянут в чате', causes: 'причины', content: 'содержимое', recency: 'новизна',
+    access: 'обращения', decay: 'забывание'
+};
+
+function showImportanceModal() {
+    renderImportance();
+    document.getElementById('importance-modal').style.display = 'flex';
+}
+
+function closeImportanceModal() {
+    document.getElementById('importance-modal').style.display = 'none';
+}
+
+// Rule targets: event types, models and their fields, roles, actors, the chat
+function importanceTargets() {
+    const targets = ['Type *', 'Type Individual', 'Type Model', 'Type SetModel', 'Type Concept', 'Type Instance'];
+    Memory.getExistingModels().forEach(model => {
+        const schema = Memory.getModelSchema(model);
+        targets.push(model, ...Object.keys(schema ? schema.fields : {}).map(field => `${model}.${field}`));
+    });
+    targets.push(...Memory.getAvailableRoles().map(role => `Role ${role.id}`));
+    targets.push(...Memory.getAvailableActors().map(actor => `Actor ${actor.id}`), 'Chat');
+    return [...new Set(targets)];
+}
+
+function renderImportance() {
+    const escape = value => UIRenderer.escape(value);
+    const editable = Memory.isSuperuser(Memory.getCurrentActor());
+    const disabled = editable ? '' : 'disabled';
+    const rules = Memory.getImportanceRules();
+    const items = [...Memory.episodicMemory.items].sort((a, b) => b.importance - a.importance);
+    const stats = Memory.getMemoryTierStats().episodic;
+
+    document.getElementById('importance-summary').innerHTML = `
+        <span class="summary-stat">Правил: <span class="stat-value">${rules.length}</span></span>
+        <span class="summary-stat">В эпизодической памяти: <span class="stat-value">${stats.count}</span></span>
+        <span class="summary-stat">Средняя важность: <span class="stat-value">${stats.avgImportance.toFixed(2)}</span></span>
+        <span class="summary-stat">Вес правила прибавляется к оценке; <code>none</code> удаляет правило</span>
+    `;
+
+    const ruleRows = rules.map(rule => `
+        <tr data-target="${escape(rule.target)}">
+            <td>${escape(rule.target)}</td>
+            <td><input type="number" step="0.01" class="importance-weight" value="${rule.weight}" ${disabled}></td>
+            <td>${rule.event ? escape(rule.event.actor) : 'по умолчанию'}</td>
+            <td>${editable ? '<button class="btn-small" onclick="saveImportanceRule(this)">Сохранить</button> <button class="btn-small" onclick="saveImportanceRule(this, true)">Удалить</button>' : ''}</td>
+        </tr>
+    `).join('');
+    const newRow = editable ? `
+        <tr>
+            <td><input type="text" class="importance-target" list="importance-targets" placeholder="Model Task"></td>
+            <td><input type="number" step="0.01" class="importance-weight" placeholder="0.2"></td>
+            <td></td>
+            <td><button class="btn-small" onclick="saveImportanceRule(this)">Добавить</button></td>
+        </tr>
+    ` : '';
+    document.getElementById('importance-rules').innerHTML = `
+        <datalist id="importance-targets">${importanceTargets().map(t => `<option value="${escape(t)}">`).join('')}</datalist>
+        <table class="access-grants">
+            <thead><tr><th>Цель</th><th>Вес</th><th>Задал</th><th></th></tr></thead>
+            <tbody>${ruleRows}${newRow}</tbody>
+        </table>
+    `;
+
+    // Why each remembered event got its score (the 50 most important)
+    document.getElementById('importance-items').innerHTML = items.length === 0
+        ? '<div class="identity-empty">Эпизодическая память пуста</div>'
+        : items.slice(0, 50).map(item => {
+            const event = Memory.getEventById(item.eventId);
+            if (!event || !Memory.isEventReadable(event)) return '';
+            const { score, factors } = Memory.explainImportance(event, item);
+            const rows = factors.map(f => `
+                <tr>
+                    <td>${escape(IMPORTANCE_FACTORS[f.factor] || f.factor)}</td>
+                    <td>${f.rule ? escape(f.rule) : ''}</td>
+                    <td>${f.weight >= 0 ? '+' : ''}${f.weight.toFixed(3)}</td>
+                </tr>
+            `).join('');
+            return `
+                <details class="access-role importance-item">
+                    <summary>
+                        <span class="importance-event">${escape(`${event.base}: ${event.type}: ${event.value}`)}</span>
+                        <span class="importance-score">${item.importance.toFixed(2)}</span>
+                    </summary>
+                    <table class="access-grants importance-factors">
+                        <thead><tr><th>Фактор</th><th>Правило</th><th>Вклад</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                        <tfoot><tr><td>Сейчас по правилам</td><td></td><td>${score.toFixed(3)}</td></tr></tfoot>
+                    </table>
+                </details>
+            `;
+        }).join('');
+}
+
+// Save the weight of a rule row (removing sets it to none, defaults included)
+function saveImportanceRule(button, remove = false) {
+    const row = button.closest('tr');
+    const target = (row.dataset.target || row.querySelector('.importance-target').value).trim();
+    const weight = remove ? null : row.querySelector('.importance-weight').value.trim();
+
+    if (!target || (!remove && isNaN(parseFloat(weight)))) {
+        showToast('Укажите цель и числовой вес', 'warning');
+        return;
+    }
+    if (!Memory.importanceTargetKinds.includes(target.split(/\s+/)[0])) {
+        showToast(`Цель начинается с ${Memory.importanceTargetKinds.join(', ')}`, 'warning');
+        return;
+    }
+    if (!Memory.setImportanceRule(target, remove ? null : parseFloat(weight))) {
+        showToast('Менять правила важности может только администратор', 'warning');
+        return;
+    }
+    showToast(`Правило ${target}: ${remove ? 'удалено' : weight}`, 'success');
+    renderImportance();
 }
 
 // === Events Modal Functions ===
@@ -782,14 +1144,25 @@ function rebuildWorld() {
             if (allManualFixes.length > 0) {
                 message += `⚠️ Требуют ручного исправления: ${allManualFixes.length}\n`;
             }
+            if (report.integrityIssues.length > 0) {
+                const ids = report.integrityIssues.slice(0, 5).map(issue => `${issue.id}: ${issue.message}`).join('\n');
+                message += `⛔ Нарушена целостность истории: ${report.integrityIssues.length}\n${ids}\n`;
+            } else if (report.contentIdsChecked > 0) {
+                message += `Проверено хешей событий: ${report.contentIdsChecked}\n`;
+            }
+            if (report.expressionErrors > 0) {
+                message += `⚠️ Ошибки в выражениях моделей: ${report.expressionErrors} (подробности в консоли)\n`;
+            }
+            const incomplete = Memory.validateCompleteness();
+            if (incomplete.length > 0) {
+                message += `⚠️ Неполных индивидов (Required/Cardinality): ${incomplete.length}\n`;
+            }
             message += `Время: ${report.duration}`;
 
-            // If there are manual fixes needed, show validation modal
-            if (allManualFixes.length > 0) {
-                alert(message);
-                showValidationModal(allManualFixes, autoFixed);
-            } else {
-                alert(message);
+            // If there are manual fixes needed or incomplete individuals, show validation modal
+            alert(message);
+            if (allManualFixes.length > 0 || incomplete.length > 0) {
+                showValidationModal(allManualFixes, autoFixed, incomplete);
             }
 
         } catch (error) {
@@ -811,7 +1184,7 @@ function rebuildWorld() {
 
 let pendingValidationErrors = [];
 
-function showValidationModal(errors, autoFixedCount) {
+function showValidationModal(errors, autoFixedCount, incomplete = []) {
     pendingValidationErrors = errors;
 
     const modal = document.getElementById('validation-modal');
@@ -823,10 +1196,12 @@ function showValidationModal(errors, autoFixedCount) {
     summary.innerHTML = `
         <span class="summary-stat">Автоисправлено: <span class="stat-value">${autoFixedCount}</span></span>
         <span class="summary-stat">Требуют решения: <span class="stat-value">${errors.length}</span></span>
+        <span class="summary-stat">Неполные: <span class="stat-value" id="validation-incomplete-count">${incomplete.length}</span></span>
     `;
 
     // Render errors
     list.innerHTML = errors.map((errInfo, idx) => renderValidationError(errInfo, idx)).join('');
+    renderCompletenessReport(incomplete);
 
     // Show fix all button if there are errors
     fixAllBtn.style.display = errors.length > 0 ? 'inline-flex' : 'none';
@@ -834,6 +1209,37 @@ function showValidationModal(errors, autoFixedCount) {
     modal.style.display = 'flex';
 }
 
+// Individuals missing Required/Cardinality values (Memory.validateCompleteness)
+function renderCompletenessReport(incomplete) {
+    const container = document.getElementById('validation-completeness');
+    const escape = value => UIRenderer.escape(value);
+
+    container.innerHTML = incomplete.map(({ individual, model, missing }) => `
+        <div class="validation-error-item">
+            <div class="error-header">
+                <div class="error-event-info">
+                    <div class="event-id">${escape(individual)}</div>
+                    <div class="event-details">${escape(model)}</div>
+                </div>
+            </div>
+            <div class="error-message">${missing.map(m => escape(m.message)).join('<br>')}</div>
+        </div>
+    `).join('');
+}
+
+// Check completeness of all individuals; opens the modal if it is closed
+function runCompletenessCheck() {
+    const incomplete = Memory.validateCompleteness();
+    const modal = document.getElementById('validation-modal');
+
+    if (modal.style.display !== 'flex') {
+        showValidationModal([], 0, incomplete);
+        return;
+    }
+    document.getElementById('validation-incomplete-count').textContent = incomplete.length;
+    renderCompletenessReport(incomplete);
+}
+
 function renderValidationError(errInfo, idx) {
     const { eventId, event, error, candidates, context } = errInfo;
 
@@ -877,6 +1283,7 @@ function renderValidationError(errInfo, idx) {
 
 function closeValidationModal() {
     document.getElementById('validation-modal').style.display = 'none';
+    document.getElementById('validation-completeness').innerHTML = '';
     pendingValidationErrors = [];
 }
 
@@ -1081,7 +1488,10 @@ window.addEventListener('validationError', (e) => {
     const { eventData, errors } = e.detail;
     const errorMsg = errors.map(err => err.message).join('; ');
     console.warn('Validation error:', errorMsg);
-    // Could show toast or modal here
+    // Denied by access control (RBAC): the event was not added
+    if (errors.some(err => err.code === Memory.errorCodes.permission && err.operation)) {
+        showToast(`Нет доступа: ${errorMsg}`, 'warning');
+    }
 });
 
 // Simple toast notification
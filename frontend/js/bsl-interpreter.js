@@ -0,0 +1,274 @@
+/**
+ * Prostochat BSL Interpreter
+ * Evaluates expression ASTs from BSLParser.parseExpression
+ *
+ * The interpreter only sees what the environment gives it:
+ * - self: the current individual ($ / $$)
+ * - variables: $CurrentActor, $Value, ...
+ * - host: member access, conditions and queries (Memory)
+ * Calls go to BSLInterpreter.functions only; there is no access to
+ * globals, prototypes or JavaScript functions.
+ *
+ * Errors are BSLError with kind 'runtime' and the position of the failing node.
+ */
+
+const BSLInterpreter = {
+    // Never readable, whatever the host returns
+    blockedMembers: ['__proto__', 'constructor', 'prototype'],
+
+    /**
+     * Built-in functions: name → { arity: [min, max], fn(args, env, node) }
+     * max = Infinity for variadic functions
+     * lazy: true - fn receives argument ASTs instead of values (see evaluateWith)
+     * More functions are registered by bsl-stdlib.js
+     */
+    functions: {
+        // Dates
+        Now: { arity: [0, 0], fn: (args, env) => BSLInterpreter.now(env).toISOString() },
+        Today: { arity: [0, 0], fn: (args, env) => BSLInterpreter.now(env).toISOString().slice(0, 10) },
+        Date: { arity: [1, 1], fn: ([value], env, node) => BSLInterpreter.toDate(value, node, env).toISOString() },
+        Year: { arity: [1, 1], fn: ([value], env, node) => BSLInterpreter.toDate(value, node, env).getUTCFullYear() },
+        Month: { arity: [1, 1], fn: ([value], env, node) => BSLInterpreter.toDate(value, node, env).getUTCMonth() + 1 },
+        Day: { arity: [1, 1], fn: ([value], env, node) => BSLInterpreter.toDate(value, node, env).getUTCDate() },
+
+        // Strings
+        Upper: { arity: [1, 1], fn: ([s]) => BSLInterpreter.toText(s).toUpperCase() },
+        Trim: { arity: [1, 1], fn: ([s]) => BSLInterpreter.toText(s).trim() },
+        Substring: {
+            arity: [2, 3],
+            fn: ([s, start, end]) => BSLInterpreter.toText(s).substring(Number(start), end === undefined ? undefined : Number(end))
+        },
+        Replace: {
+            arity: [3, 3],
+            fn: ([s, search, replacement]) => BSLInterpreter.toText(s)
+                .split(BSLInterpreter.toText(search)).join(BSLInterpreter.toText(replacement))
+        },
+
+        // Numbers
+        Round: {
+            arity: [1, 2],
+            fn: ([n, digits = 0]) => {
+                const factor = Math.pow(10, Number(digits));
+                return Math.round(Number(n) * factor) / factor;
+            }
+        },
+        Abs: { arity: [1, 1], fn: ([n]) => Math.abs(Number(n)) },
+        isNaN: { arity: [1, 1], fn: ([value]) => isNaN(value) },
+
+        // Values
+        Coalesce: {
+            arity: [1, Infinity],
+            fn: args => args.find(value => value !== null && value !== undefined && value !== '') ?? null
+        }
+    },
+
+    /**
+     * Evaluate expression AST
+     * @param {Object} ast - From BSLParser.parseExpression
+     * @param {Object} env - { source, self, variables, host: { member, condition, query } }
+     * @throws {BSLError} kind 'runtime'
+     */
+    evaluate(ast, env) {
+        return this._eval(ast, env);
+    },
+
+    /**
+     * Evaluate AST with extra variables ($Item in collection helpers)
+     */
+    evaluateWith(ast, env, variables) {
+        return this._eval(ast, { ...env, variables: { ...env.variables, ...variables } });
+    },
+
+    error(message, node, env) {
+        return new BSLError(message, node.pos, env.source || '', 'runtime');
+    },
+
+    _eval(node, env) {
+        switch (node.type) {
+            case 'Literal':
+                return node.value;
+
+            case 'Self':
+                return env.self;
+
+            case 'Variable':
+                if (!env.variables || !Object.prototype.hasOwnProperty.call(env.variables, node.name)) {
+                    throw this.error(`Unknown variable '${node.name}'`, node, env);
+                }
+                return env.variables[node.name];
+
+            case 'Member':
+                return this._member(this._eval(node.object, env), node.property, node, env);
+
+            case 'Index':
+                return this._index(node, env);
+
+            case 'Call':
+                return this._call(node, env);
+
+            case 'Unary':
+                return this._unary(node.operator, this._eval(node.argument, env));
+
+            case 'Binary':
+                return this._binary(node.operator, this._eval(node.left, env), this._eval(node.right, env));
+
+            case 'Logical':
+                return this._logical(node, env);
+
+            case 'Conditional':
+                return this._eval(this._eval(node.test, env) ? node.consequent : node.alternate, env);
+
+            case 'Clause':
+                if (!env.host || !env.host.condition) {
+                    throw this.error(`$${node.name} needs an individual context`, node, env);
+                }
+                return env.host.condition(node, this._eval(node.args[0], env));
+
+            case 'Query':
+                if (!env.host || !env.host.query) {
+                    throw this.error('Queries are not available here', node, env);
+                }
+                return env.host.query(node);
+
+            default:
+                throw this.error(`Unsupported expression '${node.type}'`, node, env);
+        }
+    },
+
+    /**
+     * Property access: own data only, relations and metadata through the host
+     */
+    _member(object, property, node, env) {
+        if (object === null || object === undefined) {
+            if (node.nullable) return null;
+            throw this.error(`Cannot read '${property}' of ${object === null ? 'null' : 'undefined'}`, node, env);
+        }
+        if (this.blockedMembers.includes(property)) {
+            throw this.error(`Access to '${property}' is not allowed`, node, env);
+        }
+        if (property === 'length' && (typeof object === 'string' || Array.isArray(object))) {
+            return object.length;
+        }
+        if (typeof object !== 'object') {
+            return null;
+        }
+
+        const value = env.host && env.host.member
+            ? env.host.member(object, property)
+            : (Object.prototype.hasOwnProperty.call(object, property) ? object[property] : null);
+        return typeof value === 'function' ? null : value;
+    },
+
+    /**
+     * Index access: arrays (negative from end), table rows, object keys
+     */
+    _index(node, env) {
+        const object = this._eval(node.object, env);
+        const key = node.key ? this._eval(node.key, env) : node.index;
+
+        if (object === null || object === undefined) {
+            if (node.nullable) return null;
+            throw this.error(`Cannot index ${object === null ? 'null' : 'undefined'}`, node, env);
+        }
+
+        const list = Array.isArray(object) ? object : (object.type === 'table' ? object.rows : null);
+        if (list && Number.isInteger(key)) {
+            const index = key < 0 ? list.length + key : key;
+            return index >= 0 && index < list.length ? list[index] : null;
+        }
+        if (typeof key === 'string') {
+            return this._member(object, key, node, env);
+        }
+        throw this.error(`Invalid index ${JSON.stringify(key)}`, node, env);
+    },
+
+    _call(node, env) {
+        const spec = Object.prototype.hasOwnProperty.call(this.functions, node.name) ? this.functions[node.name] : null;
+        if (!spec) {
+            throw this.error(`Unknown function '${node.name}'`, node, env);
+        }
+
+        const [min, max] = spec.arity;
+        if (node.args.length < min || node.args.length > max) {
+            const expected = min === max ? `${min}` : (max === Infinity ? `at least ${min}` : `${min}-${max}`);
+            throw this.error(`${node.name} expects ${expected} argument(s), got ${node.args.length}`, node, env);
+        }
+
+        const args = spec.lazy ? node.args : node.args.map(arg => this._eval(arg, env));
+        return spec.fn(args, env, node);
+    },
+
+    _unary(operator, value) {
+        switch (operator) {
+            case '!': return !value;
+            case '-': return -value;
+            case '+': return +value;
+        }
+    },
+
+    /**
+     * Arithmetic as in JS; == and ordering compare typed values (see BSLTypes.compare),
+     * === / !== stay strict
+     */
+    _binary(operator, left, right) {
+        switch (operator) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/': return left / right;
+            case '%': return left % right;
+            case '==': return BSLTypes.equals(left, right);
+            case '!=': return !BSLTypes.equals(left, right);
+            case '===': return left === right;
+            case '!==': return left !== right;
+            case '<': return BSLTypes.compare(left, right) < 0;
+            case '>': return BSLTypes.compare(left, right) > 0;
+            case '<=': return BSLTypes.compare(left, right) <= 0;
+            case '>=': return BSLTypes.compare(left, right) >= 0;
+        }
+    },
+
+    /**
+     * && / || with short-circuit, returning the deciding operand (as in JS)
+     */
+    _logical(node, env) {
+        let value;
+        for (const arg of node.args) {
+            value = this._eval(arg, env);
+            if (node.operator === '&&' ? !value : value) return value;
+        }
+        return value;
+    },
+
+    // === Helpers for functions ===
+
+    /**
+     * Current time of an evaluation: $Now if set (scheduler looks ahead), else the clock
+     */
+    now(env) {
+        const value = env && env.variables && env.variables.$Now;
+        const date = value ? new Date(value) : new Date();
+        return isNaN(date.getTime()) ? new Date() : date;
+    },
+
+    /**
+     * Convert value to Date (Date, ISO string or epoch ms)
+     * @throws {BSLError} for values that are not dates
+     */
+    toDate(value, node, env) {
+        const date = value instanceof Date ? value : new Date(typeof value === 'number' ? value : String(value));
+        if (value === null || value === undefined || value === '' || isNaN(date.getTime())) {
+            throw this.error(`Invalid date: ${JSON.stringify(value ?? null)}`, node, env);
+        }
+        return date;
+    },
+
+    /**
+     * Convert value to text (null/undefined → '')
+     */
+    toText(value) {
+        return value === null || value === undefined ? '' : String(value);
+    }
+};
+
+window.BSLInterpreter = BSLInterpreter;
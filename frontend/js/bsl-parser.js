@@ -0,0 +1,747 @@
+/**
+ * Prostochat BSL Parser
+ * Tokenizer + recursive-descent parser for BSL queries and expressions
+ *
+ * Query syntax:
+ *   $( clause, clause, ... )          - clauses are AND-ed
+ *   $EQ.field("value")                - filter: EQ NE GT LT GE LE CONTAINS STARTS ENDS
+ *   $EQ.$Id($.project)                - values are expressions, $ is the individual the query runs for
+ *   $EQ.$Base("Person")               - special fields: $Base $Model $Actor $Id
+ *   $EQ.organization.name("Acme")     - path through Relation fields (multi-hop)
+ *   $EQ.^organization.name("Ann")     - reverse traversal: individuals whose
+ *                                       'organization' relation points here
+ *   $AND(...), $OR(...), $NOT(...)    - boolean composition, any arity and nesting
+ *   $(...).prop[-1].prop              - chained property / index access on the result
+ *   $(...).organization.^organization  - relations dereference, ^ joins back
+ *
+ * Aggregation, sorting and pagination (top level of a query only):
+ *   $GROUPBY.status()                 - group rows by field (several allowed)
+ *   $COUNT(), $COUNT.email()          - count individuals / field values
+ *   $SUM.amount(), $AVG/$MIN/$MAX     - aggregate field values, optional alias: $SUM.amount("total")
+ *   $ORDERBY.age("desc")              - sort individuals, or rows by column when aggregated
+ *   $LIMIT(10), $OFFSET(20)           - pagination
+ *
+ * Expression syntax (Condition, SetValue, ValueCondition):
+ *   $.prop, $$.prop                   - current individual ($$: missing values give null, no error)
+ *   $CurrentActor, $CurrentIndividual, $Owner, $Value, $Now
+ *   $EQ.prop(expr), $GT.prop(expr)... - condition on the current individual
+ *   $AND(a, b, ...), $OR(...), $NOT(x)
+ *   ! - + * / % == === != !== < > <= >= && || ?:
+ *   $Upper($.name), isNaN($.age)      - functions (see BSLInterpreter.functions)
+ *   $(...)                            - queries, as above
+ *
+ * Action syntax (SetDo):
+ *   SetProperty($.id, status, "done"); CreateIndividual(Task, $.name)
+ *                                     - Name(arg, ...) separated by ';', barewords are strings
+ *
+ * AST nodes:
+ *   { type: 'Query', clauses, groupBy, aggregates, orderBy, limit, offset, pos }
+ *   { type: 'Clause', name, path, args, pos }
+ *   { type: 'Literal', value, pos }
+ *   { type: 'Member', object, property, pos }
+ *   { type: 'Index', object, index, pos }           (expressions: key instead of index if not a number)
+ *   { type: 'Self', nullable, pos }                  ($ / $$)
+ *   { type: 'Variable', name, pos }
+ *   { type: 'Call', name, args, pos }
+ *   { type: 'Unary', operator, argument, pos }
+ *   { type: 'Binary', operator, left, right, pos }
+ *   { type: 'Logical', operator, args, pos }         (&&, ||, $AND, $OR)
+ *   { type: 'Conditional', test, consequent, alternate, pos }
+ *   { type: 'Action', name, args, pos }              (SetDo)
+ */
+
+/**
+ * Syntax or evaluation error with position in source
+ */
+class BSLError extends Error {
+    /**
+     * @param {string} kind - 'syntax' (parse time), 'runtime' (evaluation) or 'type' (BSLTypeChecker)
+     */
+    constructor(message, position, source = '', kind = 'syntax') {
+        super(`${message} at position ${position}`);
+        this.name = 'BSLError';
+        this.position = position;
+        this.source = source;
+        this.kind = kind;
+    }
+
+    /**
+     * Source line with a caret under the error position
+     */
+    format() {
+        return `${this.message}\n${this.source}\n${' '.repeat(this.position)}^`;
+    }
+}
+
+// ========================================
+// TOKENIZER
+// ========================================
+
+const BSLLexer = {
+    operators: ['===', '!==', '==', '!=', '>=', '<=', '&&', '||', '>', '<', '!', '+', '-', '*', '/', '%'],
+    punctuation: ['(', ')', '[', ']', ',', '.', '?', ':', '^', ';'],
+
+    /**
+     * Split source into tokens
+     * @returns {Array} [{type, value, pos}] ending with an 'eof' token
+     *   type: 'number' | 'string' | 'ident' | 'var' ($Name, $, $$) | 'op' | 'punct' | 'eof'
+     */
+    tokenize(source) {
+        const tokens = [];
+        const isIdentChar = ch => /[\p{L}\p{N}_]/u.test(ch);
+        let i = 0;
+
+        while (i < source.length) {
+            const ch = source[i];
+
+            // Whitespace
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+
+            // Strings: "..." or '...'
+            if (ch === '"' || ch === "'") {
+                let value = '';
+                i++;
+                while (i < source.length && source[i] !== ch) {
+                    if (source[i] === '\\' && i + 1 < source.length) {
+                        const next = source[i + 1];
+                        value += { n: '\n', t: '\t', r: '\r' }[next] || next;
+                        i += 2;
+                    } else {
+                        value += source[i++];
+                    }
+                }
+                if (i >= source.length) {
+                    throw new BSLError('Unterminated string', start, source);
+                }
+                i++;
+                tokens.push({ type: 'string', value, pos: start });
+                continue;
+            }
+
+            // Numbers
+            if (/[0-9]/.test(ch)) {
+                while (i < source.length && /[0-9]/.test(source[i])) i++;
+                if (source[i] === '.' && /[0-9]/.test(source[i + 1] || '')) {
+                    i++;
+                    while (i < source.length && /[0-9]/.test(source[i])) i++;
+                }
+                tokens.push({ type: 'number', value: Number(source.slice(start, i)), pos: start });
+                continue;
+            }
+
+            // Variables: $, $$, $Name
+            if (ch === '$') {
+                i++;
+                if (source[i] === '$') {
+                    i++;
+                } else {
+                    while (i < source.length && isIdentChar(source[i])) i++;
+                }
+                tokens.push({ type: 'var', value: source.slice(start, i), pos: start });
+                continue;
+            }
+
+            // Identifiers
+            if (isIdentChar(ch)) {
+                while (i < source.length && isIdentChar(source[i])) i++;
+                tokens.push({ type: 'ident', value: source.slice(start, i), pos: start });
+                continue;
+            }
+
+            // Operators (longest match first)
+            const op = this.operators.find(o => source.startsWith(o, i));
+            if (op) {
+                i += op.length;
+                tokens.push({ type: 'op', value: op, pos: start });
+                continue;
+            }
+
+            if (this.punctuation.includes(ch)) {
+                i++;
+                tokens.push({ type: 'punct', value: ch, pos: start });
+                continue;
+            }
+
+            throw new BSLError(`Unexpected character '${ch}'`, start, source);
+        }
+
+        tokens.push({ type: 'eof', value: null, pos: source.length });
+        return tokens;
+    }
+};
+
+// ========================================
+// PARSER
+// ========================================
+
+const BSLParser = {
+    // Filter operators: $OP.field(value)
+    filterOperators: ['EQ', 'NE', 'GT', 'LT', 'GE', 'LE', 'CONTAINS', 'STARTS', 'ENDS'],
+
+    // Boolean combinators: $OP(clause, ...)
+    combinators: ['AND', 'OR', 'NOT'],
+
+    // Aggregate functions: $OP.field(alias?)
+    aggregates: ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'],
+
+    // Result modifiers
+    modifiers: ['GROUPBY', 'ORDERBY', 'LIMIT', 'OFFSET'],
+
+    // Binary operator precedence (higher binds tighter)
+    binaryPrecedence: {
+        '||': 1,
+        '&&': 2,
+        '==': 3, '!=': 3, '===': 3, '!==': 3,
+        '<': 4, '>': 4, '<=': 4, '>=': 4,
+        '+': 5, '-': 5,
+        '*': 6, '/': 6, '%': 6
+    },
+
+    // Parsed expressions by source (expressions are re-evaluated often, ASTs are never mutated)
+    _expressionCache: new Map(),
+    _expressionCacheLimit: 500,
+
+    /**
+     * Parse a query with optional suffixes: $(...).prop[-1].prop
+     * @throws {BSLError}
+     */
+    parseQuery(source) {
+        const parser = this._create(source);
+        const node = parser.parseQueryExpression();
+        parser.expectEnd();
+        return node;
+    },
+
+    /**
+     * Parse a BSL expression: $.age >= 18 && $EQ.status("active")
+     * @throws {BSLError}
+     */
+    parseExpression(source) {
+        const cached = this._expressionCache.get(source);
+        if (cached) return cached;
+
+        const parser = this._create(source);
+        const node = parser.parseExpression();
+        parser.expectEnd();
+
+        if (this._expressionCache.size >= this._expressionCacheLimit) {
+            this._expressionCache.clear();
+        }
+        this._expressionCache.set(source, node);
+        return node;
+    },
+
+    /**
+     * Parse SetDo actions: SetProperty($.id, status, "done"); DeleteIndividual($.id)
+     * Action names are not checked here (see Memory.setDoActions)
+     * @returns {Array} Action nodes
+     * @throws {BSLError}
+     */
+    parseActions(source) {
+        const parser = this._create(source);
+        const actions = [];
+
+        do {
+            if (parser.is('eof')) break; // Trailing ';'
+            const name = parser.expect('ident', undefined, 'action name');
+            parser.expect('punct', '(');
+            const args = [];
+            if (!parser.is('punct', ')')) {
+                do {
+                    args.push(parser.parseArgument());
+                } while (parser.accept('punct', ','));
+            }
+            parser.expect('punct', ')');
+            actions.push({ type: 'Action', name: name.value, args, pos: name.pos });
+        } while (parser.accept('punct', ';'));
+
+        parser.expectEnd();
+        return actions;
+    },
+
+    /**
+     * Check whether source looks like a query ($( ... ))
+     */
+    isQuery(source) {
+        return typeof source === 'string' && /^\s*\$\(/.test(source);
+    },
+
+    /**
+     * Result column name of a GROUPBY or aggregate clause
+     * Alias if given, otherwise 'status', 'count', 'sum_amount', 'count_email'
+     */
+    columnName(clause) {
+        const alias = clause.args[0];
+        if (alias && clause.name !== 'ORDERBY') return alias.value;
+
+        const field = clause.path.join('.');
+        if (clause.name === 'GROUPBY' || clause.name === 'ORDERBY') return field;
+        return field ? `${clause.name.toLowerCase()}_${field}` : clause.name.toLowerCase();
+    },
+
+    /**
+     * Integer value of a number literal node, else null
+     */
+    _numericLiteral(node) {
+        return node.type === 'Literal' && Number.isInteger(node.value) ? node.value : null;
+    },
+
+    /**
+     * Create parser state over source
+     */
+    _create(source) {
+        const tokens = BSLLexer.tokenize(source);
+        const self = this;
+        let index = 0;
+
+        const parser = {
+            peek(offset = 0) {
+                return tokens[Math.min(index + offset, tokens.length - 1)];
+            },
+
+            next() {
+                return tokens[index < tokens.length - 1 ? index++ : index];
+            },
+
+            is(type, value) {
+                const token = this.peek();
+                return token.type === type && (value === undefined || token.value === value);
+            },
+
+            accept(type, value) {
+                if (this.is(type, value)) return this.next();
+                return null;
+            },
+
+            expect(type, value, what) {
+                if (this.is(type, value)) return this.next();
+                const token = this.peek();
+                const found = token.type === 'eof' ? 'end of input' : `'${token.value}'`;
+                throw new BSLError(`Expected ${what || `'${value}'`} but found ${found}`, token.pos, source);
+            },
+
+            expectEnd() {
+                const token = this.peek();
+                if (token.type !== 'eof') {
+                    throw new BSLError(`Unexpected '${token.value}'`, token.pos, source);
+                }
+            },
+
+            error(message, pos) {
+                return new BSLError(message, pos, source);
+            },
+
+            /**
+             * queryExpression := query suffix*
+             */
+            parseQueryExpression() {
+                return this.parseSuffixes(this.parseQueryLiteral());
+            },
+
+            /**
+             * query := '$' '(' [clause (',' clause)*] ')'
+             * Filters go to clauses, aggregation/sorting/pagination to their own lists
+             */
+            parseQueryLiteral() {
+                const start = this.expect('var', '$', "'$('");
+                this.expect('punct', '(');
+                const query = {
+                    type: 'Query',
+                    clauses: [],
+                    groupBy: [],
+                    aggregates: [],
+                    orderBy: [],
+                    limit: null,
+                    offset: null,
+                    pos: start.pos
+                };
+
+                if (!this.is('punct', ')')) {
+                    do {
+                        const clause = this.parseClause(true);
+                        if (clause.name === 'GROUPBY') {
+                            query.groupBy.push(clause);
+                        } else if (clause.name === 'ORDERBY') {
+                            query.orderBy.push(clause);
+                        } else if (self.aggregates.includes(clause.name)) {
+                            query.aggregates.push(clause);
+                        } else if (clause.name === 'LIMIT' || clause.name === 'OFFSET') {
+                            const key = clause.name.toLowerCase();
+                            if (query[key] !== null) {
+                                throw this.error(`Duplicate $${clause.name}`, clause.pos);
+                            }
+                            query[key] = clause.args[0].value;
+                        } else {
+                            query.clauses.push(clause);
+                        }
+                    } while (this.accept('punct', ','));
+                }
+                this.expect('punct', ')');
+
+                // Aggregated rows can only be sorted by their columns
+                if (query.groupBy.length > 0 || query.aggregates.length > 0) {
+                    const columns = [...query.groupBy, ...query.aggregates].map(c => self.columnName(c));
+                    query.orderBy.forEach(clause => {
+                        if (!columns.includes(self.columnName(clause))) {
+                            throw this.error(
+                                `Cannot order aggregated result by '${self.columnName(clause)}' (columns: ${columns.join(', ')})`,
+                                clause.pos);
+                        }
+                    });
+                }
+
+                return query;
+            },
+
+            /**
+             * clause := $OP '.' path '(' args ')' | $AND/$OR/$NOT '(' clauses ')'
+             *         | aggregate or modifier (top level only)
+             */
+            parseClause(topLevel = false) {
+                const token = this.expect('var', undefined, 'query operator like $EQ');
+                const name = token.value.slice(1);
+
+                if (self.combinators.includes(name)) {
+                    this.expect('punct', '(');
+                    const args = [];
+                    if (!this.is('punct', ')')) {
+                        do {
+                            args.push(this.parseClause());
+                        } while (this.accept('punct', ','));
+                    }
+                    this.expect('punct', ')');
+                    if (name === 'NOT' && args.length !== 1) {
+                        throw this.error('$NOT takes exactly one condition', token.pos);
+                    }
+                    return { type: 'Clause', name, path: [], args, pos: token.pos };
+                }
+
+                if (self.aggregates.includes(name) || self.modifiers.includes(name)) {
+                    if (!topLevel) {
+                        throw this.error(`${token.value} is only allowed at the top level of a query`, token.pos);
+                    }
+                    return this.parseModifier(token, name);
+                }
+
+                if (!self.filterOperators.includes(name)) {
+                    throw this.error(`Unknown query operator '${token.value}'`, token.pos);
+                }
+
+                const path = this.parsePath();
+                this.expect('punct', '(');
+                const args = [this.parseArgument()];
+                this.expect('punct', ')');
+                return { type: 'Clause', name, path, args, pos: token.pos };
+            },
+
+            /**
+             * modifier := $COUNT[.path](alias?) | $SUM/$AVG/$MIN/$MAX.path(alias?)
+             *           | $GROUPBY.path(alias?) | $ORDERBY.path(direction?)
+             *           | $LIMIT(n) | $OFFSET(n)
+             */
+            parseModifier(token, name) {
+                const paged = name === 'LIMIT' || name === 'OFFSET';
+                const path = this.is('punct', '.') ? this.parsePath() : [];
+
+                if (paged && path.length > 0) {
+                    throw this.error(`${token.value} takes no field`, token.pos);
+                }
+                if (!paged && name !== 'COUNT' && path.length === 0) {
+                    throw this.error(`${token.value} requires a field, e.g. ${token.value}.amount()`, token.pos);
+                }
+
+                const open = this.expect('punct', '(');
+                const args = [];
+                if (!this.is('punct', ')')) {
+                    args.push(this.parseArgument());
+                }
+                this.expect('punct', ')');
+
+                const arg = args[0];
+                const argPos = arg ? arg.pos : open.pos + 1;
+                if (paged) {
+                    if (!arg || !Number.isInteger(arg.value) || arg.value < 0) {
+                        throw this.error(`${token.value} requires a non-negative integer`, argPos);
+                    }
+                } else if (name === 'ORDERBY') {
+                    const direction = arg ? String(arg.value).toLowerCase() : 'asc';
+                    if (direction !== 'asc' && direction !== 'desc') {
+                        throw this.error("Sort direction must be 'asc' or 'desc'", argPos);
+                    }
+                    return { type: 'Clause', name, path, args, direction, pos: token.pos };
+                } else if (arg && typeof arg.value !== 'string') {
+                    throw this.error('Column alias must be a string', argPos);
+                }
+
+                return { type: 'Clause', name, path, args, pos: token.pos };
+            },
+
+            /**
+             * path := '.' segment ('.' segment)*
+             */
+            parsePath() {
+                const path = [];
+                this.expect('punct', '.', "'.' and field name");
+                do {
+                    path.push(this.parseSegment());
+                } while (this.accept('punct', '.'));
+                return path;
+            },
+
+            /**
+             * segment := field | $Special | '^' field (reverse relation)
+             */
+            parseSegment() {
+                if (this.accept('punct', '^')) {
+                    const field = this.expect('ident', undefined, 'relation name after ^');
+                    return '^' + field.value;
+                }
+                const segment = this.accept('ident') || this.accept('var');
+                if (!segment) {
+                    throw this.error('Expected field name', this.peek().pos);
+                }
+                return segment.value;
+            },
+
+            /**
+             * argument := bareword | expression
+             * Barewords are strings: $EQ.sex(man); expressions may refer to the
+             * individual the query runs for: $EQ.$Id($.project)
+             */
+            parseArgument() {
+                const token = this.peek();
+                const keywords = ['true', 'false', 'null', 'undefined'];
+
+                if (token.type === 'ident' && !keywords.includes(token.value) && this.peek(1).value !== '(') {
+                    this.next();
+                    return { type: 'Literal', value: token.value, pos: token.pos };
+                }
+
+                if (token.type === 'punct' && token.value === ')') {
+                    throw this.error('Expected value', token.pos);
+                }
+
+                return this.parseExpression();
+            },
+
+            // === Expressions ===
+
+            /**
+             * expression := logical ['?' expression ':' expression]
+             */
+            parseExpression() {
+                const test = this.parseBinary(1);
+                const question = this.accept('punct', '?');
+                if (!question) return test;
+
+                const consequent = this.parseExpression();
+                this.expect('punct', ':');
+                const alternate = this.parseExpression();
+                return { type: 'Conditional', test, consequent, alternate, pos: question.pos };
+            },
+
+            /**
+             * Binary operators by precedence climbing
+             */
+            parseBinary(minPrecedence) {
+                let left = this.parseUnary();
+
+                for (;;) {
+                    const token = this.peek();
+                    const precedence = token.type === 'op' ? self.binaryPrecedence[token.value] : undefined;
+                    if (!precedence || precedence < minPrecedence) return left;
+
+                    this.next();
+                    const right = this.parseBinary(precedence + 1);
+                    left = token.value === '&&' || token.value === '||'
+                        ? { type: 'Logical', operator: token.value, args: [left, right], pos: token.pos }
+                        : { type: 'Binary', operator: token.value, left, right, pos: token.pos };
+                }
+            },
+
+            /**
+             * unary := ('!' | '-' | '+') unary | postfix
+             */
+            parseUnary() {
+                const token = this.peek();
+                if (token.type === 'op' && ['!', '-', '+'].includes(token.value)) {
+                    this.next();
+                    const argument = this.parseUnary();
+                    // Negative number literal
+                    if (token.value === '-' && argument.type === 'Literal' && typeof argument.value === 'number') {
+                        return { type: 'Literal', value: -argument.value, pos: token.pos };
+                    }
+                    return { type: 'Unary', operator: token.value, argument, pos: token.pos };
+                }
+                return this.parsePostfix(this.parsePrimary());
+            },
+
+            /**
+             * postfix := primary ('.' segment | '[' expression ']')*
+             * Members of $$ (and of their members) are nullable
+             */
+            parsePostfix(object) {
+                let node = object;
+                for (;;) {
+                    const dot = this.accept('punct', '.');
+                    if (dot) {
+                        node = {
+                            type: 'Member', object: node, property: this.parseSegment(),
+                            nullable: !!node.nullable, pos: dot.pos
+                        };
+                        continue;
+                    }
+
+                    const bracket = this.accept('punct', '[');
+                    if (bracket) {
+                        const key = this.parseExpression();
+                        this.expect('punct', ']');
+                        const numeric = self._numericLiteral(key);
+                        node = numeric !== null
+                            ? { type: 'Index', object: node, index: numeric, nullable: !!node.nullable, pos: bracket.pos }
+                            : { type: 'Index', object: node, key, nullable: !!node.nullable, pos: bracket.pos };
+                        continue;
+                    }
+
+                    return node;
+                }
+            },
+
+            /**
+             * primary := number | string | true | false | null | undefined
+             *          | '(' expression ')' | $ | $$ | $(query) | $Variable
+             *          | $Function(args) | name(args) | $EQ.path(expr) | $AND/$OR/$NOT(args)
+             */
+            parsePrimary() {
+                const token = this.peek();
+
+                if (token.type === 'number' || token.type === 'string') {
+                    this.next();
+                    return { type: 'Literal', value: token.value, pos: token.pos };
+                }
+
+                if (this.accept('punct', '(')) {
+                    const node = this.parseExpression();
+                    this.expect('punct', ')');
+                    return node;
+                }
+
+                if (token.type === 'ident') {
+                    this.next();
+                    const keywords = { true: true, false: false, null: null, undefined: undefined };
+                    if (Object.prototype.hasOwnProperty.call(keywords, token.value)) {
+                        return { type: 'Literal', value: keywords[token.value], pos: token.pos };
+                    }
+                    if (this.is('punct', '(')) {
+                        return { type: 'Call', name: token.value, args: this.parseCallArgs(), pos: token.pos };
+                    }
+                    throw this.error(`Unknown identifier '${token.value}'`, token.pos);
+                }
+
+                if (token.type === 'var') {
+                    if (token.value === '$' && this.peek(1).value === '(') {
+                        return this.parseQueryLiteral();
+                    }
+                    if (token.value === '$' || token.value === '$$') {
+                        this.next();
+                        return { type: 'Self', nullable: token.value === '$$', pos: token.pos };
+                    }
+
+                    const name = token.value.slice(1);
+                    if (self.filterOperators.includes(name)) {
+                        this.next();
+                        const path = this.parsePath();
+                        const args = this.parseCallArgs();
+                        if (args.length !== 1) {
+                            throw this.error(`${token.value} takes exactly one value`, token.pos);
+                        }
+                        return { type: 'Clause', name, path, args, pos: token.pos };
+                    }
+                    if (self.combinators.includes(name)) {
+                        this.next();
+                        const args = this.parseCallArgs();
+                        if (name === 'NOT') {
+                            if (args.length !== 1) throw this.error('$NOT takes exactly one condition', token.pos);
+                            return { type: 'Unary', operator: '!', argument: args[0], pos: token.pos };
+                        }
+                        if (args.length === 0) throw this.error(`${token.value} needs at least one condition`, token.pos);
+                        return { type: 'Logical', operator: name === 'AND' ? '&&' : '||', args, pos: token.pos };
+                    }
+                    if (self.aggregates.includes(name) || self.modifiers.includes(name)) {
+                        throw this.error(`${token.value} is only allowed inside a query $(...)`, token.pos);
+                    }
+
+                    this.next();
+                    if (this.is('punct', '(')) {
+                        return { type: 'Call', name, args: this.parseCallArgs(), pos: token.pos };
+                    }
+                    return { type: 'Variable', name: token.value, pos: token.pos };
+                }
+
+                if (token.type === 'eof') {
+                    throw this.error('Unexpected end of expression', token.pos);
+                }
+                throw this.error(`Unexpected '${token.value}'`, token.pos);
+            },
+
+            /**
+             * args := '(' [expression (',' expression)*] ')'
+             */
+            parseCallArgs() {
+                this.expect('punct', '(');
+                const args = [];
+                if (!this.is('punct', ')')) {
+                    do {
+                        args.push(this.parseExpression());
+                    } while (this.accept('punct', ','));
+                }
+                this.expect('punct', ')');
+                return args;
+            },
+
+            /**
+             * suffix := '.' segment | '[' ['-'] number ']'
+             */
+            parseSuffixes(object) {
+                let node = object;
+                for (;;) {
+                    const dot = this.accept('punct', '.');
+                    if (dot) {
+                        node = { type: 'Member', object: node, property: this.parseSegment(), pos: dot.pos };
+                        continue;
+                    }
+
+                    const bracket = this.accept('punct', '[');
+                    if (bracket) {
+                        const negative = this.accept('op', '-');
+                        const number = this.expect('number', undefined, 'index');
+                        if (!Number.isInteger(number.value)) {
+                            throw this.error('Index must be an integer', number.pos);
+                        }
+                        this.expect('punct', ']');
+                        node = {
+                            type: 'Index',
+                            object: node,
+                            index: negative ? -number.value : number.value,
+                            pos: bracket.pos
+                        };
+                        continue;
+                    }
+
+                    return node;
+                }
+            }
+        };
+
+        return parser;
+    }
+};
+
+window.BSLError = BSLError;
+window.BSLLexer = BSLLexer;
+window.BSLParser = BSLParser;
@@ -0,0 +1,223 @@
+/**
+ * Prostochat BSL Standard Library
+ * Functions for BSL expressions, registered into BSLInterpreter.functions
+ *
+ * Dates:       $DaysBetween(from, to), $AddDays(date, n), $Age(birthDate[, at])
+ * Strings:     $Concat(...), $Lower(s), $Len(s), $Matches(s, pattern[, flags])
+ * Collections: $Count(list[, cond]), $Contains(list, value), $Any(list[, cond]), $All(list, cond)
+ *
+ * Collection conditions are evaluated per item with $Item bound to it:
+ *   $Count($.mentors, $Item.age >= 18)
+ *   $Any($($EQ.project($.id)), $Item.status != "done")
+ * A list is a Multiple field value, a query result or a single value;
+ * null is the empty list.
+ */
+
+const BSLStdlib = {
+    // Patterns come from model authors, keep them small
+    maxPatternLength: 200,
+    allowedFlags: /^[imsu]*$/,
+
+    DAY_MS: 24 * 60 * 60 * 1000,
+
+    /**
+     * Value as a list (null → [], single value → [value])
+     */
+    toList(value) {
+        if (value === null || value === undefined) return [];
+        if (Array.isArray(value)) return value;
+        if (value.type === 'table') return value.rows;
+        return [value];
+    },
+
+    /**
+     * Comparable value of a list item: query results compare by id
+     */
+    itemKey(item) {
+        return item && typeof item === 'object' && 'id' in item ? item.id : item;
+    },
+
+    /**
+     * Calendar day number (UTC) of a date
+     */
+    dayNumber(value, env, node) {
+        const date = BSLInterpreter.toDate(value, node, env);
+        return Math.floor(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) / this.DAY_MS);
+    },
+
+    /**
+     * Evaluate a lazy collection argument list: [list, condition?]
+     * @returns {{ items: Array, test: Function|null }}
+     */
+    collection(args, env) {
+        const items = this.toList(BSLInterpreter.evaluate(args[0], env));
+        const condition = args[1];
+        const test = condition
+            ? item => !!BSLInterpreter.evaluateWith(condition, env, { $Item: item })
+            : null;
+        return { items, test };
+    },
+
+    /**
+     * Why a pattern could backtrack catastrophically, null if it cannot
+     * Rejects backreferences and repeated groups holding a quantifier or
+     * an alternation: (a+)+, (a|aa)*, ((a)*)+
+     */
+    unsafePattern(source) {
+        const groups = [{ quantifier: false, alternation: false }];
+        const braces = i => source[i] === '{' ? source.slice(i).match(/^\{(\d+)(,(\d*))?\}/) : null;
+        const quantifierAt = i => /[*+?]/.test(source[i]) || !!braces(i);
+        // More than once: *, +, {n} with n > 1, {n,}, {n,m} with m > 1
+        const repeatsAt = i => {
+            if (/[*+]/.test(source[i])) return true;
+            const range = braces(i);
+            return !!range && (range[2] === undefined ? +range[1] > 1 : range[3] === '' || +range[3] > 1);
+        };
+        let inClass = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const c = source[i];
+            if (c === '\\') {
+                if (/[1-9]/.test(source[i + 1] || '') || source.startsWith('k<', i + 1)) return 'backreference';
+                i++;
+            } else if (inClass) {
+                inClass = c !== ']';
+            } else if (c === '[') {
+                inClass = true;
+            } else if (c === '(') {
+                groups.push({ quantifier: false, alternation: false });
+            } else if (c === ')' && groups.length > 1) {
+                const group = groups.pop();
+                const repeated = repeatsAt(i + 1);
+                if (repeated && (group.quantifier || group.alternation)) {
+                    return group.quantifier ? 'nested quantifier' : 'repeated alternation';
+                }
+                const parent = groups[groups.length - 1];
+                parent.quantifier = parent.quantifier || group.quantifier || quantifierAt(i + 1);
+                parent.alternation = parent.alternation || group.alternation;
+            } else if (c === '|') {
+                groups[groups.length - 1].alternation = true;
+            } else if (quantifierAt(i) && source[i - 1] !== '(') {
+                groups[groups.length - 1].quantifier = true;
+            }
+        }
+        return null;
+    }
+};
+
+Object.assign(BSLInterpreter.functions, {
+    // === Dates ===
+
+    // Whole calendar days from a to b (negative if b is earlier)
+    DaysBetween: {
+        arity: [2, 2],
+        fn: ([from, to], env, node) => BSLStdlib.dayNumber(to, env, node) - BSLStdlib.dayNumber(from, env, node)
+    },
+
+    // Date-only input stays date-only: $AddDays("2025-01-30", 3) → "2025-02-02"
+    AddDays: {
+        arity: [2, 2],
+        fn: ([value, days], env, node) => {
+            const n = Number(days);
+            if (!Number.isFinite(n)) {
+                throw BSLInterpreter.error(`Invalid number of days: ${JSON.stringify(days ?? null)}`, node, env);
+            }
+            const date = new Date(BSLInterpreter.toDate(value, node, env).getTime() + Math.trunc(n) * BSLStdlib.DAY_MS);
+            const iso = date.toISOString();
+            return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? iso.slice(0, 10) : iso;
+        }
+    },
+
+    // Full years between birth date and at (default: now)
+    Age: {
+        arity: [1, 2],
+        fn: ([birth, at], env, node) => {
+            const from = BSLInterpreter.toDate(birth, node, env);
+            const to = at === undefined ? BSLInterpreter.now(env) : BSLInterpreter.toDate(at, node, env);
+            let years = to.getUTCFullYear() - from.getUTCFullYear();
+            const beforeBirthday = to.getUTCMonth() < from.getUTCMonth()
+                || (to.getUTCMonth() === from.getUTCMonth() && to.getUTCDate() < from.getUTCDate());
+            if (beforeBirthday) years--;
+            return years;
+        }
+    },
+
+    // === Strings ===
+
+    Concat: {
+        arity: [1, Infinity],
+        fn: args => args.map(value => BSLInterpreter.toText(value)).join('')
+    },
+    Lower: { arity: [1, 1], fn: ([s]) => BSLInterpreter.toText(s).toLowerCase() },
+
+    // Length of a string or list; null → 0
+    Len: {
+        arity: [1, 1],
+        fn: ([value]) => Array.isArray(value) ? value.length : BSLInterpreter.toText(value).length
+    },
+
+    Matches: {
+        arity: [2, 3],
+        fn: ([s, pattern, flags = ''], env, node) => {
+            const source = BSLInterpreter.toText(pattern);
+            if (source.length > BSLStdlib.maxPatternLength) {
+                throw BSLInterpreter.error(`Pattern is longer than ${BSLStdlib.maxPatternLength} characters`, node, env);
+            }
+            if (!BSLStdlib.allowedFlags.test(String(flags))) {
+                throw BSLInterpreter.error(`Invalid pattern flags '${flags}'`, node, env);
+            }
+            const unsafe = BSLStdlib.unsafePattern(source);
+            if (unsafe) {
+                throw BSLInterpreter.error(`Unsafe pattern (${unsafe}): it could hang on long text`, node, env);
+            }
+            let regex;
+            try {
+                regex = new RegExp(source, String(flags));
+            } catch (e) {
+                throw BSLInterpreter.error(`Invalid pattern: ${e.message}`, node, env);
+            }
+            return regex.test(BSLInterpreter.toText(s));
+        }
+    },
+
+    // === Collections ===
+
+    Count: {
+        arity: [1, 2],
+        lazy: true,
+        fn: (args, env) => {
+            const { items, test } = BSLStdlib.collection(args, env);
+            return test ? items.filter(test).length : items.length;
+        }
+    },
+    Any: {
+        arity: [1, 2],
+        lazy: true,
+        fn: (args, env) => {
+            const { items, test } = BSLStdlib.collection(args, env);
+            return test ? items.some(test) : items.length > 0;
+        }
+    },
+    All: {
+        arity: [2, 2],
+        lazy: true,
+        fn: (args, env) => {
+            const { items, test } = BSLStdlib.collection(args, env);
+            return items.every(test);
+        }
+    },
+
+    // List membership (query results by id) or substring
+    Contains: {
+        arity: [2, 2],
+        fn: ([container, value]) => {
+            if (typeof container === 'string') {
+                return container.includes(BSLInterpreter.toText(value));
+            }
+            const key = BSLStdlib.itemKey(value);
+            return BSLStdlib.toList(container).some(item => BSLTypes.equals(BSLStdlib.itemKey(item), key));
+        }
+    }
+});
+
+window.BSLStdlib = BSLStdlib;
@@ -0,0 +1,382 @@
+/**
+ * Prostochat BSL Type Checker
+ * Static checks of Condition, SetValue and ValueCondition expressions
+ * against the model they are defined in
+ *
+ * Checks:
+ * - $.field / $EQ.field(...) refer to fields of the model (through Relations too)
+ * - comparisons match DataTypes: Numeric, Text (BasicType, TextType, ...), DateTime, Boolean
+ * - literals compared with EnumType fields are in the field's SetRange
+ * - SetValue produces a value of the field's DataType
+ * - functions exist and get the right number of arguments, variables are known
+ *
+ * Issues are BSLError with kind 'type' and a code (TYPE_005...).
+ *
+ * Schema (see Memory.getModelSchema):
+ *   { name, concept, fields: { name: { kind, datatype, values, range, multiple } } }
+ */
+
+const BSLTypeChecker = {
+    codes: {
+        syntax: 'SYNTAX_006',
+        unknownField: 'TYPE_005',
+        mismatch: 'TYPE_006',
+        enumValue: 'TYPE_007',
+        unknownName: 'TYPE_008',
+        setValue: 'TYPE_009'
+    },
+
+    // DataType → comparison category (anything else is Text)
+    categories: {
+        Numeric: 'Numeric', Integer: 'Numeric', Float: 'Numeric',
+        DateTime: 'DateTime', Date: 'DateTime',
+        Duration: 'Duration',
+        Boolean: 'Boolean',
+        EnumType: 'Enum'
+    },
+
+    // Result types of BSLInterpreter.functions ('Any' if not listed)
+    functionTypes: {
+        Now: 'DateTime', Today: 'DateTime', Date: 'DateTime', AddDays: 'DateTime',
+        Year: 'Numeric', Month: 'Numeric', Day: 'Numeric', DaysBetween: 'Numeric', Age: 'Numeric',
+        Round: 'Numeric', Abs: 'Numeric', Len: 'Numeric', Count: 'Numeric',
+        Upper: 'Text', Lower: 'Text', Trim: 'Text', Substring: 'Text', Replace: 'Text', Concat: 'Text',
+        isNaN: 'Boolean', Matches: 'Boolean', Contains: 'Boolean', Any: 'Boolean', All: 'Boolean'
+    },
+
+    // Variables provided by Memory._expressionEnv ($Value is typed per check)
+    variables: {
+        $CurrentActor: 'Text',
+        $CurrentIndividual: 'Text',
+        $Owner: 'Text',
+        $Now: 'DateTime',
+        $Item: 'Any'
+    },
+
+    // Event metadata on individuals ($.$Date, ...)
+    metaFields: { $Actor: 'Text', $Date: 'DateTime', $Id: 'Text', $Cause: 'Any', $Base: 'Text', $Model: 'Text' },
+
+    comparisons: ['==', '!=', '===', '!==', '<', '>', '<=', '>='],
+
+    /**
+     * Values of a SetRange restriction ("low, medium, high" or JSON array)
+     */
+    setRangeValues(value) {
+        if (value === null || value === undefined || value === '') return [];
+        const text = String(value).trim();
+        if (text.startsWith('[')) {
+            try {
+                return JSON.parse(text).map(String);
+            } catch (e) {}
+        }
+        return text.split(',').map(v => v.trim()).filter(Boolean);
+    },
+
+    /**
+     * Type of a model field
+     */
+    fieldType(schema, name, lookup) {
+        const field = schema.fields[name];
+        if (field.kind === 'Relation') {
+            return { kind: 'Individual', schema: field.range ? lookup(field.range) : null, list: field.multiple, field: name };
+        }
+        const kind = this.categories[field.datatype] || 'Text';
+        return {
+            kind,
+            values: kind === 'Enum' ? field.values : null,
+            list: field.multiple,
+            field: name
+        };
+    },
+
+    /**
+     * Check an expression
+     * @param {string} source - Expression text
+     * @param {Object} context - { schema, lookup(concept) → schema|null, field, restriction }
+     *   restriction 'SetValue' also checks the result type, 'ValueCondition' types $Value
+     * @returns {BSLError[]} issues (kind 'type', code)
+     */
+    check(source, context) {
+        const issues = [];
+        let ast;
+        try {
+            ast = BSLParser.parseExpression(String(source));
+        } catch (e) {
+            if (!(e instanceof BSLError)) throw e;
+            const issue = new BSLError(e.message.replace(/ at position \d+$/, ''), e.position, String(source), 'type');
+            issue.code = this.codes.syntax;
+            return [issue];
+        }
+
+        const lookup = context.lookup || (() => null);
+        const hasField = !!(context.schema && context.field &&
+            Object.prototype.hasOwnProperty.call(context.schema.fields, context.field));
+        const state = {
+            source: String(source),
+            schema: context.schema || null,
+            lookup,
+            valueType: hasField ? this.fieldType(context.schema, context.field, lookup) : { kind: 'Any' },
+            issues
+        };
+
+        const type = this._type(ast, state);
+
+        // Any value fits a Text field
+        if (context.restriction === 'SetValue' && hasField && state.valueType.kind !== 'Text') {
+            const expected = { ...state.valueType, list: false };
+            if (this._mismatch(expected, type)) {
+                this._report(state, this.codes.setValue,
+                    `SetValue of '${context.field}' produces ${this._describe(type)}, expected ${this._describe(expected)}`, ast);
+            }
+        }
+
+        return issues;
+    },
+
+    _report(state, code, message, node) {
+        const issue = new BSLError(message, node.pos, state.source, 'type');
+        issue.code = code;
+        state.issues.push(issue);
+    },
+
+    /**
+     * Infer node type, reporting issues on the way
+     */
+    _type(node, state) {
+        switch (node.type) {
+            case 'Literal':
+                return this._literalType(node.value);
+
+            case 'Self':
+                return { kind: 'Individual', schema: state.schema };
+
+            case 'Variable':
+                if (node.name === '$Value') return state.valueType;
+                if (!Object.prototype.hasOwnProperty.call(this.variables, node.name)) {
+                    this._report(state, this.codes.unknownName, `Unknown variable '${node.name}'`, node);
+                    return { kind: 'Any' };
+                }
+                return { kind: this.variables[node.name] };
+
+            case 'Member':
+                return this._memberType(this._type(node.object, state), node.property, node, state);
+
+            case 'Index': {
+                const object = this._type(node.object, state);
+                if (node.key) this._type(node.key, state);
+                return object.list ? { ...object, list: false } : { kind: 'Any' };
+            }
+
+            case 'Call':
+                return this._callType(node, state);
+
+            case 'Unary':
+                this._type(node.argument, state);
+                return { kind: node.operator === '!' ? 'Boolean' : 'Numeric' };
+
+            case 'Binary':
+                return this._binaryType(node, state);
+
+            case 'Logical': {
+                const types = node.args.map(arg => this._type(arg, state));
+                return types.every(t => t.kind === 'Boolean') ? { kind: 'Boolean' } : { kind: 'Any' };
+            }
+
+            case 'Conditional': {
+                this._type(node.test, state);
+                const a = this._type(node.consequent, state);
+                const b = this._type(node.alternate, state);
+                return a.kind === b.kind && !a.list && !b.list ? { kind: a.kind, values: a.values } : { kind: 'Any' };
+            }
+
+            case 'Clause':
+                this._clauseType(node, state);
+                return { kind: 'Boolean' };
+
+            case 'Query':
+                // Clauses run against other individuals, only their values refer to $
+                this._queryArgs(node.clauses, state);
+                return { kind: 'Any', list: true };
+
+            default:
+                return { kind: 'Any' };
+        }
+    },
+
+    _literalType(value) {
+        if (value === null) return { kind: 'Null' };
+        if (typeof value === 'number') return { kind: 'Numeric', literal: value };
+        if (typeof value === 'boolean') return { kind: 'Boolean', literal: value };
+        return { kind: 'Text', literal: value };
+    },
+
+    _memberType(object, property, node, state) {
+        if (property === 'length' && (object.kind === 'Text' || object.list)) {
+            return { kind: 'Numeric' };
+        }
+        if (object.kind !== 'Individual' || !object.schema) {
+            return { kind: 'Any', list: object.list };
+        }
+
+        const type = this._fieldOf(object.schema, property, node, state);
+        // Access on a list of individuals maps over the items
+        return object.list ? { ...type, list: true } : type;
+    },
+
+    /**
+     * Type of a field reference in a schema, reporting unknown fields
+     */
+    _fieldOf(schema, property, node, state) {
+        if (property === 'id') {
+            return { kind: 'Text' };
+        }
+        if (property.startsWith('^')) {
+            return { kind: 'Individual', schema: null, list: true };
+        }
+        if (property.startsWith('$')) {
+            return { kind: this.metaFields[property] || 'Any' };
+        }
+        if (!Object.prototype.hasOwnProperty.call(schema.fields, property)) {
+            this._report(state, this.codes.unknownField, `Unknown field '${property}' in ${schema.name}`, node);
+            return { kind: 'Any' };
+        }
+        return this.fieldType(schema, property, state.lookup);
+    },
+
+    _callType(node, state) {
+        const spec = Object.prototype.hasOwnProperty.call(BSLInterpreter.functions, node.name)
+            ? BSLInterpreter.functions[node.name]
+            : null;
+        const args = node.args.map(arg => this._type(arg, state));
+
+        if (!spec) {
+            this._report(state, this.codes.unknownName, `Unknown function '${node.name}'`, node);
+            return { kind: 'Any' };
+        }
+        const [min, max] = spec.arity;
+        if (node.args.length < min || node.args.length > max) {
+            const expected = min === max ? `${min}` : (max === Infinity ? `at least ${min}` : `${min}-${max}`);
+            this._report(state, this.codes.unknownName,
+                `${node.name} expects ${expected} argument(s), got ${node.args.length}`, node);
+        }
+        if (node.name === 'Coalesce' && args.length > 0) {
+            return { ...args[0], literal: undefined };
+        }
+        return { kind: this.functionTypes[node.name] || 'Any' };
+    },
+
+    _binaryType(node, state) {
+        const left = this._type(node.left, state);
+        const right = this._type(node.right, state);
+
+        if (this.comparisons.includes(node.operator)) {
+            this._compare(left, right, node, state);
+            return { kind: 'Boolean' };
+        }
+        if (node.operator === '+' && (left.kind === 'Text' || right.kind === 'Text' || left.kind === 'Enum' || right.kind === 'Enum')) {
+            return { kind: 'Text' };
+        }
+        if (node.operator === '+' && (left.kind !== 'Numeric' || right.kind !== 'Numeric')) {
+            return { kind: 'Any' };
+        }
+        return { kind: 'Numeric' };
+    },
+
+    /**
+     * Condition clause on the current individual: $EQ.organization.name("Acme")
+     */
+    _clauseType(node, state) {
+        if (BSLParser.combinators.includes(node.name)) {
+            node.args.forEach(arg => this._type(arg, state));
+            return;
+        }
+
+        let type = { kind: 'Individual', schema: state.schema };
+        node.path.forEach(segment => {
+            type = this._memberType(type, segment, node, state);
+        });
+
+        const value = this._type(node.args[0], state);
+        // A path through several values matches if any matches
+        this._compare({ ...type, list: false }, value, node, state);
+    },
+
+    _queryArgs(clauses, state) {
+        clauses.forEach(clause => {
+            if (BSLParser.combinators.includes(clause.name)) {
+                this._queryArgs(clause.args, state);
+            } else if (clause.args[0]) {
+                this._type(clause.args[0], state);
+            }
+        });
+    },
+
+    _compare(left, right, node, state) {
+        const message = this._mismatch(left, right);
+        if (message) {
+            const code = left.kind === 'Enum' || right.kind === 'Enum' ? this.codes.enumValue : this.codes.mismatch;
+            this._report(state, code, message, node);
+        }
+    },
+
+    /**
+     * Why two types cannot be compared, or null if they can
+     */
+    _mismatch(a, b) {
+        const loose = ['Any', 'Null', 'Individual'];
+        if (loose.includes(a.kind) || loose.includes(b.kind) || a.list || b.list) return null;
+        if (a.kind === b.kind && a.kind !== 'Enum') return null;
+
+        // Enum: literals must be in SetRange
+        if (a.kind === 'Enum' || b.kind === 'Enum') {
+            const [enumType, other] = a.kind === 'Enum' ? [a, b] : [b, a];
+            if (other.literal === undefined) {
+                return other.kind === 'Text' || other.kind === 'Enum' ? null : this._cannotCompare(a, b);
+            }
+            if (enumType.values && enumType.values.length > 0 && !enumType.values.includes(String(other.literal))) {
+                const of = enumType.field ? ` of '${enumType.field}'` : '';
+                return `'${other.literal}' is not in SetRange${of} (${enumType.values.join(', ')})`;
+            }
+            return null;
+        }
+
+        const [typed, other] = b.kind === 'Text' ? [a, b] : [b, a];
+        if (other.kind === 'Text') {
+            // Text from a field is its DataType; computed text is not checked
+            if (other.literal === undefined) {
+                return other.field ? this._cannotCompare(a, b) : null;
+            }
+            return this._literalFits(typed.kind, other.literal) ? null : this._cannotCompare(a, b);
+        }
+
+        // Durations compare with numbers as seconds (BSLTypes.compare)
+        if ((typed.kind === 'Duration' && other.kind === 'Numeric') || (typed.kind === 'Numeric' && other.kind === 'Duration')) {
+            return null;
+        }
+
+        if (typed.kind === 'Boolean' || other.kind === 'Boolean') {
+            const literal = typed.kind === 'Boolean' ? other.literal : typed.literal;
+            if (literal !== undefined && this._literalFits('Boolean', literal)) return null;
+        }
+
+        return this._cannotCompare(a, b);
+    },
+
+    _literalFits(kind, literal) {
+        return ['Numeric', 'DateTime', 'Duration', 'Boolean'].includes(kind)
+            ? String(literal) !== '' && BSLTypes.parse(kind, literal).ok
+            : true;
+    },
+
+    _cannotCompare(a, b) {
+        return `Cannot compare ${this._describe(a)} with ${this._describe(b)}`;
+    },
+
+    _describe(type) {
+        if (type.literal !== undefined) return `${type.kind} ${JSON.stringify(type.literal)}`;
+        if (type.field) return `${type.kind} '${type.field}'`;
+        return type.kind;
+    }
+};
+
+window.BSLTypeChecker = BSLTypeChecker;
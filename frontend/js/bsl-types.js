@@ -0,0 +1,307 @@
+/**
+ * Prostochat BSL Value Types
+ * Canonical values of genesis DataTypes and typed comparison of values
+ *
+ * Memory.addEvent stores field values in their canonical form, so one field
+ * never mixes "42" and 42:
+ * - Numeric: number ("1 234,5" → 1234.5)
+ * - Boolean: true / false ("1", "yes", "да" → true)
+ * - DateTime: "YYYY-MM-DD" for dates, ISO 8601 UTC otherwise ("01.05.2024" → "2024-05-01")
+ * - Duration: ISO 8601 duration without years/months ("1h 30m", "1:30" → "PT1H30M")
+ * - MarkdownType: text with \n line ends
+ * - PDFType: URL / path of a .pdf or a data:application/pdf URI
+ * - TextType, BasicType, EnumType, Expression: text
+ *
+ * compare/equals infer the type from the values themselves (numbers and
+ * numeric text as numbers, ISO dates as dates, ...) and are used by
+ * expressions (BSLInterpreter), query conditions and sorting (Memory).
+ */
+
+const BSLTypes = {
+    // DataType names used by models besides the genesis ones
+    aliases: {
+        Integer: 'Numeric', Float: 'Numeric',
+        Date: 'DateTime',
+        Text: 'TextType', LongText: 'TextType'
+    },
+
+    /**
+     * Codecs: DataType → { expected, parse(value) → canonical value or undefined }
+     */
+    codecs: {
+        Numeric: {
+            expected: 'numeric value',
+            parse: value => BSLTypes.parseNumber(value)
+        },
+        Boolean: {
+            expected: 'boolean value',
+            parse: value => BSLTypes.parseBoolean(value)
+        },
+        DateTime: {
+            expected: 'ISO8601 date/time',
+            parse: value => BSLTypes.parseDateTime(value)
+        },
+        Duration: {
+            expected: 'duration (ISO 8601 like PT1H30M, or 1h 30m)',
+            parse: value => {
+                const seconds = BSLTypes.durationSeconds(value);
+                return seconds === undefined ? undefined : BSLTypes.formatDuration(seconds);
+            }
+        },
+        MarkdownType: {
+            expected: 'markdown text',
+            parse: value => typeof value === 'object' ? undefined : String(value).replace(/\r\n?/g, '\n')
+        },
+        PDFType: {
+            expected: 'PDF (URL of a .pdf file or data:application/pdf URI)',
+            parse: value => {
+                const text = String(value).trim();
+                return /^data:application\/pdf[;,]/i.test(text) || /\.pdf(?:[?#].*)?$/i.test(text) ||
+                    /^https?:\/\/\S+$/i.test(text) ? text : undefined;
+            }
+        },
+        TextType: {
+            expected: 'text',
+            parse: value => typeof value === 'object' ? undefined : String(value)
+        },
+        BasicType: {
+            expected: 'text',
+            parse: value => typeof value === 'object' ? undefined : String(value)
+        },
+        EnumType: {
+            expected: 'value',
+            parse: value => typeof value === 'object' ? undefined : String(value).trim()
+        },
+        Expression: {
+            expected: 'expression',
+            parse: value => typeof value === 'object' ? undefined : String(value).trim()
+        }
+    },
+
+    /**
+     * Codec of a DataType, null for unknown ones
+     */
+    codec(datatype) {
+        return this.codecs[this.aliases[datatype] || datatype] || null;
+    },
+
+    /**
+     * Parse a value of a DataType
+     * @returns {Object} { ok: true, value } or { ok: false, expected }
+     *   Unknown DataTypes and empty values pass unchanged
+     */
+    parse(datatype, value) {
+        const codec = this.codec(datatype);
+        if (!codec || value === null || value === undefined || value === '') {
+            return { ok: true, value };
+        }
+        const parsed = codec.parse(value);
+        return parsed === undefined ? { ok: false, expected: codec.expected } : { ok: true, value: parsed };
+    },
+
+    /**
+     * Canonical value of a DataType, the value itself if it does not parse
+     */
+    normalize(datatype, value) {
+        const result = this.parse(datatype, value);
+        return result.ok ? result.value : value;
+    },
+
+    // === Parsers ===
+
+    /**
+     * Number from a number or text: spaces and _ group digits,
+     * a single comma is the decimal separator ("1 234,5"), with a dot commas group thousands
+     */
+    parseNumber(value) {
+        if (typeof value === 'number') return isFinite(value) ? value : undefined;
+        if (typeof value !== 'string') return undefined;
+
+        let text = value.trim().replace(/[\s_]/g, '');
+        if (text.includes('.')) {
+            text = text.replace(/,/g, '');
+        } else if ((text.match(/,/g) || []).length === 1) {
+            text = text.replace(',', '.');
+        }
+        if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) return undefined;
+
+        const number = Number(text);
+        return isFinite(number) ? number : undefined;
+    },
+
+    parseBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        const text = String(value).trim().toLowerCase();
+        if (['true', '1', 'yes', 'on', 'да'].includes(text)) return true;
+        if (['false', '0', 'no', 'off', 'нет'].includes(text)) return false;
+        return undefined;
+    },
+
+    /**
+     * Date/time from a Date, epoch ms or text
+     * Dates stay dates ("2024-05-01", "01.05.2024"), times become ISO UTC;
+     * times without a zone are local (as in <input type="datetime-local">)
+     */
+    parseDateTime(value) {
+        if (value instanceof Date) return isNaN(value.getTime()) ? undefined : value.toISOString();
+        if (typeof value === 'number') return isFinite(value) ? new Date(value).toISOString() : undefined;
+        if (typeof value !== 'string') return undefined;
+
+        const text = value.trim();
+        const validDay = (y, m, d) => {
+            const date = new Date(Date.UTC(y, m - 1, d));
+            return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+        };
+        const pad = n => String(n).padStart(2, '0');
+
+        // YYYY-MM-DD
+        let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (match) {
+            return validDay(+match[1], +match[2], +match[3]) ? text : undefined;
+        }
+
+        // DD.MM.YYYY [HH:MM[:SS]]
+        match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:[ ,T]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (match) {
+            const [day, month, year] = [+match[1], +match[2], +match[3]];
+            if (!validDay(year, month, day)) return undefined;
+            if (match[4] === undefined) return `${year}-${pad(month)}-${pad(day)}`;
+            const date = new Date(year, month - 1, day, +match[4], +match[5], +(match[6] || 0));
+            return isNaN(date.getTime()) || +match[4] > 23 ? undefined : date.toISOString();
+        }
+
+        // ISO date-time (T or space) and anything else Date understands
+        match = text.match(/^(\d{4})-(\d{2})-(\d{2})[T ]/);
+        if (match && !validDay(+match[1], +match[2], +match[3])) return undefined;
+        if (/^-?\d+(\.\d+)?$/.test(text)) return undefined; // Bare numbers are not dates
+        const date = new Date(match ? text.replace(' ', 'T') : text);
+        return isNaN(date.getTime()) ? undefined : date.toISOString();
+    },
+
+    // Seconds per Duration unit (ISO designators and common abbreviations)
+    durationUnits: {
+        w: 604800, week: 604800, weeks: 604800, 'нед': 604800,
+        d: 86400, day: 86400, days: 86400, 'д': 86400, 'дн': 86400,
+        h: 3600, hr: 3600, hour: 3600, hours: 3600, 'ч': 3600,
+        m: 60, min: 60, mins: 60, minute: 60, minutes: 60, 'мин': 60,
+        s: 1, sec: 1, secs: 1, second: 1, seconds: 1, 'с': 1, 'сек': 1
+    },
+
+    /**
+     * Length of a duration in seconds
+     * Accepts ISO 8601 (P1DT2H, PT90M, P2W), "1h 30m", "1.5 ч", "1:30[:15]"
+     * and bare numbers (seconds); years and months have no fixed length
+     * @returns {number|undefined}
+     */
+    durationSeconds(value) {
+        if (typeof value === 'number') return isFinite(value) && value >= 0 ? value : undefined;
+        if (typeof value !== 'string') return undefined;
+
+        const text = value.trim().toLowerCase();
+        const number = '(\\d+(?:[.,]\\d+)?)';
+        const toNumber = part => part === undefined ? 0 : Number(part.replace(',', '.'));
+
+        const iso = text.match(new RegExp(`^p(?:${number}w)?(?:${number}d)?(?:t(?:${number}h)?(?:${number}m)?(?:${number}s)?)?$`));
+        if (iso && text !== 'p' && !text.endsWith('t')) {
+            const [, w, d, h, m, s] = iso.map(toNumber);
+            return w * 604800 + d * 86400 + h * 3600 + m * 60 + s;
+        }
+
+        const clock = text.match(/^(\d+):([0-5]\d)(?::([0-5]\d))?$/);
+        if (clock) {
+            return +clock[1] * 3600 + +clock[2] * 60 + +(clock[3] || 0);
+        }
+
+        if (/^\d+(?:[.,]\d+)?$/.test(text)) return toNumber(text);
+
+        const parts = [...text.matchAll(/(\d+(?:[.,]\d+)?)\s*([a-zа-я]+)/g)];
+        if (parts.length === 0 || parts.map(p => p[0]).join('').replace(/\s/g, '') !== text.replace(/\s/g, '')) {
+            return undefined;
+        }
+        let seconds = 0;
+        for (const [, amount, unit] of parts) {
+            if (!this.durationUnits[unit]) return undefined;
+            seconds += toNumber(amount) * this.durationUnits[unit];
+        }
+        return seconds;
+    },
+
+    /**
+     * ISO 8601 duration of a number of seconds: 5400 → "PT1H30M"
+     */
+    formatDuration(seconds) {
+        let rest = Math.round(seconds * 1000) / 1000;
+        const days = Math.floor(rest / 86400);
+        rest -= days * 86400;
+        const hours = Math.floor(rest / 3600);
+        rest -= hours * 3600;
+        const minutes = Math.floor(rest / 60);
+        rest = Math.round((rest - minutes * 60) * 1000) / 1000;
+
+        const time = (hours ? `${hours}H` : '') + (minutes ? `${minutes}M` : '') + (rest ? `${rest}S` : '');
+        if (!days && !time) return 'PT0S';
+        return `P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+    },
+
+    // === Comparison ===
+
+    /**
+     * Type of a value for comparison: Numeric, Boolean, DateTime, Duration or Text
+     */
+    kindOf(value) {
+        if (typeof value === 'number') return 'Numeric';
+        if (typeof value === 'boolean') return 'Boolean';
+        if (value instanceof Date) return 'DateTime';
+        const text = String(value).trim();
+        if (/^-?\d+(\.\d+)?(e[-+]?\d+)?$/i.test(text)) return 'Numeric';
+        if (text === 'true' || text === 'false') return 'Boolean';
+        if (/^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/.test(text)) return 'DateTime';
+        if (/^P(?=\d|T\d)/.test(text) && this.durationSeconds(text) !== undefined) return 'Duration';
+        return 'Text';
+    },
+
+    /**
+     * Order of two values: < 0, 0, > 0; NaN if either is empty or not a scalar
+     * Values of one type compare by it (numbers numerically, dates by time,
+     * durations by length); durations compare with numbers as seconds,
+     * booleans with 1/0; anything else compares as text
+     */
+    compare(a, b) {
+        if (a === null || a === undefined || b === null || b === undefined) return NaN;
+        if ((typeof a === 'object' && !(a instanceof Date)) || (typeof b === 'object' && !(b instanceof Date))) return NaN;
+
+        const kinds = [this.kindOf(a), this.kindOf(b)];
+        const is = (x, y) => (kinds[0] === x && kinds[1] === y) || (kinds[0] === y && kinds[1] === x);
+        const number = value => Number(value);
+
+        if (is('Numeric', 'Numeric')) return number(a) - number(b);
+        if (is('DateTime', 'DateTime')) return this._time(a) - this._time(b);
+        if (is('Duration', 'Duration') || is('Duration', 'Numeric')) {
+            return this.durationSeconds(typeof a === 'number' ? a : String(a).trim()) -
+                this.durationSeconds(typeof b === 'number' ? b : String(b).trim());
+        }
+        if (is('Boolean', 'Boolean') || (is('Boolean', 'Numeric') && [a, b].every(v => this.parseBoolean(v) !== undefined))) {
+            return Number(this.parseBoolean(a)) - Number(this.parseBoolean(b));
+        }
+
+        const [x, y] = [String(a), String(b)];
+        return x === y ? 0 : x.localeCompare(y) || (x < y ? -1 : 1);
+    },
+
+    /**
+     * Typed equality: "42" equals 42, "2024-05-01" equals "2024-05-01T00:00:00.000Z"
+     * Empty values equal each other only, objects compare as in JavaScript
+     */
+    equals(a, b) {
+        if (a === b) return true;
+        if (a === null || a === undefined || b === null || b === undefined) return a == b;
+        if ((typeof a === 'object' && !(a instanceof Date)) || (typeof b === 'object' && !(b instanceof Date))) return a == b;
+        return this.compare(a, b) === 0;
+    },
+
+    _time(value) {
+        return value instanceof Date ? value.getTime() : new Date(String(value).trim().replace(' ', 'T')).getTime();
+    }
+};
+
+window.BSLTypes = BSLTypes;
@@ -42,6 +42,17 @@ const CONFIG = {
         }
     },
 
+    // Dataflow settings (workflow actions run in the browser)
+    dataflow: {
+        backendFallback: false // Run on the backend (/api/dataflow/fixpoint) when the local run fails
+    },
+
+    // Event ids
+    events: {
+        // Content-addressed ids (h_<sha256>) and per-actor hash chains, checked by rebuildWorld
+        contentIds: false
+    },
+
     // Sync settings
     sync: {
         interval: 30000, // 30 seconds
@@ -54,7 +65,11 @@ const CONFIG = {
         chats: 'prostochat_chats',
         currentChat: 'prostochat_current_chat',
         lastSync: 'prostochat_last_sync',
-        llmConfig: 'prostochat_llm_config'
+        llmConfig: 'prostochat_llm_config',
+        schedule: 'prostochat_schedule', // Time-based guards (Memory.startScheduler)
+        scheduleRun: 'prostochat_schedule_run', // When the scheduler last ran due guards
+        // Persistence backend: 'indexedDB' (falls back to localStorage) or 'localStorage'
+        adapter: 'indexedDB'
     }
 };
 
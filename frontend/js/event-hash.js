@@ -0,0 +1,130 @@
+/**
+ * Prostochat Event Hashing
+ * Content-addressed event ids and per-actor hash chains
+ *
+ * - contentId: h_ + SHA-256 of the canonical content (base, type, value, actor, cause, date),
+ *   so the same event gets the same id on every device and an edited one no longer matches
+ * - chainLink: SHA-256 of the actor's previous link and the event id; an edited,
+ *   removed or reordered event breaks the links after it
+ *
+ * Chains only detect accidental local corruption: the hash is unkeyed, so whoever
+ * can edit local storage can recompute it (signatures, identity.js, cover tampering),
+ * and the server does not store links, so events received through sync have none
+ *
+ * SHA-256 is computed synchronously (addEvent is synchronous, WebCrypto is not)
+ */
+
+const EventHash = {
+    prefix: 'h_',
+    idLength: 40, // hex chars of the digest kept in the id (160 bits)
+    contentFields: ['base', 'type', 'value', 'actor', 'cause', 'date'],
+
+    /**
+     * Whether an id claims to be content-addressed
+     */
+    isContentId(id) {
+        return typeof id === 'string' && id.startsWith(this.prefix) && id.length === this.prefix.length + this.idLength;
+    },
+
+    /**
+     * Id of an event's content (cause as array, object keys sorted)
+     */
+    contentId(event) {
+        const cause = Array.isArray(event.cause) ? event.cause : (event.cause ? [event.cause] : []);
+        const content = this.contentFields.map(field => field === 'cause' ? cause : (event[field] ?? null));
+        return this.prefix + this.sha256(this.canonical(content)).slice(0, this.idLength);
+    },
+
+    /**
+     * Whether a content-addressed event still matches its id
+     */
+    matchesContent(event) {
+        return this.contentId(event) === event.id;
+    },
+
+    /**
+     * Next link of an actor's chain (unkeyed: not proof against deliberate edits)
+     * @param {string|null} previous - link of the actor's previous event, null for the first
+     */
+    chainLink(previous, id) {
+        return this.sha256(`${previous || ''}:${id}`);
+    },
+
+    /**
+     * JSON with object keys sorted, the same for equal values
+     */
+    canonical(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonical(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const entries = Object.keys(value).sort()
+                .map(key => `${JSON.stringify(key)}:${this.canonical(value[key])}`);
+            return `{${entries.join(',')}}`;
+        }
+        return JSON.stringify(value ?? null);
+    },
+
+    // ========================================
+    // SHA-256
+    // ========================================
+
+    /**
+     * SHA-256 of a string (UTF-8) as hex
+     */
+    sha256(text) {
+        const { k, init } = this._constants();
+        const bytes = Array.from(new TextEncoder().encode(text));
+        const bitLength = bytes.length * 8;
+
+        // Padding: 1 bit, zeros, 64-bit big-endian length
+        bytes.push(0x80);
+        while (bytes.length % 64 !== 56) bytes.push(0);
+        const high = Math.floor(bitLength / 0x100000000);
+        for (let i = 3; i >= 0; i--) bytes.push((high >>> (i * 8)) & 0xff);
+        for (let i = 3; i >= 0; i--) bytes.push((bitLength >>> (i * 8)) & 0xff);
+
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+        const hash = [...init];
+        const w = new Array(64);
+
+        for (let offset = 0; offset < bytes.length; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                const j = offset + i * 4;
+                w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+            }
+
+            let [a, b, c, d, e, f, g, h] = hash;
+            for (let i = 0; i < 64; i++) {
+                const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + k[i] + w[i]) | 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                h = g; g = f; f = e; e = (d + t1) | 0;
+                d = c; c = b; b = a; a = (t1 + t2) | 0;
+            }
+            [a, b, c, d, e, f, g, h].forEach((value, i) => { hash[i] = (hash[i] + value) | 0; });
+        }
+
+        return hash.map(x => (x >>> 0).toString(16).padStart(8, '0')).join('');
+    },
+
+    /**
+     * Round constants and initial hash: fractional parts of cube and square roots of primes
+     */
+    _constants() {
+        if (!this._k) {
+            const primes = [];
+            for (let n = 2; primes.length < 64; n++) {
+                if (primes.every(p => n % p !== 0)) primes.push(n);
+            }
+            const fraction = x => ((x - Math.floor(x)) * 0x100000000) | 0;
+            this._k = primes.map(p => fraction(Math.cbrt(p)));
+            this._init = primes.slice(0, 8).map(p => fraction(Math.sqrt(p)));
+        }
+        return { k: this._k, init: this._init };
+    }
+};
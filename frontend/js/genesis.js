@@ -58,6 +58,7 @@ const GENESIS_EVENTS = [
     { id: 'Default', base: 'Restriction', type: 'Individual', value: 'Default', model: 'Event', cause: ['SetRange'], actor: 'System' },
     { id: 'Cardinality', base: 'Restriction', type: 'Individual', value: 'Cardinality', model: 'Event', cause: ['Default'], actor: 'System' },
     { id: 'Mutable', base: 'Restriction', type: 'Individual', value: 'Mutable', model: 'Event', cause: ['Cardinality'], actor: 'System' },
+    { id: 'Invariant', base: 'Restriction', type: 'Individual', value: 'Invariant', model: 'Event', cause: ['Mutable'], actor: 'System' },
 
     // === META MODELS ===
     { id: 'Model_Event', base: 'Event', type: 'Model', value: 'Model_Event', model: 'Event', cause: ['Event'], actor: 'System' },
@@ -174,6 +175,15 @@ const GENESIS_EVENTS = [
     { id: 'admin', base: 'Role', type: 'Individual', value: 'admin', model: 'Event', cause: ['Owner'], actor: 'system' },
     { id: 'manager', base: 'Role', type: 'Individual', value: 'manager', model: 'Event', cause: ['admin'], actor: 'system' },
 
+    // === ACCESS CONTROL: role grants and inheritance ===
+    { id: 'Grant', base: 'Attribute', type: 'Individual', value: 'Grant', model: 'Event', cause: ['manager'], actor: 'system' },
+    { id: 'Inherits', base: 'Attribute', type: 'Individual', value: 'Inherits', model: 'Event', cause: ['Grant'], actor: 'system' },
+    { id: 'Policy', base: 'Attribute', type: 'Individual', value: 'Policy', model: 'Event', cause: ['Inherits'], actor: 'system' },
+    { id: 'PublicKey', base: 'Attribute', type: 'Individual', value: 'PublicKey', model: 'Event', cause: ['Policy'], actor: 'system' },
+
+    // === MEMORY: importance rules of the episodic tier ===
+    { id: 'ImportanceRule', base: 'Attribute', type: 'Individual', value: 'ImportanceRule', model: 'Event', cause: ['PublicKey'], actor: 'system' },
+
     // === ORGANIZATION APP ===
     { id: 'OrganizationApp', base: 'Application', type: 'Individual', value: 'Organization App', model: 'Model_Application', cause: ['Application'], actor: 'system' },
 
@@ -0,0 +1,259 @@
+/**
+ * Prostochat Identity
+ * Actor identities backed by WebCrypto key pairs (ECDSA P-256)
+ *
+ * - Key pairs are kept locally (JWK in storage), they leave only by export
+ * - An identity publishes its public key as an event: alice: PublicKey: <base64>
+ * - Events of an actor with a local identity are signed over their canonical form
+ * - Incoming events are verified against the keys their actor published;
+ *   events of an actor with published keys must carry a valid signature
+ */
+
+const Identity = {
+    storageKey: 'prostochat_identities',
+    keyAlgorithm: { name: 'ECDSA', namedCurve: 'P-256' },
+    signAlgorithm: { name: 'ECDSA', hash: 'SHA-256' },
+    // Event fields covered by the signature (synced, vector, ... are local)
+    signedFields: ['id', 'base', 'type', 'value', 'actor', 'model', 'date', 'cause'],
+    exportFormat: 'prostochat-identity',
+
+    identities: {},         // actor → { publicKey, privateJwk, publicJwk, created }
+    keys: {},               // actor → private CryptoKey
+    _verifyKeys: new Map(), // base64 public key → CryptoKey
+    _pending: new Set(),    // signatures being computed
+    _verified: new WeakMap(), // incoming event → { status: valid|unsigned|forged, error }
+
+    isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    },
+
+    /**
+     * Load stored identities (after Memory.init, before events are added)
+     */
+    async init() {
+        this.identities = Memory.loadFromStorage(this.storageKey) || {};
+        if (!this.isSupported()) {
+            console.warn('WebCrypto unavailable: events are not signed');
+            return;
+        }
+        for (const [actor, identity] of Object.entries(this.identities)) {
+            try {
+                this.keys[actor] = await this._importPrivate(identity.privateJwk);
+            } catch (e) {
+                console.warn(`Identity of ${actor} could not be loaded:`, e);
+            }
+        }
+        console.log(`Identities: ${Object.keys(this.keys).length}`);
+    },
+
+    hasIdentity(actor) {
+        return !!this.keys[actor];
+    },
+
+    /**
+     * Local identities for the UI
+     * @returns {Array} [{ actor, publicKey, fingerprint, created, published }]
+     */
+    listIdentities() {
+        return Object.entries(this.identities).map(([actor, identity]) => ({
+            actor,
+            publicKey: identity.publicKey,
+            fingerprint: this.fingerprint(identity.publicKey),
+            created: identity.created,
+            published: this.publishedKeys(actor).includes(identity.publicKey)
+        }));
+    },
+
+    /**
+     * Short form of a public key to compare by eye
+     */
+    fingerprint(publicKey) {
+        return String(publicKey).slice(-16).match(/.{1,4}/g).join(':');
+    },
+
+    /**
+     * Keys an actor published (its own PublicKey events, oldest first)
+     */
+    publishedKeys(actor) {
+        return Memory.getEventsByBaseType(actor, 'PublicKey')
+            .filter(e => e.actor === actor)
+            .map(e => e.value);
+    },
+
+    // ========================================
+    // IDENTITIES
+    // ========================================
+
+    /**
+     * Create a key pair for an actor and publish its public key
+     * A new key of an actor that already has one is published signed by the old key
+     */
+    async createIdentity(actor) {
+        const pair = await crypto.subtle.generateKey(this.keyAlgorithm, true, ['sign', 'verify']);
+        return this._addIdentity(actor, {
+            publicKey: this._toBase64(await crypto.subtle.exportKey('raw', pair.publicKey)),
+            privateJwk: await crypto.subtle.exportKey('jwk', pair.privateKey),
+            publicJwk: await crypto.subtle.exportKey('jwk', pair.publicKey),
+            created: new Date().toISOString()
+        });
+    },
+
+    /**
+     * Identity as a portable object (contains the private key)
+     */
+    exportIdentity(actor) {
+        const identity = this.identities[actor];
+        if (!identity) throw new Error(`No identity for ${actor}`);
+        return { format: this.exportFormat, actor, ...identity };
+    },
+
+    /**
+     * Add an exported identity; the key pair must match its public key
+     */
+    async importIdentity(data) {
+        if (!data || data.format !== this.exportFormat || !data.actor || !data.privateJwk || !data.publicJwk) {
+            throw new Error('Not a Prostochat identity');
+        }
+        const publicKey = await crypto.subtle.importKey('jwk', data.publicJwk, this.keyAlgorithm, true, ['verify']);
+        if (this._toBase64(await crypto.subtle.exportKey('raw', publicKey)) !== data.publicKey) {
+            throw new Error('Public key does not match the identity');
+        }
+        const { actor, publicKey: raw, privateJwk, publicJwk, created } = data;
+        return this._addIdentity(actor, { publicKey: raw, privateJwk, publicJwk, created });
+    },
+
+    async _addIdentity(actor, identity) {
+        const key = await this._importPrivate(identity.privateJwk);
+        this.identities[actor] = identity;
+        Memory.saveToStorage(this.storageKey, this.identities);
+
+        if (!this.publishedKeys(actor).includes(identity.publicKey)) {
+            // The first key signs itself, a later one is signed by the key it replaces
+            if (!this.keys[actor]) this.keys[actor] = key;
+            Memory.addEvent({ base: actor, type: 'PublicKey', value: identity.publicKey, model: 'Event', actor });
+        }
+        this.keys[actor] = key;
+        await this.flush();
+        return identity;
+    },
+
+    _importPrivate(jwk) {
+        return crypto.subtle.importKey('jwk', jwk, this.keyAlgorithm, false, ['sign']);
+    },
+
+    // ========================================
+    // SIGNING
+    // ========================================
+
+    /**
+     * Canonical form of an event: signed fields in fixed order, object keys sorted
+     */
+    canonical(event) {
+        return EventHash.canonical(this.signedFields.map(field => event[field] ?? null));
+    },
+
+    /**
+     * Sign an event with its actor's key (sets event.signature)
+     * The key is taken now, so a key replaced later does not change it
+     * @returns {Promise<boolean>} false when the actor has no identity
+     */
+    signEvent(event) {
+        const key = this.keys[event.actor];
+        if (!key) return Promise.resolve(false);
+
+        const data = new TextEncoder().encode(this.canonical(event));
+        const signing = crypto.subtle.sign(this.signAlgorithm, key, data).then(signature => {
+            event.signature = this._toBase64(signature);
+            return true;
+        }).finally(() => this._pending.delete(signing));
+        this._pending.add(signing);
+        return signing;
+    },
+
+    /**
+     * Wait for signatures in progress (before events leave the client)
+     */
+    async flush() {
+        await Promise.allSettled([...this._pending]);
+    },
+
+    // ========================================
+    // VERIFICATION
+    // ========================================
+
+    /**
+     * Verify incoming events in order and remember the result (see verification)
+     * PublicKey events of the same batch count for the events after them
+     * @returns {Promise<Array>} results in event order
+     */
+    async verifyEvents(events) {
+        const batchKeys = {};
+        const results = [];
+        for (const event of events) {
+            const known = [...this.publishedKeys(event.actor), ...(batchKeys[event.actor] || [])];
+            const result = await this._verify(event, known);
+            if (result.status === 'valid' && event.type === 'PublicKey') {
+                (batchKeys[event.actor] = batchKeys[event.actor] || []).push(event.value);
+            }
+            this._verified.set(event, result);
+            results.push(result);
+        }
+        return results;
+    },
+
+    async _verify(event, known) {
+        const forged = error => ({ status: 'forged', error });
+
+        if (event.type === 'PublicKey' && event.base !== event.actor) {
+            return forged(`${event.actor} published a key of ${event.base}`);
+        }
+        // The first key of an actor is signed by itself
+        const keys = event.type === 'PublicKey' && known.length === 0 ? [event.value] : known;
+
+        if (!event.signature) {
+            return keys.length > 0 ? forged(`unsigned event of ${event.actor}`) : { status: 'unsigned', error: null };
+        }
+        if (keys.length === 0) {
+            return forged(`${event.actor} has no published key`);
+        }
+        if (!this.isSupported()) {
+            return forged('WebCrypto unavailable');
+        }
+
+        const data = new TextEncoder().encode(this.canonical(event));
+        for (const publicKey of keys) {
+            try {
+                const key = await this._verifyKey(publicKey);
+                if (await crypto.subtle.verify(this.signAlgorithm, key, this._fromBase64(event.signature), data)) {
+                    return { status: 'valid', error: null };
+                }
+            } catch (e) {
+                // Malformed key or signature: try the next key
+            }
+        }
+        return forged(`bad signature of ${event.actor}`);
+    },
+
+    /**
+     * Result of verifyEvents for an event, null if it was not verified
+     */
+    verification(event) {
+        return this._verified.get(event) || null;
+    },
+
+    async _verifyKey(publicKey) {
+        if (!this._verifyKeys.has(publicKey)) {
+            const key = await crypto.subtle.importKey('raw', this._fromBase64(publicKey), this.keyAlgorithm, false, ['verify']);
+            this._verifyKeys.set(publicKey, key);
+        }
+        return this._verifyKeys.get(publicKey);
+    },
+
+    _toBase64(buffer) {
+        return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    },
+
+    _fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+};
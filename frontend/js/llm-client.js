@@ -134,11 +134,12 @@ const LLMClient = {
      * Enhanced with full RAG pipeline: canonicalize → extract → classify → categorize → query → rank
      */
     buildMemoryContext(userQuery = '') {
-        const events = Memory.getAllEvents();
+        // Only what the current actor may read (RBAC)
+        const events = Memory.getReadableEvents();
         const lines = [];
 
         // Get existing models and concepts
-        const models = Memory.getExistingModels();
+        const models = Memory.getExistingModels().filter(m => Memory.can(Memory.getCurrentActor(), 'read', m));
         const concepts = Memory.getExistingConcepts();
 
         // Execute full RAG pipeline if query provided
@@ -492,7 +493,7 @@ const LLMClient = {
     getSchemaInstruction(schemaName) {
         if (!schemaName) return null;
 
-        const events = Memory.getAllEvents();
+        const events = Memory.getReadableEvents();
 
         // Find SchemaInstruction with target_schema matching
         const instructions = events.filter(e =>
@@ -518,7 +519,7 @@ const LLMClient = {
      * Get relevant Fragments and Terms for context enrichment
      */
     getRelevantFragments(query, limit = 10) {
-        const events = Memory.getAllEvents();
+        const events = Memory.getReadableEvents();
         const queryLower = query.toLowerCase();
         const queryWords = queryLower.split(/\s+/).filter(w => w.length > 2);
 
@@ -552,7 +553,7 @@ const LLMClient = {
      * Get Terms relevant to query (for semantic enrichment)
      */
     getRelevantTerms(query, limit = 15) {
-        const events = Memory.getAllEvents();
+        const events = Memory.getReadableEvents();
         const queryLower = query.toLowerCase();
 
         const terms = [];
@@ -590,7 +591,7 @@ const LLMClient = {
      * Find CausalRelation chains for multi-hop reasoning
      */
     findCausalChains(query, maxDepth = 3) {
-        const events = Memory.getAllEvents();
+        const events = Memory.getReadableEvents();
         const queryLower = query.toLowerCase();
 
         // Find CausalRelation fragments
@@ -800,7 +801,7 @@ const LLMClient = {
      * Full RAG Pipeline execution
      */
     executeRAGPipeline(userQuery) {
-        const events = Memory.getAllEvents();
+        const events = Memory.getReadableEvents();
 
         // Step 1: Get all terms
         const allTerms = this.getRelevantTerms(userQuery, 100);
@@ -1249,8 +1250,10 @@ Respond naturally. Include <events> for LLM-created data, <view> for UI elements
             }
 
             // Generate ID if not provided (for $prev resolution in next iteration)
+            // A content id is final only if addEvent stores the same content, else it is renamed
             if (!processed.id) {
-                processed.id = 'evt_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
+                processed.date = processed.date || new Date().toISOString();
+                processed.id = Memory.generateId(processed);
             }
 
             prevEventId = processed.id;
@@ -1274,24 +1277,18 @@ Respond naturally. Include <events> for LLM-created data, <view> for UI elements
         // SetModel events link to the individual
         if (type === 'SetModel') {
             // base is the individual name, try to find Individual event
-            const individualEvent = Memory.events.find(e =>
-                e.type === 'Individual' && e.value === base
-            );
+            const individualEvent = Memory.getIndividualEvent(base);
             return individualEvent ? individualEvent.id : 'Individual';
         }
 
         // Property events link to SetModel of the individual
-        const setModelEvent = Memory.events.find(e =>
-            e.base === base && e.type === 'SetModel'
-        );
+        const setModelEvent = Memory.getSetModelEvent(base);
         if (setModelEvent) {
             return setModelEvent.id;
         }
 
         // Fallback to finding Individual event
-        const individualEvent = Memory.events.find(e =>
-            e.type === 'Individual' && e.value === base
-        );
+        const individualEvent = Memory.getIndividualEvent(base);
         if (individualEvent) {
             return individualEvent.id;
         }
@@ -1323,35 +1320,21 @@ Respond naturally. Include <events> for LLM-created data, <view> for UI elements
         // Add events to memory with proper LLM actor
         if (response.events && response.events.length > 0) {
             const llmActor = this.getActorName();
-            const validationErrors = [];
-            const addedEvents = [];
 
             // Process events with $prev resolution and validation
             const processedEvents = this.preprocessLLMEvents(response.events, llmActor);
 
-            processedEvents.forEach((eventData, index) => {
-                // Validate event before adding
-                const validation = Memory.validateEvent(eventData);
+            // One batch per message: model invariants see the individuals with all
+            // of its events, a broken one adds none of them; events breaking a field
+            // restriction are kept with a warning
+            const batch = Memory.addEventBatch(processedEvents, { keepInvalid: true });
 
-                if (!validation.valid) {
-                    validationErrors.push({
-                        event: eventData,
-                        errors: validation.errors
-                    });
-                    console.warn(`LLM event validation failed:`, eventData, validation.errors);
-                }
-
-                // Add event (Memory.addEvent handles cause normalization)
-                const added = Memory.addEvent(eventData);
-                if (added) {
-                    addedEvents.push(added);
-                }
-            });
-
-            console.log(`Added ${addedEvents.length}/${response.events.length} events from ${llmActor}`);
-
-            if (validationErrors.length > 0) {
-                console.warn(`${validationErrors.length} events had validation errors (added anyway)`);
+            if (batch.committed) {
+                console.log(`Added ${batch.events.length}/${response.events.length} events from ${llmActor}`);
+            } else {
+                const errorMsg = batch.errors.map(err => err.message).join('; ');
+                console.warn(`Events from ${llmActor} rejected:`, batch.errors);
+                if (typeof showToast === 'function') showToast(`События LLM отклонены: ${errorMsg}`, 'warning');
             }
 
             // Update events UI
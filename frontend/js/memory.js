@@ -1,10 +1,10 @@
 /**
  * Prostochat Memory Module
- * Event storage with localStorage persistence
+ * Event storage with pluggable persistence (IndexedDB or localStorage, see storage.js)
  *
  * Memory Tiers (based on cognitive science [1,2,4]):
  * - Working Memory: Current session, limited capacity (7±2 items)
- * - Episodic Memory: Recent events with temporal decay
+ * - Episodic Memory: Recent events with temporal decay, scored by importance rules
  * - Semantic Memory: Long-term consolidated facts
  */
 
@@ -15,6 +15,7 @@ const Memory = {
     currentActor: 'user',  // Current actor/role for creating events
     initialized: false,
     subscriptions: [], // Pending subscriptions waiting for conditions
+    storageAdapter: null, // Set by initStorage(), localStorage until then
 
     // ========================================
     // MEMORY TIERS [1,2,4]
@@ -204,14 +205,14 @@ const Memory = {
                 if (!existingIds.has(evt.id) && isSystemId(evt.id)) {
                     evt.synced = true;
                     this.events.push(evt);
+                    this.indexEvents();
                     existingIds.add(evt.id);
                     addedCount++;
                 }
             });
 
             if (addedCount > 0) {
-                // Save to localStorage
-                this.saveToStorage(CONFIG.storage.events, this.getLocalEvents());
+                this.persistEvents(this.events.slice(-addedCount));
                 console.log(`Loaded ${addedCount} system events from backend`);
 
                 // Update UI
@@ -265,6 +266,7 @@ const Memory = {
      * Rebuild world - recalculate Model and Cause for all events
      * This is a repair/migration function
      * cause is an ARRAY of event IDs per BSL spec (A2, A3)
+     * Content-addressed events are verified first and their causes are never rewritten
      */
     rebuildWorld() {
         console.log('=== REBUILDING WORLD ===');
@@ -273,6 +275,15 @@ const Memory = {
         let causesFixed = 0;
         let chainsValidated = 0;
 
+        // Pass 0: content ids and hash chains, before anything is rewritten
+        console.log('Pass 0: Verifying content ids and hash chains...');
+        const integrity = this.verifyIntegrity();
+        integrity.issues.slice(0, 10).forEach(issue => {
+            console.warn(`  ${issue.id} (${issue.actor}): ${issue.message}`);
+        });
+        // The cause is part of a content id: rewriting it would break the id
+        const sealed = event => this.isContentAddressed(event);
+
         // Sort events by date to process in order
         const sortedEvents = [...this.events].sort((a, b) =>
             new Date(a.date) - new Date(b.date)
@@ -296,6 +307,10 @@ const Memory = {
         // Process events in chronological order
         const processedEvents = [];
         sortedEvents.forEach(event => {
+            if (sealed(event)) {
+                processedEvents.push(event);
+                return;
+            }
             const oldCause = event.cause;
             const newCause = this.rebuildCauseForEvent(event, processedEvents);
 
@@ -328,8 +343,8 @@ const Memory = {
         if (brokenChains.length > 0) {
             console.warn(`Found ${brokenChains.length} broken chains, fixing...`);
             brokenChains.forEach(({ id, error }) => {
-                const event = this.events.find(e => e.id === id);
-                if (event) {
+                const event = this.getEventById(id);
+                if (event && !sealed(event)) {
                     // Try to find proper semantic cause based on event type
                     const { base, type } = event;
                     let fixedCause = null;
@@ -337,33 +352,23 @@ const Memory = {
                     // Find appropriate genesis/root event for this type
                     if (type === 'Individual') {
                         // Link to Concept
-                        const conceptEvent = this.events.find(e =>
-                            e.base === 'Concept' && e.type === 'Instance' && e.value === base
-                        );
+                        const conceptEvent = this.getEventsByBaseType('Concept', 'Instance').find(e => e.value === base);
                         fixedCause = conceptEvent ? [conceptEvent.id] : ['Concept'];
                     } else if (type === 'Model') {
-                        const conceptEvent = this.events.find(e =>
-                            e.base === 'Concept' && e.type === 'Instance' && e.value === base
-                        );
+                        const conceptEvent = this.getEventsByBaseType('Concept', 'Instance').find(e => e.value === base);
                         fixedCause = conceptEvent ? [conceptEvent.id] : ['Model'];
                     } else if (type === 'Instance') {
                         fixedCause = ['Instance'];
                     } else if (type === 'SetModel') {
-                        const individualEvent = this.events.find(e =>
-                            e.type === 'Individual' && e.value === base
-                        );
+                        const individualEvent = this.getIndividualEvent(base);
                         fixedCause = individualEvent ? [individualEvent.id] : ['Individual'];
                     } else {
                         // Property event - link to SetModel or Individual
-                        const setModelEvent = [...this.events].reverse().find(e =>
-                            e.base === base && e.type === 'SetModel'
-                        );
+                        const setModelEvent = this.getEventsByBaseType(base, 'SetModel').pop();
                         if (setModelEvent) {
                             fixedCause = [setModelEvent.id];
                         } else {
-                            const individualEvent = this.events.find(e =>
-                                e.type === 'Individual' && e.value === base
-                            );
+                            const individualEvent = this.getIndividualEvent(base);
                             fixedCause = individualEvent ? [individualEvent.id] : ['Event'];
                         }
                     }
@@ -403,7 +408,7 @@ const Memory = {
             }
 
             // A9-iv: Add Condition witnesses to cause
-            const witnesses = this._findConditionWitnesses(event);
+            const witnesses = sealed(event) ? [] : this._findConditionWitnesses(event);
             if (witnesses.length > 0) {
                 const currentCause = Array.isArray(event.cause) ? event.cause : (event.cause ? [event.cause] : []);
                 const newCause = [...new Set([...currentCause, ...witnesses])];
@@ -425,6 +430,23 @@ const Memory = {
             }
         }
 
+        // Causes were rewritten in place
+        this.reindexEvents();
+
+        // Fifth pass: type-check model expressions (Condition, SetValue, ValueCondition)
+        console.log('Pass 5: Type-checking model expressions...');
+        const modelNames = [...new Set(this.getEventsByType('Model').map(e => e.value))];
+        const expressionErrors = modelNames.flatMap(name => this.checkModelExpressions(name));
+        if (expressionErrors.length > 0) {
+            console.warn(`Type check found ${expressionErrors.length} expression errors:`);
+            expressionErrors.slice(0, 10).forEach(issue => {
+                console.warn(`  ${issue.model}: ${issue.message}`);
+            });
+            if (expressionErrors.length > 10) {
+                console.warn(`  ... and ${expressionErrors.length - 10} more`);
+            }
+        }
+
         // Save to storage
         this.saveToStorage(CONFIG.storage.events, this.getLocalEvents());
 
@@ -436,7 +458,10 @@ const Memory = {
             chainsValidated,
             brokenChains: brokenChains.length,
             validationErrors: validationErrors.length,
+            expressionErrors: expressionErrors.length,
             conditionWitnessesAdded,
+            contentIdsChecked: integrity.checked,
+            integrityIssues: integrity.issues,
             duration: `${duration}ms`
         };
 
@@ -446,7 +471,9 @@ const Memory = {
         console.log(`Causes fixed: ${causesFixed}`);
         console.log(`Chains validated: ${chainsValidated}`);
         console.log(`Validation errors: ${validationErrors.length}`);
+        console.log(`Expression errors: ${expressionErrors.length}`);
         console.log(`Condition witnesses added: ${conditionWitnessesAdded}`);
+        console.log(`Content ids checked: ${integrity.checked}, integrity issues: ${integrity.issues.length}`);
         console.log(`Duration: ${duration}ms`);
 
         return report;
@@ -480,9 +507,7 @@ const Memory = {
 
         // Find events that set these properties on the individual
         referencedProps.forEach(prop => {
-            const propEvent = [...this.events].reverse().find(e =>
-                e.base === base && e.type === prop
-            );
+            const propEvent = this.getEventsByBaseType(base, prop).pop();
             if (propEvent && propEvent.id !== event.id) {
                 witnesses.push(propEvent.id);
             }
@@ -491,9 +516,7 @@ const Memory = {
         // Also check for $CurrentActor references
         if (conditionStr.includes('$CurrentActor')) {
             // The actor event itself is a witness
-            const actorEvent = this.events.find(e =>
-                e.type === 'Individual' && e.value === event.actor
-            );
+            const actorEvent = this.getIndividualEvent(event.actor);
             if (actorEvent) {
                 witnesses.push(actorEvent.id);
             }
@@ -507,9 +530,7 @@ const Memory = {
             if (fieldMatch) {
                 const [, field, queryValue] = fieldMatch;
                 // Find event matching this query
-                const matchingEvent = this.events.find(e =>
-                    e.type === field && e.value === queryValue
-                );
+                const matchingEvent = this.getEventsByTypeValue(field, queryValue)[0];
                 if (matchingEvent) {
                     witnesses.push(matchingEvent.id);
                 }
@@ -700,9 +721,7 @@ const Memory = {
         // Attribute/Relation definitions in models
         if (type === 'Attribute' || type === 'Relation') {
             // Check if base is a model name
-            const parentModel = this.events.find(e =>
-                e.type === 'Model' && e.value === base
-            );
+            const parentModel = this.getModelEvent(base);
             if (parentModel) {
                 return parentModel.value;
             }
@@ -721,11 +740,90 @@ const Memory = {
 
     /**
      * Generate unique event ID
+     * With content ids on (CONFIG.events.contentIds) the id of given content is its hash
+     * @param {Object} [content] - { base, type, value, actor, cause, date }
      */
-    generateId() {
+    generateId(content = null) {
+        if (content && this.usesContentIds()) {
+            return EventHash.contentId(content);
+        }
         return 'evt_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
     },
 
+    // ========================================
+    // CONTENT-ADDRESSED IDS AND HASH CHAINS
+    // ========================================
+    //
+    // With CONFIG.events.contentIds new events get id = h_<sha256 of content>
+    // (see event-hash.js) and a chain link: the hash of the previous link of
+    // the same actor and the id. Content ids are final: addEvent hashes the
+    // content it stores, a provisional content id given by the caller (parsed
+    // BSL, LLM events) is renamed and later references to it follow.
+
+    // Provisional id → stored content id (this session)
+    _idAliases: new Map(),
+
+    usesContentIds() {
+        return !!(typeof CONFIG !== 'undefined' && CONFIG.events && CONFIG.events.contentIds);
+    },
+
+    isContentAddressed(event) {
+        return !!event && EventHash.isContentId(event.id);
+    },
+
+    /**
+     * Base and cause of new event data with renamed ids replaced
+     */
+    _resolveAliases(eventData) {
+        if (this._idAliases.size === 0) return eventData;
+        const resolve = id => this._idAliases.get(id) || id;
+        const cause = Array.isArray(eventData.cause) ? eventData.cause.map(resolve)
+            : (typeof eventData.cause === 'string' ? resolve(eventData.cause) : eventData.cause);
+        return { ...eventData, id: eventData.id && resolve(eventData.id), base: resolve(eventData.base), cause };
+    },
+
+    /**
+     * Link a committed content-addressed event to its actor's chain
+     * The link stays local: the server and sync do not carry it
+     */
+    _chainEvent(event) {
+        if (!this.isContentAddressed(event)) return;
+        const previous = this.getEventsByActor(event.actor).reverse()
+            .find(e => e.chain && e.id !== event.id);
+        event.chain = EventHash.chainLink(previous ? previous.chain : null, event.id);
+    },
+
+    /**
+     * Find events whose content no longer matches their id and broken chains
+     * Chains are followed per actor in log order; only events added on this
+     * device have links. Detects accidental local corruption, not deliberate
+     * edits: links are unkeyed hashes anyone can recompute
+     * @returns {Object} { checked, chained, issues: [{ id, actor, kind: content|chain, message }] }
+     */
+    verifyIntegrity() {
+        const issues = [];
+        const links = {}; // actor → last link
+        let checked = 0;
+        let chained = 0;
+
+        this.events.forEach(event => {
+            if (!this.isContentAddressed(event)) return;
+            checked++;
+            if (!EventHash.matchesContent(event)) {
+                issues.push({ id: event.id, actor: event.actor, kind: 'content', message: 'content does not match id' });
+            }
+            if (!event.chain) return;
+            chained++;
+            const expected = EventHash.chainLink(links[event.actor] || null, event.id);
+            if (event.chain !== expected) {
+                issues.push({ id: event.id, actor: event.actor, kind: 'chain', message: `chain of ${event.actor} broken before this event` });
+            }
+            links[event.actor] = event.chain;
+        });
+
+        return { checked, chained, issues };
+    },
+
     /**
      * Add event to memory
      * Automatically fills cause and model based on BSL semantics
@@ -735,10 +833,13 @@ const Memory = {
      * Chain through causes must lead to genesis
      */
     addEvent(eventData) {
+        // Ids renamed to their content id earlier refer to the stored event
+        eventData = this._resolveAliases(eventData);
+
         // Check for duplicate by ID
-        if (eventData.id && this.events.some(e => e.id === eventData.id)) {
+        if (eventData.id && this.getEventById(eventData.id)) {
             console.debug(`Skipping duplicate event: ${eventData.id}`);
-            return this.events.find(e => e.id === eventData.id);
+            return this.getEventById(eventData.id);
         }
 
         // Auto-determine model if not provided
@@ -761,7 +862,8 @@ const Memory = {
         const actor = eventData.actor || this.currentActor || 'user';
         const base = eventData.base;
         const type = eventData.type;
-        const value = eventData.value;
+        // Canonical value of a typed field ("42" → 42, "01.05.2024" → "2024-05-01")
+        const value = this.normalizeValue(base, type, eventData.value);
 
         // Validate required fields
         if (!base || !type) {
@@ -769,6 +871,21 @@ const Memory = {
             return null;
         }
 
+        // Access control (RBAC): rejected, in or outside a batch,
+        // before anything is changed for the event (missing individuals)
+        const accessError = this._accessError({ base, type, value, actor, model });
+        if (accessError) {
+            if (this._batch) {
+                this._batch.errors.push({ ...accessError, event: { base, type, value } });
+            } else {
+                console.warn('Access denied:', accessError.message);
+                window.dispatchEvent(new CustomEvent('validationError', {
+                    detail: { eventData: { base, type, value, actor }, errors: [accessError] }
+                }));
+            }
+            return null;
+        }
+
         // Determine cause array using priority:
         // 1. Explicit cause (from eventData)
         // 2. Base reference (link to individual/concept - semantic cause)
@@ -841,13 +958,20 @@ const Memory = {
         }
 
         // Validate against model restrictions (BSL spec)
+        // Inside addEventBatch generated (system) events are checked too
         const validation = this.validateEvent({
             base: base,
             type: type,
             value: value,
             actor: actor,
             model: model
-        });
+        }, { includeSystem: !!this._batch });
+
+        if (!validation.valid && this._batch && !this._batch.keepInvalid) {
+            // Rejected: addEventBatch rolls back the whole batch
+            this._batch.errors.push(...validation.errors.map(error => ({ ...error, event: { base, type, value } })));
+            return null;
+        }
 
         if (!validation.valid) {
             console.warn('Validation errors:', validation.errors);
@@ -859,38 +983,95 @@ const Memory = {
             // In strict mode, could return null here
         }
 
+        const date = eventData.date || new Date().toISOString();
+        let id = eventId;
+        if (this.usesContentIds() && (!eventData.id || EventHash.isContentId(eventData.id))) {
+            // Content id of what is stored (value and cause may have changed above)
+            id = EventHash.contentId({ base, type, value, actor, cause, date });
+            if (eventData.id && eventData.id !== id) {
+                this._idAliases.set(eventData.id, id);
+            }
+            if (this.getEventById(id)) {
+                return this.getEventById(id);  // The same event is already stored
+            }
+        }
+
         const event = {
-            id: eventId,
+            id: id,
             base: base,
             type: type,
             value: value,
             actor: actor,
             model: model,
-            date: eventData.date || new Date().toISOString(),
+            date: date,
             cause: cause,  // Array of cause IDs per BSL spec
             synced: false
         };
+        if (eventData.derived) {
+            event.derived = true;  // Computed by a SetValue guard
+        }
+
+        if (this._batch) {
+            // Staged: visible to the rest of the batch, committed by addEventBatch
+            this.events.push(event);
+            this.indexEvents();
+            this._batch.events.push(event);
+            return event;
+        }
+
+        this._tickVector(event);
+        this._chainEvent(event);
+        this.events.push(event);
+        this.indexEvents();
+        this.persistEvents([event]);
+        this._signEvent(event);
+        this._afterEventAdded(event);
+
+        return event;
+    },
 
-        // Increment vector clock for this actor (sync causality tracking)
+    /**
+     * Increment vector clock for the event's actor (sync causality tracking)
+     */
+    _tickVector(event) {
         if (typeof Sync !== 'undefined' && Sync.tickClock) {
-            const vectorSnapshot = Sync.tickClock(actor);
+            const vectorSnapshot = Sync.tickClock(event.actor);
             if (vectorSnapshot) {
                 event.vector = vectorSnapshot.toJSON();
             }
         }
+    },
 
-        this.events.push(event);
-        this.saveToStorage(CONFIG.storage.events, this.getLocalEvents());
+    /**
+     * Sign the event with its actor's identity (identity.js), saved again once signed
+     */
+    _signEvent(event) {
+        if (typeof Identity !== 'undefined' && Identity.hasIdentity(event.actor)) {
+            Identity.signEvent(event).then(() => this.persistEvents([event]));
+        }
+    },
 
+    /**
+     * Memory tiers and subscriptions for a committed event
+     */
+    _afterEventAdded(event) {
         // Add to memory tiers (non-genesis events only)
         if (!this._isGenesisEvent(event) && event.actor !== 'system') {
             this.addToWorkingMemory(event.id);
         }
 
+        // Scores of the episodic tier follow the importance rules
+        if (event.type === 'ImportanceRule') {
+            this.rescoreEpisodicMemory();
+        }
+
         // Check if any pending subscriptions should be triggered
         this.checkPendingSubscriptions(event);
 
-        return event;
+        // Inputs of time-based guards changed: plan them again
+        if (this._schedulerStarted) {
+            this.rescheduleGuards(this._affectedGuards([event]));
+        }
     },
 
     // ========================================
@@ -926,12 +1107,11 @@ const Memory = {
         // Per BSL spec: key = (model, base) per actor
         // This ensures uniqueness of max in LWW (A7) and ExistsMax queries
         if (model && base && actor) {
-            const lastEventWithKey = [...this.events]
+            const lastEventWithKey = this.getEventsByBase(base)
                 .reverse()
                 .find(e =>
                     e.actor === actor &&
                     e.model === model &&
-                    e.base === base &&
                     e.id !== eventData.id
                 );
 
@@ -946,9 +1126,9 @@ const Memory = {
         }
 
         // 3. Base History - last event with same base (most common)
-        const lastEventWithBase = [...this.events]
+        const lastEventWithBase = this.getEventsByBase(base)
             .reverse()
-            .find(e => e.base === base && e.id !== eventData.id);
+            .find(e => e.id !== eventData.id);
 
         if (lastEventWithBase) {
             return [lastEventWithBase.id];
@@ -956,9 +1136,9 @@ const Memory = {
 
         // 4. Actor Chain - last event by same actor (for ordering)
         if (actor && actor !== 'System' && actor !== 'system' && actor !== 'genesis') {
-            const lastActorEvent = [...this.events]
+            const lastActorEvent = this.getEventsByActor(actor)
                 .reverse()
-                .find(e => e.actor === actor && e.id !== eventData.id);
+                .find(e => e.id !== eventData.id);
 
             if (lastActorEvent) {
                 return [lastActorEvent.id];
@@ -989,41 +1169,32 @@ const Memory = {
 
         // Individual events (Concept: Individual: Name) → Concept Instance
         if (type === 'Individual') {
-            const conceptEvent = this.events.find(e =>
-                e.base === 'Concept' && e.type === 'Instance' && e.value === base
-            );
+            const conceptEvent = this.getEventsByBaseType('Concept', 'Instance').find(e => e.value === base);
             return conceptEvent ? [conceptEvent.id] : ['Concept'];
         }
 
         // Model events (Concept: Model: Model Concept) → Concept Instance
         if (type === 'Model') {
-            const conceptEvent = this.events.find(e =>
-                e.base === 'Concept' && e.type === 'Instance' && e.value === base
-            );
+            const conceptEvent = this.getEventsByBaseType('Concept', 'Instance').find(e => e.value === base);
             return conceptEvent ? [conceptEvent.id] : ['Model'];
         }
 
         // SetModel events (IndividualName: SetModel: Model X) → Individual
         if (type === 'SetModel') {
-            const individualEvent = this.events.find(e =>
-                e.type === 'Individual' && e.value === base
-            );
+            const individualEvent = this.getIndividualEvent(base);
             return individualEvent ? [individualEvent.id] : ['Individual'];
         }
 
         // Attribute/Relation definitions in model context
         if (type === 'Attribute' || type === 'Relation') {
             // Check if base is a model event ID
-            const modelEvent = this.events.find(e =>
-                e.type === 'Model' && e.id === base
-            );
+            const baseEvent = this.getEventById(base);
+            const modelEvent = baseEvent && baseEvent.type === 'Model' ? baseEvent : null;
             if (modelEvent) {
                 return [modelEvent.id];
             }
             // Or base is model name
-            const modelByName = this.events.find(e =>
-                e.type === 'Model' && e.value === base
-            );
+            const modelByName = this.getModelEvent(base);
             if (modelByName) {
                 return [modelByName.id];
             }
@@ -1031,18 +1202,14 @@ const Memory = {
 
         // Property events on individuals → SetModel (or Individual)
         // This is the most common case for runtime events
-        const setModelEvent = [...this.events]
-            .reverse()
-            .find(e => e.base === base && e.type === 'SetModel');
+        const setModelEvent = this.getEventsByBaseType(base, 'SetModel').pop();
 
         if (setModelEvent) {
             return [setModelEvent.id];
         }
 
         // Fallback: link to Individual
-        const individualEvent = this.events.find(e =>
-            e.type === 'Individual' && e.value === base
-        );
+        const individualEvent = this.getIndividualEvent(base);
         if (individualEvent) {
             return [individualEvent.id];
         }
@@ -1083,7 +1250,7 @@ const Memory = {
      */
     computeHb(eventId) {
         const chain = [];
-        const event = this.events.find(e => e.id === eventId);
+        const event = this.getEventById(eventId);
         if (!event || !event.cause) return [];
 
         const visited = new Set();
@@ -1097,7 +1264,7 @@ const Memory = {
             visited.add(currentId);
             chain.push(currentId);
 
-            const causeEvent = this.events.find(e => e.id === currentId);
+            const causeEvent = this.getEventById(currentId);
             if (causeEvent && causeEvent.cause) {
                 const causes = Array.isArray(causeEvent.cause) ? causeEvent.cause : [causeEvent.cause];
                 causes.forEach(c => {
@@ -1150,7 +1317,7 @@ const Memory = {
             visited.add(currentId);
 
             // Get causes of current event
-            const event = this.events.find(e => e.id === currentId);
+            const event = this.getEventById(currentId);
             if (event && event.cause) {
                 const causes = Array.isArray(event.cause) ? event.cause : [event.cause];
                 causes.forEach(causeId => {
@@ -1186,7 +1353,7 @@ const Memory = {
                 return { valid: true, path: [...visited], genesisReached: currentId };
             }
 
-            const event = this.events.find(e => e.id === currentId);
+            const event = this.getEventById(currentId);
             if (!event) {
                 // If event not found but we're at genesis ID, that's valid
                 if (depth === 0) {
@@ -1222,13 +1389,13 @@ const Memory = {
      */
     inferModelForBase(base) {
         // Look for SetModel event for this base
-        const setModelEvent = this.events.find(e => e.base === base && e.type === 'SetModel');
+        const setModelEvent = this.getSetModelEvent(base);
         if (setModelEvent) {
             return setModelEvent.value;
         }
 
         // Look for Individual event to get concept
-        const individualEvent = this.events.find(e => e.type === 'Individual' && e.value === base);
+        const individualEvent = this.getIndividualEvent(base);
         if (individualEvent) {
             return `Model ${individualEvent.base}`;
         }
@@ -1257,7 +1424,7 @@ const Memory = {
      * @returns Array of events with type === typeName
      */
     getInstancesOfType(typeName) {
-        return this.events.filter(e => e.type === typeName);
+        return this.getEventsByType(typeName);
     },
 
     /**
@@ -1267,11 +1434,7 @@ const Memory = {
      * @returns Array of child events
      */
     getEventChildren(eventId) {
-        return this.events.filter(e => {
-            if (!e.cause) return false;
-            const causes = Array.isArray(e.cause) ? e.cause : [e.cause];
-            return causes.includes(eventId);
-        });
+        return [...(this._getIndex().byCause.get(eventId) || [])];
     },
 
     /**
@@ -1284,7 +1447,7 @@ const Memory = {
     getEventAncestors(eventId) {
         const chain = [];
         const visited = new Set([eventId]);
-        const event = this.events.find(e => e.id === eventId);
+        const event = this.getEventById(eventId);
 
         if (!event || !event.cause) return chain;
 
@@ -1297,7 +1460,7 @@ const Memory = {
             visited.add(currentId);
             chain.push(currentId);
 
-            const causeEvent = this.events.find(e => e.id === currentId);
+            const causeEvent = this.getEventById(currentId);
             if (causeEvent && causeEvent.cause) {
                 const causes = Array.isArray(causeEvent.cause) ? causeEvent.cause : [causeEvent.cause];
                 causes.forEach(c => {
@@ -1315,7 +1478,7 @@ const Memory = {
      * @returns boolean
      */
     isEventOfType(eventId, typeName) {
-        const event = this.events.find(e => e.id === eventId);
+        const event = this.getEventById(eventId);
         if (!event) return false;
         if (event.type === typeName) return true;
         if (event.value === typeName) return true;
@@ -1334,7 +1497,21 @@ const Memory = {
      * @returns Array of matching events
      */
     queryGraph(query) {
-        return this.events.filter(e => {
+        // Narrow candidates via indexes before applying the full filter
+        let candidates = this.events;
+        if (query.base && query.type) {
+            candidates = this.getEventsByBaseType(query.base, query.type);
+        } else if (query.base) {
+            candidates = this.getEventsByBase(query.base);
+        } else if (query.cause) {
+            candidates = this.getEventChildren(query.cause);
+        } else if (query.type) {
+            candidates = this.getEventsByType(query.type);
+        } else if (query.actor) {
+            candidates = this.getEventsByActor(query.actor);
+        }
+
+        return candidates.filter(e => {
             if (query.type && e.type !== query.type) return false;
             if (query.base && e.base !== query.base) return false;
             if (query.value && e.value !== query.value) return false;
@@ -1450,23 +1627,80 @@ const Memory = {
      * Returns all results (including existing events if duplicate)
      */
     addEvents(eventsData) {
-        const existingIds = new Set(this.events.map(e => e.id));
         const results = [];
 
+        // addEvent indexes each event, so duplicates within the batch are caught too
         eventsData.forEach(e => {
-            const isNew = !e.id || !existingIds.has(e.id);
             const result = this.addEvent(e);
             if (result) {
                 results.push(result);
-                if (isNew && result.id) {
-                    existingIds.add(result.id);
-                }
             }
         });
 
         return results;
     },
 
+    // Batch being staged by addEventBatch: { events, errors }
+    _batch: null,
+
+    /**
+     * Add events atomically: all of them or none
+     * Each event is validated (system events included) against the store plus
+     * the events staged before it; on the first failure the staged events are
+     * removed from this.events and nothing is persisted.
+     * @param {Array} eventsData - addEvent arguments, in order
+     * @param {Object} [options] - { keepInvalid }: events breaking field restrictions
+     *   are added with a warning, as outside a batch; only model invariants roll back
+     * @returns {Object} { committed, events, errors }
+     */
+    addEventBatch(eventsData, options = {}) {
+        const outer = this._batch;
+        const start = this.events.length;
+        const batch = outer || { events: [], errors: [], keepInvalid: !!options.keepInvalid };
+        const staged = batch.events.length;
+        const reported = batch.errors.length;
+
+        // Nested inside another batch or dryRun: staged there, rolled back alone on failure
+        this._batch = batch;
+        try {
+            for (const eventData of eventsData) {
+                const event = this.addEvent(eventData);
+                if (!event && batch.errors.length === reported) {
+                    batch.errors.push({ type: 'Semantic Error', message: 'Invalid event', event: eventData });
+                }
+                if (batch.errors.length > reported) break;
+            }
+            if (batch.errors.length === reported) {
+                // Model invariants see the individuals with every event of the batch
+                batch.errors.push(...this._invariantErrors(batch.events.slice(staged)));
+            }
+        } finally {
+            this._batch = outer;
+        }
+
+        if (batch.errors.length > reported) {
+            const errors = batch.errors.splice(reported);
+            batch.events.splice(staged);
+            this.events.splice(start);
+            this.reindexEvents();
+            console.warn('Batch rolled back:', errors);
+            return { committed: false, events: [], errors };
+        }
+
+        if (outer) {
+            return { committed: true, events: batch.events.slice(staged), errors: [] };
+        }
+
+        batch.events.forEach(event => {
+            this._tickVector(event);
+            this._chainEvent(event);
+        });
+        this.persistEvents(batch.events);
+        batch.events.forEach(event => this._signEvent(event));
+        batch.events.forEach(event => this._afterEventAdded(event));
+        return { committed: true, events: batch.events, errors: [] };
+    },
+
     /**
      * Get all events (including genesis)
      */
@@ -1492,32 +1726,185 @@ const Memory = {
      * Mark events as synced
      */
     markSynced(eventIds) {
+        const changed = [];
         eventIds.forEach(id => {
-            const event = this.events.find(e => e.id === id);
-            if (event) event.synced = true;
+            const event = this.getEventById(id);
+            if (event) {
+                event.synced = true;
+                changed.push(event);
+            }
         });
-        this.saveToStorage(CONFIG.storage.events, this.getLocalEvents());
+        this.persistEvents(changed);
+    },
+
+    // ========================================
+    // EVENT INDEX
+    // ========================================
+
+    /**
+     * Incremental indexes over this.events
+     * Buckets keep events in array order, so an index lookup returns the
+     * same event(s) a linear find/filter over this.events would.
+     *
+     * - byId:        id → first event with that id
+     * - byBase:      base → [events]
+     * - byBaseType:  base + type → [events]
+     * - byType:      type → [events]
+     * - byTypeValue: type + value → [events] (Individual/Model lookups by name)
+     * - byActor:     actor → [events]
+     * - byCause:     cause id → [child events]
+     */
+    _index: null,
+
+    /**
+     * Get indexes, catching up with events appended since the last call
+     * Rebuilds from scratch if this.events was replaced or shrunk
+     */
+    _getIndex() {
+        const index = this._index;
+        if (!index || index.source !== this.events || index.size > this.events.length) {
+            return this.reindexEvents();
+        }
+        while (index.size < this.events.length) {
+            this._indexInsert(index, this.events[index.size]);
+        }
+        return index;
+    },
+
+    /**
+     * Index events appended to this.events (addEvent, Sync.mergeEvents, ...)
+     */
+    indexEvents() {
+        this._getIndex();
+    },
+
+    /**
+     * Rebuild all indexes from scratch
+     * Must be called after events are edited in place (rebuildWorld, auto-fix)
+     */
+    reindexEvents() {
+        this._index = {
+            source: this.events,
+            size: 0,
+            byId: new Map(),
+            byBase: new Map(),
+            byBaseType: new Map(),
+            byType: new Map(),
+            byTypeValue: new Map(),
+            byActor: new Map(),
+            byCause: new Map(),
+            guardRevision: 0, // Bumped by events that change guards (see getGuards)
+            accessRevision: 0 // Bumped by events that change roles, grants or policies
+        };
+        while (this._index.size < this.events.length) {
+            this._indexInsert(this._index, this.events[this._index.size]);
+        }
+        return this._index;
+    },
+
+    /**
+     * Add a single event to all index buckets
+     */
+    _indexInsert(index, event) {
+        index.size++;
+        if (!event) return;
+
+        if (!index.byId.has(event.id)) {
+            index.byId.set(event.id, event);
+        }
+        this._indexPush(index.byBase, event.base, event);
+        this._indexPush(index.byBaseType, this._indexKey(event.base, event.type), event);
+        this._indexPush(index.byType, event.type, event);
+        this._indexPush(index.byTypeValue, this._indexKey(event.type, event.value), event);
+        this._indexPush(index.byActor, event.actor, event);
+        if (this.guardSourceTypes.includes(event.type)) {
+            index.guardRevision++;
+        }
+        if (this.accessSourceTypes.includes(event.type) || (event.type === 'Individual' && event.base === 'Role')) {
+            index.accessRevision++;
+        }
+
+        if (event.cause) {
+            const causes = Array.isArray(event.cause) ? event.cause : [event.cause];
+            new Set(causes).forEach(causeId => this._indexPush(index.byCause, causeId, event));
+        }
+    },
+
+    _indexPush(map, key, event) {
+        const bucket = map.get(key);
+        if (bucket) {
+            bucket.push(event);
+        } else {
+            map.set(key, [event]);
+        }
+    },
+
+    _indexKey(a, b) {
+        return `${a}\u0000${b}`;
+    },
+
+    /**
+     * Get event by id
+     */
+    getEventById(id) {
+        return this._getIndex().byId.get(id);
     },
 
     /**
      * Get events by base
      */
     getEventsByBase(base) {
-        return this.events.filter(e => e.base === base);
+        return [...(this._getIndex().byBase.get(base) || [])];
+    },
+
+    /**
+     * Get events by base and type
+     */
+    getEventsByBaseType(base, type) {
+        return [...(this._getIndex().byBaseType.get(this._indexKey(base, type)) || [])];
     },
 
     /**
      * Get events by type
      */
     getEventsByType(type) {
-        return this.events.filter(e => e.type === type);
+        return [...(this._getIndex().byType.get(type) || [])];
+    },
+
+    /**
+     * Get events by type and value (value compared strictly)
+     */
+    getEventsByTypeValue(type, value) {
+        const bucket = this._getIndex().byTypeValue.get(this._indexKey(type, value)) || [];
+        return bucket.filter(e => e.value === value);
     },
 
     /**
      * Get events by actor
      */
     getEventsByActor(actor) {
-        return this.events.filter(e => e.actor === actor);
+        return [...(this._getIndex().byActor.get(actor) || [])];
+    },
+
+    /**
+     * Get the Individual event that created an individual
+     */
+    getIndividualEvent(individualName) {
+        return this.getEventsByTypeValue('Individual', individualName)[0];
+    },
+
+    /**
+     * Get the Model event by model name
+     */
+    getModelEvent(modelName) {
+        return this.getEventsByTypeValue('Model', modelName)[0];
+    },
+
+    /**
+     * Get first SetModel event of an individual
+     */
+    getSetModelEvent(individualName) {
+        return this.getEventsByBaseType(individualName, 'SetModel')[0];
     },
 
     // ========================================
@@ -1546,7 +1933,7 @@ const Memory = {
      * Add event to episodic memory with importance scoring
      */
     addToEpisodicMemory(eventId, explicitImportance = null) {
-        const event = this.events.find(e => e.id === eventId);
+        const event = this.getEventById(eventId);
         if (!event) return;
 
         // Check if already exists
@@ -1555,6 +1942,7 @@ const Memory = {
             existing.accessCount++;
             existing.lastAccess = Date.now();
             existing.importance = this.recalculateImportance(existing, event);
+            this.persistEpisodic([existing]);
             return;
         }
 
@@ -1573,66 +1961,201 @@ const Memory = {
         this.episodicMemory.items.unshift(episodicItem);
 
         // Enforce max items - consolidate oldest/least important
-        if (this.episodicMemory.items.length > this.episodicMemory.maxItems) {
-            this.consolidateOverflow();
-        }
+        const removed = this.episodicMemory.items.length > this.episodicMemory.maxItems
+            ? this.consolidateOverflow()
+            : [];
 
-        // Save to storage
-        this.saveToStorage('prostochat_episodic', this.episodicMemory.items);
+        // Save only what changed
+        this.persistEpisodic(removed.includes(episodicItem) ? [] : [episodicItem], removed.map(item => item.eventId));
     },
 
     /**
      * Calculate importance score for event [3,4]
-     * Factors: type, causal depth, actor, recency, content richness
+     * Factors: importance rules (type, model, field, actor, chat), causal depth,
+     * content richness, recency; see explainImportance
      */
     calculateImportance(event) {
-        let score = 0.5;  // Base score
-
-        // Type importance
-        const typeWeights = {
-            'Individual': 0.8,
-            'Model': 0.9,
-            'SetModel': 0.7,
-            'Concept': 0.95,
-            'Instance': 0.6
+        return this.explainImportance(event).score;
+    },
+
+    /**
+     * Recalculate importance based on access patterns
+     */
+    recalculateImportance(episodicItem, event) {
+        return this.explainImportance(event, episodicItem).score;
+    },
+
+    // ----------------------------------------
+    // Importance rules
+    // ----------------------------------------
+    //
+    // Rules are events of the system actor, the latest one per target wins:
+    //   system: ImportanceRule: Type Individual = 0.16
+    //   system: ImportanceRule: Model Task = 0.2
+    //   system: ImportanceRule: Model Task.deadline = 0.3
+    //   system: ImportanceRule: Role manager = 0.15
+    //   system: ImportanceRule: Actor llm = 0.1
+    //   system: ImportanceRule: Chat = 0.2
+    // The weight of each matching rule is added to the score: a field rule
+    // replaces its model rule, an actor rule the role rules (the highest
+    // role counts), "Chat" applies to individuals named in the current chat.
+    // "none" removes a rule, defaults included.
+
+    importanceRulesBase: 'system',
+    importanceTargetKinds: ['Type', 'Model', 'Role', 'Actor', 'Chat'],
+
+    // Rules in effect when no event declares the target
+    defaultImportanceRules: {
+        'Type Individual': 0.16,
+        'Type Model': 0.18,
+        'Type SetModel': 0.14,
+        'Type Concept': 0.19,
+        'Type Instance': 0.12,
+        'Type *': 0.1,
+        'Actor user': 0.15,
+        'Actor manager': 0.15,
+        'Actor llm': 0.1
+    },
+
+    // Words of the current chat, rebuilt when its messages change
+    _chatWords: { key: null, words: new Set() },
+
+    /**
+     * Parse an ImportanceRule value: "Model Task.deadline = 0.3"
+     * @returns {Object|null} { target, kind, name, field, weight } (weight null removes)
+     */
+    _parseImportanceRule(value) {
+        const match = String(value).match(/^(.+?)\s*=\s*(.*)$/);
+        if (!match) return null;
+
+        const target = match[1].trim();
+        const kind = target.split(/\s+/)[0];
+        if (!this.importanceTargetKinds.includes(kind)) return null;
+
+        const weight = parseFloat(match[2]);
+        const rule = { target, kind, name: target.slice(kind.length).trim() || null, field: null, weight: isNaN(weight) ? null : weight };
+        if (kind === 'Model' && !this.getModelEvent(target)) {
+            const dot = target.lastIndexOf('.');
+            if (dot > 0) {
+                rule.name = target.slice(kind.length, dot).trim();
+                rule.field = target.slice(dot + 1);
+            }
+        }
+        return rule;
+    },
+
+    /**
+     * Importance rules in effect: declared ones over the defaults
+     * @returns {Array} [{ target, kind, name, field, weight, event }] (event null for defaults)
+     */
+    getImportanceRules() {
+        const latest = new Map();
+        Object.entries(this.defaultImportanceRules).forEach(([target, weight]) => {
+            latest.set(target, { ...this._parseImportanceRule(`${target} = ${weight}`), event: null });
+        });
+        this.getEventsByBaseType(this.importanceRulesBase, 'ImportanceRule').forEach(event => {
+            const rule = this._parseImportanceRule(event.value);
+            if (!rule) return;
+            const current = latest.get(rule.target);
+            if (!current || !current.event || Date.parse(event.date) >= Date.parse(current.event.date)) {
+                latest.set(rule.target, { ...rule, event });
+            }
+        });
+        return [...latest.values()].filter(rule => rule.weight !== null);
+    },
+
+    /**
+     * Whether an individual is named in a message of the current chat
+     */
+    isLinkedFromChat(individualId) {
+        const messages = this.getMessages();
+        const key = `${this.currentChatId}:${messages.length}`;
+        if (this._chatWords.key !== key) {
+            const words = messages.flatMap(m => String(m.content || '').match(/[\p{L}\p{N}_-]+/gu) || []);
+            this._chatWords = { key, words: new Set(words) };
+        }
+        return !!individualId && this._chatWords.words.has(individualId);
+    },
+
+    /**
+     * Importance of an event with the factors that make it up
+     * @param {Object} [episodicItem] - adds access boost and decay penalty of the item
+     * @returns {Object} { score, factors: [{ factor, rule, weight }] } (rule: target or null)
+     */
+    explainImportance(event, episodicItem = null) {
+        const rules = new Map(this.getImportanceRules().map(rule => [rule.target, rule]));
+        const factors = [{ factor: 'base', rule: null, weight: 0.5 }];
+        const applyRule = (factor, ...targets) => {
+            const rule = targets.map(target => rules.get(target)).find(Boolean);
+            if (rule) factors.push({ factor, rule: rule.target, weight: rule.weight });
         };
-        score += (typeWeights[event.type] || 0.5) * 0.2;
 
-        // Actor importance (user events more important than system)
-        if (event.actor === 'user' || event.actor === 'manager') {
-            score += 0.15;
-        } else if (event.actor === 'llm') {
-            score += 0.1;
+        // Event type
+        applyRule('type', `Type ${event.type}`, 'Type *');
+
+        // Model and field of the individual
+        const individual = event.type === 'Individual' ? event.value : event.base;
+        const modelName = this.getSetModelEvent(individual)?.value;
+        if (modelName) {
+            applyRule(rules.has(`${modelName}.${event.type}`) ? 'field' : 'model', `${modelName}.${event.type}`, modelName);
+        }
+
+        // Actor, else its highest role
+        if (rules.has(`Actor ${event.actor}`)) {
+            applyRule('actor', `Actor ${event.actor}`);
+        } else {
+            const roleRules = this.getActorRoleSet(event.actor)
+                .map(role => rules.get(`Role ${role}`)).filter(Boolean)
+                .sort((a, b) => b.weight - a.weight);
+            if (roleRules.length > 0) applyRule('role', roleRules[0].target);
+        }
+
+        // Individuals the current chat talks about
+        if (this.isLinkedFromChat(individual)) {
+            applyRule('chat', 'Chat');
         }
 
         // Causal depth (events with more causes are more connected)
         const causeCount = Array.isArray(event.cause) ? event.cause.length : (event.cause ? 1 : 0);
-        score += Math.min(causeCount * 0.05, 0.15);
+        factors.push({ factor: 'causes', rule: null, weight: Math.min(causeCount * 0.05, 0.15) });
 
         // Content richness (longer values = more information)
         const valueLength = event.value ? String(event.value).length : 0;
-        score += Math.min(valueLength / 500, 0.1);
+        factors.push({ factor: 'content', rule: null, weight: Math.min(valueLength / 500, 0.1) });
 
         // Recency boost
         const ageHours = (Date.now() - new Date(event.date).getTime()) / 3600000;
-        score += Math.max(0, 0.1 - ageHours * 0.001);
+        factors.push({ factor: 'recency', rule: null, weight: Math.max(0, 0.1 - ageHours * 0.001) });
+
+        if (episodicItem) {
+            // Boost for frequent access (Hebbian learning), penalty for decay
+            factors.push({ factor: 'access', rule: null, weight: Math.min(episodicItem.accessCount * 0.02, 0.2) });
+            factors.push({ factor: 'decay', rule: null, weight: -(1 - episodicItem.decay) * 0.3 });
+        }
 
-        return Math.min(Math.max(score, 0), 1);  // Clamp to [0,1]
+        const total = factors.reduce((sum, f) => sum + f.weight, 0);
+        return { score: Math.min(Math.max(total, 0), 1), factors };  // Clamp to [0,1]
     },
 
     /**
-     * Recalculate importance based on access patterns
+     * Score episodic items again (after importance rules changed)
      */
-    recalculateImportance(episodicItem, event) {
-        const baseImportance = this.calculateImportance(event);
-
-        // Boost for frequent access (Hebbian learning)
-        const accessBoost = Math.min(episodicItem.accessCount * 0.02, 0.2);
-
-        // Decay factor
-        const decayPenalty = (1 - episodicItem.decay) * 0.3;
+    rescoreEpisodicMemory() {
+        this.episodicMemory.items.forEach(item => {
+            const event = this.getEventById(item.eventId);
+            if (event) item.importance = this.recalculateImportance(item, event);
+        });
+        this.persistEpisodic(this.episodicMemory.items);
+    },
 
-        return Math.min(baseImportance + accessBoost - decayPenalty, 1);
+    /**
+     * Set the weight of an importance rule target ("Model Task", "Role manager", ...)
+     * @param {number|null} weight - null removes the rule
+     */
+    setImportanceRule(target, weight) {
+        if (!this._parseImportanceRule(`${target} = 0`)) return null;
+        const value = `${target} = ${weight === null || weight === undefined || weight === '' ? 'none' : weight}`;
+        return this.addEvent({ base: this.importanceRulesBase, type: 'ImportanceRule', value, model: 'Event', actor: this.currentActor });
     },
 
     /**
@@ -1653,7 +2176,7 @@ const Memory = {
         if (forgotten.length > 0) {
             console.log(`Forgetting ${forgotten.length} episodic items`);
             this.episodicMemory.items = this.episodicMemory.items.filter(item => item.decay >= 0.05);
-            this.saveToStorage('prostochat_episodic', this.episodicMemory.items);
+            this.persistEpisodic([], forgotten.map(item => item.eventId));
         }
     },
 
@@ -1678,7 +2201,7 @@ const Memory = {
         // Group by concept
         const byConcept = {};
         candidates.forEach(item => {
-            const event = this.events.find(e => e.id === item.eventId);
+            const event = this.getEventById(item.eventId);
             if (!event) return;
 
             const concept = event.base;
@@ -1700,7 +2223,7 @@ const Memory = {
         );
 
         // Save updates
-        this.saveToStorage('prostochat_episodic', this.episodicMemory.items);
+        this.persistEpisodic([], [...consolidatedIds]);
         this.saveToStorage('prostochat_semantic', this.semanticMemory);
 
         console.log(`Consolidated ${candidates.length} items to semantic memory`);
@@ -1751,6 +2274,7 @@ const Memory = {
 
     /**
      * Handle overflow when episodic memory is full
+     * @returns {Array} removed items
      */
     consolidateOverflow() {
         // Sort by combined score (low importance + high decay = first to go)
@@ -1767,7 +2291,7 @@ const Memory = {
         // Try to consolidate important ones
         toRemove.forEach(item => {
             if (item.importance >= this.memoryConfig.importanceThreshold) {
-                const event = this.events.find(e => e.id === item.eventId);
+                const event = this.getEventById(item.eventId);
                 if (event) {
                     this.consolidateConcept(event.base, [{ item, event }]);
                 }
@@ -1775,6 +2299,7 @@ const Memory = {
         });
 
         this.episodicMemory.items = this.episodicMemory.items.slice(removeCount);
+        return toRemove;
     },
 
     /**
@@ -1795,9 +2320,10 @@ const Memory = {
         const queryWords = queryLower.split(/\s+/).filter(w => w.length > 2);
 
         // 1. Search working memory (all items, high priority)
+        // Only events the current actor may read (RBAC)
         this.workingMemory.items.forEach(eventId => {
-            const event = this.events.find(e => e.id === eventId);
-            if (event) {
+            const event = this.getEventById(eventId);
+            if (event && this.isEventReadable(event)) {
                 results.working.push({
                     event,
                     tier: 'working',
@@ -1808,8 +2334,8 @@ const Memory = {
 
         // 2. Search episodic memory
         this.episodicMemory.items.forEach(item => {
-            const event = this.events.find(e => e.id === item.eventId);
-            if (!event) return;
+            const event = this.getEventById(item.eventId);
+            if (!event || !this.isEventReadable(event)) return;
 
             const content = JSON.stringify(event).toLowerCase();
             const matches = queryWords.filter(w => content.includes(w)).length;
@@ -1830,6 +2356,8 @@ const Memory = {
                 queryWords.some(w => concept.toLowerCase().includes(w))) {
 
                 data.facts.forEach(fact => {
+                    const source = this.getEventById(fact.sourceEventId);
+                    if (source && !this.isEventReadable(source)) return;
                     results.semantic.push({
                         fact,
                         concept,
@@ -2006,70 +2534,662 @@ const Memory = {
         return icons[actor] || '👤';
     },
 
+    // ========================================
+    // ACCESS CONTROL (RBAC)
+    // ========================================
+    //
+    // Grants are events on a role, the latest one per target wins:
+    //   manager: Grant: Model Task = read, write, delete
+    //   manager: Grant: Model Person.salary = none
+    //   viewer: Grant: * = read
+    //   manager: Inherits: user, viewer
+    // Actors have the roles of their Role events (alice: Role: manager),
+    // an actor named as a role has that role too. A model nobody has a
+    // grant for is open to everyone; admin/Admin roles and system actors
+    // are never restricted.
+
+    accessOperations: ['read', 'write', 'delete'],
+    superuserRoles: ['admin', 'Admin'],
+    systemActors: ['System', 'system', 'genesis', 'engine'],
+
+    // Actor a running executeQuery reads for: results hold only what it may read
+    _reader: null,
+
+    // Events that change roles, grants or policies (Model: grant targets)
+    accessSourceTypes: ['Role', 'Inherits', 'Grant', 'Policy', 'Model'],
+    _accessCache: null,
+
+    /**
+     * Cached access decisions: role sets, grants and policies live until an
+     * access event arrives, row decisions until any event does (policies read
+     * the row)
+     */
+    _getAccessCache() {
+        const index = this._getIndex();
+        let cache = this._accessCache;
+        if (!cache || cache.index !== index || cache.revision !== index.accessRevision) {
+            cache = this._accessCache = {
+                index,
+                revision: index.accessRevision,
+                size: index.size,
+                roleSets: new Map(),
+                grants: new Map(),
+                policies: new Map(),
+                governed: new Map(),
+                restricted: new Map(),
+                decisions: new Map(),
+                models: new Map(),
+                rows: new Map()
+            };
+        }
+        if (cache.size !== index.size) {
+            cache.size = index.size;
+            cache.models = new Map();
+            cache.rows = new Map();
+        }
+        return cache;
+    },
+
     /**
-     * Get latest value for base:type pair
+     * Model of an individual (its SetModel), cached with the row decisions
      */
-    getLatestValue(base, type) {
-        const events = this.events
-            .filter(e => e.base === base && e.type === type)
-            .sort((a, b) => new Date(b.date) - new Date(a.date));
-        return events.length > 0 ? events[0].value : null;
+    _accessModel(individualId) {
+        return this._cached(this._getAccessCache().models, individualId,
+            () => this.getSetModelEvent(individualId)?.value);
     },
 
     /**
-     * Get all individuals of a concept
+     * Cached value of a key, computed once
      */
-    getIndividuals(concept) {
-        return this.events
-            .filter(e => e.base === concept && e.type === 'Individual')
-            .map(e => e.value);
+    _cached(map, key, compute) {
+        if (!map.has(key)) map.set(key, compute());
+        return map.get(key);
     },
 
     /**
-     * Build current state for an individual
-     * Handles both flat structure (base=individualName) and nested structure (base=eventId)
-     * Supports multiple values for the same property type (Multiple: 1)
+     * Roles a role inherits from (its latest Inherits event)
      */
-    getIndividualState(individualName) {
-        const state = { id: individualName };
-        const multipleValues = {}; // Track properties that appear multiple times
+    getRoleInherits(role) {
+        const value = this.getLatestValue(role, 'Inherits');
+        return value ? String(value).split(',').map(r => r.trim()).filter(Boolean) : [];
+    },
 
-        const processEvent = (e) => {
-            if (e.type === 'Individual') return;
+    /**
+     * Roles of an actor with inherited ones
+     */
+    getActorRoleSet(actor) {
+        return [...this._cached(this._getAccessCache().roleSets, actor, () => this._collectActorRoles(actor))];
+    },
 
-            // If this type already exists, make it an array
-            if (state[e.type] !== undefined) {
-                if (!multipleValues[e.type]) {
-                    // First duplicate - convert to array
-                    multipleValues[e.type] = true;
-                    state[e.type] = [state[e.type]];
-                }
-                // Add new value to array if not already present
-                if (!state[e.type].includes(e.value)) {
-                    state[e.type].push(e.value);
-                }
-            } else {
-                state[e.type] = e.value;
-            }
-        };
+    _collectActorRoles(actor) {
+        const roles = new Set();
+        const pending = [...this.getActorRoles(actor)];
+        if (this.getEventsByTypeValue('Individual', actor).some(e => e.base === 'Role')) {
+            pending.push(actor);
+        }
+        while (pending.length > 0) {
+            const role = pending.pop();
+            if (roles.has(role)) continue;
+            roles.add(role);
+            pending.push(...this.getRoleInherits(role));
+        }
+        return [...roles];
+    },
 
-        // Strategy 1: Find events where base = individualName (flat structure)
-        const flatEvents = this.getEventsByBase(individualName);
-        flatEvents.forEach(processEvent);
+    isSuperuser(actor) {
+        return this.systemActors.includes(actor) ||
+            this.getActorRoleSet(actor).some(role => this.superuserRoles.includes(role));
+    },
+
+    /**
+     * Parse a Grant value: "Model Task.title = read, write"
+     * @returns {Object|null} { target, model, field, access: [operations] }
+     */
+    _parseGrant(value) {
+        const match = String(value).match(/^(.+?)\s*=\s*(.*)$/);
+        if (!match) return null;
+
+        const target = match[1].trim();
+        const access = match[2].split(',').map(a => a.trim().toLowerCase())
+            .flatMap(a => a === 'all' ? this.accessOperations : [a])
+            .filter(a => this.accessOperations.includes(a));
+        // Writing needs reading
+        if (access.includes('write') && !access.includes('read')) access.unshift('read');
+
+        if (target === '*' || this.getModelEvent(target)) {
+            return { target, model: target, field: null, access };
+        }
+        const dot = target.lastIndexOf('.');
+        if (dot <= 0) return { target, model: target, field: null, access };
+        return { target, model: target.slice(0, dot), field: target.slice(dot + 1), access };
+    },
+
+    /**
+     * Grants of a role (own, not inherited), the latest per target
+     * @returns {Array} [{ role, target, model, field, access, event }]
+     */
+    getGrants(role) {
+        return [...this._cached(this._getAccessCache().grants, role, () => this._collectGrants(role))];
+    },
+
+    _collectGrants(role) {
+        const latest = new Map();
+        this.getEventsByBaseType(role, 'Grant').forEach(event => {
+            const grant = this._parseGrant(event.value);
+            if (!grant) return;
+            const current = latest.get(grant.target);
+            if (!current || Date.parse(event.date) >= Date.parse(current.event.date)) {
+                latest.set(grant.target, { role, ...grant, event });
+            }
+        });
+        return [...latest.values()];
+    },
+
+    /**
+     * Every grant of every role
+     */
+    getAllGrants() {
+        const roles = new Set(this.getEventsByType('Grant').map(e => e.base));
+        return [...roles].flatMap(role => this.getGrants(role));
+    },
+
+    /**
+     * Whether any grant restricts a model (then only granted roles get access)
+     */
+    isModelGoverned(modelName) {
+        return this._cached(this._getAccessCache().governed, modelName,
+            () => this.getAllGrants().some(g => g.model === modelName || g.model === '*'));
+    },
+
+    /**
+     * Check an operation of an actor on a model or one of its fields
+     * Each role uses its most specific grant: field, then model, then *
+     * @param {string} operation - read, write or delete
+     */
+    can(actor, operation, modelName, field = null) {
+        if (!modelName || this.getEventsByType('Grant').length === 0) return true;
+        if (this.isSuperuser(actor) || !this.isModelGoverned(modelName)) return true;
+
+        const key = [actor, operation, modelName, field].join('\u0000');
+        return this._cached(this._getAccessCache().decisions, key, () => this.getActorRoleSet(actor).some(role => {
+            const grants = this.getGrants(role);
+            const grant = (field && grants.find(g => g.model === modelName && g.field === field)) ||
+                grants.find(g => g.model === modelName && g.field === null) ||
+                grants.find(g => g.model === '*');
+            return !!grant && grant.access.includes(operation);
+        }));
+    },
+
+    /**
+     * Whether an actor may read an individual (its model and row policy)
+     */
+    canReadIndividual(individualId, actor = this.currentActor) {
+        const modelName = this._accessModel(individualId);
+        return this.can(actor, 'read', modelName) && this.canAccessRow(individualId, actor);
+    },
+
+    /**
+     * Whether an actor may read an event: model events of readable fields
+     * Nested property events (base = the Individual event) belong to that individual
+     */
+    isEventReadable(event, actor = this.currentActor) {
+        if (!event) return false;
+        if (event.type === 'Individual') {
+            // Individual, Delete and Restore events name the individual in the value
+            return this.canReadIndividual(event.value, actor);
+        }
+        const baseEvent = this.getEventById(event.base);
+        const individual = baseEvent && baseEvent.type === 'Individual' ? baseEvent.value : event.base;
+        const modelName = this._accessModel(individual);
+        return this.can(actor, 'read', modelName, event.type === 'SetModel' ? null : event.type) &&
+            this.canAccessRow(individual, actor);
+    },
+
+    /**
+     * Events an actor may read
+     */
+    getReadableEvents(actor = this.currentActor) {
+        const restricted = this.getEventsByType('Grant').length > 0 || this.getEventsByType('Policy').length > 0;
+        if (this.isSuperuser(actor) || !restricted) {
+            return this.getAllEvents();
+        }
+        return this.getAllEvents().filter(event => this.isEventReadable(event, actor));
+    },
+
+    /**
+     * State without the fields an actor may not read, only the id of a row it may not see
+     */
+    _readableState(state, modelName, actor) {
+        if (!this.canAccessRow(state.id, actor)) return { id: state.id };
+        if (!modelName || this.getEventsByType('Grant').length === 0) return state;
+        if (this.isSuperuser(actor) || !this.isModelGoverned(modelName)) return state;
+        const readable = { id: state.id };
+        Object.entries(state).forEach(([field, value]) => {
+            if (field !== 'id' && (field === 'SetModel' || this.can(actor, 'read', modelName, field))) {
+                readable[field] = value;
+            }
+        });
+        return readable;
+    },
+
+    /**
+     * Why an actor may not add an event, or null if it may
+     * Grants, policies, inheritance, role assignments and importance rules need a superuser;
+     * Delete/Restore need delete, SetModel and fields need write,
+     * changes of an existing individual need its row policy too;
+     * public keys are published by their actor only, superusers included
+     */
+    _accessError(event) {
+        const { base, type, value, actor } = event;
+        const denied = (operation, target) => ({
+            type: 'Semantic Error',
+            code: this.errorCodes.permission,
+            message: `Actor '${actor}' may not ${operation} ${target}`,
+            field: type,
+            operation
+        });
+
+        if (type === 'PublicKey' && base !== actor) {
+            return denied('publish a key of', base);
+        }
+        if (this.isSuperuser(actor)) return null;
+
+        const assignsRole = type === 'Role' && !this.getEventById(base);
+        if (type === 'Grant' || type === 'Inherits' || type === 'Policy' || assignsRole) {
+            return denied('change access of', base);
+        }
+        if (type === 'ImportanceRule') {
+            return denied('change importance rules of', base);
+        }
+        if (base === 'Delete' || base === 'Restore' || type === 'Delete') {
+            // Delete: Individual: X and the X: Delete: 1 flag the UI writes
+            const individual = type === 'Delete' ? base : value;
+            return this.canChangeIndividual(individual, 'delete', actor) ? null : denied('delete', individual);
+        }
+        if (type === 'Individual' || type === 'SetModel') {
+            const modelName = type === 'SetModel' ? value : event.model;
+            return this.can(actor, 'write', this.getModelEvent(modelName) ? modelName : null)
+                ? null : denied('create', modelName);
+        }
+
+        const modelName = this.getSetModelEvent(base)?.value;
+        return this.can(actor, 'write', modelName, type) && this.canAccessRow(base, actor)
+            ? null : denied('write', `'${type}' of ${base}`);
+    },
+
+    /**
+     * Set the access of a role to a model ("Model Task") or field ("Model Task.title")
+     * @param {Array} access - operations; empty revokes
+     */
+    setGrant(role, target, access) {
+        const value = `${target} = ${access.length > 0 ? access.join(', ') : 'none'}`;
+        return this.addEvent({ base: role, type: 'Grant', value, model: 'Event', actor: this.currentActor });
+    },
+
+    setRoleInherits(role, parents) {
+        return this.addEvent({ base: role, type: 'Inherits', value: parents.join(', '), model: 'Event', actor: this.currentActor });
+    },
+
+    // ----------------------------------------
+    // Ownership and row-level policies
+    // ----------------------------------------
+    //
+    // The owner of an individual is the actor of its Individual event.
+    // Policies are Conditions on a role, the latest one per model wins:
+    //   manager: Policy: Model Task = $.assignee == $CurrentActor
+    //   user: Policy: * = $Owner == $CurrentActor
+    // A model with a policy shows its rows only to their owners and to
+    // actors with a role whose policy holds for the row; the same rows
+    // are the only ones they may edit or delete.
+
+    // Set while a policy is evaluated: its reads see every row
+    _checkingPolicy: false,
+
+    /**
+     * Actor that created an individual (its first Individual event)
+     */
+    getOwner(individualId) {
+        const created = this.getEventsByTypeValue('Individual', individualId)
+            .filter(e => e.base !== 'Delete' && e.base !== 'Restore')
+            .sort((a, b) => Date.parse(a.date) - Date.parse(b.date))[0];
+        return created ? created.actor : null;
+    },
+
+    /**
+     * Policies of a role, the latest per target ("none" or empty removes one)
+     * @returns {Array} [{ role, target, condition, event }]
+     */
+    getPolicies(role) {
+        return [...this._cached(this._getAccessCache().policies, role, () => this._collectPolicies(role))];
+    },
+
+    _collectPolicies(role) {
+        const latest = new Map();
+        this.getEventsByBaseType(role, 'Policy').forEach(event => {
+            const match = String(event.value).match(/^(.+?)\s*=\s*(.*)$/);
+            if (!match) return;
+            const target = match[1].trim();
+            const current = latest.get(target);
+            if (!current || Date.parse(event.date) >= Date.parse(current.event.date)) {
+                latest.set(target, { role, target, condition: match[2].trim(), event });
+            }
+        });
+        return [...latest.values()].filter(p => p.condition && p.condition.toLowerCase() !== 'none');
+    },
+
+    getAllPolicies() {
+        const roles = new Set(this.getEventsByType('Policy').map(e => e.base));
+        return [...roles].flatMap(role => this.getPolicies(role));
+    },
+
+    /**
+     * Whether a model hides rows outside its policies
+     */
+    isModelRowRestricted(modelName) {
+        return this._cached(this._getAccessCache().restricted, modelName,
+            () => this.getAllPolicies().some(p => p.target === modelName || p.target === '*'));
+    },
+
+    /**
+     * Whether an actor may see and change an individual (row-level policies)
+     */
+    canAccessRow(individualId, actor = this.currentActor) {
+        if (this._checkingPolicy || this.getEventsByType('Policy').length === 0) return true;
+        const modelName = this._accessModel(individualId);
+        if (!modelName || this.isSuperuser(actor) || !this.isModelRowRestricted(modelName)) return true;
+
+        return this._cached(this._getAccessCache().rows, `${actor}\u0000${individualId}`,
+            () => this._checkRowPolicies(individualId, modelName, actor));
+    },
+
+    _checkRowPolicies(individualId, modelName, actor) {
+        if (this.getOwner(individualId) === actor) return true;
+
+        const policies = this.getActorRoleSet(actor).map(role => {
+            const own = this.getPolicies(role);
+            return own.find(p => p.target === modelName) || own.find(p => p.target === '*');
+        }).filter(Boolean);
+
+        // Policies read the full row, whoever runs the query
+        const reader = this._reader;
+        this._checkingPolicy = true;
+        this._reader = null;
+        try {
+            return policies.some(p => this.checkCondition(p.condition, individualId, { actor }));
+        } finally {
+            this._checkingPolicy = false;
+            this._reader = reader;
+        }
+    },
+
+    /**
+     * Whether an actor may write or delete an individual: grant and row policy
+     * @param {string} operation - write or delete
+     */
+    canChangeIndividual(individualId, operation, actor = this.currentActor) {
+        const modelName = this.getSetModelEvent(individualId)?.value;
+        return this.can(actor, operation, modelName) && this.canAccessRow(individualId, actor);
+    },
+
+    /**
+     * Set the policy of a role for a model ("Model Task") or "*"
+     * @param {string} condition - BSL Condition; empty removes the policy
+     */
+    setPolicy(role, target, condition) {
+        const value = `${target} = ${condition && condition.trim() ? condition.trim() : 'none'}`;
+        return this.addEvent({ base: role, type: 'Policy', value, model: 'Event', actor: this.currentActor });
+    },
+
+    // ========================================
+    // POINT-IN-TIME VIEWS (asOf)
+    // ========================================
+
+    /**
+     * Resolve asOf to epoch ms
+     * Accepts Date, epoch ms, ISO timestamp or event id (that event's date, inclusive)
+     * @returns {number|null} null when asOf is not set
+     */
+    resolveAsOf(asOf) {
+        if (asOf === null || asOf === undefined || asOf === '') return null;
+        if (asOf instanceof Date) return asOf.getTime();
+        if (typeof asOf === 'number') return asOf;
+
+        const event = this.getEventById(asOf);
+        const time = Date.parse(event ? event.date : asOf);
+        if (isNaN(time)) {
+            throw new Error(`Invalid asOf: ${asOf} (expected timestamp or event id)`);
+        }
+        return time;
+    },
+
+    /**
+     * Keep only events that existed at asOf
+     * Events without a date (legacy) are treated as always present
+     */
+    filterEventsAsOf(events, asOf) {
+        const asOfTime = this.resolveAsOf(asOf);
+        if (asOfTime === null) return events;
+        return events.filter(e => {
+            const time = Date.parse(e.date);
+            return isNaN(time) || time <= asOfTime;
+        });
+    },
+
+    /**
+     * Get latest value for base:type pair
+     * @param {string|number|Date} [asOf] - Only consider events up to this moment
+     */
+    getLatestValue(base, type, asOf = null) {
+        // Newest first; for equal dates the later event in the log wins
+        const events = this.filterEventsAsOf(this.getEventsByBaseType(base, type), asOf)
+            .reverse()
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+        return events.length > 0 ? events[0].value : null;
+    },
+
+    /**
+     * Get all individuals of a concept
+     */
+    getIndividuals(concept) {
+        return this.getEventsByBaseType(concept, 'Individual')
+            .map(e => e.value);
+    },
+
+    /**
+     * Build current state for an individual
+     * Handles both flat structure (base=individualName) and nested structure (base=eventId)
+     * Supports multiple values for the same property type (Multiple: 1);
+     * a field the model declares without Multiple keeps its latest value
+     * Fields the actor may not read (RBAC) are left out
+     * @param {string|number|Date} [asOf] - Build state from events up to this moment
+     * @param {string} [actor] - Reader, the current actor by default
+     */
+    getIndividualState(individualName, asOf = null, actor = this.currentActor) {
+        const modelName = this.getSetModelEvent(individualName)?.value;
+        return this._readableState(this._individualState(individualName, asOf), modelName, actor);
+    },
+
+    /**
+     * Full state of an individual, for computations (guards, validation, queries)
+     */
+    _individualState(individualName, asOf = null) {
+        // Strategy 1: Find events where base = individualName (flat structure)
+        const events = this.filterEventsAsOf(this.getEventsByBase(individualName), asOf);
 
         // Strategy 2: Find the Individual event and get nested events by its ID (BSL nested structure)
-        const individualEvent = this.events.find(e =>
-            e.type === 'Individual' && e.value === individualName
-        );
+        const individualEvent = this.filterEventsAsOf(
+            this.getEventsByTypeValue('Individual', individualName), asOf
+        )[0];
 
         if (individualEvent && individualEvent.id) {
-            const nestedEvents = this.getEventsByBase(individualEvent.id);
-            nestedEvents.forEach(processEvent);
+            events.push(...this.filterEventsAsOf(this.getEventsByBase(individualEvent.id), asOf));
+        }
+
+        return this._foldState(individualName, events, asOf);
+    },
+
+    /**
+     * Fold property events into the state of an individual
+     * @param {string|number|Date} [asOf] - Moment whose model decides which fields are single-valued
+     */
+    _foldState(individualName, events, asOf = null) {
+        const state = { id: individualName };
+        const multipleValues = {}; // Track properties that appear multiple times
+        const latestEvents = {}; // Latest event per property type
+        events.forEach(e => {
+            this._applyStateEvent(state, multipleValues, e);
+            const latest = latestEvents[e.type];
+            if (!latest || Date.parse(e.date) >= Date.parse(latest.date)) {
+                latestEvents[e.type] = e;
+            }
+        });
+
+        // Edited single-valued fields: the latest value replaces earlier ones
+        const repeated = Object.keys(multipleValues);
+        if (repeated.length > 0) {
+            const setModelEvent = this.filterEventsAsOf(this.getEventsByBaseType(individualName, 'SetModel'), asOf)[0];
+            const schema = setModelEvent ? this.getModelSchema(setModelEvent.value) : null;
+            repeated.forEach(type => {
+                const field = schema && schema.fields[type];
+                if (field && !field.multiple) {
+                    state[type] = latestEvents[type].value;
+                }
+            });
+        }
+
+        return state;
+    },
+
+    /**
+     * Apply one property event to an individual state
+     * Repeated property types become arrays of distinct values
+     */
+    _applyStateEvent(state, multipleValues, e) {
+        if (e.type === 'Individual') return;
+
+        // If this type already exists, make it an array
+        if (state[e.type] !== undefined) {
+            if (!multipleValues[e.type]) {
+                // First duplicate - convert to array
+                multipleValues[e.type] = true;
+                state[e.type] = [state[e.type]];
+            }
+            // Add new value to array if not already present
+            if (!state[e.type].includes(e.value)) {
+                state[e.type].push(e.value);
+            }
+        } else {
+            state[e.type] = e.value;
         }
+    },
+
+    // ========================================
+    // INDIVIDUAL HISTORY
+    // ========================================
+
+    /**
+     * Get ordered change history of an individual (oldest first)
+     * Includes property events (flat and nested) and Delete/Restore compensating events,
+     * only those the actor may read (nothing for a row it may not see)
+     * @returns {Array} [{id, field, value, previousValue, actor, date, cause, kind, derived}]
+     *   kind: 'created' | 'property' | 'deleted' | 'restored'
+     *   derived: property computed by a SetValue guard
+     */
+    getIndividualHistory(individualName, actor = this.currentActor) {
+        if (!this.canAccessRow(individualName, actor)) return [];
+        const individualEvents = this.getEventsByTypeValue('Individual', individualName);
+        const created = individualEvents.find(e => e.base !== 'Delete' && e.base !== 'Restore');
+
+        const events = [
+            ...individualEvents,
+            ...this.getEventsByBase(individualName),
+            ...(created ? this.getEventsByBase(created.id) : [])
+        ];
+
+        // Sort by date, keeping log order for equal dates
+        const ordered = events
+            .filter(event => this.isEventReadable(event, actor))
+            .map((event, position) => ({ event, position, time: Date.parse(event.date) || 0 }))
+            .sort((a, b) => a.time - b.time || a.position - b.position)
+            .map(item => item.event);
+
+        const lastValues = {};
+        return ordered.map(e => {
+            let kind = 'property';
+            if (e.type === 'Individual') {
+                kind = e.base === 'Delete' ? 'deleted' : (e.base === 'Restore' ? 'restored' : 'created');
+            }
+
+            const field = kind === 'property' ? e.type : '$' + kind;
+            const previousValue = kind === 'property' && field in lastValues ? lastValues[field] : null;
+            if (kind === 'property') lastValues[field] = e.value;
+
+            return {
+                id: e.id,
+                field,
+                value: kind === 'property' ? e.value : e.base,
+                previousValue,
+                actor: e.actor,
+                date: e.date,
+                cause: e.cause,
+                kind,
+                derived: kind === 'property' && this.isDerivedEvent(e)
+            };
+        });
+    },
+
+    /**
+     * Get state of an individual after the first (index + 1) history entries
+     * index -1 is the empty state before creation
+     * Deletion status is reported as $deleted
+     * @param {Array} [history] - getIndividualHistory result, read as the actor otherwise
+     */
+    getIndividualVersion(individualName, index, history = null, actor = this.currentActor) {
+        const entries = (history || this.getIndividualHistory(individualName, actor)).slice(0, index + 1);
+        let deleted = false;
 
+        entries.forEach(entry => {
+            if (entry.kind === 'deleted') deleted = true;
+            else if (entry.kind === 'restored') deleted = false;
+        });
+
+        // Same fold as the current state, with the model as it was then
+        const properties = entries.filter(entry => entry.kind === 'property')
+            .map(entry => ({ type: entry.field, value: entry.value, date: entry.date }));
+        const asOf = entries.length > 0 ? entries[entries.length - 1].date : null;
+        const state = this._foldState(individualName, properties, asOf);
+
+        if (deleted) state.$deleted = true;
         return state;
     },
 
+    /**
+     * Field-level diff between two versions of an individual
+     * @returns {Array} [{field, before, after, change: 'added'|'removed'|'changed'}]
+     */
+    diffIndividualVersions(individualName, fromIndex, toIndex, actor = this.currentActor) {
+        const history = this.getIndividualHistory(individualName, actor);
+        const before = this.getIndividualVersion(individualName, fromIndex, history);
+        const after = this.getIndividualVersion(individualName, toIndex, history);
+
+        const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+            .filter(field => field !== 'id');
+
+        const changes = [];
+        fields.forEach(field => {
+            const a = before[field];
+            const b = after[field];
+            if (JSON.stringify(a) === JSON.stringify(b)) return;
+
+            let change = 'changed';
+            if (a === undefined) change = 'added';
+            else if (b === undefined) change = 'removed';
+            changes.push({ field, before: a ?? null, after: b ?? null, change });
+        });
+
+        return changes;
+    },
+
     // === Chat Management ===
 
     /**
@@ -2163,10 +3283,25 @@ const Memory = {
 
     // === Storage Helpers ===
 
+    /**
+     * Open the storage adapter (IndexedDB with localStorage fallback)
+     * Must complete before init() so loadFromStorage sees persisted data
+     */
+    async initStorage() {
+        this.storageAdapter = await openStorageAdapter();
+        console.log(`Storage adapter: ${this.storageAdapter.name}`);
+    },
+
+    _getStorage() {
+        return this.storageAdapter || LocalStorageAdapter;
+    },
+
+    // Set by dryRun: nothing a preview does reaches storage
+    _persistenceSuspended: false,
+
     loadFromStorage(key) {
         try {
-            const data = localStorage.getItem(key);
-            return data ? JSON.parse(data) : null;
+            return this._getStorage().get(key);
         } catch (e) {
             console.warn(`Failed to load ${key}:`, e);
             return null;
@@ -2174,13 +3309,59 @@ const Memory = {
     },
 
     saveToStorage(key, data) {
+        if (this._persistenceSuspended) return;
         try {
-            localStorage.setItem(key, JSON.stringify(data));
+            this._getStorage().set(key, data);
         } catch (e) {
             console.warn(`Failed to save ${key}:`, e);
         }
     },
 
+    removeFromStorage(key) {
+        if (this._persistenceSuspended) return;
+        try {
+            this._getStorage().remove(key);
+        } catch (e) {
+            console.warn(`Failed to remove ${key}:`, e);
+        }
+    },
+
+    /**
+     * Persist changed and removed episodic items
+     * Incremental adapters write only these items, others rewrite the list
+     */
+    persistEpisodic(changed, removedIds = []) {
+        const storage = this._getStorage();
+        if (!storage.putItems) {
+            this.saveToStorage('prostochat_episodic', this.episodicMemory.items);
+            return;
+        }
+        try {
+            if (changed.length > 0) storage.putItems('prostochat_episodic', changed);
+            if (removedIds.length > 0) storage.deleteItems('prostochat_episodic', removedIds);
+        } catch (e) {
+            console.warn('Failed to save episodic memory:', e);
+        }
+    },
+
+    /**
+     * Persist new or changed events
+     * Incremental adapters write only these events, others rewrite the local event list
+     */
+    persistEvents(events) {
+        if (this._persistenceSuspended) return;
+        const storage = this._getStorage();
+        if (!storage.putEvents) {
+            this.saveToStorage(CONFIG.storage.events, this.getLocalEvents());
+            return;
+        }
+        try {
+            storage.putEvents(events.filter(e => !isGenesisEvent(e)));
+        } catch (e) {
+            console.warn('Failed to save events:', e);
+        }
+    },
+
     // === Statistics ===
 
     getStats() {
@@ -2235,7 +3416,7 @@ const Memory = {
 
         // Print each event with its cause chain
         events.forEach((e, i) => {
-            const causeEvent = this.events.find(c => c.id === e.cause);
+            const causeEvent = this.getEventById(e.cause);
             const causeInfo = causeEvent
                 ? `${causeEvent.base}:${causeEvent.type}:${causeEvent.value}`.substring(0, 30)
                 : e.cause;
@@ -2254,7 +3435,7 @@ const Memory = {
         recentEvents.forEach(e => {
             const chain = this.getEventAncestors(e.id);
             const chainStr = chain.slice(0, 5).map(id => {
-                const ev = this.events.find(x => x.id === id);
+                const ev = this.getEventById(id);
                 return ev ? `${ev.type}:${ev.value}`.substring(0, 15) : id.substring(0, 8);
             }).join(' → ');
 
@@ -2290,9 +3471,9 @@ const Memory = {
         this.chats = [];
         this.currentChatId = null;
         this.subscriptions = [];
-        localStorage.removeItem(CONFIG.storage.events);
-        localStorage.removeItem(CONFIG.storage.chats);
-        localStorage.removeItem(CONFIG.storage.currentChat);
+        this.removeFromStorage(CONFIG.storage.events);
+        this.removeFromStorage(CONFIG.storage.chats);
+        this.removeFromStorage(CONFIG.storage.currentChat);
         this.createChat('Default Chat');
     },
 
@@ -2425,14 +3606,25 @@ const Memory = {
     /**
      * Execute BSL query
      * Supports:
-     *   $($EQ.$Base("Person"), $EQ.sex("man")) - find matching individuals
+     *   $($EQ.$Base("Person"), $EQ.sex("man")) - find matching individuals (comma = AND)
+     *   $($OR($EQ.sex("man"), $AND($GE.age(18), $LT.age(65)))) - boolean composition
      *   $($EQ.$Model("Model Person")) - find by model
+     *   $($EQ.organization.city.name("Berlin")) - condition through Relations (multi-hop)
+     *   $($EQ.$Base("Organization"), $GE.^organization.age(65)) - reverse relation
      *   result.property - access property
      *   result[0], result[-1] - indexing (first/last)
+     *   result.organization.name - Relation values dereference into target state
+     *   result[0].^organization - individuals whose relation points to result[0]
      *   result.$Actor, result.$Date - event metadata
+     *   $(..., $GROUPBY.status(), $COUNT(), $SUM.amount("total")) - aggregated table
+     *     { type: 'table', columns, rows, groupBy, total }; .total on ungrouped result is a scalar
+     *   $(..., $ORDERBY.age("desc"), $LIMIT(10), $OFFSET(20)) - sorting and pagination
+     *
+     * Syntax and evaluation errors are returned as { error, position }.
      *
      * @param {string} query - BSL query string
-     * @param {Object} context - Additional context for expression evaluation
+     * @param {Object} context - Additional context for expression evaluation:
+     *   asOf, individual (what $ refers to in clause values), actor, $Variables
      * @returns {any} Query result
      */
     executeQuery(query, context = {}) {
@@ -2441,149 +3633,382 @@ const Memory = {
         }
 
         try {
-            // Check for property access on query result
-            const propertyMatch = query.match(/^\$\([^)]+\)\.(.+)$/);
-            if (propertyMatch) {
-                const baseQuery = query.substring(0, query.lastIndexOf('.'));
-                const property = propertyMatch[1];
-                const baseResult = this._executeQueryCore(baseQuery);
-                return this._accessProperty(baseResult, property);
-            }
+            // Point-in-time query: context.asOf (timestamp or event id)
+            const asOf = context.asOf ?? null;
+            this.resolveAsOf(asOf);
 
-            // Check for indexing on query result
-            const indexMatch = query.match(/^\$\([^)]+\)\[(-?\d+)\]$/);
-            if (indexMatch) {
-                const baseQuery = query.replace(/\[-?\d+\]$/, '');
-                const index = parseInt(indexMatch[1]);
-                const baseResult = this._executeQueryCore(baseQuery);
-                return this._accessIndex(baseResult, index);
+            if (!BSLParser.isQuery(query)) {
+                // Not a query, might be a simple expression
+                return this._evaluateSimpleExpr(query.trim(), context);
             }
 
-            return this._executeQueryCore(query);
+            const env = this._expressionEnv(query, context.individual || null, context);
+            // Results only hold what the actor may read (RBAC)
+            this._reader = context.actor || this.currentActor;
+            return this._evaluateQueryNode(BSLParser.parseQuery(query), asOf, env);
         } catch (e) {
+            if (e instanceof BSLError) {
+                console.warn(`Query ${e.kind} error:`, e.format());
+                return { error: e.message, position: e.position };
+            }
             console.error('Query execution error:', e);
             return { error: e.message };
+        } finally {
+            this._reader = null;
         }
     },
 
     /**
-     * Execute core query logic
+     * Evaluate query AST node (Query, Member, Index)
+     * @param {Object} env - Expression environment for clause values (see _expressionEnv)
      */
-    _executeQueryCore(query) {
-        // Parse $(...) query
-        const match = query.match(/^\$\(([^)]+)\)$/);
-        if (!match) {
-            // Not a query, might be a simple expression
-            return this._evaluateSimpleExpr(query);
+    _evaluateQueryNode(node, asOf = null, env = null) {
+        switch (node.type) {
+            case 'Query':
+                return this._shapeQueryResult(this._findMatchingIndividuals(node.clauses, asOf, env), node, asOf);
+            case 'Member':
+                return this._accessProperty(this._evaluateQueryNode(node.object, asOf, env), node.property, asOf);
+            case 'Index':
+                return this._accessIndex(this._evaluateQueryNode(node.object, asOf, env), node.index);
+            case 'Literal':
+                return node.value;
+            default:
+                throw new Error(`Unsupported query node: ${node.type}`);
         }
-
-        const conditions = match[1];
-        return this._findMatchingIndividuals(conditions);
     },
 
     /**
-     * Find individuals matching query conditions
+     * Find individuals matching query clauses (AND-ed)
      */
-    _findMatchingIndividuals(conditions) {
-        // Parse conditions: $EQ.$Base("Person"), $EQ.sex("man")
-        const conditionList = this._parseConditions(conditions);
-
-        // Start with all Individual events
-        let candidates = this.events
-            .filter(e => e.type === 'Individual')
-            .map(e => e.value)
-            .filter(name => !this.isDeleted(name)); // Exclude deleted
+    _findMatchingIndividuals(clauses, asOf = null, env = null) {
+        // Start with all Individual events (that existed at asOf)
+        // Delete/Restore compensating events share the type, skip them
+        const names = this.filterEventsAsOf(this.getEventsByType('Individual'), asOf)
+            .filter(e => e.base !== 'Delete' && e.base !== 'Restore')
+            .map(e => e.value);
+        let candidates = [...new Set(names)]
+            .filter(name => !this.isDeleted(name, asOf)) // Exclude deleted
+            .filter(name => !this._reader || this.canReadIndividual(name, this._reader));
 
         // Apply each condition
-        conditionList.forEach(cond => {
+        clauses.forEach(clause => {
+            const resolved = this._resolveClauseArgs(clause, asOf, env);
             candidates = candidates.filter(individual => {
-                return this._checkCondition(individual, cond);
+                return this._checkCondition(individual, resolved, asOf);
             });
         });
 
-        // Return matching individuals with their current state
-        return candidates.map(individual => ({
-            id: individual,
-            ...this.getIndividualState(individual)
-        }));
+        // Return matching individuals with their state (current or at asOf)
+        return candidates.map(individual => this._resultItem(individual, asOf));
     },
 
     /**
-     * Parse query conditions into structured format
+     * Evaluate clause arguments once (subqueries must not run per candidate)
      */
-    _parseConditions(conditionsStr) {
-        const conditions = [];
-
-        // Match patterns like: $EQ.$Base("Person"), $EQ.property("value")
-        const pattern = /\$(\w+)\.(\$?\w+)\(([^)]+)\)/g;
-        let match;
-
-        while ((match = pattern.exec(conditionsStr)) !== null) {
-            const operator = match[1]; // EQ, NE, GT, LT, GE, LE
-            const field = match[2];     // $Base, $Model, property name
-            let value = match[3];       // "value" or number
-
-            // Remove quotes from string values
-            if (value.startsWith('"') && value.endsWith('"')) {
-                value = value.slice(1, -1);
-            } else if (value.startsWith("'") && value.endsWith("'")) {
-                value = value.slice(1, -1);
-            } else if (!isNaN(value)) {
-                value = Number(value);
-            }
-
-            conditions.push({ operator, field, value });
+    _resolveClauseArgs(clause, asOf = null, env = null) {
+        if (BSLParser.combinators.includes(clause.name)) {
+            return { ...clause, args: clause.args.map(arg => this._resolveClauseArgs(arg, asOf, env)) };
         }
 
-        return conditions;
+        const arg = clause.args[0];
+        if (arg.type === 'Literal') {
+            return { ...clause, value: arg.value };
+        }
+        // Expression or subquery: $.project, $CurrentActor, $($EQ.name("Acme"))
+        const value = BSLInterpreter.evaluate(arg, env || this._expressionEnv('', null, { asOf }));
+        return { ...clause, value };
     },
 
+    // === Aggregation, sorting and pagination ===
+
     /**
-     * Check if individual matches a condition
+     * Apply $GROUPBY/aggregates/$ORDERBY/$LIMIT/$OFFSET to matched individuals
+     * Without aggregation returns the (sorted, paged) individuals; with it a
+     * table result that renderTable accepts as a widget:
+     *   { type: 'table', columns, rows, groupBy, total }
      */
-    _checkCondition(individual, condition) {
-        const { operator, field, value } = condition;
+    _shapeQueryResult(items, node, asOf = null) {
+        const { groupBy = [], aggregates = [], orderBy = [] } = node;
 
-        let actualValue;
+        if (groupBy.length === 0 && aggregates.length === 0) {
+            const sorted = this._sortRows(items, orderBy,
+                (item, clause) => this._readablePath(item.id, clause.path, asOf)[0]);
+            return this._paginate(sorted, node);
+        }
 
-        // Handle special fields
-        if (field === '$Base') {
-            // $Base checks the concept the individual belongs to
-            const individualEvent = this.events.find(e =>
-                e.type === 'Individual' && e.value === individual
-            );
-            actualValue = individualEvent ? individualEvent.base : null;
-        } else if (field === '$Model') {
-            // $Model checks the SetModel value
-            const setModelEvent = this.events.find(e =>
-                e.base === individual && e.type === 'SetModel'
-            );
-            actualValue = setModelEvent ? setModelEvent.value : null;
-        } else if (field === '$Actor') {
-            // $Actor checks the actor of Individual event
-            const individualEvent = this.events.find(e =>
-                e.type === 'Individual' && e.value === individual
-            );
-            actualValue = individualEvent ? individualEvent.actor : null;
+        // Group individuals by the first value of each GROUPBY path
+        const groups = new Map();
+        if (groupBy.length === 0) {
+            groups.set('', { keys: [], items });
+        } else {
+            items.forEach(item => {
+                const keys = groupBy.map(clause => this._readablePath(item.id, clause.path, asOf)[0] ?? null);
+                const groupKey = JSON.stringify(keys);
+                if (!groups.has(groupKey)) groups.set(groupKey, { keys, items: [] });
+                groups.get(groupKey).items.push(item);
+            });
+        }
+
+        const rows = [...groups.values()].map(group => {
+            const row = {};
+            groupBy.forEach((clause, i) => {
+                row[BSLParser.columnName(clause)] = group.keys[i];
+            });
+            aggregates.forEach(clause => {
+                row[BSLParser.columnName(clause)] = this._aggregate(clause, group.items, asOf);
+            });
+            return row;
+        });
+
+        const sorted = this._sortRows(rows, orderBy, (row, clause) => row[BSLParser.columnName(clause)]);
+        return {
+            type: 'table',
+            columns: [...groupBy, ...aggregates].map(clause => BSLParser.columnName(clause)),
+            rows: this._paginate(sorted, node),
+            groupBy: groupBy.map(clause => BSLParser.columnName(clause)),
+            total: rows.length
+        };
+    },
+
+    /**
+     * Compute one aggregate over a group of individuals
+     * Values are collected through the clause path (relations fan out)
+     */
+    _aggregate(clause, items, asOf = null) {
+        if (clause.name === 'COUNT' && clause.path.length === 0) {
+            return items.length;
+        }
+
+        const values = items
+            .flatMap(item => this._readablePath(item.id, clause.path, asOf))
+            .filter(value => !this._isEmpty(value));
+
+        if (clause.name === 'COUNT') {
+            return values.length;
+        }
+
+        const numbers = values.map(Number).filter(n => !isNaN(n));
+        switch (clause.name) {
+            case 'SUM':
+                return numbers.reduce((sum, n) => sum + n, 0);
+            case 'AVG':
+                return numbers.length > 0 ? numbers.reduce((sum, n) => sum + n, 0) / numbers.length : null;
+            case 'MIN':
+            case 'MAX': {
+                if (values.length === 0) return null;
+                // Numeric if every value is a number, otherwise text order (ISO dates sort correctly)
+                const pool = numbers.length === values.length ? numbers : values.map(String);
+                const sign = clause.name === 'MIN' ? 1 : -1;
+                return pool.reduce((best, v) => (this._compareSortValues(v, best) * sign < 0 ? v : best));
+            }
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Stable sort by $ORDERBY clauses (first clause wins, later ones break ties)
+     */
+    _sortRows(rows, orderBy, getValue) {
+        if (orderBy.length === 0) return rows;
+
+        return rows
+            .map((row, position) => ({ row, position, keys: orderBy.map(clause => getValue(row, clause)) }))
+            .sort((a, b) => {
+                for (let i = 0; i < orderBy.length; i++) {
+                    const result = this._compareSortValues(a.keys[i], b.keys[i], orderBy[i].direction === 'desc');
+                    if (result !== 0) return result;
+                }
+                return a.position - b.position;
+            })
+            .map(entry => entry.row);
+    },
+
+    /**
+     * Compare values for sorting: typed as in conditions (numbers numerically,
+     * dates by time, text by locale), empty values last in either direction
+     */
+    _compareSortValues(a, b, descending = false) {
+        const aEmpty = this._isEmpty(a);
+        const bEmpty = this._isEmpty(b);
+        if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : (aEmpty ? 1 : -1);
+
+        const typed = BSLTypes.compare(a, b);
+        const result = isNaN(typed) ? String(a).localeCompare(String(b)) : typed;
+        return descending ? -result : result;
+    },
+
+    /**
+     * Apply $OFFSET/$LIMIT
+     */
+    _paginate(rows, node) {
+        const offset = node.offset || 0;
+        const end = node.limit === null || node.limit === undefined ? undefined : offset + node.limit;
+        return offset === 0 && end === undefined ? rows : rows.slice(offset, end);
+    },
+
+    /**
+     * Read a field of an individual
+     * Special fields: $Base (concept), $Model (SetModel value), $Actor (creator), $Id
+     */
+    _getFieldValue(individual, field, asOf = null) {
+        if (field === '$Id') {
+            return individual;
+        }
+        if (field === '$Base' || field === '$Actor') {
+            const individualEvent = this.filterEventsAsOf(this.getEventsByTypeValue('Individual', individual), asOf)
+                .find(e => e.base !== 'Delete' && e.base !== 'Restore');
+            if (!individualEvent) return null;
+            return field === '$Base' ? individualEvent.base : individualEvent.actor;
+        }
+        if (field === '$Model') {
+            const setModelEvent = this.filterEventsAsOf(this.getEventsByBaseType(individual, 'SetModel'), asOf)[0];
+            return setModelEvent ? setModelEvent.value : null;
+        }
+        return this.getLatestValue(individual, field, asOf);
+    },
+
+    // === Relation traversal ===
+
+    /**
+     * Relation definition of a field in the individual's model, or null
+     */
+    _getRelation(individual, field, asOf = null) {
+        const modelName = this._getFieldValue(individual, '$Model', asOf);
+        return modelName ? this.getRelationDefinition(modelName, field) : null;
+    },
+
+    /**
+     * Follow a Relation field to the related individuals
+     * @returns {Array|null} target names, null if field is not a Relation
+     */
+    _followRelation(individual, field, asOf = null) {
+        const relation = this._getRelation(individual, field, asOf);
+        if (!relation) return null;
+
+        let targets;
+        if (relation.multiple) {
+            const values = this.filterEventsAsOf(this.getEventsByBaseType(individual, field), asOf)
+                .map(e => e.value);
+            targets = [...new Set(values)];
         } else {
-            // Regular property
-            actualValue = this.getLatestValue(individual, field);
+            const value = this.getLatestValue(individual, field, asOf);
+            targets = value === null || value === undefined ? [] : [value];
+        }
+
+        return targets
+            .map(String)
+            .filter(name => !this.isDeleted(name, asOf))
+            .filter(name => !relation.range || this._getFieldValue(name, '$Base', asOf) === relation.range);
+    },
+
+    /**
+     * Reverse traversal: individuals whose Relation field points to individual
+     */
+    _getReferrers(individual, field, asOf = null) {
+        const concept = this._getFieldValue(individual, '$Base', asOf);
+        const bases = this.filterEventsAsOf(this.getEventsByTypeValue(field, individual), asOf)
+            .map(e => e.base);
+
+        return [...new Set(bases)].filter(base => {
+            if (this.isDeleted(base, asOf)) return false;
+            const relation = this._getRelation(base, field, asOf);
+            if (!relation || (relation.range && relation.range !== concept)) return false;
+            return this._followRelation(base, field, asOf).includes(individual);
+        });
+    },
+
+    /**
+     * Follow a field path from an individual: organization.city.name, ^organization.age
+     * Intermediate segments must be Relations (or ^reverse relations); a path
+     * may fan out through multiple relations, so all reached values are returned
+     * @returns {Array} values at the end of the path
+     */
+    _resolvePath(individual, path, asOf = null) {
+        let current = [individual];
+
+        path.forEach((field, i) => {
+            const last = i === path.length - 1;
+            current = current.flatMap(name => {
+                if (field.startsWith('^')) {
+                    return this._getReferrers(name, field.substring(1), asOf);
+                }
+                if (last) {
+                    const value = this._getFieldValue(name, field, asOf);
+                    return value === null || value === undefined ? [] : [value];
+                }
+                return this._followRelation(name, field, asOf) || [];
+            });
+        });
+
+        return current;
+    },
+
+    /**
+     * _resolvePath as the current reader sees it: a field the reader may not
+     * read holds no values (conditions, grouping, aggregates and sorting)
+     */
+    _readablePath(individual, path, asOf = null) {
+        const hidden = this._reader && path.length > 0 &&
+            !this.can(this._reader, 'read', this.getSetModelEvent(individual)?.value, path[0]);
+        return hidden ? [] : this._resolvePath(individual, path, asOf);
+    },
+
+    /**
+     * Check if individual matches a condition clause
+     * A path reaching several values matches if any of them satisfies the
+     * operator (NE: if none equals)
+     */
+    _checkCondition(individual, condition, asOf = null) {
+        const { name: operator, path } = condition;
+
+        // Boolean composition
+        if (operator === 'AND') {
+            return condition.args.every(arg => this._checkCondition(individual, arg, asOf));
+        }
+        if (operator === 'OR') {
+            return condition.args.some(arg => this._checkCondition(individual, arg, asOf));
         }
+        if (operator === 'NOT') {
+            return !this._checkCondition(individual, condition.args[0], asOf);
+        }
+
+        const values = this._readablePath(individual, path, asOf);
+        const actualValues = values.length > 0 ? values : [null];
+
+        // Subquery value: EQ/NE mean "in"/"not in" the result set
+        // A single result item ($.organization, query[0]) compares by id
+        const value = condition.value;
+        const items = Array.isArray(value) ? value : (value && typeof value === 'object' ? [value] : null);
+        if (items) {
+            const ids = items.map(item => (item && typeof item === 'object') ? item.id : item);
+            const found = actualValues.some(actual => ids.some(id => actual == id));
+            return operator === 'NE' ? !found : found;
+        }
+
+        if (operator === 'NE') {
+            return !actualValues.some(actual => this._compareValues('EQ', actual, condition.value));
+        }
+        return actualValues.some(actual => this._compareValues(operator, actual, condition.value));
+    },
 
-        // Apply operator
+    /**
+     * Apply a filter operator (typed comparison, see BSLTypes.compare)
+     */
+    _compareValues(operator, actualValue, value) {
         switch (operator) {
             case 'EQ':
-                return actualValue == value;
+                return BSLTypes.equals(actualValue, value);
             case 'NE':
-                return actualValue != value;
+                return !BSLTypes.equals(actualValue, value);
             case 'GT':
-                return actualValue > value;
+                return BSLTypes.compare(actualValue, value) > 0;
             case 'LT':
-                return actualValue < value;
+                return BSLTypes.compare(actualValue, value) < 0;
             case 'GE':
-                return actualValue >= value;
+                return BSLTypes.compare(actualValue, value) >= 0;
             case 'LE':
-                return actualValue <= value;
+                return BSLTypes.compare(actualValue, value) <= 0;
             case 'CONTAINS':
                 return String(actualValue).includes(String(value));
             case 'STARTS':
@@ -2591,35 +4016,73 @@ const Memory = {
             case 'ENDS':
                 return String(actualValue).endsWith(String(value));
             default:
-                return actualValue == value;
+                return BSLTypes.equals(actualValue, value);
+        }
+    },
+
+    /**
+     * Individual state as a query result item
+     */
+    _resultItem(individual, asOf = null) {
+        const state = this._individualState(individual, asOf);
+        if (this._reader) {
+            return { id: individual, ...this._readableState(state, this.getSetModelEvent(individual)?.value, this._reader) };
         }
+        return { id: individual, ...state };
     },
 
     /**
      * Access property on query result
+     * Arrays map over items. Relation fields dereference into the target
+     * individual's state (an array for Multiple relations); ^field returns
+     * the individuals referring to the item and flattens over arrays (join).
      */
-    _accessProperty(result, property) {
-        if (!Array.isArray(result)) {
-            return result ? result[property] : null;
+    _accessProperty(result, property, asOf = null) {
+        if (Array.isArray(result)) {
+            const mapped = result.map(item => this._accessProperty(item, property, asOf));
+            return property.startsWith('^') ? mapped.flat() : mapped;
+        }
+        if (result === null || result === undefined || typeof result !== 'object') {
+            return null;
+        }
+
+        // Aggregated table: column values, a scalar when not grouped
+        if (result.type === 'table') {
+            const values = result.rows.map(row => row[property] ?? null);
+            return result.groupBy.length === 0 ? (values[0] ?? null) : values;
         }
 
-        // Check for event metadata access
+        const id = result.id;
+
+        // Event metadata access
         if (property.startsWith('$')) {
             const metaField = property.substring(1); // Remove $
-            return result.map(item => {
-                const event = this.events.find(e =>
-                    e.base === item.id && e.type !== 'Individual'
-                );
-                if (metaField === 'Actor') return event?.actor;
-                if (metaField === 'Date') return event?.date;
-                if (metaField === 'Id') return event?.id;
-                if (metaField === 'Cause') return event?.cause;
-                return null;
-            });
+            const event = this.filterEventsAsOf(this.getEventsByBase(id), asOf)
+                .find(e => e.type !== 'Individual');
+            if (metaField === 'Actor') return event?.actor;
+            if (metaField === 'Date') return event?.date;
+            if (metaField === 'Id') return event?.id;
+            if (metaField === 'Cause') return event?.cause;
+            return null;
         }
 
-        // Access property on each result
-        return result.map(item => item[property]);
+        // Reverse relation: who refers to this individual
+        if (property.startsWith('^')) {
+            return this._getReferrers(id, property.substring(1), asOf)
+                .map(name => this._resultItem(name, asOf));
+        }
+
+        // Relation: dereference into target state
+        if (id !== undefined) {
+            const relation = this._getRelation(id, property, asOf);
+            if (relation) {
+                const targets = this._followRelation(id, property, asOf)
+                    .map(name => this._resultItem(name, asOf));
+                return relation.multiple ? targets : (targets[0] || null);
+            }
+        }
+
+        return result[property] ?? null;
     },
 
     /**
@@ -2627,6 +4090,10 @@ const Memory = {
      * Supports positive [0] and negative [-1] indexing
      */
     _accessIndex(result, index) {
+        if (result && result.type === 'table') {
+            return this._accessIndex(result.rows, index);
+        }
+
         if (!Array.isArray(result)) {
             return result;
         }
@@ -2648,139 +4115,122 @@ const Memory = {
     },
 
     /**
-     * Evaluate simple expression (not a query)
+     * Evaluate simple expression (not a query): $CurrentActor, $Now,
+     * $DaysBetween($Today(), "2025-01-01"), ...
+     * Text that does not parse as an expression is returned as-is
      */
-    _evaluateSimpleExpr(expr) {
-        // Handle $CurrentActor
-        if (expr === '$CurrentActor') {
-            return this.currentActor;
+    _evaluateSimpleExpr(expr, context = {}) {
+        const result = this.evaluateExpressionResult(expr, context.individual || null, context);
+        if (!result.error) {
+            return result.value;
         }
-
-        // Handle $Now
-        if (expr === '$Now' || expr === '$Now()') {
-            return new Date().toISOString();
+        if (result.error.kind === 'syntax') {
+            return expr;
         }
-
-        // Return as-is
-        return expr;
+        return { error: result.error.message, position: result.error.position };
     },
 
     /**
      * Query helper: find individuals by base (concept)
      */
     queryByBase(concept) {
-        return this.executeQuery(`$($EQ.$Base("${concept}"))`);
+        return this.executeQuery(`$($EQ.$Base(${JSON.stringify(String(concept))}))`);
     },
 
     /**
      * Query helper: find individuals by model
      */
     queryByModel(modelName) {
-        return this.executeQuery(`$($EQ.$Model("${modelName}"))`);
+        return this.executeQuery(`$($EQ.$Model(${JSON.stringify(String(modelName))}))`);
     },
 
     /**
      * Query helper: find individuals with property value
      */
     queryByProperty(propertyName, value) {
-        return this.executeQuery(`$($EQ.${propertyName}("${value}"))`);
+        return this.executeQuery(`$($EQ.${propertyName}(${JSON.stringify(String(value))}))`);
     },
 
     // === Expression Evaluator for Condition/SetValue ===
 
     /**
      * Evaluate BSL expression in context of an individual
-     * Supports: $.property, $$.property, comparisons, logical ops
+     * Supports: $.property, $$.property, comparisons, logical ops, $EQ/$AND/$OR,
+     * arithmetic, functions and queries (see bsl-parser.js)
+     * Expressions are interpreted by BSLInterpreter, never run as JavaScript
      * @param {string} expr - Expression like "$.age >= 18" or "$.firstName && $.lastName"
      * @param {string} individualId - ID of the individual for context
-     * @param {Object} extraContext - Additional context variables
-     * @returns {any} Result of expression evaluation
+     * @param {Object} extraContext - Additional context: actor, value, asOf, $Variables
+     * @returns {any} Result of expression evaluation (null on error)
      */
     evaluateExpression(expr, individualId, extraContext = {}) {
-        if (!expr) return null;
-
-        try {
-            // Get current state of individual
-            const state = this.getIndividualState(individualId);
-
-            // Build context object
-            const context = {
-                $: state,                          // Current individual
-                $$: this.createNullableProxy(state), // Nullable access
-                $CurrentActor: extraContext.actor || 'user',
-                $CurrentIndividual: individualId,
-                $Now: () => new Date().toISOString(),
-                $Value: extraContext.value,        // For ValueCondition
-                ...extraContext
-            };
-
-            // Convert BSL expression to JavaScript
-            const jsExpr = this.convertBslToJs(expr);
-
-            // Create safe evaluation function
-            const evalFunc = new Function(
-                '$', '$$', '$CurrentActor', '$CurrentIndividual', '$Now', '$Value',
-                `return (${jsExpr});`
-            );
-
-            return evalFunc(
-                context.$,
-                context.$$,
-                context.$CurrentActor,
-                context.$CurrentIndividual,
-                context.$Now,
-                context.$Value
-            );
-        } catch (e) {
-            console.warn('Expression evaluation error:', expr, e);
+        const result = this.evaluateExpressionResult(expr, individualId, extraContext);
+        if (result.error) {
+            console.warn('Expression evaluation error:', result.error.format ? result.error.format() : result.error.message);
             return null;
         }
+        return result.value;
     },
 
     /**
-     * Create nullable proxy for $$ access (returns undefined instead of error)
+     * Evaluate BSL expression and report errors instead of hiding them
+     * @returns {Object} { value, error } - error: BSLError { kind: 'syntax'|'runtime', message, position } or null
      */
-    createNullableProxy(obj) {
-        return new Proxy(obj || {}, {
-            get(target, prop) {
-                return target[prop] !== undefined ? target[prop] : undefined;
-            }
-        });
+    evaluateExpressionResult(expr, individualId, extraContext = {}) {
+        if (expr === null || expr === undefined || expr === '') {
+            return { value: null, error: null };
+        }
+
+        const source = String(expr);
+        // With an actor, reads are limited to what it may see, as in executeQuery
+        // (policies read the full row, see canAccessRow)
+        const reader = this._reader;
+        if (extraContext.actor && !this._checkingPolicy) this._reader = extraContext.actor;
+        try {
+            const ast = BSLParser.parseExpression(source);
+            const value = BSLInterpreter.evaluate(ast, this._expressionEnv(source, individualId, extraContext));
+            return { value, error: null };
+        } catch (e) {
+            const error = e instanceof BSLError ? e : new BSLError(e.message, 0, source, 'runtime');
+            return { value: null, error };
+        } finally {
+            this._reader = reader;
+        }
     },
 
     /**
-     * Convert BSL expression syntax to JavaScript
-     * $.property -> $.property (already valid JS with context)
-     * $EQ.property("value") -> property === "value"
+     * Interpreter environment for an individual
+     * The host exposes only Memory reads: properties, relations, conditions, queries
      */
-    convertBslToJs(expr) {
-        let js = expr;
-
-        // Handle $EQ.property("value") -> $.property === "value"
-        js = js.replace(/\$EQ\.(\w+)\(([^)]+)\)/g, '($.$1 === $2)');
-
-        // Handle $NE.property("value") -> $.property !== "value"
-        js = js.replace(/\$NE\.(\w+)\(([^)]+)\)/g, '($.$1 !== $2)');
-
-        // Handle $GT.property(value) -> $.property > value
-        js = js.replace(/\$GT\.(\w+)\(([^)]+)\)/g, '($.$1 > $2)');
-
-        // Handle $LT.property(value) -> $.property < value
-        js = js.replace(/\$LT\.(\w+)\(([^)]+)\)/g, '($.$1 < $2)');
-
-        // Handle $GE.property(value) -> $.property >= value
-        js = js.replace(/\$GE\.(\w+)\(([^)]+)\)/g, '($.$1 >= $2)');
+    _expressionEnv(source, individualId, extraContext = {}) {
+        const asOf = extraContext.asOf ?? null;
+        const self = individualId ? this._resultItem(individualId, asOf) : {};
 
-        // Handle $LE.property(value) -> $.property <= value
-        js = js.replace(/\$LE\.(\w+)\(([^)]+)\)/g, '($.$1 <= $2)');
-
-        // Handle $OR(...) -> (... || ...)
-        js = js.replace(/\$OR\(([^,]+),\s*([^)]+)\)/g, '($1 || $2)');
-
-        // Handle $AND(...) -> (... && ...)
-        js = js.replace(/\$AND\(([^,]+),\s*([^)]+)\)/g, '($1 && $2)');
+        const variables = {
+            $CurrentActor: extraContext.actor || this.currentActor || 'user',
+            $CurrentIndividual: individualId,
+            $Owner: individualId ? this.getOwner(individualId) : null,
+            $Now: new Date().toISOString(),
+            $Value: extraContext.value                  // For ValueCondition
+        };
+        Object.keys(extraContext).forEach(key => {
+            if (key.startsWith('$')) variables[key] = extraContext[key];
+        });
 
-        return js;
+        const env = {
+            source,
+            self,
+            variables,
+            host: {
+                member: (object, property) => this._accessProperty(object, property, asOf),
+                condition: (clause, value) => individualId
+                    ? this._checkCondition(individualId, { ...clause, value }, asOf)
+                    : this._compareValues(clause.name, self[clause.path[0]] ?? null, value),
+                // Subqueries see the same $, so their values can look up related individuals
+                query: node => this._evaluateQueryNode(node, asOf, env)
+            }
+        };
+        return env;
     },
 
     /**
@@ -2793,21 +4243,43 @@ const Memory = {
 
     // === Guards (Condition + SetValue/SetDo) ===
 
-    guards: [], // Active guards from models
+    // Events that change the guard set (extractGuards runs again after them)
+    guardSourceTypes: ['Model', 'Attribute', 'Relation', 'Condition', 'SetValue', 'SetDo'],
+
+    guards: [], // Guards from models, see getGuards()
+    dataflowMaxEvents: 1000, // Safety limit for one propagate() run (CreateIndividual chains)
+    guardCycles: [], // Guard id cycles in the dependency graph
+    clockFunctions: ['Now', 'Today', 'Age'], // Functions whose value depends on $Now
+    _guardCache: null,
+
+    /**
+     * Guards of all models, extracted again when Model/Attribute/Condition/...
+     * events arrived since the last extraction
+     */
+    getGuards() {
+        const index = this._getIndex();
+        const cache = this._guardCache;
+        if (!cache || cache.index !== index || cache.revision !== index.guardRevision) {
+            this.extractGuards();
+        }
+        return this.guards;
+    },
 
     /**
      * Extract guards from all models in memory
-     * Guard = { model, attribute, condition, action, actionType }
+     * Guard = { id, model, attribute, condition, action, actionType, reads, readsRelated, global, writes }
+     * reads: fields of the individual itself; readsRelated: fields read through
+     * relations or $Item; global: the guard runs a query
      */
     extractGuards() {
         this.guards = [];
 
         // Find all Model events
-        const modelEvents = this.events.filter(e => e.type === 'Model');
+        const modelEvents = this.getEventsByType('Model');
 
         modelEvents.forEach(modelEvent => {
             // Get nested events for this model
-            const nestedEvents = this.events.filter(e => e.base === modelEvent.id);
+            const nestedEvents = this.getEventsByBase(modelEvent.id);
 
             // Find Attribute/Relation events
             const attributes = nestedEvents.filter(e =>
@@ -2815,53 +4287,232 @@ const Memory = {
             );
 
             attributes.forEach(attr => {
-                // Get restrictions for this attribute
-                const attrNested = this.events.filter(e => e.base === attr.id);
+                // Get restrictions for this attribute (latest wins, as in getFieldRestrictions)
+                const attrNested = this.getEventsByBase(attr.id);
+                const latest = type => attrNested.filter(e => e.type === type).pop();
 
-                const conditionEvt = attrNested.find(e => e.type === 'Condition');
-                const setValueEvt = attrNested.find(e => e.type === 'SetValue');
-                const setDoEvt = attrNested.find(e => e.type === 'SetDo');
-                const defaultEvt = attrNested.find(e => e.type === 'Default');
+                const conditionEvt = latest('Condition');
+                const setValueEvt = latest('SetValue');
+                const setDoEvt = latest('SetDo');
+                const defaultEvt = latest('Default');
 
                 // Create guard if we have Condition + Action
                 if (conditionEvt && (setValueEvt || setDoEvt)) {
-                    this.guards.push({
-                        id: `guard_${attr.id}`,
-                        model: modelEvent.value,
-                        concept: modelEvent.base,
-                        attribute: attr.value,
-                        condition: conditionEvt.value,
-                        action: setValueEvt?.value || setDoEvt?.value,
-                        actionType: setValueEvt ? 'SetValue' : 'SetDo',
-                        default: defaultEvt?.value
-                    });
+                    this.guards.push(this._buildGuard(modelEvent, attr, conditionEvt.value,
+                        setValueEvt ? 'SetValue' : 'SetDo', setValueEvt?.value || setDoEvt?.value, defaultEvt?.value));
                 }
             });
         });
 
+        this.guardCycles = this._findGuardCycles(this.guards);
+        this.guardCycles.forEach(cycle => {
+            console.warn(`Guard cycle: ${cycle.join(' → ')} → ${cycle[0]}`);
+        });
+
+        const index = this._getIndex();
+        this._guardCache = { index, revision: index.guardRevision };
+
         console.log(`Extracted ${this.guards.length} guards from models`);
         return this.guards;
     },
 
+    /**
+     * Guard for a model field: Condition + SetValue/SetDo action, with its dependencies
+     */
+    _buildGuard(modelEvent, attr, conditionExpr, actionType, action, defaultValue) {
+        const condition = this._expressionReads(conditionExpr);
+        const effect = this._expressionReads(action);
+
+        return {
+            id: `guard_${attr.id}`,
+            model: modelEvent.value,
+            concept: modelEvent.base,
+            attribute: attr.value,
+            condition: conditionExpr,
+            action,
+            actionType,
+            default: defaultValue,
+            reads: new Set([...condition.reads, ...effect.reads]),
+            readsRelated: new Set([...condition.readsRelated, ...effect.readsRelated]),
+            global: condition.global || effect.global,
+            timed: condition.time, // Condition can become true by the clock alone (see scheduler)
+            writes: this._guardWrites(actionType, attr.value, action)
+        };
+    },
+
+    /**
+     * Guard running the SetDo of a model field as a workflow action
+     * A SetDo without Condition is not a guard, it runs only on demand (always true)
+     * @returns {Object|null}
+     */
+    getWorkflowGuard(modelName, field) {
+        const guard = this.getGuards().find(g =>
+            g.model === modelName && g.attribute === field && g.actionType === 'SetDo');
+        if (guard) return guard;
+
+        const modelEvent = this.getModelEvent(modelName);
+        const attr = modelEvent && this.getEventsByBase(modelEvent.id)
+            .find(e => (e.type === 'Attribute' || e.type === 'Relation') && e.value === field);
+        const setDo = attr && this.getEventsByBaseType(attr.id, 'SetDo').pop();
+        return setDo ? this._buildGuard(modelEvent, attr, 'true', 'SetDo', setDo.value) : null;
+    },
+
+    /**
+     * Fields an expression reads: $.a.b reads a on the individual and b
+     * on related individuals, $EQ.a.b(...) the same, $Item.c reads c on
+     * related individuals, $(...) makes it global
+     * time: the value can change with the clock ($Now, Now(), Today(), Age())
+     */
+    _expressionReads(expr) {
+        const result = { reads: new Set(), readsRelated: new Set(), global: false, time: false };
+        let tokens;
+        try {
+            tokens = BSLLexer.tokenize(String(expr ?? ''));
+        } catch (e) {
+            result.global = true; // Unreadable: re-evaluate on every change
+            return result;
+        }
+
+        tokens.forEach((token, i) => {
+            if (token.type === 'ident' && this.clockFunctions.includes(token.value) && tokens[i + 1].value === '(') {
+                result.time = true;
+            }
+            if (token.type !== 'var') return;
+            if (token.value === '$Now') {
+                result.time = true;
+                return;
+            }
+            if (token.value === '$' && tokens[i + 1].value === '(') {
+                result.global = true;
+                return;
+            }
+
+            // Path after the variable: .a.b / .^a
+            const path = [];
+            let j = i + 1;
+            while (tokens[j].type === 'punct' && tokens[j].value === '.') {
+                const caret = tokens[j + 1].type === 'punct' && tokens[j + 1].value === '^';
+                const segment = tokens[caret ? j + 2 : j + 1];
+                if (!segment || segment.type !== 'ident') break;
+                path.push({ field: segment.value, reverse: caret });
+                j += caret ? 3 : 2;
+            }
+            if (path.length === 0) return;
+
+            const name = token.value.substring(1);
+            const onSelf = token.value === '$' || token.value === '$$' || BSLParser.filterOperators.includes(name);
+            path.forEach((segment, k) => {
+                if (onSelf && k === 0 && !segment.reverse) {
+                    result.reads.add(segment.field);
+                } else {
+                    result.readsRelated.add(segment.field);
+                }
+            });
+        });
+
+        return result;
+    },
+
+    /**
+     * Fields a guard action writes
+     */
+    _guardWrites(actionType, attribute, action) {
+        if (actionType === 'SetValue') {
+            return new Set([attribute]);
+        }
+
+        let actions;
+        try {
+            actions = BSLParser.parseActions(String(action));
+        } catch (e) {
+            return new Set();
+        }
+
+        // Only names written as barewords are known before evaluation
+        const writes = new Set();
+        actions.forEach(node => {
+            const params = this.setDoActions[node.name] || [];
+            const arg = name => {
+                const argNode = node.args[params.indexOf(name)];
+                return argNode && argNode.type === 'Literal' ? String(argNode.value) : null;
+            };
+            if (node.name === 'CreateIndividual' && arg('concept')) {
+                writes.add(`SetModel:Model ${arg('concept')}`);
+            } else if (arg('property')) {
+                writes.add(arg('property'));
+            }
+        });
+        return writes;
+    },
+
+    /**
+     * Cycles in the guard dependency graph (guard A writes a field guard B reads)
+     * Returns arrays of guard ids, one per strongly connected component
+     */
+    _findGuardCycles(guards) {
+        const dependents = guard => guards.filter(other =>
+            other.global ||
+            [...guard.writes].some(field => field === `SetModel:${other.model}` ||
+                other.reads.has(field) || other.readsRelated.has(field))
+        );
+
+        // Tarjan's strongly connected components
+        const cycles = [];
+        const state = new Map();
+        const stack = [];
+        let counter = 0;
+
+        const visit = guard => {
+            const node = { index: counter, low: counter, onStack: true };
+            counter++;
+            state.set(guard, node);
+            stack.push(guard);
+
+            dependents(guard).forEach(next => {
+                const nextNode = state.get(next);
+                if (!nextNode) {
+                    visit(next);
+                    node.low = Math.min(node.low, state.get(next).low);
+                } else if (nextNode.onStack) {
+                    node.low = Math.min(node.low, nextNode.index);
+                }
+            });
+
+            if (node.low === node.index) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    state.get(member).onStack = false;
+                    component.push(member);
+                } while (member !== guard);
+
+                const selfLoop = component.length === 1 && dependents(guard).includes(guard);
+                if (component.length > 1 || selfLoop) {
+                    cycles.push(component.reverse().map(g => g.id));
+                }
+            }
+        };
+
+        guards.forEach(guard => {
+            if (!state.has(guard)) visit(guard);
+        });
+        return cycles;
+    },
+
     /**
      * Find active guards for an individual
      * Active = Condition evaluates to true
      */
     findActiveGuards(individualId) {
-        if (this.guards.length === 0) {
-            this.extractGuards();
-        }
-
         // Get individual's model
-        const setModelEvent = this.events.find(e =>
-            e.base === individualId && e.type === 'SetModel'
-        );
+        const setModelEvent = this.getSetModelEvent(individualId);
         const modelName = setModelEvent?.value;
 
         if (!modelName) return [];
 
         // Filter guards by model and check conditions
-        return this.guards
+        return this.getGuards()
             .filter(guard => guard.model === modelName)
             .filter(guard => {
                 return this.checkCondition(guard.condition, individualId);
@@ -2869,136 +4520,760 @@ const Memory = {
     },
 
     /**
-     * Execute one step of dataflow for an individual
-     * Returns generated events
+     * Guards a set of new events can make fire, with the individuals to check
+     * - SetModel: all guards of the model, for the new individual
+     * - field read on the individual itself: that individual
+     * - field read through relations, or a query: every individual of the model
+     * causes collects the ids of the events that made the pair pending
+     * @returns {Map} key → { guard, individual, causes }
+     */
+    _affectedGuards(events) {
+        const guards = this.getGuards();
+        const pairs = new Map();
+        const individualsOfModel = new Map();
+
+        const add = (guard, individual, event) => {
+            if (this.isDeleted(individual)) return;
+            const key = this._indexKey(guard.id, individual);
+            if (!pairs.has(key)) pairs.set(key, { guard, individual, causes: [] });
+            if (event.id) pairs.get(key).causes.push(event.id);
+        };
+        const addAll = (guard, event) => {
+            if (!individualsOfModel.has(guard.model)) {
+                const bases = this.getEventsByTypeValue('SetModel', guard.model).map(e => e.base);
+                individualsOfModel.set(guard.model, [...new Set(bases)]);
+            }
+            individualsOfModel.get(guard.model).forEach(individual => add(guard, individual, event));
+        };
+
+        events.forEach(event => {
+            if (!event) return;
+            if (event.type === 'SetModel') {
+                guards.filter(guard => guard.model === event.value).forEach(guard => add(guard, event.base, event));
+                return;
+            }
+
+            const modelName = this.getSetModelEvent(event.base)?.value;
+            guards.forEach(guard => {
+                if (guard.global || guard.readsRelated.has(event.type)) {
+                    addAll(guard, event);
+                } else if (guard.model === modelName && guard.reads.has(event.type)) {
+                    add(guard, event.base, event);
+                }
+            });
+        });
+
+        return pairs;
+    },
+
+    /**
+     * Merge pending guard pairs, keeping the causes of both
+     * New pairs are evaluated in the given iteration (wave of propagate)
+     */
+    _mergeGuardPairs(pending, pairs, iteration = 1) {
+        pairs.forEach((pair, key) => {
+            const existing = pending.get(key);
+            if (!existing) {
+                pending.set(key, { ...pair, causes: [...(pair.causes || [])], iteration });
+                return;
+            }
+            (pair.causes || []).forEach(id => {
+                if (!existing.causes.includes(id)) existing.causes.push(id);
+            });
+        });
+    },
+
+    /**
+     * Effects of the guard action for an individual (nothing is added yet)
+     * SetValue works as a computed field: it produces a derived property event
+     * only when the expression value differs from the current one.
+     * @returns {Object} { events: [eventData], subscriptions, errors }
+     */
+    _guardEffects(guard, individualId) {
+        if (guard.actionType === 'SetValue') {
+            const none = { events: [], subscriptions: [], errors: [] };
+            const value = this.evaluateExpression(guard.action, individualId);
+            if (value === null || value === undefined) return none;
+
+            const current = this.getLatestValue(individualId, guard.attribute);
+            if (current !== null && this._sameValue(current, value)) return none;
+
+            return {
+                ...none,
+                events: [{
+                    base: individualId,
+                    type: guard.attribute,
+                    value: value,
+                    actor: 'system',
+                    model: guard.model,
+                    derived: true
+                }]
+            };
+        }
+
+        const parsed = this.parseSetDo(guard.action, individualId);
+        if (parsed.errors.length > 0) {
+            return { events: [], subscriptions: [], errors: parsed.errors };
+        }
+        return this._setDoEvents(parsed.actions, guard);
+    },
+
+    /**
+     * Commit guard effects as one batch, then register its subscriptions
+     * @param {Array} [causes] - Ids of the triggering events, become the cause of generated properties
+     * @returns {Object} addEventBatch result
+     */
+    _applyEffects(effects, causes = []) {
+        if (effects.errors.length > 0) {
+            return { committed: false, events: [], errors: effects.errors };
+        }
+
+        const eventsData = effects.events.map(eventData =>
+            causes.length > 0 && eventData.type !== 'Individual' && eventData.type !== 'SetModel'
+                ? { ...eventData, cause: causes }
+                : eventData);
+        const batch = this.addEventBatch(eventsData);
+        if (batch.committed) {
+            effects.subscriptions.forEach(subscription => this.addSubscription(subscription));
+        }
+        return batch;
+    },
+
+    /**
+     * Compare a stored value with a computed one ("5" equals 5, lists by content)
+     */
+    _sameValue(stored, computed) {
+        if (stored === computed) return true;
+        if (typeof computed === 'object' || typeof stored === 'object') {
+            return JSON.stringify(stored) === JSON.stringify(computed);
+        }
+        return BSLTypes.equals(stored, computed);
+    },
+
+    /**
+     * Whether an event was generated by a SetValue guard rather than entered by a user
+     * Events synced back from the server lose the derived flag, so a system event
+     * on a field some SetValue writes counts as derived too
+     */
+    isDerivedEvent(event) {
+        if (!event) return false;
+        if (event.derived === true) return true;
+        if (event.actor !== 'system') return false;
+
+        const modelName = this.getSetModelEvent(event.base)?.value;
+        return this.getGuards().some(guard =>
+            guard.actionType === 'SetValue' && guard.model === modelName && guard.attribute === event.type);
+    },
+
+    /**
+     * Whether the current value of a field was computed by a SetValue guard
+     */
+    isDerivedField(individualId, field) {
+        const latest = this.getEventsByBaseType(individualId, field)
+            .reverse()
+            .sort((a, b) => (Date.parse(b.date) || 0) - (Date.parse(a.date) || 0))[0];
+        return this.isDerivedEvent(latest);
+    },
+
+    /**
+     * Propagate new events through the guards until nothing changes
+     * Only guards reading a changed field are evaluated, for every individual
+     * the change can affect; events they generate propagate the same way.
+     * SetValue guards recompute their field when an input changes; a guard
+     * changes a field at most once per individual and run: changing it
+     * again means a cycle, which is reported instead of repeated.
+     * The events of one firing are committed atomically; a firing whose events
+     * fail validation adds nothing and is reported in failed.
+     * @param {Array} events - Newly added events
+     * @param {Map} [seed] - Extra { guard, individual } pairs to evaluate
+     * @returns {Object} { events, evaluations, cycles: [{ guard, individual }],
+     *   failed: [{ guard, individual, errors }], limitReached, trace }
+     *   trace: one step per evaluation { iteration, guard, attribute, actionType,
+     *   individual, trigger, condition, inputs, result, action, events, errors },
+     *   action: 'skipped' | 'unchanged' | 'fired' | 'cycle' | 'rejected'
+     */
+    propagate(events, seed = null) {
+        const pending = new Map();
+        this._mergeGuardPairs(pending, this._affectedGuards(events));
+        if (seed) this._mergeGuardPairs(pending, seed);
+
+        const fired = new Set();
+        const generated = [];
+        const cycles = [];
+        const failed = [];
+        const trace = [];
+        let evaluations = 0;
+        let limitReached = false;
+
+        while (pending.size > 0) {
+            if (generated.length >= this.dataflowMaxEvents) {
+                console.warn(`Dataflow stopped after ${generated.length} events, ${pending.size} guards pending`);
+                limitReached = true;
+                break;
+            }
+
+            const [key, { guard, individual, causes, iteration }] = pending.entries().next().value;
+            pending.delete(key);
+
+            evaluations++;
+            const step = {
+                iteration,
+                guard: guard.id,
+                attribute: guard.attribute,
+                actionType: guard.actionType,
+                individual,
+                trigger: causes || [],
+                condition: guard.condition,
+                inputs: this._guardInputs(guard, individual),
+                result: this.checkCondition(guard.condition, individual),
+                action: 'skipped',
+                events: [],
+                errors: []
+            };
+            trace.push(step);
+            if (!step.result) continue;
+
+            const effects = this._guardEffects(guard, individual);
+            if (effects.events.length === 0 && effects.subscriptions.length === 0 && effects.errors.length === 0) {
+                step.action = 'unchanged';
+                continue;
+            }
+
+            if (fired.has(key)) {
+                // Changing the field again in the same run means its inputs depend on it
+                console.warn(`Dataflow cycle: ${guard.id} fired again for ${individual}`);
+                cycles.push({ guard: guard.id, individual });
+                step.action = 'cycle';
+                continue;
+            }
+
+            // Generated properties are caused by the events that triggered the guard
+            const batch = this._applyEffects(effects, causes || []);
+            if (!batch.committed) {
+                console.warn(`Dataflow: ${guard.id} for ${individual} rejected:`, batch.errors.map(e => e.message).join('; '));
+                failed.push({ guard: guard.id, individual, errors: batch.errors });
+                step.action = 'rejected';
+                step.errors = batch.errors;
+                continue;
+            }
+
+            const produced = batch.events;
+            fired.add(key);
+            step.action = 'fired';
+            step.events = produced.map(e => ({ id: e.id, base: e.base, type: e.type, value: e.value }));
+            if (produced.length === 0) continue;
+
+            generated.push(...produced);
+            this._mergeGuardPairs(pending, this._affectedGuards(produced), iteration + 1);
+        }
+
+        console.log(`Dataflow: ${evaluations} guard evaluations, ${generated.length} events`);
+        const result = { events: generated, evaluations, cycles, failed, limitReached, trace };
+        this._recordTrace(events, result);
+        return result;
+    },
+
+    /**
+     * Values a guard reads on the individual, for the trace
+     */
+    _guardInputs(guard, individualId) {
+        const state = this._individualState(individualId);
+        const inputs = {};
+        guard.reads.forEach(field => {
+            inputs[field] = state[field] ?? null;
+        });
+        if (guard.timed) {
+            inputs.$Now = new Date().toISOString();
+        }
+        return inputs;
+    },
+
+    dataflowTraces: [], // Recent propagate() runs, oldest first (see getDataflowTraces)
+    dataflowTraceLimit: 50,
+
+    /**
+     * Keep a propagate() run for the debugger
+     * Previews (dryRun, debugGuard) are returned to the caller only
+     */
+    _recordTrace(events, result) {
+        if (this._batch || result.trace.length === 0) return;
+
+        this.dataflowTraces.push({
+            id: `run_${Date.now().toString(36)}_${this.dataflowTraces.length}`,
+            date: new Date().toISOString(),
+            trigger: events.filter(Boolean).map(e => e.id),
+            steps: result.trace,
+            events: result.events.map(e => e.id),
+            cycles: result.cycles,
+            failed: result.failed,
+            limitReached: result.limitReached
+        });
+        if (this.dataflowTraces.length > this.dataflowTraceLimit) {
+            this.dataflowTraces.splice(0, this.dataflowTraces.length - this.dataflowTraceLimit);
+        }
+    },
+
+    /**
+     * Recorded dataflow runs that evaluated a guard for the individual, newest first
+     */
+    getDataflowTraces(individualId) {
+        return this.dataflowTraces
+            .filter(run => run.steps.some(step => step.individual === individualId))
+            .reverse();
+    },
+
+    /**
+     * Re-run a guard for an individual with edited inputs; nothing is kept
+     * @param {string} guardId
+     * @param {string} individualId
+     * @param {Object} [inputs] - field → value, added (temporarily) before the run
+     * @returns {Object|null} { trace, events, errors } - errors: rejected inputs
+     */
+    debugGuard(guardId, individualId, inputs = {}) {
+        const guard = this.getGuards().find(g => g.id === guardId);
+        if (!guard) return null;
+
+        const preview = this.dryRun(() => {
+            Object.entries(inputs).forEach(([type, value]) => {
+                this.addEvent({ base: individualId, type, value, actor: this.currentActor || 'user' });
+            });
+            return this.executeToFixpoint(individualId, [guard]);
+        });
+
+        return {
+            trace: preview.result.trace,
+            events: preview.result.events.map(e => ({ id: e.id, base: e.base, type: e.type, value: e.value })),
+            errors: preview.errors
+        };
+    },
+
+    // SetDo actions and their parameters, in argument order
+    setDoActions: {
+        CreateIndividual: ['concept', 'name'],
+        SetProperty: ['individual', 'property', 'value'],
+        AppendValue: ['individual', 'property', 'value'],       // Multiple fields: adds a value
+        LinkRelation: ['individual', 'property', 'target'],     // Relation fields: target individual
+        DeleteIndividual: ['individual'],
+        RestoreIndividual: ['individual'],
+        CreateSubscription: ['waitFor', 'waitProperty', 'individual', 'property', 'value']
+    },
+
+    /**
+     * Parse SetDo expression: one action or a sequence separated by ';'
+     * Arguments are evaluated for the individual, barewords are names:
+     *   CreateIndividual(Task, Concat("review_", $.id)); LinkRelation($.id, review, Concat("review_", $.id))
+     * @returns {Object} { actions: [{ action, ...parameters }], errors }
+     */
+    parseSetDo(expr, individualId) {
+        const source = String(expr);
+        const fail = message => ({
+            actions: [],
+            errors: [{ type: 'Semantic Error', code: this.errorCodes.action, message: `SetDo: ${message}` }]
+        });
+
+        let nodes;
+        try {
+            nodes = BSLParser.parseActions(source);
+        } catch (e) {
+            return fail(e.format ? e.format() : e.message);
+        }
+
+        const env = this._expressionEnv(source, individualId);
+        const actions = [];
+        for (const node of nodes) {
+            const params = this.setDoActions[node.name];
+            if (!params) {
+                return fail(`Unknown action '${node.name}'`);
+            }
+            if (node.args.length !== params.length) {
+                return fail(`${node.name} expects ${params.length} argument(s), got ${node.args.length}`);
+            }
+
+            const action = { action: node.name };
+            try {
+                params.forEach((param, i) => {
+                    action[param] = BSLInterpreter.evaluate(node.args[i], env);
+                });
+            } catch (e) {
+                return fail(e.format ? e.format() : e.message);
+            }
+            actions.push(action);
+        }
+
+        return { actions, errors: [] };
+    },
+
+    /**
+     * Execute parsed SetDo actions as one batch (all events or none)
+     * @returns {Object} addEventBatch result
+     */
+    executeSetDo(actions, guard) {
+        return this._applyEffects(this._setDoEvents(actions, guard));
+    },
+
+    /**
+     * Events and subscriptions parsed SetDo actions generate (not added yet)
+     * Actions that change nothing (value already there, individual already
+     * deleted) generate no events.
+     * @returns {Object} { events: [eventData], subscriptions, errors }
+     */
+    _setDoEvents(actions, guard) {
+        const events = [];
+        const subscriptions = [];
+        const errors = [];
+        const createdModels = {}; // Individuals created earlier in the sequence
+        const modelOf = individual => createdModels[individual] || this.getSetModelEvent(individual)?.value || guard.model;
+        const fail = (action, message) => errors.push({
+            type: 'Semantic Error',
+            code: this.errorCodes.action,
+            message: `${action.action}: ${message}`
+        });
+        const hasValue = (individual, property, value) =>
+            this.getEventsByBaseType(individual, property).some(e => this._sameValue(e.value, value)) ||
+            events.some(e => e.base === individual && e.type === property && this._sameValue(e.value, value));
+
+        actions.forEach(action => {
+            if (action.action !== 'CreateIndividual' && action.action !== 'CreateSubscription' &&
+                (action.individual === null || action.individual === undefined || action.individual === '')) {
+                fail(action, 'individual is empty');
+                return;
+            }
+
+            switch (action.action) {
+                case 'CreateIndividual': {
+                    // Create new individual
+                    events.push({
+                        base: action.concept,
+                        type: 'Individual',
+                        value: action.name,
+                        actor: 'system'
+                    });
+
+                    // Set model for new individual
+                    const modelName = `Model ${action.concept}`;
+                    createdModels[action.name] = modelName;
+                    events.push({
+                        base: action.name,
+                        type: 'SetModel',
+                        value: modelName,
+                        actor: 'system',
+                        model: modelName
+                    });
+                    break;
+                }
+
+                case 'SetProperty':
+                    events.push({
+                        base: action.individual,
+                        type: action.property,
+                        value: action.value,
+                        actor: 'system',
+                        model: modelOf(action.individual)
+                    });
+                    break;
+
+                case 'AppendValue': {
+                    const model = modelOf(action.individual);
+                    const restrictions = this.getFieldRestrictions(model, action.property);
+                    if (!this._isRequiredValue(restrictions.multiple)) {
+                        fail(action, `'${action.property}' is not a Multiple field of ${model}`);
+                        break;
+                    }
+                    if (hasValue(action.individual, action.property, action.value)) break;
+                    events.push({
+                        base: action.individual,
+                        type: action.property,
+                        value: action.value,
+                        actor: 'system',
+                        model
+                    });
+                    break;
+                }
+
+                case 'LinkRelation': {
+                    const model = modelOf(action.individual);
+                    const field = this.getModelSchema(model)?.fields[action.property];
+                    if (!field || field.kind !== 'Relation') {
+                        fail(action, `'${action.property}' is not a Relation of ${model}`);
+                        break;
+                    }
+                    const linked = field.multiple
+                        ? hasValue(action.individual, action.property, action.target)
+                        : this._sameValue(this.getLatestValue(action.individual, action.property), action.target);
+                    if (linked) break;
+                    events.push({
+                        base: action.individual,
+                        type: action.property,
+                        value: action.target,
+                        actor: 'system',
+                        model
+                    });
+                    break;
+                }
+
+                case 'DeleteIndividual':
+                case 'RestoreIndividual': {
+                    const deleting = action.action === 'DeleteIndividual';
+                    const exists = createdModels[action.individual] ||
+                        this.getEventsByTypeValue('Individual', action.individual).length > 0;
+                    if (!exists) {
+                        fail(action, `individual '${action.individual}' not found`);
+                        break;
+                    }
+                    if (this.isDeleted(action.individual) === deleting) break;
+                    const compensating = deleting ? 'Delete' : 'Restore';
+                    events.push({
+                        base: compensating,
+                        type: 'Individual',
+                        value: action.individual,
+                        actor: 'system',
+                        model: compensating
+                    });
+                    break;
+                }
+
+                case 'CreateSubscription':
+                    subscriptions.push({
+                        condition: { base: action.waitFor, type: action.waitProperty },
+                        eventToCreate: {
+                            base: action.individual,
+                            type: action.property,
+                            value: action.value,
+                            model: modelOf(action.individual)
+                        },
+                        actor: 'system'
+                    });
+                    break;
+            }
+        });
+
+        return { events: errors.length > 0 ? [] : events, subscriptions: errors.length > 0 ? [] : subscriptions, errors };
+    },
+
+    /**
+     * Execute dataflow to fixpoint for an individual
+     * Evaluates all guards of the individual's model (or the given ones), then propagates
+     * @param {string} individualId
+     * @param {Array} [guards] - Guards to start from (workflow action)
+     * @returns {Object} propagate() result
+     */
+    executeToFixpoint(individualId, guards = null) {
+        const modelName = this.getSetModelEvent(individualId)?.value;
+        const seed = new Map();
+        (guards || this.getGuards().filter(guard => guard.model === modelName))
+            .forEach(guard => seed.set(this._indexKey(guard.id, individualId), { guard, individual: individualId, causes: [] }));
+
+        return this.propagate([], seed);
+    },
+
+    /**
+     * Run fn against the store, then remove every event and subscription it added
+     * Used to preview what an action would generate; nothing is persisted meanwhile
+     * @returns {Object} { result, events, errors } - fn's return value, the events
+     *   it added and the validation errors of events it could not add
      */
-    executeDataflowStep(individualId) {
-        const activeGuards = this.findActiveGuards(individualId);
-        const generatedEvents = [];
+    dryRun(fn) {
+        if (this._batch) {
+            throw new Error('dryRun cannot run inside a batch');
+        }
 
-        activeGuards.forEach(guard => {
-            if (guard.actionType === 'SetValue') {
-                // Check if value already exists
-                const existing = this.events.find(e =>
-                    e.base === individualId && e.type === guard.attribute
-                );
+        const start = this.events.length;
+        const subscriptionCount = this.subscriptions.length;
+        const batch = { events: [], errors: [] };
+        this._batch = batch;
+        this._persistenceSuspended = true;
+        try {
+            const result = fn();
+            return { result, events: [...batch.events], errors: [...batch.errors] };
+        } finally {
+            this._persistenceSuspended = false;
+            this._batch = null;
+            this.events.splice(start);
+            this.subscriptions.splice(subscriptionCount);
+            this.reindexEvents();
+        }
+    },
 
-                if (!existing) {
-                    // Evaluate SetValue expression
-                    const value = this.evaluateExpression(guard.action, individualId);
-
-                    if (value !== null && value !== undefined) {
-                        const event = this.addEvent({
-                            base: individualId,
-                            type: guard.attribute,
-                            value: value,
-                            actor: 'system',
-                            model: guard.model
-                        });
-                        generatedEvents.push(event);
-                    }
-                }
-            } else if (guard.actionType === 'SetDo') {
-                // Parse and execute SetDo action
-                const action = this.parseSetDo(guard.action, individualId);
-                if (action) {
-                    const events = this.executeSetDo(action, guard);
-                    generatedEvents.push(...events);
-                }
-            }
-        });
+    // === Scheduler (guards whose Condition reads the clock) ===
+
+    schedule: [], // [{ guard, individual, at }] sorted by at (epoch ms), persisted
+    schedulerHorizon: 366 * 24 * 3600 * 1000, // Look ahead at most a year
+    _scheduleTimer: null,
+    _schedulerStarted: false,
+
+    /**
+     * Start the scheduler: run entries that came due while the app was closed,
+     * then plan every time-based guard and arm the timer
+     */
+    startScheduler() {
+        this._schedulerStarted = true;
+        this.schedule = this.loadFromStorage(CONFIG.storage.schedule) || [];
+
+        // Deadlines that passed before anything was scheduled: SetValue only
+        // writes changed values, so every timed one can run now; SetDo runs
+        // where its Condition became true since the last run (any, on the first)
+        const now = Date.now();
+        const lastRun = this.loadFromStorage(CONFIG.storage.scheduleRun);
+        this._timedPairs()
+            .filter(({ guard, individual }) => guard.actionType === 'SetValue' ||
+                (this._guardHoldsAt(guard, individual, now) && !(lastRun && this._guardHoldsAt(guard, individual, lastRun))))
+            .forEach(({ guard, individual }) => this.schedule.push({ guard: guard.id, individual, at: 0 }));
+
+        const result = this.runDueGuards(now);
+        this.rescheduleGuards();
+        return result;
+    },
 
-        return generatedEvents;
+    stopScheduler() {
+        this._schedulerStarted = false;
+        clearTimeout(this._scheduleTimer);
+        this._scheduleTimer = null;
     },
 
     /**
-     * Parse SetDo expression
-     * Supports: CreateIndividual(Concept, Name), SetProperty(Individual, Property, Value)
+     * Next instant (epoch ms) the guard's Condition becomes true for the individual
+     * null if it holds already or stays false within the horizon.
+     * The Condition is evaluated with $Now moved ahead: at doubling steps and at
+     * the dates the guard reads, then the first change is narrowed down to a second.
      */
-    parseSetDo(expr, individualId) {
-        if (expr.startsWith('CreateIndividual(')) {
-            const match = expr.match(/CreateIndividual\(\s*(\w+)\s*,\s*(.+?)\s*\)/);
-            if (match) {
-                const name = this.evaluateExpression(match[2], individualId);
-                return { action: 'CreateIndividual', concept: match[1], name };
-            }
+    nextGuardFlip(guard, individualId, from = Date.now()) {
+        const holds = at => this._guardHoldsAt(guard, individualId, at);
+        if (holds(from)) return null;
+
+        const horizon = from + this.schedulerHorizon;
+        const probes = new Set([horizon]);
+        for (let step = 60 * 1000; from + step < horizon; step *= 2) {
+            probes.add(from + step);
         }
 
-        if (expr.startsWith('SetProperty(')) {
-            const match = expr.match(/SetProperty\(\s*(.+?)\s*,\s*(\w+)\s*,\s*(.+?)\s*\)/);
-            if (match) {
-                const individual = this.evaluateExpression(match[1], individualId);
-                const value = this.evaluateExpression(match[3], individualId);
-                return { action: 'SetProperty', individual, property: match[2], value };
+        // Conditions like $Now > $.due_date flip right at the date
+        const state = this._individualState(individualId);
+        guard.reads.forEach(field => {
+            [].concat(state[field] ?? []).forEach(value => {
+                const time = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) ? Date.parse(value) : NaN;
+                if (time > from && time < horizon) {
+                    probes.add(time);
+                    probes.add(time + 1000);
+                }
+            });
+        });
+
+        let previous = from;
+        for (const at of [...probes].sort((a, b) => a - b)) {
+            if (holds(at)) {
+                // First change lies in (previous, at]
+                let low = previous;
+                let high = at;
+                while (high - low > 1000) {
+                    const middle = Math.floor((low + high) / 2);
+                    if (holds(middle)) {
+                        high = middle;
+                    } else {
+                        low = middle;
+                    }
+                }
+                return high;
             }
+            previous = at;
         }
-
         return null;
     },
 
     /**
-     * Execute SetDo action
+     * Whether the guard's Condition holds for the individual at a moment (epoch ms)
      */
-    executeSetDo(action, guard) {
-        const events = [];
+    _guardHoldsAt(guard, individualId, at) {
+        return this.checkCondition(guard.condition, individualId, { $Now: new Date(at).toISOString() });
+    },
 
-        if (action.action === 'CreateIndividual') {
-            // Create new individual
-            events.push(this.addEvent({
-                base: action.concept,
-                type: 'Individual',
-                value: action.name,
-                actor: 'system'
-            }));
+    /**
+     * Plan time-based guards: all of them, or only the given pairs
+     * The schedule is saved only when it changed
+     * @param {Map} [pairs] - { guard, individual } pairs, as from _affectedGuards
+     * @param {Array} [done] - entries that ran, dropped unless planned again
+     * @returns {Array} schedule
+     */
+    rescheduleGuards(pairs = null, done = []) {
+        const targets = pairs ? [...pairs.values()].filter(pair => pair.guard.timed) : this._timedPairs();
+        if (pairs && targets.length === 0 && done.length === 0) return this.schedule;
 
-            // Set model for new individual
-            const modelName = `Model ${action.concept}`;
-            events.push(this.addEvent({
-                base: action.name,
-                type: 'SetModel',
-                value: modelName,
-                actor: 'system',
-                model: modelName
-            }));
-        }
+        const replaced = new Set([
+            ...targets.map(target => this._indexKey(target.guard.id, target.individual)),
+            ...done.map(entry => this._indexKey(entry.guard, entry.individual))
+        ]);
+        const schedule = pairs
+            ? this.schedule.filter(entry => !replaced.has(this._indexKey(entry.guard, entry.individual)))
+            : [];
 
-        if (action.action === 'SetProperty') {
-            events.push(this.addEvent({
-                base: action.individual,
-                type: action.property,
-                value: action.value,
-                actor: 'system',
-                model: guard.model
-            }));
-        }
+        const now = Date.now();
+        targets.forEach(({ guard, individual }) => {
+            if (this.isDeleted(individual)) return;
+            const at = this.nextGuardFlip(guard, individual, now);
+            if (at !== null) {
+                schedule.push({ guard: guard.id, individual, at });
+            }
+        });
 
-        return events;
+        schedule.sort((a, b) => a.at - b.at);
+        if (JSON.stringify(schedule) !== JSON.stringify(this.schedule)) {
+            this.schedule = schedule;
+            this.saveToStorage(CONFIG.storage.schedule, this.schedule);
+        }
+        this._armScheduleTimer();
+        return this.schedule;
     },
 
     /**
-     * Execute dataflow to fixpoint for an individual
-     * @param {string} individualId
-     * @param {number} maxIterations - Safety limit
-     * @returns {Object} { iterations, events }
+     * Time-based guards with every individual of their model
+     * @returns {Array} [{ guard, individual }]
      */
-    executeToFixpoint(individualId, maxIterations = 10) {
-        let iteration = 0;
-        const allEvents = [];
-
-        while (iteration < maxIterations) {
-            const newEvents = this.executeDataflowStep(individualId);
+    _timedPairs() {
+        const pairs = [];
+        this.getGuards().filter(guard => guard.timed).forEach(guard => {
+            const individuals = new Set(this.getEventsByTypeValue('SetModel', guard.model).map(e => e.base));
+            individuals.forEach(individual => pairs.push({ guard, individual }));
+        });
+        return pairs;
+    },
 
-            if (newEvents.length === 0) {
-                // Fixpoint reached
-                break;
+    /**
+     * Run the dataflow for schedule entries that are due, then plan those pairs again
+     * (pairs whose inputs the run changed are planned as their events arrive)
+     * @returns {Object} propagate() result, null if nothing was due
+     */
+    runDueGuards(now = Date.now()) {
+        const guards = this.getGuards();
+        const due = this.schedule.filter(entry => entry.at <= now);
+        const seed = new Map();
+        due.forEach(entry => {
+            const guard = guards.find(g => g.id === entry.guard);
+            if (guard) {
+                seed.set(this._indexKey(guard.id, entry.individual), { guard, individual: entry.individual, causes: [] });
             }
+        });
+
+        const result = seed.size > 0 ? this.propagate([], seed) : null;
+        this.saveToStorage(CONFIG.storage.scheduleRun, now);
+        this.rescheduleGuards(seed, due);
 
-            allEvents.push(...newEvents);
-            iteration++;
+        if (result && result.events.length > 0) {
+            if (typeof renderEvents === 'function') renderEvents();
+            if (typeof renderWidgets === 'function') renderWidgets();
         }
+        return result;
+    },
 
-        console.log(`Dataflow fixpoint: ${iteration} iterations, ${allEvents.length} events`);
-        return { iterations: iteration, events: allEvents };
+    /**
+     * Wake up at the first schedule entry
+     */
+    _armScheduleTimer() {
+        clearTimeout(this._scheduleTimer);
+        this._scheduleTimer = null;
+        if (!this._schedulerStarted || this.schedule.length === 0) return;
+
+        // setTimeout takes 32-bit delays: far entries wake up early and re-arm
+        const delay = Math.min(Math.max(this.schedule[0].at - Date.now(), 0), 0x7fffffff);
+        this._scheduleTimer = setTimeout(() => this.runDueGuards(), delay);
     },
 
     // ========================================
@@ -3016,8 +5291,11 @@ const Memory = {
         unique: 'VALUE_003',
         uniqueidentifier: 'VALUE_003',
         multiple: 'VALUE_004',
+        cardinality: 'VALUE_004',
+        invariant: 'VALUE_006',
         immutable: 'SEMANTIC_005',
         permission: 'SEMANTIC_008',
+        action: 'SEMANTIC_009',
         cause_invalid: 'CAUSE_001',
         cause_cycle: 'CAUSE_002'
     },
@@ -3029,6 +5307,7 @@ const Memory = {
      * Per BSL spec validates:
      * - Required: обязательность заполнения
      * - Multiple: множественность значений
+     * - Cardinality: число значений min..max (максимум; минимум - getMissingFields)
      * - DataType: тип данных (Numeric, Boolean, Text, DateTime, EnumType)
      * - Range: диапазон значений для Relation
      * - ValueCondition: валидация значения выражением
@@ -3036,15 +5315,22 @@ const Memory = {
      * - UniqueIdentifier: глобальная уникальность
      * - Immutable: запрет изменения
      * - Permission: права доступа актора
+     *
+     * Model-level Invariant restrictions span fields: see validateInvariants
+     * Fields never filled in (Required, Cardinality minimum): see getMissingFields
+     *
+     * @param {Object} [options] - includeSystem: also check system events
+     *   (generated by SetValue/SetDo), Permission excepted
      */
-    validateEvent(eventData) {
+    validateEvent(eventData, options = {}) {
         const base = eventData.base;
         const type = eventData.type;
         const value = eventData.value;
         const actor = eventData.actor || 'user';
+        const systemActor = actor === 'System' || actor === 'system' || actor === 'genesis';
 
         // Skip validation for system/genesis events
-        if (actor === 'System' || actor === 'system' || actor === 'genesis') {
+        if (systemActor && !options.includeSystem) {
             return { valid: true, errors: [] };
         }
 
@@ -3055,9 +5341,7 @@ const Memory = {
         }
 
         // Get model for this individual
-        const setModelEvent = this.events.find(e =>
-            e.base === base && e.type === 'SetModel'
-        );
+        const setModelEvent = this.getSetModelEvent(base);
 
         if (!setModelEvent) {
             return { valid: true, errors: [] }; // No model = no validation
@@ -3134,6 +5418,14 @@ const Memory = {
             }
         }
 
+        // Validate Cardinality (the maximum; missing values: getMissingFields)
+        if (restrictions.cardinality !== undefined && !this._isEmpty(value)) {
+            const cardinalityError = this._validateCardinality(restrictions, value, base, type);
+            if (cardinalityError) {
+                errors.push(cardinalityError);
+            }
+        }
+
         // Validate Immutable
         if (restrictions.immutable && this._isRequiredValue(restrictions.immutable)) {
             const immutableError = this._validateImmutable(value, base, type);
@@ -3143,7 +5435,7 @@ const Memory = {
         }
 
         // Validate Permission
-        if (restrictions.permission) {
+        if (restrictions.permission && !systemActor) {
             const permissionError = this._validatePermission(restrictions.permission, actor, type);
             if (permissionError) {
                 errors.push(permissionError);
@@ -3156,6 +5448,232 @@ const Memory = {
         };
     },
 
+    /**
+     * Model-level invariants: Invariant restrictions on the Model event,
+     * checked against the whole individual (cross-field rules)
+     * e.g. Model Booking: Invariant: $.end_date == null || $.end_date > $.start_date
+     * A Description on the Invariant event replaces the default error message
+     * @returns {Array} [{ id, expression, message, fields }] - fields: what the expression reads
+     */
+    getModelInvariants(modelName) {
+        const modelEvent = this.getModelEvent(modelName);
+        if (!modelEvent) return [];
+
+        return this.getEventsByBaseType(modelEvent.id, 'Invariant').map(event => ({
+            id: event.id,
+            expression: String(event.value),
+            message: this.getEventsByBaseType(event.id, 'Description').pop()?.value || null,
+            fields: [...this._expressionReads(event.value).reads]
+        }));
+    },
+
+    /**
+     * Check the model invariants of an individual against its current state
+     * (inside a batch or dryRun the staged events are part of it)
+     * Returns { valid: true } or { valid: false, errors: [...] }
+     */
+    validateInvariants(individualId) {
+        const modelName = this.getSetModelEvent(individualId)?.value;
+        if (!modelName || this.isDeleted(individualId)) {
+            return { valid: true, errors: [] };
+        }
+
+        const errors = [];
+        this.getModelInvariants(modelName).forEach(invariant => {
+            const { value, error } = this.evaluateExpressionResult(invariant.expression, individualId);
+            if (error) {
+                // Skip validation on expression error (as ValueCondition)
+                console.warn(`Invariant evaluation error '${invariant.expression}':`, error.message);
+                return;
+            }
+            if (value === true || value === 1 || value === 'true' || value === '1') return;
+
+            errors.push({
+                type: 'Value Error',
+                code: this.errorCodes.invariant,
+                message: invariant.message || `${modelName}: '${invariant.expression}' is not satisfied`,
+                field: invariant.fields[0] || null,
+                fields: invariant.fields,
+                invariant: invariant.id,
+                individual: individualId
+            });
+        });
+
+        return { valid: errors.length === 0, errors };
+    },
+
+    /**
+     * Invariants broken by a set of events (their individuals, with the events applied)
+     */
+    _invariantErrors(events) {
+        const individuals = new Set(events.filter(Boolean).map(e => e.type === 'Individual' ? e.value : e.base));
+        return [...individuals].flatMap(id => this.validateInvariants(id).errors);
+    },
+
+    /**
+     * Check which invariants events would break, without adding them
+     * Forms add their events one by one, so they check the whole submit first
+     * @param {Array} eventsData - Prospective events (addEvent input)
+     * @returns {Object} { valid, errors }
+     */
+    checkInvariants(eventsData) {
+        const preview = this.dryRun(() => {
+            eventsData.forEach(eventData => this.addEvent(eventData));
+            return this._invariantErrors(eventsData);
+        });
+        return { valid: preview.result.length === 0, errors: preview.result };
+    },
+
+    /**
+     * Parse a Cardinality restriction: "1..3", "1..*", "2" (exactly two)
+     * @returns {Object|null} { min, max } - max null: unbounded; null if unreadable
+     */
+    _parseCardinality(value) {
+        const match = String(value ?? '').trim().match(/^(\d+)(?:\s*\.\.\s*(\d+|\*|n))?$/i);
+        if (!match) return null;
+
+        const min = parseInt(match[1]);
+        const max = match[2] === undefined ? min : (/^\d+$/.test(match[2]) ? parseInt(match[2]) : null);
+        return max !== null && max < min ? null : { min, max };
+    },
+
+    /**
+     * Fields of an individual with fewer values than Required/Cardinality ask for
+     * validateEvent only sees fields that get an event; a field never filled in
+     * is found here. Required needs one value, Cardinality "n..m" at least n.
+     * @returns {Array} [{ type, code, message, field, restriction, min, count }]
+     */
+    getMissingFields(individualId) {
+        const modelName = this.getSetModelEvent(individualId)?.value;
+        const modelEvent = modelName ? this.getModelEvent(modelName) : null;
+        if (!modelEvent || this.isDeleted(individualId)) return [];
+
+        const state = this._individualState(individualId);
+        const missing = [];
+        this.getEventsByBase(modelEvent.id)
+            .filter(e => e.type === 'Attribute' || e.type === 'Relation')
+            .forEach(fieldEvent => {
+                const field = fieldEvent.value;
+                const bounds = this._fieldCardinality(this.getFieldRestrictions(modelName, field));
+                if (bounds.min === 0) return;
+
+                const count = this._activeValues(state, modelName, field).length;
+                if (count >= bounds.min) return;
+
+                const error = this._cardinalityError(field, bounds, count);
+                missing.push({ ...error, min: bounds.min, count });
+            });
+
+        return missing;
+    },
+
+    /**
+     * Value count bounds of a field from Required, Multiple and Cardinality
+     * Without Cardinality a field holds one value, any number with Multiple
+     * @returns {Object} { min, max, multiple, required } - max null: unbounded
+     */
+    _fieldCardinality(restrictions) {
+        const required = this._isRequiredValue(restrictions.required);
+        const cardinality = this._parseCardinality(restrictions.cardinality);
+        const multiple = this._isRequiredValue(restrictions.multiple) ||
+            !!(cardinality && (cardinality.max === null || cardinality.max > 1));
+        const min = Math.max(required ? 1 : 0, cardinality ? cardinality.min : 0);
+        const max = cardinality ? cardinality.max : (multiple ? null : 1);
+        return { min, max: max === null ? null : Math.max(max, min), multiple, required };
+    },
+
+    /**
+     * Error for a value count outside the bounds of a field
+     */
+    _cardinalityError(field, bounds, count) {
+        if (count < bounds.min) {
+            const byRequired = bounds.required && bounds.min === 1;
+            return {
+                type: 'Value Error',
+                code: byRequired ? this.errorCodes.required : this.errorCodes.cardinality,
+                message: byRequired
+                    ? `Field '${field}' is required`
+                    : `Field '${field}' needs at least ${bounds.min} value(s), has ${count}`,
+                field,
+                restriction: byRequired ? 'Required' : 'Cardinality'
+            };
+        }
+        if (bounds.max !== null && count > bounds.max) {
+            return {
+                type: 'Value Error',
+                code: this.errorCodes.cardinality,
+                message: `Field '${field}' allows at most ${bounds.max} value(s), has ${count}`,
+                field,
+                restriction: 'Cardinality'
+            };
+        }
+        return null;
+    },
+
+    /**
+     * Value count bounds of a model field (see _fieldCardinality)
+     */
+    getFieldCardinality(modelName, fieldName) {
+        return this._fieldCardinality(this.getFieldRestrictions(modelName, fieldName));
+    },
+
+    /**
+     * Active values of a field: the latest one of a single-valued field,
+     * the distinct values of a multiple one; Relations skip deleted individuals
+     */
+    getActiveValues(individualId, field) {
+        const modelName = this.getSetModelEvent(individualId)?.value;
+        return this._activeValues(this._individualState(individualId), modelName, field);
+    },
+
+    _activeValues(state, modelName, field) {
+        const values = [].concat(state[field] ?? []).filter(v => !this._isEmpty(v));
+        return modelName && this.getRelationDefinition(modelName, field)
+            ? values.filter(v => !this.isDeleted(v))
+            : values;
+    },
+
+    /**
+     * Check the value count a field would have after adding values
+     * Values are only added (events are never retracted), so the active
+     * values stay and count too
+     * @param {string} individualId - May not exist yet (form creating it)
+     * @returns {Object} { valid, errors }
+     */
+    checkCardinality(individualId, modelName, field, values) {
+        const bounds = this._fieldCardinality(this.getFieldRestrictions(modelName, field));
+        const all = this._activeValues(this._individualState(individualId), modelName, field);
+        values.filter(v => !this._isEmpty(v)).forEach(value => {
+            if (!bounds.multiple) {
+                all.splice(0, all.length, value); // New value replaces the old one
+            } else if (!all.some(v => this._sameValue(v, value))) {
+                all.push(value);
+            }
+        });
+
+        const error = this._cardinalityError(field, bounds, all.length);
+        return { valid: !error, errors: error ? [error] : [] };
+    },
+
+    /**
+     * Completeness check of every individual in the graph
+     * @returns {Array} [{ individual, model, missing }] - incomplete individuals only
+     */
+    validateCompleteness() {
+        const seen = new Set();
+        const report = [];
+        this.getEventsByType('SetModel').forEach(event => {
+            if (seen.has(event.base)) return;
+            seen.add(event.base);
+
+            const missing = this.getMissingFields(event.base);
+            if (missing.length > 0) {
+                report.push({ individual: event.base, model: this.getSetModelEvent(event.base).value, missing });
+            }
+        });
+        return report;
+    },
+
     /**
      * Check if value represents "required" (1, true, "1", "true")
      */
@@ -3172,53 +5690,30 @@ const Memory = {
     },
 
     /**
-     * Validate DataType restriction
+     * Canonical value of a field of an individual by the field's DataType
+     * Values that do not parse are kept (validateEvent reports them)
      */
-    _validateDataType(datatype, value, field) {
-        switch (datatype) {
-            case 'Numeric':
-                if (typeof value !== 'number' && !/^-?\d+(\.\d+)?$/.test(String(value))) {
-                    return {
-                        type: 'Type Error',
-                        code: this.errorCodes.datatype,
-                        message: `Field '${field}': expected numeric value`,
-                        field: field
-                    };
-                }
-                break;
-
-            case 'Boolean':
-                if (![true, false, 'true', 'false', '1', '0', 1, 0].includes(value)) {
-                    return {
-                        type: 'Type Error',
-                        code: this.errorCodes.datatype,
-                        message: `Field '${field}': expected boolean value`,
-                        field: field
-                    };
-                }
-                break;
+    normalizeValue(base, field, value) {
+        const modelName = this.getSetModelEvent(base)?.value;
+        if (!modelName || this._isEmpty(value)) return value;
 
-            case 'DateTime':
-                const dateStr = String(value);
-                const dateTest = new Date(dateStr);
-                if (isNaN(dateTest.getTime())) {
-                    return {
-                        type: 'Type Error',
-                        code: this.errorCodes.datatype,
-                        message: `Field '${field}': expected ISO8601 date/time`,
-                        field: field
-                    };
-                }
-                break;
-
-            case 'Text':
-            case 'BasicType':
-                // Text/BasicType accepts any string
-                break;
+        const datatype = this.getFieldRestrictions(modelName, field).datatype;
+        return datatype ? BSLTypes.normalize(datatype, value) : value;
+    },
 
-            case 'EnumType':
-                // EnumType requires checking AttributeValue - handled separately
-                break;
+    /**
+     * Validate DataType restriction (see BSLTypes.codecs)
+     * EnumType values are checked against SetRange separately
+     */
+    _validateDataType(datatype, value, field) {
+        const result = BSLTypes.parse(datatype, value);
+        if (!result.ok) {
+            return {
+                type: 'Type Error',
+                code: this.errorCodes.datatype,
+                message: `Field '${field}': expected ${result.expected}`,
+                field: field
+            };
         }
         return null;
     },
@@ -3228,11 +5723,8 @@ const Memory = {
      */
     _validateRange(range, value, field) {
         // Check if value is an individual of the specified concept
-        const individual = this.events.find(e =>
-            e.type === 'Individual' &&
-            e.base === range &&
-            e.value === String(value)
-        );
+        const individual = this.getEventsByBaseType(range, 'Individual')
+            .find(e => e.value === String(value));
 
         if (!individual) {
             return {
@@ -3271,21 +5763,17 @@ const Memory = {
      */
     _validateUnique(value, base, field) {
         // Get concept for this individual
-        const individualEvent = this.events.find(e =>
-            e.type === 'Individual' && e.value === base
-        );
+        const individualEvent = this.getIndividualEvent(base);
         if (!individualEvent) return null;
 
         const concept = individualEvent.base;
 
         // Find all individuals of this concept with same field value
-        const duplicates = this.events.filter(e => {
-            if (e.type !== field || e.value !== String(value) || e.base === base) return false;
+        const duplicates = this.getEventsByTypeValue(field, String(value)).filter(e => {
+            if (e.base === base) return false;
 
             // Check if this event belongs to same concept
-            const ind = this.events.find(i =>
-                i.type === 'Individual' && i.value === e.base
-            );
+            const ind = this.getIndividualEvent(e.base);
             return ind && ind.base === concept;
         });
 
@@ -3304,9 +5792,7 @@ const Memory = {
      * Validate UniqueIdentifier restriction (global)
      */
     _validateUniqueIdentifier(value, field) {
-        const duplicates = this.events.filter(e =>
-            e.type === field && e.value === String(value)
-        );
+        const duplicates = this.getEventsByTypeValue(field, String(value));
 
         if (duplicates.length > 0) {
             return {
@@ -3323,9 +5809,7 @@ const Memory = {
      * Validate Multiple restriction (single value only)
      */
     _validateMultiple(value, base, field) {
-        const existing = this.events.filter(e =>
-            e.base === base && e.type === field
-        );
+        const existing = this.getEventsByBaseType(base, field);
 
         if (existing.length > 0) {
             return {
@@ -3338,13 +5822,29 @@ const Memory = {
         return null;
     },
 
+    /**
+     * Validate Cardinality restriction: the value must not push the count
+     * of active values over the maximum
+     */
+    _validateCardinality(restrictions, value, base, field) {
+        const bounds = this._fieldCardinality(restrictions);
+        if (bounds.max === null) return null;
+
+        const modelName = this.getSetModelEvent(base)?.value;
+        const values = this._activeValues(this._individualState(base), modelName, field);
+        const count = !bounds.multiple || values.some(v => this._sameValue(v, value))
+            ? Math.max(values.length, 1)
+            : values.length + 1;
+
+        const error = this._cardinalityError(field, { ...bounds, min: 0 }, count);
+        return error ? { ...error, message: `Field '${field}': at most ${bounds.max} value(s) allowed` } : null;
+    },
+
     /**
      * Validate Immutable restriction
      */
     _validateImmutable(value, base, field) {
-        const existing = this.events.find(e =>
-            e.base === base && e.type === field
-        );
+        const existing = this.getEventsByBaseType(base, field)[0];
 
         if (existing) {
             return {
@@ -3363,9 +5863,10 @@ const Memory = {
     _validatePermission(permission, actor, field) {
         const allowedActors = permission.split(',').map(a => a.trim());
 
-        // Check if actor has permission or is admin
-        const actorRoles = this.getActorRoles(actor);
-        if (allowedActors.includes(actor) || actorRoles.includes('admin')) {
+        // Check if actor or one of its (inherited) roles has permission, or is a superuser
+        const actorRoles = this.getActorRoleSet(actor);
+        if (allowedActors.includes(actor) || actorRoles.some(role => allowedActors.includes(role)) ||
+            this.isSuperuser(actor)) {
             return null;
         }
 
@@ -3381,8 +5882,7 @@ const Memory = {
      * Get roles for an actor
      */
     getActorRoles(actor) {
-        return this.events
-            .filter(e => e.type === 'Role' && e.base === actor)
+        return this.getEventsByBaseType(actor, 'Role')
             .map(e => e.value);
     },
 
@@ -3462,24 +5962,19 @@ const Memory = {
      * An individual is deleted if there are more Delete events than Restore events
      *
      * @param {string} individual - Individual name to check
+     * @param {string|number|Date} [asOf] - Check deletion state at this moment
      * @returns {boolean} True if deleted
      */
-    isDeleted(individual) {
+    isDeleted(individual, asOf = null) {
         if (!individual) return false;
 
+        const events = this.filterEventsAsOf(this.getEventsByTypeValue('Individual', individual), asOf);
+
         // Count Delete events for this individual
-        const deleteCount = this.events.filter(e =>
-            e.base === 'Delete' &&
-            e.type === 'Individual' &&
-            e.value === individual
-        ).length;
+        const deleteCount = events.filter(e => e.base === 'Delete').length;
 
         // Count Restore events for this individual
-        const restoreCount = this.events.filter(e =>
-            e.base === 'Restore' &&
-            e.type === 'Individual' &&
-            e.value === individual
-        ).length;
+        const restoreCount = events.filter(e => e.base === 'Restore').length;
 
         // Deleted if more deletes than restores
         return deleteCount > restoreCount;
@@ -3491,9 +5986,7 @@ const Memory = {
      */
     getDeletedIndividuals() {
         // Get all individuals that have been deleted
-        const deleteEvents = this.events.filter(e =>
-            e.base === 'Delete' && e.type === 'Individual'
-        );
+        const deleteEvents = this.getEventsByBaseType('Delete', 'Individual');
 
         const deletedNames = new Set(deleteEvents.map(e => e.value));
 
@@ -3507,8 +6000,7 @@ const Memory = {
      * @returns {Array<string>} List of non-deleted individual names
      */
     getActiveIndividuals(concept) {
-        return this.events
-            .filter(e => e.base === concept && e.type === 'Individual')
+        return this.getEventsByBaseType(concept, 'Individual')
             .map(e => e.value)
             .filter(name => !this.isDeleted(name));
     },
@@ -3532,21 +6024,18 @@ const Memory = {
      */
     getFieldRestrictions(modelName, fieldName) {
         // Find model event
-        const modelEvent = this.events.find(e =>
-            e.type === 'Model' && e.value === modelName
-        );
+        const modelEvent = this.getModelEvent(modelName);
         if (!modelEvent) return {};
 
         // Find attribute/relation in model
-        const attrEvent = this.events.find(e =>
-            e.base === modelEvent.id &&
+        const attrEvent = this.getEventsByBase(modelEvent.id).find(e =>
             (e.type === 'Attribute' || e.type === 'Relation') &&
             e.value === fieldName
         );
         if (!attrEvent) return {};
 
         // Get restrictions
-        const restrictions = this.events.filter(e => e.base === attrEvent.id);
+        const restrictions = this.getEventsByBase(attrEvent.id);
         const result = {};
 
         restrictions.forEach(r => {
@@ -3557,13 +6046,131 @@ const Memory = {
     },
 
     /**
-     * Check if a field is accessible for an individual (Condition check)
+     * Get Relation definition of a model field
+     * Returns { field, range, multiple } or null if the field is not a Relation
      */
-    isFieldAccessible(individualId, fieldName) {
-        const setModelEvent = this.events.find(e =>
-            e.base === individualId && e.type === 'SetModel'
-        );
+    getRelationDefinition(modelName, fieldName) {
+        const modelEvent = this.getModelEvent(modelName);
+        if (!modelEvent) return null;
+
+        const relationEvent = this.getEventsByBaseType(modelEvent.id, 'Relation')
+            .find(e => e.value === fieldName);
+        if (!relationEvent) return null;
+
+        const restrictions = this.getFieldRestrictions(modelName, fieldName);
+        return {
+            field: fieldName,
+            range: restrictions.range || null,
+            multiple: this._fieldCardinality(restrictions).multiple
+        };
+    },
+
+    /**
+     * Fields of a model with the restrictions the type checker needs
+     * Returns { name, concept, fields: { name: { kind, datatype, values, range, multiple } } } or null
+     */
+    getModelSchema(modelName) {
+        const modelEvent = this.getModelEvent(modelName);
+        if (!modelEvent) return null;
+
+        const fields = {};
+        this.getEventsByBase(modelEvent.id)
+            .filter(e => e.type === 'Attribute' || e.type === 'Relation')
+            .forEach(fieldEvent => {
+                const restrictions = this.getFieldRestrictions(modelName, fieldEvent.value);
+                fields[fieldEvent.value] = {
+                    kind: fieldEvent.type,
+                    datatype: restrictions.datatype || null,
+                    values: BSLTypeChecker.setRangeValues(restrictions.setrange),
+                    range: restrictions.range || null,
+                    multiple: this._fieldCardinality(restrictions).multiple
+                };
+            });
+
+        return { name: modelName, concept: modelEvent.base, fields };
+    },
+
+    /**
+     * Models that events define or change: Model events and any event whose
+     * base chain (Attribute → Condition, ...) leads to a Model event
+     * @param {Array} events - looked up among themselves first, then in the store
+     * @returns {Array} model names
+     */
+    getModelsOfEvents(events) {
+        const byId = new Map(events.map(e => [e.id, e]));
+        const models = new Set();
+        events.forEach(event => {
+            const seen = new Set();
+            let current = event;
+            while (current && !seen.has(current.id)) {
+                if (current.type === 'Model') {
+                    models.add(current.value);
+                    return;
+                }
+                seen.add(current.id);
+                current = byId.get(current.base) || this.getEventById(current.base);
+            }
+        });
+        return [...models];
+    },
+
+    /**
+     * Type-check Condition, SetValue, ValueCondition and Invariant expressions of a model
+     * Returns [{ type, code, message, model, field, restriction, eventId, position, expression }]
+     */
+    checkModelExpressions(modelName) {
+        const schema = this.getModelSchema(modelName);
+        if (!schema) return [];
+
+        // Relations are checked against the first model of their Range concept
+        const schemas = new Map([[schema.concept, schema]]);
+        const lookup = concept => {
+            if (!schemas.has(concept)) {
+                const modelEvent = this.getEventsByBaseType(concept, 'Model')[0];
+                schemas.set(concept, modelEvent ? this.getModelSchema(modelEvent.value) : null);
+            }
+            return schemas.get(concept);
+        };
+
+        const modelEvent = this.getModelEvent(modelName);
+        const issues = [];
+        const check = (restriction, field) => {
+            BSLTypeChecker.check(restriction.value, {
+                schema, lookup, field, restriction: restriction.type
+            }).forEach(issue => issues.push({
+                type: issue.code.startsWith('SYNTAX') ? 'Syntax Error' : 'Type Error',
+                code: issue.code,
+                message: field ? `${restriction.type} of '${field}': ${issue.message}` : `${restriction.type}: ${issue.message}`,
+                model: modelName,
+                field,
+                restriction: restriction.type,
+                eventId: restriction.id,
+                position: issue.position,
+                expression: String(restriction.value)
+            }));
+        };
+
+        this.getEventsByBase(modelEvent.id)
+            .filter(e => e.type === 'Attribute' || e.type === 'Relation')
+            .forEach(fieldEvent => {
+                this.getEventsByBase(fieldEvent.id)
+                    .filter(e => ['Condition', 'SetValue', 'ValueCondition'].includes(e.type))
+                    .forEach(restriction => check(restriction, fieldEvent.value));
+            });
+        // Model-level invariants read the whole individual
+        this.getEventsByBaseType(modelEvent.id, 'Invariant').forEach(invariant => check(invariant, null));
+
+        return issues;
+    },
+
+    /**
+     * Check if a field is accessible for an individual: the actor may read
+     * it (RBAC) and its Condition holds
+     */
+    isFieldAccessible(individualId, fieldName, actor = this.currentActor) {
+        const setModelEvent = this.getSetModelEvent(individualId);
         if (!setModelEvent) return true; // No model = no restrictions
+        if (!this.can(actor, 'read', setModelEvent.value, fieldName)) return false;
 
         const restrictions = this.getFieldRestrictions(setModelEvent.value, fieldName);
 
@@ -3575,24 +6182,20 @@ const Memory = {
     },
 
     /**
-     * Get accessible fields for an individual based on Conditions
+     * Get accessible fields for an individual based on Conditions and RBAC
+     * writable: the current actor may change the field
      */
     getAccessibleFields(individualId) {
-        const setModelEvent = this.events.find(e =>
-            e.base === individualId && e.type === 'SetModel'
-        );
+        const setModelEvent = this.getSetModelEvent(individualId);
         if (!setModelEvent) return [];
 
         const modelName = setModelEvent.value;
-        const modelEvent = this.events.find(e =>
-            e.type === 'Model' && e.value === modelName
-        );
+        const modelEvent = this.getModelEvent(modelName);
         if (!modelEvent) return [];
 
         // Get all attributes/relations
-        const fields = this.events.filter(e =>
-            e.base === modelEvent.id &&
-            (e.type === 'Attribute' || e.type === 'Relation')
+        const fields = this.getEventsByBase(modelEvent.id).filter(e =>
+            e.type === 'Attribute' || e.type === 'Relation'
         );
 
         return fields
@@ -3600,6 +6203,7 @@ const Memory = {
                 name: f.value,
                 type: f.type,
                 accessible: this.isFieldAccessible(individualId, f.value),
+                writable: this.can(this.currentActor, 'write', modelName, f.value),
                 restrictions: this.getFieldRestrictions(modelName, f.value)
             }))
             .filter(f => f.accessible);
@@ -3619,9 +6223,7 @@ const Memory = {
         // Get model from event or find it
         let modelName = model;
         if (!modelName || modelName === 'Event') {
-            const setModelEvent = this.events.find(e =>
-                e.base === base && e.type === 'SetModel'
-            );
+            const setModelEvent = this.getSetModelEvent(base);
             if (setModelEvent) {
                 modelName = setModelEvent.value;
             }
@@ -3670,9 +6272,7 @@ const Memory = {
         const manualFix = [];
 
         // Build context for LLM
-        const setModelEvent = this.events.find(e =>
-            e.base === event.base && e.type === 'SetModel'
-        );
+        const setModelEvent = this.getSetModelEvent(event.base);
         const modelName = setModelEvent?.value || event.model;
 
         const context = {
@@ -3743,9 +6343,7 @@ const Memory = {
         // Rule-based cause inference
         if (type === 'Individual') {
             // Link to Concept
-            const conceptEvent = this.events.find(e =>
-                e.base === 'Concept' && e.type === 'Instance' && e.value === base
-            );
+            const conceptEvent = this.getEventsByBaseType('Concept', 'Instance').find(e => e.value === base);
             if (conceptEvent) {
                 return { cause: [conceptEvent.id], ambiguous: false };
             }
@@ -3753,9 +6351,7 @@ const Memory = {
         }
 
         if (type === 'Model') {
-            const conceptEvent = this.events.find(e =>
-                e.base === 'Concept' && e.type === 'Instance' && e.value === base
-            );
+            const conceptEvent = this.getEventsByBaseType('Concept', 'Instance').find(e => e.value === base);
             if (conceptEvent) {
                 return { cause: [conceptEvent.id], ambiguous: false };
             }
@@ -3763,25 +6359,19 @@ const Memory = {
         }
 
         if (type === 'SetModel') {
-            const individualEvent = this.events.find(e =>
-                e.type === 'Individual' && e.value === base
-            );
+            const individualEvent = this.getIndividualEvent(base);
             if (individualEvent) {
                 return { cause: [individualEvent.id], ambiguous: false };
             }
         }
 
         // Property event - link to SetModel or Individual
-        const setModelEvent = [...this.events].reverse().find(e =>
-            e.base === base && e.type === 'SetModel'
-        );
+        const setModelEvent = this.getEventsByBaseType(base, 'SetModel').pop();
         if (setModelEvent) {
             return { cause: [setModelEvent.id], ambiguous: false };
         }
 
-        const individualEvent = this.events.find(e =>
-            e.type === 'Individual' && e.value === base
-        );
+        const individualEvent = this.getIndividualEvent(base);
         if (individualEvent) {
             return { cause: [individualEvent.id], ambiguous: false };
         }
@@ -3818,7 +6408,7 @@ const Memory = {
                 }
 
                 // Check if cause exists
-                const causeEvent = this.events.find(e => e.id === causeId);
+                const causeEvent = this.getEventById(causeId);
                 if (causeEvent) {
                     validCauses.push(causeId);
                 } else {
@@ -3901,12 +6491,11 @@ const Memory = {
     /**
      * Auto-create missing Individual when base doesn't exist
      * Creates a minimal Individual event to maintain graph consistency
+     * Inside addEventBatch the events are staged with the batch: committed or rolled back with it
      */
     _createMissingIndividual(name) {
         // Check if already exists (race condition guard)
-        const exists = this.events.some(e =>
-            e.type === 'Individual' && e.value === name
-        );
+        const exists = !!this.getIndividualEvent(name);
         if (exists) return;
 
         // Try to infer concept from name or context
@@ -3939,13 +6528,13 @@ const Memory = {
         };
 
         this.events.push(individualEvent);
+        this.indexEvents();
+        const created = [individualEvent];
         console.log(`Created missing Individual: ${name} (concept: ${concept})`);
 
         // Also create SetModel if we can infer the model
         const modelName = `Model ${concept}`;
-        const modelExists = this.events.some(e =>
-            e.type === 'Model' && e.value === modelName
-        );
+        const modelExists = !!this.getModelEvent(modelName);
 
         if (modelExists) {
             const setModelEvent = {
@@ -3960,10 +6549,16 @@ const Memory = {
                 synced: false
             };
             this.events.push(setModelEvent);
+            this.indexEvents();
+            created.push(setModelEvent);
             console.log(`Created SetModel for ${name}: ${modelName}`);
         }
 
-        this.saveToStorage(CONFIG.storage.events, this.getLocalEvents());
+        if (this._batch) {
+            this._batch.events.push(...created);
+            return;
+        }
+        this.persistEvents(created);
     },
 
     /**
@@ -4100,8 +6695,9 @@ const Memory = {
      * Apply auto-fix to event
      */
     applyAutoFix(eventId, fix) {
-        const event = this.events.find(e => e.id === eventId);
-        if (!event) return false;
+        const event = this.getEventById(eventId);
+        // Content-addressed events are not edited in place (the id would no longer match)
+        if (!event || this.isContentAddressed(event)) return false;
 
         if (fix.field === 'actor') {
             event.actor = fix.newValue;
@@ -4111,7 +6707,8 @@ const Memory = {
             event.value = fix.newValue;
         }
 
-        this.saveToStorage(CONFIG.storage.events, this.getLocalEvents());
+        this.reindexEvents();
+        this.persistEvents([event]);
         return true;
     },
 
@@ -4119,11 +6716,15 @@ const Memory = {
      * Apply LLM-suggested fix to event
      */
     applyLLMFix(eventId, fixes) {
-        const event = this.events.find(e => e.id === eventId);
+        const event = this.getEventById(eventId);
         if (!event) {
             console.error(`applyLLMFix: event ${eventId} not found`);
             return false;
         }
+        if (this.isContentAddressed(event)) {
+            console.warn(`applyLLMFix: ${eventId} is content-addressed, not edited`);
+            return false;
+        }
 
         console.log(`applyLLMFix: applying to ${eventId}`, fixes);
         console.log('Before:', JSON.stringify(event));
@@ -4140,9 +6741,10 @@ const Memory = {
         });
 
         console.log('After:', JSON.stringify(event));
+        this.reindexEvents();
 
         // Save to storage
-        this.saveToStorage(CONFIG.storage.events, this.getLocalEvents());
+        this.persistEvents([event]);
         console.log('Saved to storage');
 
         return true;
@@ -0,0 +1,318 @@
+/**
+ * Prostochat Storage Adapters
+ * Pluggable persistence behind Memory.loadFromStorage/saveToStorage
+ *
+ * Adapter interface:
+ * - open()            → Promise, prepares the adapter (cache, migration)
+ * - get(key)          → stored value or null (synchronous)
+ * - set(key, data)    → persist the whole value
+ * - remove(key)       → delete the value
+ * - putEvents(events) → optional, persist only the given events (incremental)
+ * - putItems(key, items), deleteItems(key, ids) → optional, the same for any list store
+ */
+
+// ========================================
+// LOCAL STORAGE ADAPTER
+// ========================================
+
+/**
+ * localStorage adapter: one JSON string per key
+ * Used as fallback when IndexedDB is unavailable
+ */
+const LocalStorageAdapter = {
+    name: 'localStorage',
+
+    async open() {
+        return this;
+    },
+
+    get(key) {
+        const data = localStorage.getItem(key);
+        return data ? JSON.parse(data) : null;
+    },
+
+    set(key, data) {
+        localStorage.setItem(key, JSON.stringify(data));
+    },
+
+    remove(key) {
+        localStorage.removeItem(key);
+    }
+};
+
+// ========================================
+// INDEXEDDB ADAPTER
+// ========================================
+
+/**
+ * IndexedDB adapter
+ * All data is read into an in-memory cache on open(), so get() stays
+ * synchronous; writes update the cache immediately and go to IndexedDB
+ * in the background.
+ *
+ * List stores (events, chats, episodic) keep one record per item
+ * ({seq, value} keyed by item id), so single events are appended without
+ * rewriting the whole list. seq preserves the original list order.
+ */
+const IndexedDBAdapter = {
+    name: 'indexedDB',
+    db: null,
+    dbName: 'prostochat',
+    version: 1,
+    storeNames: ['events', 'chats', 'episodic', 'semantic', 'vectorClock', 'settings'],
+    cache: {},      // storage key → value (list stores: Map itemId → {seq, value})
+    nextSeq: {},    // list store name → next sequence number
+    migratedKey: 'prostochat_storage_migrated',
+
+    /**
+     * Object stores by storage key (other keys go to 'settings')
+     */
+    getStoreMap() {
+        return {
+            [CONFIG.storage.events]: { store: 'events', itemKey: 'id' },
+            [CONFIG.storage.chats]: { store: 'chats', itemKey: 'id' },
+            prostochat_episodic: { store: 'episodic', itemKey: 'eventId' },
+            prostochat_semantic: { store: 'semantic' },
+            prostochat_vector_clock: { store: 'vectorClock' }
+        };
+    },
+
+    /**
+     * localStorage keys moved to IndexedDB on first boot
+     */
+    getMigrationKeys() {
+        return [
+            ...Object.keys(this.getStoreMap()),
+            CONFIG.storage.currentChat,
+            CONFIG.storage.lastSync,
+            'prostochat_actor'
+        ];
+    },
+
+    _storeFor(key) {
+        return this.getStoreMap()[key] || { store: 'settings' };
+    },
+
+    async open() {
+        this.db = await this._openDatabase();
+        await this._loadCache();
+
+        if (!this.cache[this.migratedKey]) {
+            await this.migrateFromLocalStorage();
+        }
+        return this;
+    },
+
+    _openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                this.storeNames.forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name);
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+        });
+    },
+
+    /**
+     * Read every store into the cache
+     */
+    _loadCache() {
+        const storeMap = this.getStoreMap();
+        const listKeys = {};
+        Object.entries(storeMap).forEach(([key, def]) => {
+            if (def.itemKey) listKeys[def.store] = key;
+        });
+
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeNames, 'readonly');
+            this.storeNames.forEach(name => {
+                const store = tx.objectStore(name);
+                const keysRequest = store.getAllKeys();
+                const valuesRequest = store.getAll();
+
+                valuesRequest.onsuccess = () => {
+                    const keys = keysRequest.result;
+                    const values = valuesRequest.result;
+
+                    if (listKeys[name]) {
+                        // Restore list order by seq
+                        const records = keys.map((k, i) => [k, values[i]])
+                            .sort((a, b) => a[1].seq - b[1].seq);
+                        this.cache[listKeys[name]] = new Map(records);
+                        this.nextSeq[name] = records.length > 0 ? records[records.length - 1][1].seq + 1 : 0;
+                    } else {
+                        keys.forEach((k, i) => { this.cache[k] = values[i]; });
+                    }
+                };
+            });
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    get(key) {
+        const cached = this.cache[key];
+        if (cached === undefined) return null;
+        if (cached instanceof Map) {
+            return cached.size > 0 ? Array.from(cached.values(), record => record.value) : null;
+        }
+        return cached;
+    },
+
+    set(key, data) {
+        const def = this._storeFor(key);
+
+        if (def.itemKey && Array.isArray(data)) {
+            // Rewrite the whole list in one transaction
+            const records = new Map();
+            data.forEach((item, seq) => records.set(item[def.itemKey], { seq, value: item }));
+            this.cache[key] = records;
+            this.nextSeq[def.store] = data.length;
+
+            return this._write(def.store, store => {
+                store.clear();
+                records.forEach((record, id) => store.put(record, id));
+            });
+        }
+
+        this.cache[key] = data;
+        return this._write(def.store, store => store.put(data, key));
+    },
+
+    remove(key) {
+        const def = this._storeFor(key);
+        delete this.cache[key];
+        return this._write(def.store, store => {
+            if (def.itemKey) {
+                store.clear();
+            } else {
+                store.delete(key);
+            }
+        });
+    },
+
+    /**
+     * Append or update events without rewriting the store
+     * Existing events keep their position in the list
+     */
+    putEvents(events) {
+        return this.putItems(CONFIG.storage.events, events);
+    },
+
+    /**
+     * Append or update items of a list store (events, chats, episodic)
+     * without rewriting it; existing items keep their position
+     */
+    putItems(key, items) {
+        const def = this._storeFor(key);
+        const records = this._listCache(key, def);
+
+        const changed = items.map(item => {
+            const id = item[def.itemKey];
+            const existing = records.get(id);
+            const record = { seq: existing ? existing.seq : this.nextSeq[def.store]++, value: item };
+            records.set(id, record);
+            return [id, record];
+        });
+
+        return this._write(def.store, store => {
+            changed.forEach(([id, record]) => store.put(record, id));
+        });
+    },
+
+    /**
+     * Delete items of a list store by id
+     */
+    deleteItems(key, ids) {
+        const def = this._storeFor(key);
+        const records = this._listCache(key, def);
+        ids.forEach(id => records.delete(id));
+
+        return this._write(def.store, store => {
+            ids.forEach(id => store.delete(id));
+        });
+    },
+
+    _listCache(key, def) {
+        if (!(this.cache[key] instanceof Map)) {
+            this.cache[key] = new Map();
+            this.nextSeq[def.store] = 0;
+        }
+        return this.cache[key];
+    },
+
+    /**
+     * Run a readwrite transaction on one store
+     * Resolves when the transaction commits; failures are logged
+     */
+    _write(storeName, fn) {
+        return new Promise(resolve => {
+            try {
+                const tx = this.db.transaction(storeName, 'readwrite');
+                fn(tx.objectStore(storeName));
+                tx.oncomplete = () => resolve(true);
+                tx.onerror = () => {
+                    console.warn(`IndexedDB write to ${storeName} failed:`, tx.error);
+                    resolve(false);
+                };
+            } catch (e) {
+                console.warn(`IndexedDB write to ${storeName} failed:`, e);
+                resolve(false);
+            }
+        });
+    },
+
+    /**
+     * Move prostochat_* data from localStorage into IndexedDB
+     * localStorage keys are removed only after every write committed
+     */
+    async migrateFromLocalStorage() {
+        const keys = this.getMigrationKeys().filter(key => localStorage.getItem(key) !== null);
+        const writes = [];
+
+        keys.forEach(key => {
+            try {
+                writes.push(this.set(key, JSON.parse(localStorage.getItem(key))));
+            } catch (e) {
+                console.warn(`Migration: failed to parse ${key}:`, e);
+            }
+        });
+
+        const results = await Promise.all(writes);
+        if (results.every(Boolean)) {
+            keys.forEach(key => localStorage.removeItem(key));
+            await this.set(this.migratedKey, new Date().toISOString());
+            if (keys.length > 0) {
+                console.log(`Migrated ${keys.length} localStorage keys to IndexedDB:`, keys);
+            }
+        } else {
+            console.warn('Migration to IndexedDB incomplete, localStorage data kept');
+        }
+    }
+};
+
+// ========================================
+// ADAPTER SELECTION
+// ========================================
+
+/**
+ * Open the configured storage adapter
+ * Falls back to localStorage if IndexedDB is unavailable or fails to open
+ */
+async function openStorageAdapter() {
+    if (CONFIG.storage.adapter === 'indexedDB' && typeof indexedDB !== 'undefined') {
+        try {
+            return await IndexedDBAdapter.open();
+        } catch (e) {
+            console.warn('IndexedDB unavailable, using localStorage:', e);
+        }
+    }
+    return LocalStorageAdapter.open();
+}
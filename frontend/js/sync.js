@@ -7,6 +7,8 @@
  * - Cause dependency validation
  * - Conflict resolution (LWW, HB, Actor-based)
  * - Event validation
+ * - Signature verification of incoming events (identity.js)
+ * - Content id check of incoming events (event-hash.js)
  */
 
 /**
@@ -207,7 +209,7 @@ const Sync = {
             }
 
             // Check if cause event exists
-            const exists = Memory.events.some(e => e.id === cause);
+            const exists = !!Memory.getEventById(cause);
             if (!exists) {
                 missing.push(cause);
             }
@@ -237,12 +239,23 @@ const Sync = {
         }
 
         // Check for duplicates
-        const existing = Memory.events.find(e => e.id === event.id);
+        const existing = Memory.getEventById(event.id);
         if (existing) {
             // Same event already exists - not an error, just skip
             return { valid: false, errors: ['duplicate'], isDuplicate: true };
         }
 
+        // Content-addressed id must match the content
+        if (Memory.isContentAddressed(event) && !EventHash.matchesContent(event)) {
+            errors.push('Content does not match id');
+        }
+
+        // Check signature (verified before by mergeEvents)
+        const signatureError = this.checkSignature(event);
+        if (signatureError) {
+            errors.push(signatureError);
+        }
+
         // Check cause dependency
         const depCheck = this.checkDependencies(event);
         if (!depCheck.valid) {
@@ -261,6 +274,21 @@ const Sync = {
         };
     },
 
+    /**
+     * Signature error of an incoming event, null if it is valid or may be unsigned
+     * Uses the result of Identity.verifyEvents: signing is async, validation is not
+     */
+    checkSignature(event) {
+        if (typeof Identity === 'undefined') return null;
+
+        const result = Identity.verification(event);
+        if (!result) {
+            const needsSignature = !!event.signature || Identity.publishedKeys(event.actor).length > 0;
+            return needsSignature ? 'Signature not verified' : null;
+        }
+        return result.status === 'forged' ? `Forged event: ${result.error}` : null;
+    },
+
     /**
      * Resolve conflict between two events with same (base, type)
      * Returns the winning event
@@ -334,24 +362,17 @@ const Sync = {
 
     /**
      * Merge incoming events with conflict resolution
+     * Signatures are verified first, forged events are rejected
      * Returns count of added events
      */
-    mergeEvents(incomingEvents) {
+    async mergeEvents(incomingEvents) {
         if (!incomingEvents || incomingEvents.length === 0) {
             return 0;
         }
 
-        const existingById = new Map(Memory.events.map(e => [e.id, e]));
-        const existingByKey = new Map();
-
-        // Build index by (base, type) for conflict detection
-        Memory.events.forEach(e => {
-            const key = `${e.base || ''}::${e.type}`;
-            if (!existingByKey.has(key)) {
-                existingByKey.set(key, []);
-            }
-            existingByKey.get(key).push(e);
-        });
+        if (typeof Identity !== 'undefined') {
+            await Identity.verifyEvents(incomingEvents);
+        }
 
         let addedCount = 0;
         const eventsToAdd = [];
@@ -378,9 +399,8 @@ const Sync = {
                 continue;
             }
 
-            // Check for conflicts (same base+type)
-            const key = `${evt.base || ''}::${evt.type}`;
-            const conflicting = existingByKey.get(key) || [];
+            // Check for conflicts (same base+type, answered from Memory indexes)
+            const conflicting = Memory.getEventsByBaseType(evt.base, evt.type);
 
             if (conflicting.length > 0) {
                 // Find latest conflicting event
@@ -414,7 +434,8 @@ const Sync = {
         // Add all validated events
         if (eventsToAdd.length > 0) {
             Memory.events.push(...eventsToAdd);
-            Memory.saveToStorage(CONFIG.storage.events, Memory.getLocalEvents());
+            Memory.indexEvents();
+            Memory.persistEvents(eventsToAdd);
             this.saveVectorClock();
 
             // Try to process any pending events that may now have dependencies satisfied
@@ -490,6 +511,11 @@ const Sync = {
     async syncEvents() {
         if (!this.isOnline || this.isSyncing) return;
 
+        // Outgoing events carry their signatures
+        if (typeof Identity !== 'undefined') {
+            await Identity.flush();
+        }
+
         const unsynced = Memory.getUnsyncedEvents();
         if (unsynced.length === 0) {
             await this.fetchNewEvents();
@@ -532,7 +558,7 @@ const Sync = {
                 if (result.newEvents && result.newEvents.length > 0) {
                     // Filter out genesis events before merge
                     const nonGenesis = result.newEvents.filter(e => !isGenesisEvent(e));
-                    const addedCount = this.mergeEvents(nonGenesis);
+                    const addedCount = await this.mergeEvents(nonGenesis);
 
                     if (addedCount > 0) {
                         console.log(`Added ${addedCount} new events from server`);
@@ -587,7 +613,7 @@ const Sync = {
                 const nonGenesis = events.filter(e => !isGenesisEvent(e));
 
                 // Use mergeEvents for validation and conflict resolution
-                const addedCount = this.mergeEvents(nonGenesis);
+                const addedCount = await this.mergeEvents(nonGenesis);
 
                 if (addedCount > 0) {
                     console.log(`Fetched ${addedCount} new events from backend`);
@@ -631,6 +657,7 @@ const Sync = {
 
         const existingIds = new Set(Memory.events.map(e => e.id));
         const stillPending = [];
+        const added = [];
         let processed = 0;
 
         for (const pending of this.pendingEvents) {
@@ -641,6 +668,8 @@ const Sync = {
                 if (validation.valid) {
                     pending.event.synced = true;
                     Memory.events.push(pending.event);
+                    Memory.indexEvents();
+                    added.push(pending.event);
                     existingIds.add(pending.event.id);
                     processed++;
                 }
@@ -653,7 +682,7 @@ const Sync = {
         this.pendingEvents = stillPending;
 
         if (processed > 0) {
-            Memory.saveToStorage(CONFIG.storage.events, Memory.getLocalEvents());
+            Memory.persistEvents(added);
             console.log(`Processed ${processed} pending events`);
         }
 
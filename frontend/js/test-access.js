@@ -0,0 +1,206 @@
+/**
+ * Test access control (roles, inherited grants, read/write/delete enforcement)
+ * Run in browser console: testAccess()
+ *
+ * Checks role inheritance and the latest grant per target, the decisions of
+ * can(), what states, queries and readable events show each actor, writes
+ * and deletes refused without a grant, row policies, and who may administer.
+ */
+
+/**
+ * Build synthetic events: Deal governed by grants (viewer reads it without
+ * margin, sales inherits viewer and writes it), Note open to everyone,
+ * Task rows limited by a sales policy (assignee) and by owner,
+ * actors alice (sales), vic (viewer) and bob (no role)
+ */
+function buildAccessTestEvents() {
+    const { events, push, model, individual } = createTestEvents('acc');
+
+    model('Deal', { title: {}, amount: { DataType: 'Numeric' }, margin: { DataType: 'Numeric' } });
+    model('Note', { text: { Permission: 'sales' } });
+    model('Task', { title: {}, assignee: {} });
+
+    ['admin', 'sales', 'viewer'].forEach(role => push('Role', 'Individual', role, 'Event'));
+    push('alice', 'Role', 'sales', 'Event');
+    push('vic', 'Role', 'viewer', 'Event');
+    push('sales', 'Inherits', 'viewer', 'Event');
+    push('viewer', 'Grant', 'Model Deal = read', 'Event');
+    push('viewer', 'Grant', 'Model Deal.margin = read', 'Event');
+    push('viewer', 'Grant', 'Model Deal.margin = none', 'Event');
+    push('sales', 'Grant', 'Model Deal = read, write', 'Event');
+    push('sales', 'Grant', 'Model Deal.margin = read', 'Event');
+    push('sales', 'Policy', 'Model Task = $.assignee == $CurrentActor', 'Event');
+
+    individual('Deal', 'acc_d1', { title: 'Supply', amount: 100, margin: 30 });
+    individual('Note', 'acc_n1', { text: 'hello' });
+    individual('Task', 'acc_t1', { title: 'Call', assignee: 'vic' }, 'alice');
+    individual('Task', 'acc_t2', { title: 'Offer', assignee: 'alice' }, 'bob');
+    individual('Task', 'acc_t3', { title: 'Audit', assignee: 'bob' }, 'bob');
+    return events;
+}
+
+function testAccess() {
+    const { check, summary } = createTestRun('Testing Access Control');
+    const ids = result => Array.isArray(result) ? result.map(item => item.id).join(',') : JSON.stringify(result);
+
+    const savedActor = Memory.currentActor;
+    const restore = useTestMemory(buildAccessTestEvents(), [[Memory, 'currentActor']]);
+    try {
+        const as = (actor, base, type, value) => ({ base, type, value, actor });
+
+        // 1. Roles and grants
+        console.log('1. Roles and grants');
+        check('roles with inherited ones', Memory.getActorRoleSet('alice').sort().join() === 'sales,viewer',
+            Memory.getActorRoleSet('alice').join());
+        check('superusers', Memory.isSuperuser('admin') && Memory.isSuperuser('system') && !Memory.isSuperuser('alice'));
+        const viewerGrants = Memory.getGrants('viewer').map(g => `${g.target}=${g.access.join('|')}`).sort();
+        check('latest grant per target', viewerGrants.join() === 'Model Deal.margin=,Model Deal=read', viewerGrants.join());
+        check('write implies read', Memory.getGrants('sales').find(g => g.field === null).access.join() === 'read,write');
+
+        // 2. Decisions
+        console.log('\n2. Decisions');
+        check('model grant', Memory.can('vic', 'read', 'Model Deal') && !Memory.can('vic', 'write', 'Model Deal'));
+        check('field grant overrides model grant', !Memory.can('vic', 'read', 'Model Deal', 'margin') &&
+            Memory.can('vic', 'read', 'Model Deal', 'title'));
+        check('inherited and own grants combine', Memory.can('alice', 'write', 'Model Deal', 'title') &&
+            Memory.can('alice', 'read', 'Model Deal', 'margin') && !Memory.can('alice', 'write', 'Model Deal', 'margin'));
+        check('no grant, no access to a governed model', !Memory.can('bob', 'read', 'Model Deal'));
+        check('model without grants is open', Memory.can('bob', 'write', 'Model Note', 'text'));
+        check('superuser not restricted', Memory.can('admin', 'delete', 'Model Deal'));
+
+        // 3. Reads
+        console.log('\n3. Reads');
+        const vicState = Memory.getIndividualState('acc_d1', null, 'vic');
+        check('state without unreadable fields', vicState.title === 'Supply' && !('margin' in vicState), JSON.stringify(vicState));
+        check('full state for superusers', Memory.getIndividualState('acc_d1', null, 'admin').margin === 30);
+
+        const deals = Memory.executeQuery('$($EQ.$Base("Deal"))', { actor: 'vic' });
+        check('query result fields filtered', ids(deals) === 'acc_d1' && !('margin' in deals[0]), JSON.stringify(deals));
+        check('unreadable individuals not found', ids(Memory.executeQuery('$($EQ.$Base("Deal"))', { actor: 'bob' })) === '');
+        check('conditions on hidden fields match nothing',
+            ids(Memory.executeQuery('$($EQ.$Base("Deal"), $GT.margin(10))', { actor: 'vic' })) === '' &&
+            ids(Memory.executeQuery('$($EQ.$Base("Deal"), $GT.margin(10))', { actor: 'alice' })) === 'acc_d1');
+        check('guards and validation see everything after a query', Memory._reader === null &&
+            Memory.getMissingFields('acc_d1').length === 0);
+
+        [['Deal', 'Individual', 'acc_d2'], ['acc_d2', 'SetModel', 'Model Deal'], ['acc_d2', 'title', 'Repair'],
+            ['acc_d2', 'margin', 5]].forEach(([base, type, value]) => Memory.addEvent(as('admin', base, type, value)));
+        const table = (query, actor) => JSON.stringify(Memory.executeQuery(query, { actor }).rows);
+        const byMargin = '$($EQ.$Base("Deal"), $GROUPBY.margin(), $COUNT())';
+        check('hidden fields group as empty', table(byMargin, 'vic') === '[{"margin":null,"count":2}]' &&
+            table(byMargin, 'alice') === '[{"margin":30,"count":1},{"margin":5,"count":1}]', table(byMargin, 'vic'));
+        const totalMargin = '$($EQ.$Base("Deal"), $SUM.margin())';
+        check('hidden fields not aggregated', table(totalMargin, 'vic') === '[{"sum_margin":0}]' &&
+            table(totalMargin, 'alice') === '[{"sum_margin":35}]', table(totalMargin, 'vic'));
+        const sorted = actor => ids(Memory.executeQuery('$($EQ.$Base("Deal"), $ORDERBY.margin())', { actor }));
+        check('hidden fields do not sort', sorted('vic') === 'acc_d1,acc_d2' && sorted('alice') === 'acc_d2,acc_d1',
+            `${sorted('vic')} / ${sorted('alice')}`);
+        check('expressions read as the actor',
+            Memory.evaluateExpression('$($EQ.$Base("Deal"))[0].margin', null, { actor: 'vic' }) === null &&
+            Memory.evaluateExpression('$($EQ.$Base("Deal"))[0].margin', null, { actor: 'alice' }) === 30 &&
+            Memory.evaluateExpression('$.margin', 'acc_d1', { actor: 'vic' }) === null && Memory._reader === null);
+
+        const readable = Memory.getReadableEvents('vic');
+        check('readable events for the LLM context', readable.some(e => e.base === 'acc_d1' && e.type === 'title') &&
+            !readable.some(e => e.base === 'acc_d1' && e.type === 'margin'));
+        check('individual events hidden with their model', !Memory.getReadableEvents('bob')
+            .some(e => e.type === 'Individual' && e.value === 'acc_d1'));
+
+        // 4. Writes
+        console.log('\n4. Writes');
+        const count = Memory.events.length;
+        check('write without grant rejected', Memory.addEvent(as('bob', 'acc_d1', 'title', 'Hack')) === null &&
+            Memory.events.length === count);
+        check('granted write added', Memory.addEvent(as('alice', 'acc_d1', 'title', 'Supply 2')) !== null &&
+            Memory.getLatestValue('acc_d1', 'title') === 'Supply 2');
+        check('read-only field rejected', Memory.addEvent(as('alice', 'acc_d1', 'margin', 50)) === null);
+        check('delete needs delete', Memory.addEvent(as('alice', 'Delete', 'Individual', 'acc_d1')) === null &&
+            Memory.addEvent(as('alice', 'acc_d1', 'Delete', '1')) === null && !Memory.isDeleted('acc_d1'));
+        check('creating needs write', Memory.addEvent(as('vic', 'acc_d2', 'SetModel', 'Model Deal')) === null);
+
+        const batch = Memory.addEventBatch([as('alice', 'acc_d1', 'amount', 200), as('alice', 'acc_d1', 'margin', 10)]);
+        check('batch with a denied event rolls back', !batch.committed && batch.errors[0].code === 'SEMANTIC_008' &&
+            Memory.getLatestValue('acc_d1', 'amount') === 100, JSON.stringify(batch.errors));
+
+        check('Permission restriction uses roles', Memory.validateEvent(as('alice', 'acc_n1', 'text', 'a')).valid &&
+            !Memory.validateEvent(as('bob', 'acc_n1', 'text', 'b')).valid);
+
+        // 5. Ownership and row-level policies
+        console.log('\n5. Ownership and row-level policies');
+        const tasks = actor => ids(Memory.executeQuery('$($EQ.$Base("Task"))', { actor }));
+        check('owner is the creator', Memory.getOwner('acc_t1') === 'alice' && Memory.getOwner('acc_t3') === 'bob');
+        check('$Owner in expressions', Memory.evaluateExpression('$Owner == $CurrentActor', 'acc_t3', { actor: 'bob' }) === true);
+        check('policy and own rows', tasks('alice') === 'acc_t1,acc_t2', tasks('alice'));
+        check('owner without a policy role', tasks('bob') === 'acc_t2,acc_t3', tasks('bob'));
+        check('role without a policy sees no foreign rows', tasks('vic') === '', tasks('vic'));
+        check('superuser sees every row', tasks('admin') === 'acc_t1,acc_t2,acc_t3');
+        check('hidden row state', JSON.stringify(Memory.getIndividualState('acc_t3', null, 'alice')) === '{"id":"acc_t3"}' &&
+            Memory._individualState('acc_t3').title === 'Audit');
+        check('hidden row events', !Memory.getReadableEvents('alice').some(e => e.base === 'acc_t3') &&
+            Memory.getReadableEvents('alice').some(e => e.base === 'acc_t2'));
+        const fields = (name, actor) => Memory.getIndividualHistory(name, actor).map(entry => entry.field).join();
+        check('history without unreadable fields', !fields('acc_d1', 'vic').includes('margin') &&
+            fields('acc_d1', 'alice').includes('margin'), fields('acc_d1', 'vic'));
+        check('no history of hidden rows', fields('acc_t3', 'alice') === '' && fields('acc_t3', 'bob') !== '');
+        const lastVersion = Memory.getIndividualHistory('acc_d1', 'vic').length - 1;
+        check('versions and diffs without unreadable fields',
+            !('margin' in Memory.getIndividualVersion('acc_d1', lastVersion, null, 'vic')) &&
+            !Memory.diffIndividualVersions('acc_d1', -1, lastVersion, 'vic').some(d => d.field === 'margin'));
+        const created = Memory.getEventsByTypeValue('Individual', 'acc_d1')[0];
+        check('nested events belong to their individual',
+            !Memory.isEventReadable({ base: created.id, type: 'margin', value: 1 }, 'vic') &&
+            Memory.isEventReadable({ base: created.id, type: 'title', value: 'x' }, 'vic'));
+        check('model grant alone does not open rows', Memory.can('alice', 'write', 'Model Task') &&
+            !Memory.canChangeIndividual('acc_t3', 'write', 'alice'));
+
+        check('edit inside the policy', Memory.addEvent(as('alice', 'acc_t2', 'title', 'Offer 2')) !== null);
+        check('edit outside the policy rejected', Memory.addEvent(as('alice', 'acc_t3', 'title', 'X')) === null &&
+            Memory.addEvent(as('vic', 'acc_t1', 'title', 'X')) === null);
+        check('delete outside the policy rejected', Memory.addEvent(as('alice', 'Delete', 'Individual', 'acc_t3')) === null &&
+            !Memory.isDeleted('acc_t3'));
+        const rowBatch = Memory.addEventBatch([as('alice', 'acc_t1', 'title', 'Call 2'), as('alice', 'acc_t3', 'assignee', 'alice')]);
+        check('batch outside the policy', !rowBatch.committed && rowBatch.errors[0].code === 'SEMANTIC_008' &&
+            Memory.getLatestValue('acc_t1', 'title') === 'Call', JSON.stringify(rowBatch.errors));
+        check('new rows can be created', Memory.addEvent(as('vic', 'Task', 'Individual', 'acc_t4')) !== null &&
+            Memory.addEvent(as('vic', 'acc_t4', 'SetModel', 'Model Task')) !== null &&
+            Memory.addEvent(as('vic', 'acc_t4', 'title', 'Mine')) !== null && tasks('vic') === 'acc_t4');
+
+        check('only superusers set policies', Memory.addEvent(as('alice', 'sales', 'Policy', 'Model Task = true')) === null);
+        Memory.currentActor = 'admin';
+        Memory.setPolicy('viewer', 'Model Task', '$.assignee == $CurrentActor');
+        check('added policy takes effect', tasks('vic') === 'acc_t1,acc_t4', tasks('vic'));
+        Memory.setPolicy('viewer', 'Model Task', '');
+        check('removed policy', tasks('vic') === 'acc_t4', tasks('vic'));
+        Memory.currentActor = savedActor;
+
+        // 6. Administration
+        console.log('\n6. Administration');
+        check('only superusers grant', Memory.addEvent(as('alice', 'sales', 'Grant', 'Model Deal = all')) === null);
+        check('rejected events create nothing', Memory.addEvent(as('alice', 'acc_ghost', 'Grant', 'Model Deal = all')) === null &&
+            !Memory.getIndividualEvent('acc_ghost'));
+        check('no self-assigned roles', Memory.addEvent(as('alice', 'alice', 'Role', 'admin')) === null &&
+            !Memory.isSuperuser('alice'));
+        Memory.currentActor = 'admin';
+        Memory.setGrant('viewer', 'Model Deal.margin', ['read']);
+        check('changed grant takes effect', Memory.can('vic', 'read', 'Model Deal', 'margin'));
+        Memory.setRoleInherits('sales', []);
+        check('inheritance removed', Memory.getActorRoleSet('alice').join() === 'sales');
+
+        // Decisions are cached until events change them
+        const roles = Memory.getActorRoleSet('alice');
+        roles.push('admin');
+        check('cached roles not shared', !Memory.isSuperuser('alice'));
+        const rowVisible = Memory.canAccessRow('acc_t2', 'alice');
+        Memory.addEvent(as('admin', 'acc_t2', 'assignee', 'vic'));
+        check('row decision follows new events', rowVisible && !Memory.canAccessRow('acc_t2', 'alice'));
+    } catch (e) {
+        check('no exceptions', false, e.message);
+    } finally {
+        restore();
+    }
+
+    return summary();
+}
+
+window.testAccess = testAccess;
+console.log('Access test loaded. Run testAccess() in console to test.');
@@ -0,0 +1,324 @@
+/**
+ * Test BSL parser and query execution
+ * Run in browser console: testBSL()
+ *
+ * Checks the AST of queries and actions, the positions reported for
+ * syntax errors, query results over cities, organizations and people
+ * linked by Relations, and type-checking of Task expressions.
+ */
+
+/**
+ * Build synthetic events: models with Relations, cities, organizations and people
+ */
+function buildBSLTestEvents() {
+    const { events, model, individual } = createTestEvents('bsl');
+
+    model('City', { name: { DataType: 'BasicType' } });
+    model('Organization', { city: { Range: 'City' }, name: { DataType: 'BasicType' } });
+    model('Person', {
+        organization: { Range: 'Organization' },
+        mentors: { Range: 'Person', Multiple: '1' },
+        age: { DataType: 'Numeric' },
+        sex: { DataType: 'EnumType', SetRange: 'man, woman' }
+    });
+    model('Task', {
+        assignee: { Range: 'Person' },
+        title: { DataType: 'BasicType' },
+        priority: { DataType: 'EnumType', SetRange: 'low, medium, high' },
+        due_date: { DataType: 'DateTime' },
+        estimate: { DataType: 'Numeric' },
+        overdue: { DataType: 'Boolean', Condition: '$$.due_date != null', SetValue: '$DaysBetween($.due_date, $Now) > 0' },
+        urgent: { DataType: 'Boolean', Condition: '$.priority == "urgent"', SetValue: '$.title' }
+    });
+
+    individual('City', 'bsl_berlin', { name: 'Berlin' });
+    individual('City', 'bsl_paris', { name: 'Paris' });
+    individual('Organization', 'bsl_acme', { name: 'Acme (Inc), Ltd', city: 'bsl_berlin' });
+    individual('Organization', 'bsl_globex', { name: 'Globex', city: 'bsl_paris' });
+    individual('Person', 'bsl_ann', { age: 30, sex: 'woman', organization: 'bsl_acme' });
+    individual('Person', 'bsl_bob', { age: 17, sex: 'man', organization: 'bsl_globex', mentors: ['bsl_ann', 'bsl_cid'] });
+    individual('Person', 'bsl_cid', { age: 70, sex: 'man', organization: 'bsl_acme' });
+    return events;
+}
+
+function testBSL() {
+    const { check, summary } = createTestRun('Testing BSL Parser');
+    const ids = result => Array.isArray(result) ? result.map(item => item.id).join(',') : JSON.stringify(result);
+
+    // 1. Parser: AST shape
+    console.log('1. Parser');
+    try {
+        const ast = BSLParser.parseQuery('$($EQ.$Base("Person"), $OR($EQ.sex("man"), $GE.age(18)))[-1].organization.name');
+        check('suffix chain parsed outermost first',
+            ast.type === 'Member' && ast.property === 'name' &&
+            ast.object.type === 'Member' && ast.object.object.type === 'Index' && ast.object.object.index === -1);
+
+        const query = ast.object.object.object;
+        check('comma-separated clauses', query.type === 'Query' && query.clauses.length === 2);
+        check('nested $OR clause', query.clauses[1].name === 'OR' && query.clauses[1].args.length === 2);
+        check('special field in path', query.clauses[0].path[0] === '$Base');
+
+        const values = BSLParser.parseQuery('$($EQ.name("a (b), c"), $GT.age(-5), $EQ.active(true))');
+        check('literal values',
+            values.clauses[0].args[0].value === 'a (b), c' &&
+            values.clauses[1].args[0].value === -5 &&
+            values.clauses[2].args[0].value === true);
+
+        check('relation path', BSLParser.parseQuery('$($EQ.organization.name("Acme"))').clauses[0].path.join('.') === 'organization.name');
+        check('reverse relation segment', BSLParser.parseQuery('$($GE.^organization.age(65))').clauses[0].path[0] === '^organization');
+
+        const actions = BSLParser.parseActions('CreateIndividual(Task, Concat("t_", $.id)); SetProperty($.id, status, "done");');
+        check('SetDo action sequence',
+            actions.length === 2 && actions[0].name === 'CreateIndividual' &&
+            actions[0].args[0].value === 'Task' && actions[0].args[1].type === 'Call' &&
+            actions[1].args[1].value === 'status');
+    } catch (e) {
+        check('parser does not throw on valid input', false, e.message);
+    }
+
+    // 2. Parser: error positions
+    console.log('\n2. Error positions');
+    const errorAt = (source, position) => {
+        try {
+            BSLParser.parseQuery(source);
+            check(`error in ${source}`, false, 'no error thrown');
+        } catch (e) {
+            check(`error at ${position} in ${source}`, e instanceof BSLError && e.position === position, e.message);
+        }
+    };
+    errorAt('$($EQ.sex("man")', 16);
+    errorAt('$($EQ.sex("man), $EQ.age(1))', 10);
+    errorAt('$($FOO.sex("man"))', 2);
+    errorAt('$($EQ("man"))', 5);
+    errorAt('$($EQ.sex("man"))[x]', 18);
+    errorAt('$($EQ.sex("man")) extra', 18);
+    errorAt('$($ORDERBY.age("up"))', 15);
+    errorAt('$($LIMIT(-1))', 9);
+    errorAt('$($OR($COUNT()))', 6);
+    errorAt('$($SUM())', 2);
+    errorAt('$($GROUPBY.sex(), $COUNT(), $ORDERBY.age())', 28);
+    try {
+        BSLParser.parseActions('SetProperty($.id, status, "done") DeleteIndividual($.id)');
+        check('error between actions', false, 'no error thrown');
+    } catch (e) {
+        check('error at 34 between actions without ;', e instanceof BSLError && e.position === 34, e.message);
+    }
+
+    // 3. Query execution
+    console.log('\n3. Query execution');
+    const restore = useTestMemory(buildBSLTestEvents());
+    try {
+
+        check('$Base', ids(Memory.executeQuery('$($EQ.$Base("Person"))')) === 'bsl_ann,bsl_bob,bsl_cid');
+        check('comma is AND', ids(Memory.executeQuery('$($EQ.$Base("Person"), $EQ.sex("man"))')) === 'bsl_bob,bsl_cid');
+        check('$OR with nested $AND', ids(Memory.executeQuery(
+            '$($EQ.$Base("Person"), $OR($EQ.sex("woman"), $AND($GE.age(18), $LT.age(65))))')) === 'bsl_ann');
+        check('$NOT', ids(Memory.executeQuery('$($EQ.$Base("Person"), $NOT($EQ.sex("man")))')) === 'bsl_ann');
+        check('value with parentheses and comma', ids(Memory.executeQuery('$($EQ.name("Acme (Inc), Ltd"))')) === 'bsl_acme');
+        check('condition through relation', ids(Memory.executeQuery(
+            '$($EQ.organization.name("Globex"))')) === 'bsl_bob');
+        check('subquery value', ids(Memory.executeQuery(
+            '$($EQ.organization($($EQ.name("Globex"))))')) === 'bsl_bob');
+        check('chained [-1].relation.prop', Memory.executeQuery(
+            '$($EQ.$Base("Person"))[-1].organization.name') === 'Acme (Inc), Ltd');
+        check('property on result list', Memory.executeQuery('$($EQ.$Base("Person")).age').join(',') === '30,17,70');
+
+        // Relation traversal and joins
+        check('relation dereferences to target state', Memory.executeQuery(
+            '$($EQ.$Base("Person")).organization.name').join(',') === 'Acme (Inc), Ltd,Globex,Acme (Inc), Ltd');
+        check('multi-hop condition', ids(Memory.executeQuery(
+            '$($EQ.$Base("Person"), $EQ.organization.city.name("Berlin"))')) === 'bsl_ann,bsl_cid');
+        check('multi-hop access', Memory.executeQuery(
+            '$($EQ.$Id("bsl_bob"))[0].organization.city.name') === 'Paris');
+        check('multiple relation fans out', ids(Memory.executeQuery(
+            '$($EQ.$Base("Person"), $GE.mentors.age(65))')) === 'bsl_bob');
+        check('multiple relation dereferences to list', ids(Memory.executeQuery(
+            '$($EQ.$Id("bsl_bob"))[0].mentors')) === 'bsl_ann,bsl_cid');
+        check('reverse traversal in condition', ids(Memory.executeQuery(
+            '$($EQ.$Base("Organization"), $GE.^organization.age(65))')) === 'bsl_acme');
+        check('reverse traversal join', ids(Memory.executeQuery(
+            '$($EQ.$Base("City"), $EQ.name("Berlin")).^city.^organization')) === 'bsl_ann,bsl_cid');
+        check('non-relation field is not traversed', ids(Memory.executeQuery(
+            '$($EQ.sex.name("Acme (Inc), Ltd"))')) === '');
+
+        // Aggregation, sorting and pagination
+        check('$ORDERBY desc', ids(Memory.executeQuery(
+            '$($EQ.$Base("Person"), $ORDERBY.age("desc"))')) === 'bsl_cid,bsl_ann,bsl_bob');
+        check('$ORDERBY through relation, tie broken by second key', ids(Memory.executeQuery(
+            '$($EQ.$Base("Person"), $ORDERBY.organization.name(), $ORDERBY.age("desc"))')) === 'bsl_cid,bsl_ann,bsl_bob');
+        check('$LIMIT/$OFFSET', ids(Memory.executeQuery(
+            '$($EQ.$Base("Person"), $ORDERBY.age(), $LIMIT(1), $OFFSET(1))')) === 'bsl_ann');
+        check('ungrouped $COUNT is a scalar', Memory.executeQuery('$($EQ.$Base("Person"), $COUNT()).count') === 3);
+
+        const grouped = Memory.executeQuery(
+            '$($EQ.$Base("Person"), $GROUPBY.sex(), $COUNT(), $AVG.age(), $MAX.age("oldest"), $ORDERBY.count("desc"))');
+        check('grouped table result', grouped.type === 'table' &&
+            grouped.columns.join(',') === 'sex,count,avg_age,oldest' && grouped.total === 2,
+            JSON.stringify(grouped));
+        check('grouped rows', JSON.stringify(grouped.rows) ===
+            JSON.stringify([{ sex: 'man', count: 2, avg_age: 43.5, oldest: 70 }, { sex: 'woman', count: 1, avg_age: 30, oldest: 30 }]),
+            JSON.stringify(grouped.rows));
+
+        const byCity = Memory.executeQuery(
+            '$($EQ.$Base("Person"), $GROUPBY.organization.city.name("city"), $SUM.age("total"), $MIN.age(), $ORDERBY.city())');
+        check('group by relation path', JSON.stringify(byCity.rows) ===
+            JSON.stringify([{ city: 'Berlin', total: 100, min_age: 30 }, { city: 'Paris', total: 17, min_age: 17 }]),
+            JSON.stringify(byCity.rows));
+
+        // Expressions
+        const expr = (source, extra) => Memory.evaluateExpressionResult(source, 'bsl_ann', extra);
+        const value = (source, extra) => expr(source, extra).value;
+        check('comparison and logic', value('$.age >= 18 && !($.sex === "man")') === true);
+        check('string concatenation', value('$.sex + " " + $.age') === 'woman 30');
+        check('arithmetic precedence', value('$.age - 2 * 5 % 3') === 29);
+        check('ternary', value('$.age < 18 ? "minor" : "adult"') === 'adult');
+        check('$EQ in expression', value('$EQ.sex("woman")') === true);
+        check('$AND/$OR any arity and nesting', value(
+            '$AND($GE.age(18), $LT.age(65), $OR($EQ.sex("man"), $EQ.organization.city.name("Berlin")))') === true);
+        check('relation through $', value('$.organization.city.name') === 'Berlin');
+        check('$$ is null-safe', value('$$.nickname.first') === null && expr('$$.nickname.first').error === null);
+        check('$Value from extra context', value('$Value * 2', { value: 21 }) === 42);
+        check('functions', value('$Upper($Substring($.sex, 0, 3)) + $Year("2024-05-01")') === 'WOM2024');
+        check('query inside expression', value('$($EQ.$Base("Person"), $COUNT()).count + 1') === 4);
+
+        // Standard library
+        const bob = source => Memory.evaluateExpressionResult(source, 'bsl_bob').value;
+        check('$DaysBetween', value('$DaysBetween("2025-01-30", "2025-03-01T08:00:00Z")') === 30);
+        check('$DaysBetween overdue flag', value('$DaysBetween($Value, $Now) > 0', { value: '2000-01-01' }) === true);
+        check('$AddDays keeps date-only', value('$AddDays("2024-02-27", 3)') === '2024-03-01');
+        check('$Age', value('$Age("1990-06-15", "2025-06-14")') === 34 && value('$Age("1990-06-15", "2025-06-15")') === 35);
+        check('$Concat/$Lower/$Len', value('$Lower($Concat("A", $.age, null, "B"))') === 'a30b' && value('$Len($.sex)') === 5);
+        check('$Matches', value('$Matches($.sex, "^wo")') === true && value('$Matches("ABC", "b", "i")') === true);
+        check('$Count on Multiple relation', bob('$Count($.mentors)') === 2);
+        check('$Count with $Item condition', bob('$Count($.mentors, $Item.age >= 65)') === 1);
+        check('$Any/$All', bob('$Any($.mentors, $Item.sex == "woman")') === true &&
+            bob('$All($.mentors, $Item.organization.name == "Globex")') === false);
+        check('$Count/$Any on null', value('$Count($$.missing)') === 0 && value('$Any($$.missing)') === false);
+        check('$Contains list and string', bob('$Contains($.mentors, "bsl_cid")') === true &&
+            value('$Contains($.sex, "man")') === true);
+        check('$Contains query result', value('$Contains($($EQ.sex("man")), "bsl_bob")') === true);
+        check('lookup by relation in subquery', value('$($EQ.$Id($.organization))[0].name') === 'Acme (Inc), Ltd');
+        check('colleagues through subquery', value('$Count($($EQ.organization($.organization)))') === 2);
+        check('subquery comparing to $', value('$($EQ.$Base("Person"), $GT.age($.age), $COUNT()).count') === 1);
+
+        // Typed comparisons (BSLTypes.compare)
+        check('numeric text compares as numbers', value('"10" > "9"') === true && value('$.age == "30"') === true);
+        check('dates compare by time', value('"2024-05-01" == "2024-05-01T00:00:00Z"') === true &&
+            value('"2024-05-01T10:00:00Z" > "2024-05-01"') === true);
+        check('durations compare by length', value('"PT90M" > "PT1H"') === true && value('"PT1H" == 3600') === true);
+        check('empty values have no order', value('$$.missing < 5') === false && value('$$.missing == null') === true);
+        check('query literal compared typed', ids(Memory.executeQuery('$($EQ.$Base("Person"), $GT.age("20"))')) === 'bsl_ann,bsl_cid');
+        check('_evaluateSimpleExpr', Memory.executeQuery('$Upper("ok")') === 'OK' &&
+            Memory.executeQuery('plain text') === 'plain text');
+        const rejectedStdlib = [
+            ['$Matches("a", "(")', 'Invalid pattern'],
+            ['$Matches("a", "a", "g")', 'Invalid pattern flags'],
+            ['$Matches("aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!", "(a+)+$")', 'Unsafe pattern (nested quantifier)'],
+            ['$Matches("ab", "(a|ab)*c")', 'Unsafe pattern (repeated alternation)'],
+            ['$AddDays("2024-01-01", "x")', 'Invalid number of days'],
+            ['$All($.mentors)', 'expects 2 argument(s)']
+        ];
+        rejectedStdlib.forEach(([source, message]) => {
+            const result = expr(source);
+            check(`rejects ${source}`, result.error && result.error.kind === 'runtime' && result.error.message.includes(message),
+                result.error ? result.error.message : JSON.stringify(result.value));
+        });
+        const unsafe = ['(a)\\1', '(?<x>a)\\k<x>', '((a)*)+', '(a?){2,}', '(\\w+\\s?)*$']
+            .map(pattern => BSLStdlib.unsafePattern(pattern));
+        check('backreferences and nested repetition are unsafe', unsafe.join() ===
+            'backreference,backreference,nested quantifier,nested quantifier,nested quantifier', unsafe.join());
+        const safe = ['^wo', '^[a-z]+@[a-z]+\\.(com|org)$', '(ab)+', '\\(a+\\)+', '[(a+)+]', '(?:x|y)?z']
+            .filter(pattern => BSLStdlib.unsafePattern(pattern));
+        check('plain patterns stay allowed', safe.length === 0, safe.join(' '));
+
+        // Sandbox: no globals, prototypes or JavaScript functions
+        const rejected = (source, kind, position) => {
+            const result = expr(source);
+            check(`rejects ${source}`, result.value === null && result.error &&
+                result.error.kind === kind && result.error.position === position,
+                result.error ? result.error.message : JSON.stringify(result.value));
+        };
+        rejected('window.location', 'syntax', 0);
+        rejected('constructor', 'syntax', 0);
+        rejected('$.constructor.constructor("return 1")()', 'syntax', 25);
+        rejected('$.constructor', 'runtime', 1);
+        rejected('$["__proto__"]', 'runtime', 1);
+        rejected('alert(1)', 'runtime', 0);
+        rejected('$.age >', 'syntax', 7);
+        rejected('$.missing.deep', 'runtime', 9);
+        rejected('$Year("not a date")', 'runtime', 0);
+        check('evaluateExpression returns null on error', Memory.evaluateExpression('$Upper()', 'bsl_ann') === null);
+
+        const error = Memory.executeQuery('$($EQ.$Base("Person"), $EQ.sex("man")');
+        check('syntax error returned with position', error.error && error.position === 37, JSON.stringify(error));
+
+        check('queryByBase', ids(Memory.queryByBase('Organization')) === 'bsl_acme,bsl_globex');
+        check('queryByModel', ids(Memory.queryByModel('Model Person')) === 'bsl_ann,bsl_bob,bsl_cid');
+        check('queryByProperty', ids(Memory.queryByProperty('sex', 'man')) === 'bsl_bob,bsl_cid');
+
+        // Static type checking against models
+        const schema = Memory.getModelSchema('Model Task');
+        const typeCheck = (source, options = {}) => BSLTypeChecker.check(source, {
+            schema,
+            lookup: concept => Memory.getModelSchema(`Model ${concept}`),
+            ...options
+        });
+        const issues = (source, options) => typeCheck(source, options).map(e => `${e.code}@${e.position}`).join(',');
+        check('schema from model', schema.fields.priority.values.join('|') === 'low|medium|high' &&
+            schema.fields.assignee.kind === 'Relation' && schema.fields.estimate.datatype === 'Numeric');
+        check('well-typed expressions pass', [
+            '$.estimate > 3 && $.priority == "high"',
+            '$.due_date < $Now || $DaysBetween($.due_date, $Today()) > 7',
+            '$.assignee.age >= 18 && $.assignee.organization.city.name == "Berlin"',
+            '$EQ.assignee.sex("woman")',
+            '$.estimate > "2.5" && $.due_date >= "2024-01-01"',
+            '$Value > 0'
+        ].every(source => issues(source, { field: 'estimate' }) === ''));
+        check('unknown field', issues('$.estimte > 3') === 'TYPE_005@1');
+        check('unknown field through relation', issues('$.assignee.salary > 3') === 'TYPE_005@10');
+        check('unknown field in clause', issues('$GT.assignee.organization.size(3)') === 'TYPE_005@0');
+        check('Numeric vs BasicType', issues('$.estimate == $.title') === 'TYPE_006@11');
+        check('Numeric vs DateTime', issues('$.due_date > $.estimate') === 'TYPE_006@11');
+        check('non-numeric literal', issues('$GT.estimate("soon")') === 'TYPE_006@0');
+        check('invalid date literal', issues('$.due_date < "tomorrow"') === 'TYPE_006@11');
+        check('enum literal outside SetRange', issues('$.priority == "urgent"') === 'TYPE_007@11');
+        check('enum through relation', issues('$EQ.assignee.sex("other")') === 'TYPE_007@0');
+        check('unknown function and variable', issues('$Lenght($.title) > $Limit') === 'TYPE_008@0,TYPE_008@19');
+        check('SetValue result type', issues('$.title', { field: 'estimate', restriction: 'SetValue' }) === 'TYPE_009@1' &&
+            issues('$.estimate * 2', { field: 'estimate', restriction: 'SetValue' }) === '' &&
+            issues('$.estimate', { field: 'title', restriction: 'SetValue' }) === '');
+        check('syntax error', issues('$.estimate >') === 'SYNTAX_006@12');
+        check('type error message', typeCheck('$.priority == "urgent"')[0].message ===
+            "'urgent' is not in SetRange of 'priority' (low, medium, high) at position 11");
+
+        const modelIssues = Memory.checkModelExpressions('Model Task');
+        check('checkModelExpressions reports restriction issues',
+            modelIssues.map(i => `${i.field}.${i.restriction}:${i.code}`).join(',') ===
+            'urgent.Condition:TYPE_007,urgent.SetValue:TYPE_009', JSON.stringify(modelIssues.map(i => i.message)));
+        check('well-typed model has no issues', Memory.checkModelExpressions('Model Person').length === 0);
+
+        // BSL loaded with only restrictions for an existing model
+        const person = Memory.getModelEvent('Model Person');
+        const age = Memory.getEventsByBaseType(person.id, 'Attribute').find(e => e.value === 'age');
+        const loaded = [
+            { id: 'bsl_x1', base: age.id, type: 'Condition', value: '$.agee > 3' },
+            { id: 'bsl_x2', base: person.id, type: 'Attribute', value: 'adult' },
+            { id: 'bsl_x3', base: 'bsl_x2', type: 'SetValue', value: '$.age >= 18' }
+        ];
+        check('models of loaded restrictions', Memory.getModelsOfEvents(loaded).join() === 'Model Person',
+            Memory.getModelsOfEvents(loaded).join());
+        loaded.forEach(event => Memory.addEvent({ ...event, actor: 'user' }));
+        const extended = Memory.getModelsOfEvents(loaded).flatMap(name => Memory.checkModelExpressions(name));
+        check('restrictions of an existing model are type-checked', extended.length === 1 &&
+            extended[0].code === 'TYPE_005' && extended[0].field === 'age', JSON.stringify(extended.map(i => i.message)));
+    } catch (e) {
+        check('no exceptions', false, e.message);
+    } finally {
+        restore();
+    }
+
+    return summary();
+}
+
+window.testBSL = testBSL;
+console.log('BSL test loaded. Run testBSL() in console to test.');
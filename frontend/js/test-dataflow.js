@@ -0,0 +1,376 @@
+/**
+ * Test incremental dataflow (guards: Condition + SetValue/SetDo)
+ * Run in browser console: testDataflow()
+ *
+ * Checks which fields each guard reads, propagation of SetValue through
+ * relations and cycles, SetDo action sequences, the scheduler of guards that
+ * depend on $Now, and the trace and debugger of a propagation run.
+ */
+
+/**
+ * Build synthetic events: Task/Person models with guards, Loop and Counter
+ * models whose guards trigger each other, a Contact with a computed field,
+ * a Project whose SetDo runs action sequences, Tickets with a deadline,
+ * a Lease whose SetDo renews it once its end has passed
+ */
+function buildDataflowTestEvents() {
+    const { events, push, model, individual } = createTestEvents('df');
+
+    model('Person', { age: { DataType: 'Numeric' } });
+    model('Task', {
+        estimate: { DataType: 'Numeric' },
+        assignee: { Range: 'Person' },
+        size: { Condition: '$.estimate > 5', SetValue: '"big"' },
+        review: { Condition: '$.size == "big"', SetValue: '"needed"' },
+        senior: { Condition: '$$.assignee.age >= 60', SetValue: 'true' }
+    });
+    model('Loop', {
+        x: { Condition: '$$.y != null', SetDo: 'SetProperty($.id, x, 1)' },
+        y: { Condition: '$$.x != null', SetDo: 'SetProperty($.id, y, 1)' }
+    });
+    model('Contact', {
+        first_name: { DataType: 'BasicType' },
+        last_name: { DataType: 'BasicType' },
+        full_name: { Condition: '$.first_name != null', SetValue: 'Concat($.first_name, " ", $.last_name)' }
+    });
+    model('Counter', {
+        a: { Condition: '$.b != null', SetValue: '$.b + 1' },
+        b: { Condition: '$.a != null', SetValue: '$.a + 1' }
+    });
+
+    model('Project', {
+        tags: { Multiple: 1 },
+        owner: { Range: 'Person' },
+        budget: { DataType: 'Numeric' },
+        state: {},
+        kickoff: {
+            Condition: '$$.state == "started"',
+            SetDo: 'CreateIndividual(Task, Concat($.id, "_kickoff")); SetProperty(Concat($.id, "_kickoff"), estimate, 3); ' +
+                'AppendValue($.id, tags, "active"); LinkRelation($.id, owner, df_ann); ' +
+                'CreateSubscription($.id, state, $.id, tags, "changed")'
+        },
+        close: { Condition: '$$.state == "closed"', SetDo: 'SetProperty($.id, budget, 1); DeleteIndividual($.id)' },
+        broken: { Condition: '$$.state == "broken"', SetDo: 'CreateIndividual(Task, "df_orphan"); SetProperty($.id, budget, "lots")' },
+        archive: { SetDo: 'SetProperty($.id, state, "archived")' }
+    });
+    model('Ticket', {
+        due: { DataType: 'DateTime' },
+        overdue: { Condition: '$$.due != null && $Now > $.due', SetValue: 'true' }
+    });
+    model('Lease', {
+        end: { DataType: 'DateTime' },
+        renew: { Condition: '$$.end != null && $Now > $.end', SetDo: 'CreateIndividual(Task, Concat($.id, "_renewal"))' }
+    });
+
+    individual('Person', 'df_ann', {});
+    individual('Task', 'df_t1', { assignee: 'df_ann' });
+    individual('Task', 'df_t2', { assignee: 'df_ann' });
+    individual('Task', 'df_t3', {});
+    individual('Loop', 'df_loop', {});
+    individual('Contact', 'df_c1', { first_name: 'Ann', last_name: 'Lee' });
+    individual('Counter', 'df_n1', {});
+    individual('Project', 'df_p1', {});
+    individual('Project', 'df_p2', {});
+    const hour = 3600 * 1000;
+    individual('Ticket', 'df_soon', { due: new Date(Date.now() + hour).toISOString() });
+    individual('Ticket', 'df_late', { due: new Date(Date.now() - hour).toISOString() });
+    individual('Ticket', 'df_open', {});
+    individual('Lease', 'df_lease', { end: new Date(Date.now() - hour).toISOString() });
+    return events;
+}
+
+function testDataflow() {
+    const { check, summary } = createTestRun('Testing Dataflow');
+    const emitted = result => result.events.map(e => `${e.base}.${e.type}=${e.value}`).sort().join(',');
+
+    const savedLoad = Memory.loadFromStorage;
+    const { persistEvents, saveToStorage } = Memory;
+    const restore = useTestMemory(buildDataflowTestEvents(),
+        [[Memory, 'loadFromStorage'], [Memory, 'schedule'], [Memory, 'dataflowTraces'], [Memory, 'storageAdapter']]);
+    try {
+        Memory.dataflowTraces = [];
+        const stored = {};
+        Memory.saveToStorage = (key, data) => { stored[key] = data; };
+        const add = (base, type, value) => Memory.addEvent({ base, type, value, actor: 'system' });
+
+        // Run fn with real persistence into an in-memory store (no putEvents:
+        // every write rewrites the local event list, as with localStorage)
+        const persistedBy = fn => {
+            const kept = {};
+            const stubs = [Memory.persistEvents, Memory.saveToStorage];
+            Memory.storageAdapter = {
+                get: key => kept[key] ?? null,
+                set: (key, data) => { kept[key] = JSON.parse(JSON.stringify(data)); },
+                remove: key => { delete kept[key]; }
+            };
+            Memory.persistEvents = persistEvents;
+            Memory.saveToStorage = saveToStorage;
+            try {
+                fn();
+            } finally {
+                [Memory.persistEvents, Memory.saveToStorage] = stubs;
+                Memory.storageAdapter = null;
+            }
+            return (kept[CONFIG.storage.events] || []).map(e => `${e.base}.${e.type}=${e.value}`);
+        };
+
+        // 1. Dependency graph
+        console.log('1. Dependency graph');
+        const guards = Memory.getGuards();
+        const guard = attribute => guards.find(g => g.attribute === attribute);
+        check('guards extracted', guards.length === 13, guards.map(g => g.attribute).join(','));
+        check('reads own fields', [...guard('size').reads].join() === 'estimate' && [...guard('review').reads].join() === 'size');
+        check('reads through relation', [...guard('senior').reads].join() === 'assignee' &&
+            [...guard('senior').readsRelated].join() === 'age');
+        check('SetDo writes its property', [...guard('x').writes].join() === 'x');
+        const cycleFields = Memory.guardCycles.map(cycle =>
+            cycle.map(id => guards.find(g => g.id === id).attribute).sort().join()).sort();
+        check('cycles reported', cycleFields.join(';') === 'a,b;x,y', cycleFields.join(';'));
+
+        // 2. Incremental propagation
+        console.log('\n2. Propagation');
+        const estimate = add('df_t1', 'estimate', 8);
+        const chained = Memory.propagate([estimate]);
+        check('only affected guards evaluated', chained.evaluations === 2, `${chained.evaluations} evaluations`);
+        check('guard chain fires', emitted(chained) === 'df_t1.review=needed,df_t1.size=big', emitted(chained));
+
+        const small = Memory.propagate([add('df_t3', 'estimate', 2)]);
+        check('false condition generates nothing', small.events.length === 0 && small.evaluations === 1);
+
+        const age = add('df_ann', 'age', 65);
+        const related = Memory.propagate([age]);
+        check('change on related individual reaches all referring tasks',
+            emitted(related) === 'df_t1.senior=true,df_t2.senior=true', emitted(related));
+
+        const unrelated = Memory.propagate([add('df_ann', 'nickname', 'A')]);
+        check('unrelated field evaluates nothing', unrelated.evaluations === 0);
+
+        const created = Memory.addEvent({ base: 'Task', type: 'Individual', value: 'df_t4', actor: 'system' });
+        const setModel = Memory.addEvent({ base: 'df_t4', type: 'SetModel', value: 'Model Task', actor: 'system' });
+        const fresh = Memory.propagate([created, setModel]);
+        check('new individual evaluates all guards of its model', fresh.evaluations === 3, `${fresh.evaluations} evaluations`);
+
+        // 3. Cycles at runtime
+        console.log('\n3. Cycles');
+        const loop = Memory.propagate([add('df_loop', 'x', 1)]);
+        check('cycle stops instead of looping', loop.cycles.length === 1 && loop.events.length === 2,
+            `${loop.events.length} events, cycles ${JSON.stringify(loop.cycles)}`);
+
+        // 4. Guard cache invalidation
+        console.log('\n4. Guard cache');
+        check('guards cached', Memory.getGuards() === guards);
+        const modelEvent = Memory.getModelEvent('Model Task');
+        const priority = add(modelEvent.id, 'Attribute', 'priority');
+        add(priority.id, 'Condition', '$.review == "needed"');
+        add(priority.id, 'SetValue', '"high"');
+        const rebuilt = Memory.getGuards();
+        check('new Condition/SetValue invalidates cache', rebuilt !== guards && rebuilt.length === 14);
+        const review = Memory.propagate([add('df_t2', 'review', 'needed')]);
+        check('new guard takes part in propagation', emitted(review) === 'df_t2.priority=high', emitted(review));
+
+        const fixpoint = Memory.executeToFixpoint('df_t3');
+        check('executeToFixpoint evaluates every guard of the individual', fixpoint.evaluations === 4);
+
+        // 5. SetValue as a computed field
+        console.log('\n5. Derived fields');
+        const computed = Memory.executeToFixpoint('df_c1');
+        check('SetValue computes the field', emitted(computed) === 'df_c1.full_name=Ann Lee', emitted(computed));
+        check('computed event is marked derived', computed.events[0].derived === true &&
+            Memory.isDerivedEvent(computed.events[0]));
+
+        const rename = add('df_c1', 'first_name', 'Anna');
+        const recomputed = Memory.propagate([rename]);
+        check('edited input recomputes the field', emitted(recomputed) === 'df_c1.full_name=Anna Lee', emitted(recomputed));
+        check('recomputed event caused by the edit', recomputed.events[0] && recomputed.events[0].cause[0] === rename.id,
+            JSON.stringify(recomputed.events[0] && recomputed.events[0].cause));
+        check('state shows the latest values', Memory.getIndividualState('df_c1').full_name === 'Anna Lee',
+            JSON.stringify(Memory.getIndividualState('df_c1').full_name));
+
+        const same = Memory.propagate([add('df_c1', 'last_name', 'Lee')]);
+        check('unchanged value generates nothing', same.evaluations === 1 && same.events.length === 0);
+
+        check('user-entered event is not derived', !Memory.isDerivedEvent(rename));
+        const synced = { ...recomputed.events[0] };
+        delete synced.derived;
+        check('synced system event on a SetValue field is derived', Memory.isDerivedEvent(synced));
+        check('derived field and history flag', Memory.isDerivedField('df_c1', 'full_name') &&
+            !Memory.isDerivedField('df_c1', 'first_name') &&
+            Memory.getIndividualHistory('df_c1').filter(entry => entry.derived).length === 2);
+
+        const counter = Memory.propagate([add('df_n1', 'a', 1)]);
+        check('SetValue cycle stops instead of looping', counter.cycles.length === 1 && counter.events.length === 2,
+            `${emitted(counter)}, cycles ${JSON.stringify(counter.cycles)}`);
+
+        // 6. SetDo actions
+        console.log('\n6. SetDo actions');
+        check('writes of an action sequence', [...guard('kickoff').writes].sort().join() === 'SetModel:Model Task,estimate,owner,tags',
+            [...guard('kickoff').writes].join());
+
+        const parsed = Memory.parseSetDo('AppendValue($.id, tags); Launch($.id)', 'df_p1');
+        check('wrong arity rejected', parsed.actions.length === 0 && /expects 3 argument/.test(parsed.errors[0].message),
+            parsed.errors.map(e => e.message).join());
+        check('unknown action rejected', /Unknown action 'Launch'/.test(Memory.parseSetDo('Launch($.id)', 'df_p1').errors[0].message));
+
+        const subscriptionsBefore = Memory.subscriptions.length;
+        const started = Memory.propagate([add('df_p1', 'state', 'started')]);
+        check('sequence runs every action', emitted(started) ===
+            'Task.Individual=df_p1_kickoff,df_p1.owner=df_ann,df_p1.tags=active,df_p1_kickoff.SetModel=Model Task,df_p1_kickoff.estimate=3',
+            emitted(started));
+        check('created individual joins the dataflow', Memory.getIndividualState('df_p1_kickoff').estimate === 3);
+        check('subscription created', Memory.subscriptions.length === subscriptionsBefore + 1 &&
+            Memory.subscriptions[subscriptionsBefore].status === 'triggered');
+        Memory.subscriptions.splice(subscriptionsBefore);
+
+        const again = Memory.propagate([add('df_p1', 'owner', 'df_ann')]);
+        check('append and link skip existing values', again.events.length === 0, emitted(again));
+
+        const count = Memory.events.length;
+        const broken = Memory.propagate([add('df_p1', 'state', 'broken')]);
+        check('invalid event rolls back the whole batch', broken.failed.length === 1 && broken.events.length === 0 &&
+            Memory.events.length === count + 1 && !Memory.getEventsByTypeValue('Individual', 'df_orphan').length,
+            JSON.stringify(broken.failed));
+        check('rejection reports the validation error', broken.failed[0] && broken.failed[0].errors[0].field === 'budget');
+
+        const closed = Memory.propagate([add('df_p1', 'state', 'closed')]);
+        check('DeleteIndividual emits compensating event', emitted(closed) === 'Delete.Individual=df_p1,df_p1.budget=1' &&
+            Memory.isDeleted('df_p1'), emitted(closed));
+
+        const batch = Memory.addEventBatch([
+            { base: 'df_p1', type: 'budget', value: 2, actor: 'system' },
+            { base: 'df_p1', type: 'budget', value: 'x', actor: 'system' }
+        ]);
+        check('addEventBatch commits nothing on failure', !batch.committed && Memory.getLatestValue('df_p1', 'budget') === 1);
+
+        // A user event on a missing individual creates it
+        const saved = persistedBy(() => Memory.addEventBatch([
+            { base: 'df_ghost', type: 'budget', value: 2, actor: 'user' },
+            { base: 'df_t1', type: 'estimate', value: 'x', actor: 'user' }
+        ]));
+        check('rolled back batch leaves storage untouched', !Memory.getIndividualEvent('df_ghost') &&
+            !saved.some(e => e.includes('df_ghost')), saved.join());
+        const kept = persistedBy(() => Memory.addEventBatch([{ base: 'df_ghost', type: 'budget', value: 2, actor: 'user' }]));
+        check('missing individual committed with its batch', kept.includes('Entity.Individual=df_ghost') &&
+            kept.includes('df_ghost.budget=2'), kept.join());
+
+        // 7. Workflow actions
+        console.log('\n7. Workflow actions');
+        check('workflow guard of a guarded SetDo', Memory.getWorkflowGuard('Model Project', 'kickoff') ===
+            Memory.getGuards().find(g => g.attribute === 'kickoff'));
+        const archive = Memory.getWorkflowGuard('Model Project', 'archive');
+        check('SetDo without Condition runs on demand', archive && archive.condition === 'true' &&
+            !Memory.getGuards().some(g => g.attribute === 'archive'));
+
+        const eventCount = Memory.events.length;
+        const preview = Memory.dryRun(() => Memory.executeToFixpoint('df_p2', [archive]));
+        check('dry run previews generated events', preview.events.length === 1 && preview.events[0].value === 'archived' &&
+            preview.result.events.length === 1);
+        check('dry run leaves the store unchanged', Memory.events.length === eventCount &&
+            Memory.getLatestValue('df_p2', 'state') === null);
+
+        // Preview touching a missing individual, then cancelled: nothing applied
+        const previewed = persistedBy(() => Memory.dryRun(() =>
+            Memory.addEvent({ base: 'df_draft', type: 'state', value: 'started', actor: 'user' })));
+        check('cancelled preview persists nothing', previewed.length === 0 && !Memory.getIndividualEvent('df_draft'),
+            previewed.join());
+
+        const applied = Memory.executeToFixpoint('df_p2', [archive]);
+        check('confirmed workflow commits the same events', applied.events.length === 1 &&
+            Memory.getLatestValue('df_p2', 'state') === 'archived');
+
+        // 8. Scheduler
+        console.log('\n8. Scheduler');
+        const hour = 3600 * 1000;
+        const overdue = Memory.getGuards().find(g => g.attribute === 'overdue');
+        check('Condition with $Now is timed', overdue.timed && !Memory.getGuards().find(g => g.attribute === 'size').timed);
+
+        const soonDue = Date.parse(Memory.getLatestValue('df_soon', 'due'));
+        const flip = Memory.nextGuardFlip(overdue, 'df_soon');
+        check('next flip found at the deadline', flip !== null && flip >= soonDue && flip <= soonDue + 1000,
+            `${flip} vs ${soonDue}`);
+        check('no flip when already true or never true',
+            Memory.nextGuardFlip(overdue, 'df_late') === null && Memory.nextGuardFlip(overdue, 'df_open') === null);
+
+        const planned = Memory.rescheduleGuards();
+        check('schedule persisted with future entries only', planned.length === 1 && planned[0].individual === 'df_soon' &&
+            stored[CONFIG.storage.schedule] === planned, JSON.stringify(planned));
+
+        // Entry saved before a reload that came due while the app was closed
+        Memory.loadFromStorage = key => key === CONFIG.storage.schedule
+            ? [{ guard: overdue.id, individual: 'df_late', at: Date.now() - 1000 }]
+            : key in stored ? stored[key] : savedLoad.call(Memory, key);
+        const missed = Memory.startScheduler();
+        check('missed deadline runs on start', missed && emitted(missed).includes('df_late.overdue=true'), missed && emitted(missed));
+        check('schedule rebuilt after the run', Memory.schedule.length === 1 && Memory.schedule[0].individual === 'df_soon');
+
+        const renewals = () => Memory.events.filter(e => e.type === 'Individual' && e.value === 'df_lease_renewal').length;
+        check('SetDo whose Condition already holds runs on start', renewals() === 1, missed && emitted(missed));
+        Memory.stopScheduler();
+        Memory.startScheduler();
+        check('SetDo not run again on the next start', renewals() === 1, String(renewals()));
+
+        const nextFlip = Memory.nextGuardFlip;
+        let flips = 0;
+        Memory.nextGuardFlip = function (...args) {
+            flips++;
+            return nextFlip.apply(this, args);
+        };
+        Memory.schedule = [...Memory.schedule, { guard: overdue.id, individual: 'df_open', at: Date.now() - 1000 }];
+        Memory.runDueGuards();
+        Memory.nextGuardFlip = nextFlip;
+        check('due run plans only its pairs', flips === 1 && Memory.schedule.length === 1 &&
+            Memory.schedule[0].individual === 'df_soon', `${flips} ${JSON.stringify(Memory.schedule)}`);
+
+        const schedule = stored[CONFIG.storage.schedule];
+        add('df_late', 'due', new Date(Date.now() - 2 * hour).toISOString());
+        check('unchanged schedule not written again', stored[CONFIG.storage.schedule] === schedule);
+
+        const moved = add('df_soon', 'due', new Date(Date.now() + 2 * hour).toISOString());
+        check('changed deadline is planned again', Memory.schedule.length === 1 &&
+            Memory.schedule[0].at >= Date.parse(moved.value), JSON.stringify(Memory.schedule));
+        Memory.stopScheduler();
+
+        // 9. Trace and debugger
+        console.log('\n9. Trace');
+        const bigger = add('df_t3', 'estimate', 9);
+        const traced = Memory.propagate([bigger]);
+        const steps = traced.trace.map(step => `${step.iteration}:${step.attribute}:${step.action}`).join(',');
+        check('one trace step per evaluation', traced.trace.length === traced.evaluations);
+        check('steps grouped by iteration', steps === '1:size:fired,2:review:fired,3:priority:fired', steps);
+        const sizeStep = traced.trace[0];
+        check('step records condition, inputs and trigger', sizeStep.condition === '$.estimate > 5' && sizeStep.result === true &&
+            sizeStep.inputs.estimate === 9 && sizeStep.trigger[0] === bigger.id, JSON.stringify(sizeStep));
+        check('step records emitted events', sizeStep.events.length === 1 && sizeStep.events[0].value === 'big' &&
+            traced.trace[1].trigger[0] === sizeStep.events[0].id);
+
+        const skipped = Memory.propagate([add('df_t3', 'estimate', 1)]).trace[0];
+        check('false condition traced as skipped', skipped.result === false && skipped.action === 'skipped');
+
+        const rejected = Memory.propagate([add('df_p2', 'state', 'broken')]).trace
+            .find(step => step.attribute === 'broken');
+        check('validation failure traced as rejected', rejected && rejected.action === 'rejected' &&
+            rejected.errors[0].field === 'budget');
+
+        const runs = Memory.getDataflowTraces('df_t3');
+        check('runs listed per individual, newest first', runs.length >= 2 && runs[0].steps[0].inputs.estimate === 1 &&
+            runs.every(run => run.steps.some(step => step.individual === 'df_t3')));
+
+        const fullName = Memory.getGuards().find(g => g.attribute === 'full_name');
+        const eventsBefore = Memory.events.length;
+        const tracesBefore = Memory.dataflowTraces.length;
+        const debugged = Memory.debugGuard(fullName.id, 'df_c1', { first_name: 'Bo' });
+        check('re-run with edited inputs', debugged.trace[0].inputs.first_name === 'Bo' &&
+            debugged.events.length === 1 && debugged.events[0].value === 'Bo Lee', JSON.stringify(debugged.events));
+        check('re-run persists nothing', Memory.events.length === eventsBefore && Memory.dataflowTraces.length === tracesBefore &&
+            Memory.getIndividualState('df_c1').full_name === 'Anna Lee');
+    } catch (e) {
+        check('no exceptions', false, e.message);
+    } finally {
+        Memory.stopScheduler();
+        restore();
+    }
+
+    return summary();
+}
+
+window.testDataflow = testDataflow;
+console.log('Dataflow test loaded. Run testDataflow() in console to test.');
@@ -0,0 +1,110 @@
+/**
+ * Shared helpers of the console tests (test-*.js)
+ * Loaded before them from index.html
+ *
+ * - createTestRun: PASS/FAIL logging, counters and the summary
+ * - createTestEvents: builders of synthetic models, individuals and events
+ * - useTestMemory: swaps a synthetic event store into Memory with
+ *   persistence stubbed, and gives back a function that restores it
+ */
+
+/**
+ * Start a test run
+ * @returns {Object} { results, check(name, ok, details), summary() → results }
+ */
+function createTestRun(title) {
+    console.log(`=== ${title} ===\n`);
+
+    const results = { passed: 0, failed: 0, errors: [] };
+    const check = (name, ok, details) => {
+        if (ok) {
+            console.log(`[PASS] ${name}`);
+            results.passed++;
+        } else {
+            console.log(`[FAIL] ${name}${details ? ' - ' + details : ''}`);
+            results.failed++;
+            results.errors.push(name);
+        }
+    };
+    const summary = () => {
+        console.log('\n=== Test Summary ===');
+        console.log(`Passed: ${results.passed}`);
+        console.log(`Failed: ${results.failed}`);
+        if (results.errors.length > 0) {
+            console.log('Errors:', results.errors);
+        }
+        return results;
+    };
+
+    return { results, check, summary };
+}
+
+/**
+ * Builders of synthetic events, one second apart from 2024-01-01, ids prefix_N
+ * - push(base, type, value, model, actor = 'test')
+ * - model(concept, fields, invariants = []): fields map to restrictions,
+ *   a field with a Range is a Relation; invariants are [expression, description]
+ * - individual(concept, name, props, actor = 'test'): an array value adds one event per item
+ * @returns {Object} { events, push, model, individual }
+ */
+function createTestEvents(prefix) {
+    const events = [];
+    const started = Date.parse('2024-01-01T00:00:00Z');
+
+    const push = (base, type, value, model, actor = 'test') => {
+        const event = {
+            id: `${prefix}_${events.length}`,
+            base, type, value,
+            actor,
+            model,
+            date: new Date(started + events.length * 1000).toISOString(),
+            cause: ['Event']
+        };
+        events.push(event);
+        return event;
+    };
+
+    const model = (concept, fields, invariants = []) => {
+        const modelEvent = push(concept, 'Model', `Model ${concept}`, 'Event');
+        Object.entries(fields).forEach(([field, restrictions]) => {
+            const fieldEvent = push(modelEvent.id, restrictions.Range ? 'Relation' : 'Attribute', field, 'Event');
+            Object.entries(restrictions).forEach(([type, value]) => push(fieldEvent.id, type, value, 'Event'));
+        });
+        invariants.forEach(([expression, description]) => {
+            const invariant = push(modelEvent.id, 'Invariant', expression, 'Event');
+            if (description) push(invariant.id, 'Description', description, 'Event');
+        });
+        return modelEvent;
+    };
+
+    const individual = (concept, name, props, actor = 'test') => {
+        push(concept, 'Individual', name, `Model ${concept}`, actor);
+        push(name, 'SetModel', `Model ${concept}`, `Model ${concept}`, actor);
+        Object.entries(props).forEach(([type, value]) => {
+            (Array.isArray(value) ? value : [value]).forEach(v => push(name, type, v, `Model ${concept}`, actor));
+        });
+    };
+
+    return { events, push, model, individual };
+}
+
+/**
+ * Use a synthetic event store; nothing the test adds is saved
+ * @param {Array} events - genesis is not added
+ * @param {Array} [extra] - more [object, key] pairs the test changes, restored too
+ * @returns {Function} restore
+ */
+function useTestMemory(events, extra = []) {
+    const stubbed = [[Memory, 'persistEvents'], [Memory, 'saveToStorage'], [Memory, 'persistEpisodic']];
+    const saved = [[Memory, 'events'], ...stubbed, ...extra]
+        .map(([object, key]) => [object, key, object[key]]);
+
+    Memory.events = events;
+    Memory.reindexEvents();
+    stubbed.forEach(([object, key]) => { object[key] = () => {}; });
+
+    return () => {
+        saved.forEach(([object, key, value]) => { object[key] = value; });
+        Memory.reindexEvents();
+    };
+}
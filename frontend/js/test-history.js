@@ -0,0 +1,91 @@
+/**
+ * Test point-in-time views of individuals: queries with asOf,
+ * versions at a history index and diffs between versions
+ * Run in browser console: testHistory()
+ *
+ * A task is created, edited twice and moved to another status over a few
+ * seconds of synthetic events; each check looks at it from a different moment.
+ */
+
+/**
+ * Build synthetic events: Task model with title and status,
+ * task hist_t1 edited at known times, task hist_t2 created later
+ */
+function buildHistoryTestEvents() {
+    const { events, push, model, individual } = createTestEvents('hist');
+
+    model('Task', { title: {}, status: {} });
+    individual('Task', 'hist_t1', { title: 'Draft', status: 'open' });
+    push('hist_t1', 'title', 'Final', 'Model Task');
+    push('hist_t1', 'status', 'closed', 'Model Task');
+    individual('Task', 'hist_t2', { title: 'Later', status: 'open' });
+    return events;
+}
+
+function testHistory() {
+    const { check, summary } = createTestRun('Testing Individual History');
+
+    const events = buildHistoryTestEvents();
+    const restore = useTestMemory(events);
+    const at = id => events.find(e => e.id === id).date;
+    try {
+        // hist_t1: Individual hist_3, SetModel hist_4, title hist_5, status hist_6,
+        // title hist_7, status hist_8; hist_t2 from hist_9
+        console.log('1. Queries with asOf');
+        const tasks = asOf => Memory.executeQuery('$($EQ.$Base("Task"))', { asOf });
+        const open = asOf => Memory.executeQuery('$($EQ.status("open"))', { asOf }).map(item => item.id);
+
+        const now = tasks(null);
+        check('current query sees both tasks', now.length === 2, JSON.stringify(now));
+        check('current state has the latest values',
+            now.find(item => item.id === 'hist_t1')?.title === 'Final', JSON.stringify(now));
+
+        const early = tasks(at('hist_6'));
+        check('asOf hides later individuals', early.length === 1 && early[0].id === 'hist_t1', JSON.stringify(early));
+        check('asOf state has the values of then', early[0]?.title === 'Draft' && early[0]?.status === 'open',
+            JSON.stringify(early));
+        check('asOf by event id', JSON.stringify(tasks('hist_6')) === JSON.stringify(early));
+        check('conditions see values of then', JSON.stringify(open(at('hist_7'))) === '["hist_t1"]' &&
+            JSON.stringify(open(null)) === '["hist_t2"]', `${open(at('hist_7'))} / ${open(null)}`);
+        check('before creation nothing matches', tasks(at('hist_2')).length === 0);
+        check('invalid asOf reported', Boolean(Memory.executeQuery('$($EQ.$Base("Task"))', { asOf: 'never' }).error));
+
+        // History of hist_t1: created, SetModel, title, status, title, status
+        console.log('\n2. Versions');
+        const history = Memory.getIndividualHistory('hist_t1');
+        check('history in order', JSON.stringify(history.map(entry => entry.field)) ===
+            '["$created","SetModel","title","status","title","status"]', JSON.stringify(history.map(entry => entry.field)));
+        check('history keeps previous values', history[4].previousValue === 'Draft' && history[4].value === 'Final');
+
+        const empty = Memory.getIndividualVersion('hist_t1', -1);
+        check('version before creation is empty', JSON.stringify(empty) === '{"id":"hist_t1"}', JSON.stringify(empty));
+        const first = Memory.getIndividualVersion('hist_t1', 3);
+        check('version at an index', first.title === 'Draft' && first.status === 'open', JSON.stringify(first));
+        const edited = Memory.getIndividualVersion('hist_t1', 4);
+        check('latest value wins in a version', edited.title === 'Final' && edited.status === 'open', JSON.stringify(edited));
+        const last = Memory.getIndividualVersion('hist_t1', history.length - 1);
+        const current = Memory.getIndividualState('hist_t1');
+        check('last version is the current state', ['title', 'status', 'SetModel'].every(f => last[f] === current[f]),
+            `${JSON.stringify(last)} / ${JSON.stringify(current)}`);
+
+        console.log('\n3. Diffs');
+        const diff = Memory.diffIndividualVersions('hist_t1', 3, 5);
+        check('diff lists changed fields', JSON.stringify(diff) === JSON.stringify([
+            { field: 'title', before: 'Draft', after: 'Final', change: 'changed' },
+            { field: 'status', before: 'open', after: 'closed', change: 'changed' }
+        ]), JSON.stringify(diff));
+        const added = Memory.diffIndividualVersions('hist_t1', 1, 2);
+        check('diff reports added fields', added.length === 1 && added[0].field === 'title' && added[0].change === 'added' &&
+            added[0].before === null, JSON.stringify(added));
+        check('same version, no diff', Memory.diffIndividualVersions('hist_t1', 4, 4).length === 0);
+    } catch (e) {
+        check('no exceptions', false, e.message);
+    } finally {
+        restore();
+    }
+
+    return summary();
+}
+
+window.testHistory = testHistory;
+console.log('History test loaded. Run testHistory() in console to test.');
@@ -0,0 +1,136 @@
+/**
+ * Test actor identities (key pairs, signed events, verification on merge)
+ * Run in browser console: await testIdentity()
+ *
+ * Checks the canonical form that is signed, which events an identity signs,
+ * how a receiving client without the keys treats signed, forged and unsigned
+ * events on merge, key rotation, and export and import of identities.
+ */
+
+async function testIdentity() {
+    const { results, check, summary } = createTestRun('Testing Identities and Signed Events');
+
+    if (!Identity.isSupported()) {
+        check('WebCrypto available', false);
+        return results;
+    }
+
+    const genesis = getGenesisEvents();
+    // Events as another client receives them
+    const incoming = events => events.map(e => JSON.parse(JSON.stringify({ ...e, synced: undefined })));
+    // Receiving client: genesis only, nobody's keys
+    const receive = async events => {
+        Memory.events = [...genesis];
+        Memory.reindexEvents();
+        const copies = incoming(events);
+        const added = await Sync.mergeEvents(copies);
+        return { added, ids: copies.filter(e => Memory.getEventById(e.id) === e).map(e => e.id) };
+    };
+
+    const restore = useTestMemory([...genesis],
+        [[Identity, 'identities'], [Identity, 'keys'], [Sync, 'pendingEvents']]);
+    try {
+        Identity.identities = {};
+        Identity.keys = {};
+        Sync.pendingEvents = [];
+
+        // 1. Canonical form
+        console.log('1. Canonical form');
+        const a = { id: 'x', base: 'b', type: 't', value: { y: 1, x: [2, { b: 1, a: 2 }] }, actor: 'u', date: 'd', cause: ['c'], synced: true };
+        const b = { cause: ['c'], date: 'd', actor: 'u', value: { x: [2, { a: 2, b: 1 }], y: 1 }, type: 't', base: 'b', id: 'x', vector: {} };
+        check('field and key order do not matter', Identity.canonical(a) === Identity.canonical(b), Identity.canonical(a));
+        check('local fields are not signed', !Identity.canonical(a).includes('synced'));
+
+        // 2. Signing
+        console.log('\n2. Signing');
+        const identity = await Identity.createIdentity('alice');
+        const keyEvent = Memory.getEventsByBaseType('alice', 'PublicKey')[0];
+        check('public key published', keyEvent && keyEvent.value === identity.publicKey && keyEvent.actor === 'alice');
+        check('key event signed', !!keyEvent?.signature);
+
+        const signed = Memory.addEvent({ base: 'Concept', type: 'Individual', value: 'id_note', actor: 'alice' });
+        const unsignedOwn = Memory.addEvent({ base: 'Concept', type: 'Individual', value: 'id_other', actor: 'bob' });
+        await Identity.flush();
+        check('events of an identity signed', typeof signed.signature === 'string' && signed.signature.length > 0);
+        check('events of other actors unsigned', !unsignedOwn.signature);
+        check('no key publishing for others', Memory.addEvent({ base: 'bob', type: 'PublicKey', value: identity.publicKey, actor: 'alice' }) === null);
+
+        const aliceEvents = [keyEvent, signed];
+
+        // 3. Verification on merge
+        console.log('\n3. Verification on merge');
+        let received = await receive([...aliceEvents, unsignedOwn]);
+        check('signed and legacy events accepted', received.added === 3, JSON.stringify(received));
+        check('published key known after merge', Identity.publishedKeys('alice')[0] === identity.publicKey);
+
+        const tampered = incoming(aliceEvents);
+        tampered[1].value = 'id_changed';
+        received = await receive(tampered);
+        check('changed value rejected', received.ids.join() === keyEvent.id, received.ids.join());
+
+        const unsignedForged = { ...incoming([signed])[0], id: 'id_forged', signature: undefined };
+        received = await receive([keyEvent, unsignedForged]);
+        check('unsigned event of an identity rejected', received.ids.join() === keyEvent.id, received.ids.join());
+
+        const withoutKey = await receive([signed]);
+        check('signature without a published key rejected', withoutKey.added === 0);
+
+        // Mallory signs as alice with her own key
+        Identity.keys.alice = await Identity._importPrivate((await crypto.subtle.exportKey('jwk',
+            (await crypto.subtle.generateKey(Identity.keyAlgorithm, true, ['sign', 'verify'])).privateKey)));
+        const forged = { ...incoming([signed])[0], id: 'id_mallory' };
+        await Identity.signEvent(forged);
+        received = await receive([keyEvent, forged]);
+        check('foreign key rejected', received.ids.join() === keyEvent.id, received.ids.join());
+        Identity.keys.alice = await Identity._importPrivate(identity.privateJwk);
+
+        const otherKey = { ...incoming([keyEvent])[0], id: 'id_key_bob', base: 'bob' };
+        received = await receive([otherKey]);
+        check('key published for another actor rejected', received.added === 0);
+
+        check('unverified signed event invalid',
+            Sync.validateEvent({ ...incoming([signed])[0], id: 'id_unverified' }).errors.includes('Signature not verified'));
+
+        // 4. Key rotation
+        console.log('\n4. Key rotation');
+        Memory.events = [...genesis, ...aliceEvents];
+        Memory.reindexEvents();
+        const rotated = await Identity.createIdentity('alice');
+        const rotation = Memory.getEventsByBaseType('alice', 'PublicKey').find(e => e.value === rotated.publicKey);
+        const afterRotation = Memory.addEvent({ base: 'Concept', type: 'Individual', value: 'id_after', actor: 'alice' });
+        await Identity.flush();
+        received = await receive([...aliceEvents, rotation, afterRotation]);
+        check('new key signed by the old one', received.added === 4, JSON.stringify(received));
+
+        const selfSigned = { ...incoming([rotation])[0], id: 'id_self_signed' };
+        await Identity.signEvent(selfSigned);
+        received = await receive([keyEvent, selfSigned]);
+        check('second key signed by itself rejected', received.ids.join() === keyEvent.id, received.ids.join());
+
+        // 5. Export and import
+        console.log('\n5. Export and import');
+        const exported = JSON.parse(JSON.stringify(Identity.exportIdentity('alice')));
+        Identity.identities = {};
+        Identity.keys = {};
+        await Identity.importIdentity(exported);
+        check('imported identity signs', Identity.hasIdentity('alice') &&
+            Identity.listIdentities()[0].publicKey === rotated.publicKey);
+
+        let rejected = null;
+        try {
+            await Identity.importIdentity({ ...exported, publicKey: identity.publicKey });
+        } catch (e) {
+            rejected = e.message;
+        }
+        check('mismatched key pair rejected', rejected === 'Public key does not match the identity', rejected);
+    } catch (e) {
+        check('no exceptions', false, e.message);
+    } finally {
+        restore();
+    }
+
+    return summary();
+}
+
+window.testIdentity = testIdentity;
+console.log('Identity test loaded. Run await testIdentity() in console to test.');
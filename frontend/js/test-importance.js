@@ -0,0 +1,111 @@
+/**
+ * Test importance rules of the episodic tier (defaults, declared rules, inspector)
+ * Run in browser console: testImportance()
+ *
+ * Checks the default weights and the factors named after their rules,
+ * declared rules and which of them wins, the boost for individuals named in
+ * the chat, and rescoring of the episodic tier when a rule changes.
+ */
+
+/**
+ * Build synthetic events: Task model with a deadline field, tasks imp_t1 and
+ * imp_t2, actor carol with role lead
+ */
+function buildImportanceTestEvents() {
+    const { events, push, model, individual } = createTestEvents('imp');
+
+    model('Task', { title: {}, deadline: {} });
+    push('Role', 'Individual', 'lead', 'Event');
+    push('carol', 'Role', 'lead', 'Event');
+    ['imp_t1', 'imp_t2'].forEach(name => individual('Task', name, {}));
+    return events;
+}
+
+function testImportance() {
+    const { check, summary } = createTestRun('Testing Importance Rules');
+
+    const restore = useTestMemory([...getGenesisEvents(), ...buildImportanceTestEvents()], [
+        [Memory, 'currentActor'], [Memory, 'chats'], [Memory, 'currentChatId'], [Memory.episodicMemory, 'items']
+    ]);
+    try {
+        Memory.chats = [{ id: 'imp_chat', title: 'Importance', messages: [] }];
+        Memory.currentChatId = 'imp_chat';
+        Memory.episodicMemory.items = [];
+
+        const old = new Date(Date.now() - 1000 * 3600000).toISOString();  // No recency boost
+        const event = (base, type, value, actor) => ({ id: 'imp_probe', base, type, value, actor, date: old, cause: ['Event'] });
+        const factor = (probe, name) => Memory.explainImportance(probe).factors.find(f => f.factor === name);
+        const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+        // 1. Defaults keep the built-in weights
+        console.log('1. Default rules');
+        const individual = event('Task', 'Individual', 'imp_t1', 'user');
+        const explained = Memory.explainImportance(individual);
+        check('default score', close(explained.score, 0.5 + 0.16 + 0.15 + 0.05 + 6 / 500),
+            JSON.stringify(explained.factors));
+        check('factors name their rules', factor(individual, 'type').rule === 'Type Individual' &&
+            factor(individual, 'actor').rule === 'Actor user');
+        check('other types use Type *', factor(event('imp_t1', 'title', 'x', 'bob'), 'type').rule === 'Type *');
+        check('no rule for unknown actors', !factor(event('imp_t1', 'title', 'x', 'bob'), 'actor'));
+        check('calculateImportance is the explained score', close(Memory.calculateImportance(individual), explained.score));
+
+        // 2. Declared rules
+        console.log('\n2. Declared rules');
+        Memory.currentActor = 'bob';
+        check('only superusers declare rules', Memory.setImportanceRule('Model Task', 0.2) === null);
+        Memory.currentActor = 'admin';
+        check('unknown target kind rejected', Memory.setImportanceRule('Task', 0.2) === null);
+        Memory.setImportanceRule('Model Task', 0.2);
+        Memory.setImportanceRule('Model Task.deadline', 0.3);
+        Memory.setImportanceRule('Role lead', 0.25);
+        Memory.setImportanceRule('Type Individual', 0.05);
+        Memory.setImportanceRule('Actor llm', null);
+
+        const title = event('imp_t1', 'title', 'x', 'carol');
+        const deadline = event('imp_t1', 'deadline', '2024-05-01', 'carol');
+        check('model rule', factor(title, 'model')?.weight === 0.2 && !factor(title, 'field'));
+        check('field rule replaces the model rule', factor(deadline, 'field')?.weight === 0.3 && !factor(deadline, 'model'));
+        check('role rule for actors with the role', factor(title, 'role')?.rule === 'Role lead');
+        check('declared rule replaces the default', factor(individual, 'type').weight === 0.05);
+        check('none removes a default', !factor(event('imp_t1', 'title', 'x', 'llm'), 'actor') &&
+            !Memory.getImportanceRules().some(rule => rule.target === 'Actor llm'));
+
+        Memory.setImportanceRule('Actor carol', 0.01);
+        check('actor rule replaces role rules', factor(title, 'actor')?.weight === 0.01 && !factor(title, 'role'));
+        Memory.setImportanceRule('Model Task', 0.4);
+        check('latest rule wins', factor(title, 'model').weight === 0.4);
+
+        // 3. Individuals named in the chat
+        console.log('\n3. Chat links');
+        Memory.setImportanceRule('Chat', 0.2);
+        check('no boost before the chat names it', !factor(title, 'chat'));
+        Memory.addMessage('user', 'What is the status of imp_t1?');
+        check('boost once the chat names it', factor(title, 'chat')?.weight === 0.2);
+        check('others not boosted', !factor(event('imp_t2', 'title', 'x', 'carol'), 'chat'));
+
+        // 4. Episodic tier
+        console.log('\n4. Episodic tier');
+        const stored = Memory.addEvent({ base: 'imp_t2', type: 'deadline', value: '2024-06-01', actor: 'carol' });
+        Memory.addToEpisodicMemory(stored.id);
+        const item = Memory.episodicMemory.items.find(i => i.eventId === stored.id);
+        check('episodic item scored by rules', item && close(item.importance, Memory.calculateImportance(stored)));
+
+        const before = item.importance;
+        Memory.setImportanceRule('Model Task.deadline', 0);
+        check('rule change rescores the tier', item.importance < before && close(item.importance,
+            Memory.explainImportance(stored, item).score), `${before} → ${item.importance}`);
+
+        const inspected = Memory.explainImportance(stored, { accessCount: 3, decay: 0.5 });
+        check('inspector shows access and decay', close(inspected.factors.find(f => f.factor === 'access').weight, 0.06) &&
+            close(inspected.factors.find(f => f.factor === 'decay').weight, -0.15));
+    } catch (e) {
+        check('no exceptions', false, e.message);
+    } finally {
+        restore();
+    }
+
+    return summary();
+}
+
+window.testImportance = testImportance;
+console.log('Importance test loaded. Run testImportance() in console to test.');
@@ -0,0 +1,113 @@
+/**
+ * Test content-addressed event ids and per-actor hash chains
+ * Run in browser console: testIntegrity()
+ *
+ * Checks SHA-256 and content ids, ids and chain links of added events,
+ * redelivery and renamed provisional ids, what verifyIntegrity reports for
+ * edited or removed events, incoming events on sync, and rebuildWorld.
+ */
+
+function testIntegrity() {
+    const { check, summary } = createTestRun('Testing Content Ids and Hash Chains');
+
+    const restore = useTestMemory(getGenesisEvents(), [[CONFIG.events, 'contentIds'], [Memory, '_idAliases']]);
+    try {
+        Memory._idAliases = new Map();
+        CONFIG.events.contentIds = true;
+        const date = n => new Date(Date.parse('2024-03-01T10:00:00Z') + n * 1000).toISOString();
+
+        // 1. Hashing
+        console.log('1. Hashing');
+        check('SHA-256 of empty string', EventHash.sha256('') === 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+        check('SHA-256 of abc', EventHash.sha256('abc') === 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+        check('SHA-256 of UTF-8 text', EventHash.sha256('Задача ✓').length === 64);
+        const content = { base: 'x', type: 'note', value: { b: 1, a: [1, 2] }, actor: 'alice', cause: 'Event', date: date(0) };
+        check('content id ignores key order and cause form',
+            EventHash.contentId(content) === EventHash.contentId({ ...content, value: { a: [1, 2], b: 1 }, cause: ['Event'] }));
+        check('content id depends on every field', ['base', 'type', 'value', 'actor', 'cause', 'date']
+            .every(field => EventHash.contentId({ ...content, [field]: 'other' }) !== EventHash.contentId(content)));
+        check('generateId hashes content', Memory.generateId(content) === EventHash.contentId(content) &&
+            !EventHash.isContentId(Memory.generateId()));
+
+        // 2. Adding events
+        console.log('\n2. Adding events');
+        const add = (data, n) => Memory.addEvent({ model: 'Event', date: date(n), ...data });
+        const concept = add({ base: 'Concept', type: 'Individual', value: 'int_note', actor: 'alice' }, 1);
+        const first = add({ base: 'int_note', type: 'title', value: 'One', actor: 'alice' }, 2);
+        const other = add({ base: 'int_note', type: 'title', value: 'Two', actor: 'bob' }, 3);
+        const second = add({ base: 'int_note', type: 'text', value: 'Body', actor: 'alice' }, 4);
+        check('id is the hash of stored content', EventHash.isContentId(first.id) && EventHash.matchesContent(first));
+        check('first link of a chain', concept.chain === EventHash.chainLink(null, concept.id));
+        check('chain per actor', second.chain === EventHash.chainLink(first.chain, second.id) &&
+            other.chain === EventHash.chainLink(null, other.id));
+
+        const count = Memory.events.length;
+        const redelivered = add({ id: first.id, base: 'int_note', type: 'title', value: 'One', actor: 'alice' }, 2);
+        check('same content id, same event', redelivered === first && Memory.events.length === count);
+
+        const provisional = Memory.generateId({ base: 'int_note', type: 'tag', value: 'a', actor: 'alice', cause: ['$none'], date: date(5) });
+        const renamed = add({ id: provisional, base: 'int_note', type: 'tag', value: 'a', actor: 'alice' }, 5);
+        const follower = add({ base: provisional, type: 'comment', value: 'c', actor: 'alice', cause: [provisional] }, 6);
+        check('provisional content id renamed', renamed.id !== provisional && EventHash.matchesContent(renamed));
+        check('later references follow the rename', follower.base === renamed.id && follower.cause.includes(renamed.id),
+            JSON.stringify(follower));
+        check('provisional id added again, same event',
+            add({ id: provisional, base: 'int_note', type: 'tag', value: 'a', actor: 'alice' }, 5) === renamed);
+
+        const batch = Memory.addEventBatch([
+            { base: 'int_note', type: 'title', value: 'Three', actor: 'alice', date: date(7) },
+            { base: 'int_note', type: 'text', value: 'More', actor: 'alice', date: date(8) }
+        ]);
+        check('batch events chained in order', batch.committed &&
+            batch.events[1].chain === EventHash.chainLink(batch.events[0].chain, batch.events[1].id));
+
+        // 3. Verification
+        console.log('\n3. Verification');
+        const clean = Memory.verifyIntegrity();
+        check('untouched history verifies', clean.issues.length === 0 && clean.chained === clean.checked && clean.checked >= 8,
+            JSON.stringify(clean));
+
+        second.value = 'Edited';
+        let report = Memory.verifyIntegrity();
+        check('edited event reported', report.issues.length === 1 && report.issues[0].id === second.id &&
+            report.issues[0].kind === 'content', JSON.stringify(report.issues));
+        check('sealed event not auto-fixed', Memory.applyAutoFix(second.id, { field: 'value', newValue: 'Body' }) === false);
+        second.value = 'Body';
+
+        const removed = Memory.events.indexOf(first);
+        Memory.events.splice(removed, 1);
+        Memory.reindexEvents();
+        report = Memory.verifyIntegrity();
+        check('removed event breaks the chain', report.issues.some(i => i.kind === 'chain' && i.id === second.id),
+            JSON.stringify(report.issues));
+        Memory.events.splice(removed, 0, first);
+        Memory.reindexEvents();
+
+        // Events from another device: the id is checked against the content
+        const remote = { base: 'int_note', type: 'title', value: 'Remote', actor: 'carol', model: 'Event', cause: [concept.id], date: date(9) };
+        remote.id = EventHash.contentId(remote);
+        const accepted = Sync.validateEvent(remote);
+        check('matching incoming event valid', accepted.valid, JSON.stringify(accepted.errors));
+        check('edited incoming event invalid', Sync.validateEvent({ ...remote, value: 'Forged' }).errors
+            .includes('Content does not match id'));
+
+        // 4. rebuildWorld
+        console.log('\n4. rebuildWorld');
+        const causes = JSON.stringify(Memory.events.filter(e => Memory.isContentAddressed(e)).map(e => e.cause));
+        second.date = date(40);
+        report = Memory.rebuildWorld();
+        check('rebuildWorld reports mismatches', report.integrityIssues.length === 1 && report.integrityIssues[0].id === second.id,
+            JSON.stringify(report.integrityIssues));
+        check('rebuildWorld keeps sealed causes',
+            JSON.stringify(Memory.events.filter(e => Memory.isContentAddressed(e)).map(e => e.cause)) === causes);
+    } catch (e) {
+        check('no exceptions', false, e.message);
+    } finally {
+        restore();
+    }
+
+    return summary();
+}
+
+window.testIntegrity = testIntegrity;
+console.log('Integrity test loaded. Run testIntegrity() in console to test.');
@@ -0,0 +1,128 @@
+/**
+ * Test Memory event indexes
+ * Run in browser console: testMemoryIndex()
+ *
+ * Checks that indexed lookups return what a linear scan of the log returns,
+ * that appended and edited events are reindexed, and that lookup time stays
+ * flat from 4k to 40k events.
+ */
+
+/**
+ * Build synthetic events: individuals with SetModel and property events
+ */
+function buildIndexTestEvents(count) {
+    const events = [];
+    const started = Date.parse('2024-01-01T00:00:00Z');
+    let n = 0;
+
+    const push = (base, type, value, actor, cause) => {
+        const event = {
+            id: `idx_${count}_${n}`,
+            base, type, value, actor,
+            model: 'Model IndexTest',
+            date: new Date(started + n * 1000).toISOString(),
+            cause: cause ? [cause] : ['Event']
+        };
+        n++;
+        events.push(event);
+        return event;
+    };
+
+    for (let i = 0; events.length < count; i++) {
+        const name = `idx_person_${i}`;
+        const ind = push('IndexTest', 'Individual', name, 'user');
+        const sm = push(name, 'SetModel', 'Model IndexTest', 'user', ind.id);
+        push(name, 'age', 20 + (i % 50), 'user', sm.id);
+        push(name, 'status', i % 2 ? 'active' : 'draft', 'manager', sm.id);
+        push(name, 'status', i % 3 ? 'active' : 'closed', 'manager', sm.id);
+        if (i % 10 === 0) {
+            push('Delete', 'Individual', name, 'admin', ind.id);
+        }
+    }
+    return events;
+}
+
+/**
+ * Time a lookup function over a list of keys, returns ms per lookup
+ */
+function timeLookups(keys, fn) {
+    const t0 = performance.now();
+    keys.forEach(fn);
+    return (performance.now() - t0) / keys.length;
+}
+
+function testMemoryIndex() {
+    const { results, check, summary } = createTestRun('Testing Memory Event Index');
+    results.timings = {};
+
+    const restore = useTestMemory(buildIndexTestEvents(2000));
+    try {
+        // 1. Index answers match linear scans
+        console.log('1. Index lookups match linear scans');
+        const sample = 'idx_person_10';
+        const sameIds = (a, b) => a.length === b.length && a.every((e, i) => e.id === b[i].id);
+
+        check('getEventsByBase', sameIds(
+            Memory.getEventsByBase(sample),
+            Memory.events.filter(e => e.base === sample)));
+        check('getEventsByBaseType', sameIds(
+            Memory.getEventsByBaseType(sample, 'status'),
+            Memory.events.filter(e => e.base === sample && e.type === 'status')));
+        check('getEventsByActor', sameIds(
+            Memory.getEventsByActor('admin'),
+            Memory.events.filter(e => e.actor === 'admin')));
+        check('getEventChildren', sameIds(
+            Memory.getEventChildren(Memory.events[1].id),
+            Memory.events.filter(e => e.cause.includes(Memory.events[1].id))));
+        check('getLatestValue', Memory.getLatestValue('idx_person_3', 'status') === 'closed');
+        check('isDeleted', Memory.isDeleted('idx_person_10') && !Memory.isDeleted('idx_person_11'));
+        check('inferModelForBase', Memory.inferModelForBase(sample) === 'Model IndexTest');
+
+        // 2. Incremental updates (appended events) and full rebuild (in-place edits)
+        console.log('\n2. Incremental update and rebuild');
+        Memory.events.push({
+            id: 'idx_restore_10', base: 'Restore', type: 'Individual', value: sample,
+            actor: 'admin', date: new Date().toISOString(), cause: ['Event']
+        });
+        Memory.indexEvents();
+        check('appended Restore is indexed', !Memory.isDeleted(sample));
+
+        const edited = Memory.getEventsByBaseType('idx_person_5', 'age')[0];
+        edited.cause = ['idx_restore_10'];
+        Memory.reindexEvents();
+        check('reindex after in-place edit', Memory.getEventChildren('idx_restore_10').includes(edited));
+
+        // 3. Benchmark: lookup time must not grow with store size
+        console.log('\n3. Benchmark (ms per lookup)');
+        const sizes = [4000, 40000];
+        sizes.forEach(size => {
+            Memory.events = buildIndexTestEvents(size);
+            Memory.reindexEvents();
+
+            const keys = [];
+            for (let i = 0; i < 200; i++) keys.push(`idx_person_${(i * 37) % Math.floor(size / 5)}`);
+
+            const indexed = timeLookups(keys, name => Memory.getIndividualState(name));
+            const linear = timeLookups(keys, name => Memory.events.filter(e => e.base === name));
+            results.timings[size] = { indexed, linear };
+            console.log(`  ${size} events: indexed=${indexed.toFixed(4)}ms, linear filter=${linear.toFixed(4)}ms`);
+        });
+
+        const small = results.timings[sizes[0]];
+        const large = results.timings[sizes[1]];
+        // 10x more events: a linear scan gets ~10x slower, indexed lookups should not
+        check('indexed lookups are sub-linear',
+            large.indexed < Math.max(small.indexed * 3, 0.05),
+            `${small.indexed.toFixed(4)}ms → ${large.indexed.toFixed(4)}ms`);
+        check('indexed lookups beat linear scan at 40k events', large.indexed < large.linear);
+    } catch (e) {
+        check('no exceptions', false, e.message);
+    } finally {
+        restore();
+    }
+
+    return summary();
+}
+
+window.testMemoryIndex = testMemoryIndex;
+console.log('Index test loaded. Run testMemoryIndex() in console to test.');
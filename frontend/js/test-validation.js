@@ -0,0 +1,206 @@
+/**
+ * Test model validation (field restrictions and model invariants)
+ * Run in browser console: testValidation()
+ *
+ * Checks invariants read from Model events, Required, Cardinality and
+ * DataType restrictions, the errors addEvent and addEventBatch return when
+ * a change breaks them, conditions on typed stored values, and the events of
+ * an LLM message checked as one batch.
+ */
+
+/**
+ * Build synthetic events: Booking with a date-order invariant, Contact with
+ * an "email or phone" invariant and a message and a Required name, Note with
+ * a broken invariant, Team whose members have a Cardinality, Task with
+ * 1..3 assignees (a Relation to Contact), Visit with typed fields
+ */
+function buildValidationTestEvents() {
+    const { events, push, model, individual } = createTestEvents('val');
+
+    model('Booking', {
+        start_date: { DataType: 'DateTime' },
+        end_date: { DataType: 'DateTime' }
+    }, [['$.end_date == null || $.end_date > $.start_date']]);
+    model('Contact', {
+        name: { Required: 1 },
+        email: {},
+        phone: {},
+        budget: { DataType: 'Numeric' }
+    }, [['$.email != null || $.phone != null', 'Enter an email or a phone']]);
+    model('Note', { text: {} }, [['$.text >']]);
+    model('Team', { members: { Multiple: 1, Cardinality: '2..5' } });
+    model('Task', { assignees: { Range: 'Contact', Cardinality: '1..3' } });
+    model('Visit', {
+        at: { DataType: 'DateTime' },
+        length: { DataType: 'Duration' },
+        paid: { DataType: 'Boolean' },
+        notes: { DataType: 'MarkdownType' },
+        invoice: { DataType: 'PDFType' }
+    });
+
+    individual('Booking', 'val_b1', { start_date: '2024-05-01', end_date: '2024-05-03' });
+    individual('Contact', 'val_c1', { email: 'ann@example.com' });
+    individual('Note', 'val_n1', {});
+    individual('Team', 'val_t1', { members: 'ann' });
+    ['val_a1', 'val_a2', 'val_a3', 'val_a4'].forEach(name => individual('Contact', name, { name, phone: '555' }));
+    individual('Task', 'val_task1', { assignees: 'val_a1' });
+    individual('Visit', 'val_v1', {});
+    return events;
+}
+
+function testValidation() {
+    const { check, summary } = createTestRun('Testing Validation');
+
+    const restore = useTestMemory(buildValidationTestEvents());
+    try {
+        const user = (base, type, value) => ({ base, type, value, actor: 'user' });
+
+        // 1. Model invariants
+        console.log('1. Invariants');
+        const invariants = Memory.getModelInvariants('Model Booking');
+        check('invariants read from the Model event', invariants.length === 1 &&
+            invariants[0].fields.sort().join() === 'end_date,start_date', JSON.stringify(invariants));
+        check('satisfied invariant', Memory.validateInvariants('val_b1').valid);
+
+        const reversed = Memory.checkInvariants([user('val_b1', 'end_date', '2024-04-01')]);
+        check('prospective state breaks the invariant', !reversed.valid && reversed.errors[0].code === 'VALUE_006' &&
+            reversed.errors[0].fields.includes('end_date') && reversed.errors[0].individual === 'val_b1',
+            JSON.stringify(reversed.errors));
+        check('check adds no events', Memory.getLatestValue('val_b1', 'end_date') === '2024-05-03' &&
+            Memory.events.length === buildValidationTestEvents().length);
+
+        const moved = Memory.checkInvariants([
+            user('val_b1', 'start_date', '2024-03-01'),
+            user('val_b1', 'end_date', '2024-04-01')
+        ]);
+        check('invariant sees every field of the submit', moved.valid, JSON.stringify(moved.errors));
+
+        // 2. New individuals and messages
+        console.log('\n2. New individuals');
+        const create = (name, props) => [
+            { base: 'Contact', type: 'Individual', value: name, actor: 'user' },
+            { base: name, type: 'SetModel', value: 'Model Contact', actor: 'user' },
+            ...Object.entries(props).map(([type, value]) => user(name, type, value))
+        ];
+        const empty = Memory.checkInvariants(create('val_c2', {}));
+        check('new individual checked with its fields', !empty.valid &&
+            empty.errors[0].message === 'Enter an email or a phone' &&
+            empty.errors[0].fields.sort().join() === 'email,phone', JSON.stringify(empty.errors));
+        check('either field satisfies it', Memory.checkInvariants(create('val_c2', { phone: '555' })).valid);
+        check('previewed individual not created', Memory.getSetModelEvent('val_c2') === null ||
+            Memory.getSetModelEvent('val_c2') === undefined);
+
+        // 3. Batches
+        console.log('\n3. Batches');
+        const rejected = Memory.addEventBatch([user('val_b1', 'end_date', '2024-01-01')]);
+        check('batch breaking an invariant rolls back', !rejected.committed &&
+            rejected.errors[0].code === 'VALUE_006' && Memory.getLatestValue('val_b1', 'end_date') === '2024-05-03');
+        const committed = Memory.addEventBatch([
+            user('val_c1', 'phone', '555'),
+            user('val_c1', 'budget', 10)
+        ]);
+        check('batch keeping invariants commits', committed.committed && Memory.getLatestValue('val_c1', 'phone') === '555');
+
+        // 4. Broken expressions
+        console.log('\n4. Broken invariant');
+        check('unparsable invariant does not block saving', Memory.validateInvariants('val_n1').valid);
+        const issues = Memory.checkModelExpressions('Model Note');
+        check('type check reports the invariant', issues.length === 1 && issues[0].restriction === 'Invariant' &&
+            issues[0].field === null, JSON.stringify(issues));
+
+        // 5. Completeness
+        console.log('\n5. Completeness');
+        const bounds = ['1..3', '2..*', '2', '3..1', 'many'].map(value => JSON.stringify(Memory._parseCardinality(value)));
+        check('Cardinality bounds parsed', bounds.join(' ') ===
+            '{"min":1,"max":3} {"min":2,"max":null} {"min":2,"max":2} null null', bounds.join(' '));
+
+        const unnamed = Memory.getMissingFields('val_c1');
+        check('never supplied Required field is missing', unnamed.length === 1 && unnamed[0].field === 'name' &&
+            unnamed[0].restriction === 'Required' && unnamed[0].code === 'VALUE_005', JSON.stringify(unnamed));
+
+        const team = Memory.getMissingFields('val_t1');
+        check('too few values for Cardinality', team.length === 1 && team[0].restriction === 'Cardinality' &&
+            team[0].min === 2 && team[0].count === 1, JSON.stringify(team));
+        Memory.addEvent(user('val_t1', 'members', 'bob'));
+        check('enough values complete the individual', Memory.getMissingFields('val_t1').length === 0,
+            JSON.stringify(Memory.getMissingFields('val_t1')));
+
+        const incomplete = Memory.validateCompleteness().map(entry => entry.individual);
+        check('graph check lists incomplete individuals only', incomplete.join() === 'val_c1', incomplete.join());
+        Memory.addEvent({ base: 'Delete', type: 'Individual', value: 'val_c1', actor: 'user' });
+        check('deleted individuals are not reported', Memory.validateCompleteness().length === 0);
+
+        // 6. Cardinality bounds
+        console.log('\n6. Cardinality');
+        check('Cardinality over 1 makes a field multiple', Memory.getModelSchema('Model Task').fields.assignees.multiple &&
+            Memory.getFieldCardinality('Model Task', 'assignees').max === 3);
+        check('nothing assigned is under the minimum',
+            Memory.checkCardinality('val_task2', 'Model Task', 'assignees', []).errors[0]?.code === 'VALUE_004');
+
+        Memory.addEvent(user('val_task1', 'assignees', 'val_a2'));
+        Memory.addEvent(user('val_task1', 'assignees', 'val_a3'));
+        const overflow = Memory.addEventBatch([user('val_task1', 'assignees', 'val_a4')]);
+        check('value over the maximum rejected', !overflow.committed &&
+            overflow.errors.some(e => e.code === 'VALUE_004'), JSON.stringify(overflow.errors));
+        check('existing value does not count twice', Memory.validateEvent(user('val_task1', 'assignees', 'val_a1')).valid);
+        const preview = Memory.checkCardinality('val_task1', 'Model Task', 'assignees', ['val_a4']);
+        check('form check counts current and new values', !preview.valid && preview.errors[0].restriction === 'Cardinality');
+
+        Memory.addEvent({ base: 'Delete', type: 'Individual', value: 'val_a3', actor: 'user' });
+        check('deleted relation targets are not counted',
+            Memory.getActiveValues('val_task1', 'assignees').sort().join() === 'val_a1,val_a2',
+            JSON.stringify(Memory.getActiveValues('val_task1', 'assignees')));
+        check('freed slot can be filled', Memory.addEventBatch([user('val_task1', 'assignees', 'val_a4')]).committed);
+
+        // 7. Typed values
+        console.log('\n7. Typed values');
+        const parsed = [
+            ['Numeric', '1 234,5'], ['Numeric', '1,234.5'], ['Numeric', '42'],
+            ['Boolean', 'да'], ['Boolean', '0'],
+            ['DateTime', '01.05.2024'], ['DateTime', '2024-05-01T10:00:00+02:00'],
+            ['Duration', '1h 30m'], ['Duration', '1:30'], ['Duration', 'P2DT0H'],
+            ['MarkdownType', '# A\r\nb']
+        ].map(([datatype, value]) => JSON.stringify(BSLTypes.normalize(datatype, value)));
+        check('common input formats parsed', parsed.join(' ') ===
+            '1234.5 1234.5 42 true false "2024-05-01" "2024-05-01T08:00:00.000Z" "PT1H30M" "PT1H30M" "P2D" "# A\\nb"',
+            parsed.join(' '));
+        const invalid = [['Numeric', '12abc'], ['DateTime', '31.02.2024'], ['Duration', 'P1Y'], ['PDFType', 'notes.txt']]
+            .filter(([datatype, value]) => BSLTypes.parse(datatype, value).ok);
+        check('malformed values rejected', invalid.length === 0, JSON.stringify(invalid));
+
+        Memory.addEvent(user('val_c1', 'budget', '1 500'));
+        Memory.addEvent(user('val_v1', 'length', '45 мин'));
+        Memory.addEvent(user('val_v1', 'paid', 'yes'));
+        check('addEvent stores canonical values', Memory.getLatestValue('val_c1', 'budget') === 1500 &&
+            Memory.getLatestValue('val_v1', 'length') === 'PT45M' && Memory.getLatestValue('val_v1', 'paid') === true);
+        check('untyped fields kept as sent', Memory.addEvent(user('val_c1', 'phone', ' 555 ')).value === ' 555 ');
+
+        const wrongPdf = Memory.addEventBatch([user('val_v1', 'invoice', 'scan.png')]);
+        check('DataType error names the expected format', !wrongPdf.committed && wrongPdf.errors[0].code === 'VALUE_001' &&
+            wrongPdf.errors[0].message.includes('PDF'), JSON.stringify(wrongPdf.errors));
+        check('typed condition on stored values', Memory.executeQuery('$($EQ.$Base("Visit"), $GT.length("PT30M"))').length === 1);
+
+        // 8. Events of an LLM message are one batch
+        console.log('\n8. LLM responses');
+        const respond = events => LLMClient.processResponse({ text: 'ok', events: events.map(([base, type, value]) =>
+            ({ base, type, value, actor: 'llm' })) });
+        const endDate = Memory.getLatestValue('val_b1', 'end_date');
+        respond([['val_b1', 'end_date', '2024-04-01']]);
+        check('LLM events breaking an invariant rejected', Memory.getLatestValue('val_b1', 'end_date') === endDate);
+        respond([['val_b1', 'start_date', '2024-06-01'], ['val_b1', 'end_date', '2024-06-05']]);
+        check('invariants see the whole message', Memory.getLatestValue('val_b1', 'start_date') === '2024-06-01' &&
+            Memory.getLatestValue('val_b1', 'end_date') === '2024-06-05');
+        respond([['val_b1', 'end_date', '2024-06-09'], ['val_v1', 'paid', 'maybe'], ['val_v1', 'notes', 'ok']]);
+        check('invalid field value keeps the rest of the message', Memory.getLatestValue('val_b1', 'end_date') === '2024-06-09' &&
+            Memory.getLatestValue('val_v1', 'notes') === 'ok' && Memory.getLatestValue('val_v1', 'paid') === 'maybe');
+    } catch (e) {
+        check('no exceptions', false, e.message);
+    } finally {
+        restore();
+    }
+
+    return summary();
+}
+
+window.testValidation = testValidation;
+console.log('Validation test loaded. Run testValidation() in console to test.');
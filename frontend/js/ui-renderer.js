@@ -293,9 +293,7 @@ const UIRenderer = {
         const model = appState.SetModel || 'Model_Application';
 
         // Find SetModel event as cause (property events link to SetModel)
-        const setModelEvent = Memory.events.find(e =>
-            e.base === appId && e.type === 'SetModel'
-        );
+        const setModelEvent = Memory.getSetModelEvent(appId);
         const cause = setModelEvent?.id || null;
 
         // Create Delete event for the application
@@ -303,7 +301,7 @@ const UIRenderer = {
             base: appId,
             type: 'Delete',
             value: '1',
-            actor: 'user',
+            actor: Memory.getCurrentActor(),
             model: model,
             cause: cause
         });
@@ -458,9 +456,7 @@ const UIRenderer = {
         console.log('  appState:', appState);
 
         // Find the Individual event to get its ID for nested events lookup
-        const individualEvent = Memory.events.find(e =>
-            e.type === 'Individual' && e.value === appId
-        );
+        const individualEvent = Memory.getIndividualEvent(appId);
         const individualEventId = individualEvent?.id;
         console.log('  Individual event ID:', individualEventId);
 
@@ -475,9 +471,7 @@ const UIRenderer = {
 
         // Strategy 1b: Find "Models" events by Individual event ID (BSL nested structure)
         if (individualEventId) {
-            const modelsEventsByEventId = Memory.events.filter(e =>
-                e.base === individualEventId && e.type === 'Models'
-            );
+            const modelsEventsByEventId = Memory.getEventsByBaseType(individualEventId, 'Models');
             console.log('  "Models" events by event ID:', modelsEventsByEventId.length);
             modelsEventsByEventId.forEach(e => {
                 if (e.value && !models.includes(e.value)) {
@@ -498,9 +492,7 @@ const UIRenderer = {
 
             // Also check by event ID
             if (individualEventId) {
-                const modelEventsByEventId = Memory.events.filter(e =>
-                    e.base === individualEventId && e.type === 'Model'
-                );
+                const modelEventsByEventId = Memory.getEventsByBaseType(individualEventId, 'Model');
                 modelEventsByEventId.forEach(e => {
                     if (e.value && !models.includes(e.value)) {
                         models.push(e.value);
@@ -538,7 +530,7 @@ const UIRenderer = {
 
             // Also check events by Individual event ID
             if (individualEventId) {
-                const nestedEvents = Memory.events.filter(e => e.base === individualEventId);
+                const nestedEvents = Memory.getEventsByBase(individualEventId);
                 allAppEvents = [...allAppEvents, ...nestedEvents];
             }
 
@@ -685,7 +677,10 @@ const UIRenderer = {
         }
 
         // Build form fields from model definition
-        const fields = modelFields.map(fieldEvent => {
+        // Fields the actor may not read are left out, ones it may not write are read-only
+        const actor = Memory.getCurrentActor();
+        const readable = modelFields.filter(fieldEvent => Memory.can(actor, 'read', modelName, fieldEvent.value));
+        const fields = readable.map(fieldEvent => {
             const fieldName = fieldEvent.value;
             const fieldType = fieldEvent.type; // Attribute or Relation
 
@@ -739,10 +734,18 @@ const UIRenderer = {
                 }
             });
 
+            // Number of values: Cardinality also makes a field multiple
+            const bounds = Memory.getFieldCardinality(modelName, fieldName);
+            field.multiple = bounds.multiple;
+            if (bounds.multiple) {
+                field.cardinality = { min: bounds.min, max: bounds.max };
+            }
+
             // Set default type if not specified
             if (!field.type) {
                 field.type = 'text';
             }
+            field.readonly = !Memory.can(actor, 'write', modelName, fieldName);
 
             return field;
         });
@@ -941,13 +944,411 @@ const UIRenderer = {
             concept: widget.viewEntity,
             model: widget.model,
             fields: detailFields,
+            showHistory: true,
             actions: [
                 { label: 'Edit', action: 'edit', target: individualId },
                 { label: 'Delete', action: 'delete', target: individualId }
-            ]
+            ].filter(a => Memory.canChangeIndividual(individualId, a.action === 'delete' ? 'delete' : 'write'))
         });
     },
 
+    // ========================================
+    // INDIVIDUAL HISTORY
+    // ========================================
+
+    /**
+     * Render Details/History/Dataflow tab bar for detail views
+     */
+    renderDetailTabs(widgetId, activeTab) {
+        const tab = (id, label) => `
+            <button class="detail-tab ${activeTab === id ? 'active' : ''}"
+                    onclick="UIRenderer.setDetailTab('${widgetId}', '${id}')">${label}</button>
+        `;
+        return `<div class="detail-tabs">${tab('details', 'Details')}${tab('history', 'History')}${tab('dataflow', 'Dataflow')}</div>`;
+    },
+
+    /**
+     * Get the object holding detail view state (workspace keeps it in widget.state)
+     */
+    _getDetailState(widget) {
+        return widget.type === 'workspace' ? widget.state : widget;
+    },
+
+    /**
+     * Switch detail tab (workspace detail view or card)
+     */
+    setDetailTab(widgetId, tab) {
+        const widget = this.widgets.find(w => w.id === widgetId);
+        if (!widget) return;
+
+        this._getDetailState(widget).detailTab = tab;
+        this.render();
+    },
+
+    /**
+     * Select two history versions to compare
+     */
+    setHistoryRange(widgetId, from, to) {
+        const widget = this.widgets.find(w => w.id === widgetId);
+        if (!widget) return;
+
+        this._getDetailState(widget).historyRange = { from: parseInt(from), to: parseInt(to) };
+        this.render();
+    },
+
+    /**
+     * Marker for individuals missing Required/Cardinality values
+     */
+    incompleteBadge(missing) {
+        const fields = missing.map(m => m.field).join(', ');
+        return `<span class="incomplete-badge" title="Missing: ${this.escape(fields)}">incomplete</span>`;
+    },
+
+    /**
+     * Marker for values computed by a SetValue guard
+     */
+    derivedBadge() {
+        return '<span class="derived-badge" title="Computed by SetValue">ƒ</span>';
+    },
+
+    /**
+     * Render change history of an individual with a field-level diff
+     * between two versions (defaults to the last change)
+     */
+    renderIndividualHistory(widgetId, individualId, range) {
+        // Only events the current actor may read (fields and rows it may see)
+        const history = Memory.canReadIndividual(individualId) ? Memory.getIndividualHistory(individualId) : [];
+
+        if (history.length === 0) {
+            return '<div class="workspace-empty">No history</div>';
+        }
+
+        const last = history.length - 1;
+        const from = range ? Math.min(Math.max(range.from, -1), last) : last - 1;
+        const to = range ? Math.min(Math.max(range.to, -1), last) : last;
+
+        const kindLabels = { created: 'Created', deleted: 'Deleted', restored: 'Restored' };
+
+        const rows = history.map((entry, i) => {
+            const change = entry.kind === 'property'
+                ? `${entry.previousValue !== null ? `<span class="history-prev">${this.escape(entry.previousValue)}</span> → ` : ''}<span class="history-new">${this.escape(entry.value)}</span>`
+                : `<span class="history-lifecycle">${kindLabels[entry.kind]}</span>`;
+            const cause = Array.isArray(entry.cause) ? entry.cause.join(', ') : (entry.cause || '');
+
+            return `
+                <tr class="history-row ${i > from && i <= to ? 'in-range' : ''}" title="id: ${this.escape(entry.id)}&#10;cause: ${this.escape(cause)}">
+                    <td class="list-cell">${i + 1}</td>
+                    <td class="list-cell">${this.escape(entry.date ? new Date(entry.date).toLocaleString() : '-')}</td>
+                    <td class="list-cell">${this.escape(entry.actor)}</td>
+                    <td class="list-cell">${entry.kind === 'property' ? this.escape(entry.field) : ''}${entry.derived ? this.derivedBadge() : ''}</td>
+                    <td class="list-cell">${change}</td>
+                </tr>
+            `;
+        }).join('');
+
+        // Version selectors: version N = state after history entry N
+        const options = selected => [
+            `<option value="-1" ${selected === -1 ? 'selected' : ''}>0 (empty)</option>`,
+            ...history.map((entry, i) =>
+                `<option value="${i}" ${selected === i ? 'selected' : ''}>${i + 1} · ${this.escape(entry.kind === 'property' ? entry.field : kindLabels[entry.kind])}</option>`
+            )
+        ].join('');
+
+        const fromId = `history_from_${widgetId}`;
+        const toId = `history_to_${widgetId}`;
+        const onChange = `UIRenderer.setHistoryRange('${widgetId}', document.getElementById('${fromId}').value, document.getElementById('${toId}').value)`;
+
+        const diff = Memory.diffIndividualVersions(individualId, from, to);
+        const diffRows = diff.map(d => `
+            <tr class="history-diff-${d.change}">
+                <td class="list-cell">${this.escape(d.field)}</td>
+                <td class="list-cell">${this.escape(d.before ?? '-')}</td>
+                <td class="list-cell">${this.escape(d.after ?? '-')}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="history-view">
+                <div class="list-view-table-wrapper">
+                    <table class="list-view-table history-table">
+                        <thead>
+                            <tr>
+                                <th class="list-header-cell">#</th>
+                                <th class="list-header-cell">Date</th>
+                                <th class="list-header-cell">Actor</th>
+                                <th class="list-header-cell">Field</th>
+                                <th class="list-header-cell">Change</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                <div class="history-diff-controls">
+                    Compare version
+                    <select id="${fromId}" onchange="${onChange}">${options(from)}</select>
+                    with
+                    <select id="${toId}" onchange="${onChange}">${options(to)}</select>
+                </div>
+                ${diff.length === 0
+                    ? '<div class="workspace-empty">No differences</div>'
+                    : `<table class="list-view-table history-diff">
+                        <thead>
+                            <tr>
+                                <th class="list-header-cell">Field</th>
+                                <th class="list-header-cell">Version ${from + 1}</th>
+                                <th class="list-header-cell">Version ${to + 1}</th>
+                            </tr>
+                        </thead>
+                        <tbody>${diffRows}</tbody>
+                    </table>`}
+            </div>
+        `;
+    },
+
+    // ========================================
+    // DATAFLOW DEBUGGER
+    // ========================================
+
+    /**
+     * Render recorded dataflow runs of an individual, a step navigator over the
+     * selected run and a form to re-run one guard with edited inputs (not saved)
+     * @param {Object} debug - { run, step, guard, preview } kept in the detail state
+     */
+    renderDataflowDebugger(widgetId, individualId, debug = {}) {
+        const runs = Memory.getDataflowTraces(individualId);
+        if (debug.preview) {
+            runs.unshift(debug.preview);
+        }
+
+        const selected = runs.find(run => run.id === debug.run) || runs[0];
+        const runRows = runs.map(run => {
+            const flags = [
+                run.preview ? 'not saved' : '',
+                run.cycles.length > 0 ? `${run.cycles.length} cycle(s)` : '',
+                run.failed.length > 0 ? `${run.failed.length} rejected` : '',
+                run.limitReached ? 'limit reached' : ''
+            ].filter(Boolean).join(', ');
+            return `
+                <tr class="dataflow-run ${run === selected ? 'selected' : ''}"
+                    onclick="UIRenderer.selectTraceRun('${widgetId}', '${this.escape(run.id)}')">
+                    <td class="list-cell">${this.escape(new Date(run.date).toLocaleString())}</td>
+                    <td class="list-cell">${run.steps.length}</td>
+                    <td class="list-cell">${run.events.length}</td>
+                    <td class="list-cell">${this.escape(flags)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const runsTable = runs.length === 0
+            ? '<div class="workspace-empty">No dataflow runs recorded for this item</div>'
+            : `<div class="list-view-table-wrapper">
+                <table class="list-view-table dataflow-runs">
+                    <thead>
+                        <tr>
+                            <th class="list-header-cell">Run</th>
+                            <th class="list-header-cell">Steps</th>
+                            <th class="list-header-cell">Events</th>
+                            <th class="list-header-cell"></th>
+                        </tr>
+                    </thead>
+                    <tbody>${runRows}</tbody>
+                </table>
+            </div>`;
+
+        return `
+            <div class="dataflow-debugger">
+                ${runsTable}
+                ${selected ? this.renderTraceSteps(widgetId, selected, debug.step || 0) : ''}
+                ${this.renderDebugGuardForm(widgetId, individualId, debug.guard)}
+            </div>
+        `;
+    },
+
+    /**
+     * Render the steps of a dataflow run with the current step expanded
+     */
+    renderTraceSteps(widgetId, run, current) {
+        if (run.steps.length === 0) return '';
+
+        const index = Math.min(Math.max(current, 0), run.steps.length - 1);
+        const step = run.steps[index];
+        const format = value => value === null || value === undefined
+            ? '-'
+            : (Array.isArray(value) ? value.join(', ') : String(value));
+
+        const rows = run.steps.map((s, i) => `
+            <tr class="dataflow-step dataflow-step-${s.action} ${i === index ? 'current' : ''}"
+                onclick="UIRenderer.stepTrace('${widgetId}', ${i})">
+                <td class="list-cell">${s.iteration}</td>
+                <td class="list-cell" title="${this.escape(s.guard)}">${this.escape(s.attribute || s.guard)}</td>
+                <td class="list-cell">${this.escape(s.individual)}</td>
+                <td class="list-cell">${s.action}</td>
+            </tr>
+        `).join('');
+
+        const inputs = Object.entries(step.inputs).map(([field, value]) =>
+            `<div><span class="detail-label">${this.escape(field)}</span> ${this.escape(format(value))}</div>`
+        ).join('') || '<div>-</div>';
+        const events = step.events.map(e =>
+            `<div>${this.escape(e.base)}.${this.escape(e.type)} = ${this.escape(format(e.value))}</div>`
+        ).join('') || '<div>-</div>';
+        const errors = step.errors.map(e => `<div class="dataflow-error">${this.escape(e.message)}</div>`).join('');
+
+        return `
+            <div class="dataflow-steps">
+                <div class="dataflow-step-nav">
+                    <button class="list-btn" ${index === 0 ? 'disabled' : ''}
+                            onclick="UIRenderer.stepTrace('${widgetId}', ${index - 1})">← Prev</button>
+                    Iteration ${step.iteration} · step ${index + 1} of ${run.steps.length}
+                    <button class="list-btn" ${index === run.steps.length - 1 ? 'disabled' : ''}
+                            onclick="UIRenderer.stepTrace('${widgetId}', ${index + 1})">Next →</button>
+                </div>
+                <table class="list-view-table">
+                    <thead>
+                        <tr>
+                            <th class="list-header-cell">Iteration</th>
+                            <th class="list-header-cell">Guard</th>
+                            <th class="list-header-cell">Individual</th>
+                            <th class="list-header-cell">Action</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <div class="dataflow-step-detail">
+                    <div><span class="detail-label">Condition</span> <code>${this.escape(step.condition || 'true')}</code> → ${step.result}</div>
+                    <div><span class="detail-label">Trigger</span> ${this.escape(step.trigger.join(', ') || '-')}</div>
+                    <div class="dataflow-step-inputs">${inputs}</div>
+                    <div><span class="detail-label">${this.escape(step.actionType)}</span> ${step.action}</div>
+                    <div class="dataflow-step-events">${events}</div>
+                    ${errors}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Render the re-run form: guard select and its inputs prefilled from the current state
+     */
+    renderDebugGuardForm(widgetId, individualId, guardId) {
+        const modelName = Memory.getSetModelEvent(individualId)?.value;
+        const guards = Memory.getGuards().filter(g => g.model === modelName);
+        if (guards.length === 0) return '';
+
+        const guard = guards.find(g => g.id === guardId) || guards[0];
+        const state = Memory.getIndividualState(individualId);
+        const options = guards.map(g =>
+            `<option value="${this.escape(g.id)}" ${g === guard ? 'selected' : ''}>${this.escape(g.attribute)} (${this.escape(g.actionType)})</option>`
+        ).join('');
+        const inputs = [...guard.reads].map(field => {
+            const value = state[field];
+            return `
+                <label class="dataflow-debug-input">
+                    <span class="detail-label">${this.escape(field)}</span>
+                    <input type="text" data-field="${this.escape(field)}"
+                           value="${this.escape(Array.isArray(value) ? value[value.length - 1] : (value ?? ''))}">
+                </label>
+            `;
+        }).join('');
+
+        return `
+            <div class="dataflow-debug-form" id="dataflow_debug_${widgetId}">
+                <select onchange="UIRenderer.selectDebugGuard('${widgetId}', this.value)">${options}</select>
+                ${inputs}
+                <button class="list-btn" onclick="UIRenderer.debugGuard('${widgetId}', '${this.escape(individualId)}', '${this.escape(guard.id)}')">Run (not saved)</button>
+            </div>
+        `;
+    },
+
+    /**
+     * Get debugger state of a detail view
+     */
+    _getDataflowDebug(widget) {
+        const state = this._getDetailState(widget);
+        if (!state.dataflowDebug) {
+            state.dataflowDebug = {};
+        }
+        return state.dataflowDebug;
+    },
+
+    /**
+     * Select a dataflow run in the debugger
+     */
+    selectTraceRun(widgetId, runId) {
+        const widget = this.widgets.find(w => w.id === widgetId);
+        if (!widget) return;
+
+        Object.assign(this._getDataflowDebug(widget), { run: runId, step: 0 });
+        this.render();
+    },
+
+    /**
+     * Move to a step of the selected run
+     */
+    stepTrace(widgetId, index) {
+        const widget = this.widgets.find(w => w.id === widgetId);
+        if (!widget) return;
+
+        this._getDataflowDebug(widget).step = index;
+        this.render();
+    },
+
+    /**
+     * Select the guard to re-run
+     */
+    selectDebugGuard(widgetId, guardId) {
+        const widget = this.widgets.find(w => w.id === widgetId);
+        if (!widget) return;
+
+        this._getDataflowDebug(widget).guard = guardId;
+        this.render();
+    },
+
+    /**
+     * Re-run a guard with the inputs from the form; events are not persisted
+     * Only inputs that differ from the current state are applied
+     */
+    debugGuard(widgetId, individualId, guardId) {
+        const widget = this.widgets.find(w => w.id === widgetId);
+        if (!widget) return;
+
+        const state = Memory.getIndividualState(individualId);
+        const inputs = {};
+        document.querySelectorAll(`#dataflow_debug_${widgetId} input[data-field]`).forEach(input => {
+            const field = input.dataset.field;
+            const current = Array.isArray(state[field]) ? state[field][state[field].length - 1] : state[field];
+            if (input.value !== String(current ?? '')) {
+                inputs[field] = input.value;
+            }
+        });
+
+        const result = Memory.debugGuard(guardId, individualId, inputs);
+        if (!result) return;
+
+        const debug = this._getDataflowDebug(widget);
+        debug.guard = guardId;
+        debug.preview = {
+            id: 'preview',
+            preview: true,
+            date: new Date().toISOString(),
+            steps: result.trace,
+            events: result.events.map(e => e.id),
+            cycles: [],
+            failed: result.trace.filter(step => step.action === 'rejected'),
+            limitReached: false
+        };
+        if (result.errors.length > 0) {
+            // Rejected inputs show up as the first step
+            debug.preview.steps = [{
+                iteration: 0, guard: guardId, attribute: '', actionType: 'Input', individual: individualId,
+                trigger: [], condition: '', inputs, result: false, action: 'rejected', events: [],
+                errors: result.errors
+            }, ...debug.preview.steps];
+        }
+        debug.run = 'preview';
+        debug.step = 0;
+        this.render();
+    },
+
     /**
      * Render model selection widget (for apps with multiple models)
      */
@@ -1066,9 +1467,26 @@ const UIRenderer = {
      * Filters fields based on Condition accessibility
      */
     renderCard(widget) {
+        const target = widget.target;
+
+        // Cards opened from entity lists have a History tab
+        if (widget.showHistory && target) {
+            const activeTab = widget.detailTab || 'details';
+            if (activeTab === 'history' || activeTab === 'dataflow') {
+                return `
+                    <div class="widget" data-widget-id="${widget.id}">
+                        ${this.renderWidgetHeader(widget)}
+                        ${this.renderDetailTabs(widget.id, activeTab)}
+                        ${activeTab === 'history'
+                            ? this.renderIndividualHistory(widget.id, target, widget.historyRange)
+                            : this.renderDataflowDebugger(widget.id, target, widget.dataflowDebug)}
+                    </div>
+                `;
+            }
+        }
+
         // Get accessible fields based on Condition
         const accessibleFields = this.getAccessibleCardFields(widget);
-        const target = widget.target;
 
         const fields = accessibleFields.map(f => {
             // Resolve value expressions against target individual
@@ -1083,9 +1501,12 @@ const UIRenderer = {
 
         const actions = this.renderActions(widget);
 
+        const tabs = widget.showHistory && target ? this.renderDetailTabs(widget.id, 'details') : '';
+
         return `
             <div class="widget" data-widget-id="${widget.id}">
                 ${this.renderWidgetHeader(widget)}
+                ${tabs}
                 ${fields}
                 ${actions}
             </div>
@@ -1210,6 +1631,16 @@ const UIRenderer = {
             return `<div style="padding: 0.375rem; background: var(--bg-darker); border-radius: 4px;">${field.html || ''}</div>`;
         }
 
+        // Field the actor may not write (RBAC): shown, not submitted
+        if (field.readonly) {
+            const shown = [].concat(fieldValue ?? []).join(', ');
+            return `<div id="${id}" class="form-field-readonly" title="Read only">${this.escape(shown || '-')}</div>`;
+        }
+
+        if (field.multiple) {
+            return this.renderMultiValueField(id, field, fieldValue);
+        }
+
         if (type === 'select') {
             const options = this.resolveSelectOptions(field.options, field.range);
             const optionsHtml = options.map(o => {
@@ -1234,6 +1665,60 @@ const UIRenderer = {
         return `<input type="${type}" id="${id}" name="${field.name || field.label}" value="${this.escape(fieldValue)}" ${field.required ? 'required' : ''} style="width: 100%; padding: 0.375rem; background: var(--bg-input); border: 1px solid var(--border); border-radius: 4px; color: var(--text-primary);">`;
     },
 
+    /**
+     * Render a field holding several values
+     * Values are only added (events are not retracted): current values are
+     * shown as chips, new ones go to a multi-select (Relation, SetRange) or
+     * to text inputs, "+" adds inputs up to the Cardinality maximum
+     */
+    renderMultiValueField(id, field, fieldValue) {
+        const name = field.name || field.label;
+        const values = [].concat(fieldValue ?? []).filter(v => v !== '' && v !== null);
+        const { min, max } = field.cardinality || { min: 0, max: null };
+        const free = max === null ? Infinity : Math.max(max - values.length, 0);
+        const style = 'width: 100%; padding: 0.375rem; background: var(--bg-input); border: 1px solid var(--border); border-radius: 4px; color: var(--text-primary);';
+
+        const chips = values.map(v => `<span class="form-value-chip">${this.escape(v)}</span>`).join('');
+        const hint = `<div class="form-field-hint">${min}..${max ?? '*'} values${values.length > 0 ? `, has ${values.length}` : ''}</div>`;
+
+        let inputs = '';
+        if (free > 0 && field.type === 'select') {
+            const options = this.resolveSelectOptions(field.options, field.range)
+                .map(o => typeof o === 'object'
+                    ? { value: o.value || o.id || o.name, label: o.label || o.name || o.value || o.id }
+                    : { value: o, label: o })
+                .filter(o => !values.some(v => String(v) === String(o.value)));
+            inputs = `<select id="${id}" name="${name}" multiple size="${Math.min(Math.max(options.length, 2), 6)}" style="${style}">
+                ${options.map(o => `<option value="${this.escape(o.value)}">${this.escape(o.label)}</option>`).join('')}
+            </select>`;
+        } else if (free > 0) {
+            const type = ['textarea', 'checkbox'].includes(field.type) ? 'text' : field.type;
+            const input = `<input type="${type}" name="${name}" style="${style}">`;
+            const count = Math.min(Math.max(min - values.length, 1), free);
+            inputs = `
+                <div class="form-multi-values" id="${id}">
+                    ${input.repeat(count)}
+                    ${count < free ? `<button type="button" class="list-btn" onclick="UIRenderer.addValueInput(this, ${free === Infinity ? 'null' : free})">+</button>` : ''}
+                </div>
+            `;
+        }
+
+        return `${chips ? `<div class="form-value-chips">${chips}</div>` : ''}${inputs}${hint}`;
+    },
+
+    /**
+     * Add one more input to a multi-value field (up to max inputs)
+     */
+    addValueInput(button, max) {
+        const inputs = button.parentElement.querySelectorAll('input');
+        const input = inputs[inputs.length - 1].cloneNode();
+        input.value = '';
+        button.parentElement.insertBefore(input, button);
+        if (max !== null && inputs.length + 1 >= max) {
+            button.remove();
+        }
+    },
+
     /**
      * Resolve select options from various formats
      * @param {Array|String} options - Options array, concept name, or query
@@ -1281,10 +1766,10 @@ const UIRenderer = {
         if (!individuals || individuals.length === 0) {
             return [];
         }
-        return individuals.map(ind => {
+        return individuals.filter(ind => Memory.canReadIndividual(ind)).map(ind => {
             // Get display name from events
-            const nameEvent = Memory.events.find(e =>
-                e.base === ind && (e.type === 'name' || e.type === 'title' || e.type === 'label')
+            const nameEvent = Memory.getEventsByBase(ind).find(e =>
+                e.type === 'name' || e.type === 'title' || e.type === 'label'
             );
             return {
                 value: ind,
@@ -1295,12 +1780,17 @@ const UIRenderer = {
 
     /**
      * Render table widget
+     * Columns/rows come from the widget or from widget.query (BSL query,
+     * aggregated results render as-is, individuals one row each)
      */
     renderTable(widget) {
-        const headers = (widget.columns || []).map(c => `<th style="padding: 0.5rem; text-align: left; border-bottom: 1px solid var(--border);">${this.escape(c)}</th>`).join('');
+        const data = widget.query ? this.resolveTableQuery(widget.query) : widget;
+        const columns = data.columns || [];
+
+        const headers = columns.map(c => `<th style="padding: 0.5rem; text-align: left; border-bottom: 1px solid var(--border);">${this.escape(c)}</th>`).join('');
 
-        const rows = (widget.rows || []).map(row => {
-            const cells = (widget.columns || []).map(col => `<td style="padding: 0.5rem; border-bottom: 1px solid var(--border);">${this.escape(row[col] || '')}</td>`).join('');
+        const rows = (data.rows || []).map(row => {
+            const cells = columns.map(col => `<td style="padding: 0.5rem; border-bottom: 1px solid var(--border);">${this.escape(row[col] ?? '')}</td>`).join('');
             return `<tr>${cells}</tr>`;
         }).join('');
 
@@ -1309,6 +1799,7 @@ const UIRenderer = {
         return `
             <div class="widget" data-widget-id="${widget.id}">
                 ${this.renderWidgetHeader(widget)}
+                ${data.error ? `<p style="color: var(--error); font-size: 0.75rem;">${this.escape(data.error)}</p>` : ''}
                 <div style="overflow-x: auto;">
                     <table style="width: 100%; font-size: 0.875rem;">
                         <thead><tr>${headers}</tr></thead>
@@ -1320,6 +1811,27 @@ const UIRenderer = {
         `;
     },
 
+    /**
+     * Execute a BSL query into table data { columns, rows, error? }
+     */
+    resolveTableQuery(query) {
+        const result = Memory.executeQuery(query);
+
+        if (result && result.type === 'table') {
+            return result;
+        }
+        if (!Array.isArray(result)) {
+            return { columns: [], rows: [], error: result && result.error ? result.error : 'Query did not return rows' };
+        }
+
+        // Individuals: id first, then every field found (without system fields)
+        const columns = ['id'];
+        result.forEach(item => Object.keys(item).forEach(key => {
+            if (!columns.includes(key) && key !== 'SetModel') columns.push(key);
+        }));
+        return { columns, rows: result };
+    },
+
     /**
      * Render widget actions
      */
@@ -1379,7 +1891,7 @@ const UIRenderer = {
                         base: target,
                         type: 'Delete',
                         value: '1',
-                        actor: 'user',
+                        actor: Memory.getCurrentActor(),
                         model: widget?.model || null
                     });
 
@@ -1412,7 +1924,7 @@ const UIRenderer = {
                             base: target || widget.target,
                             type: actionDef.event.type || action,
                             value: actionDef.event.value || '1',
-                            actor: 'user',
+                            actor: Memory.getCurrentActor(),
                             model: widget.model || null
                         });
 
@@ -1514,7 +2026,7 @@ const UIRenderer = {
                 base: target,
                 type: field,
                 value: value,
-                actor: 'user',
+                actor: Memory.getCurrentActor(),
                 model: widget.model || null
             });
         });
@@ -1546,8 +2058,9 @@ const UIRenderer = {
             const formData = new FormData(form);
             const data = {};
 
+            // Multi-value fields submit one entry per value
             formData.forEach((value, key) => {
-                data[key] = value;
+                data[key] = key in data ? [].concat(data[key], value) : value;
             });
 
             console.log(`Form submitted:`, data, 'widgetId:', widgetId);
@@ -1600,6 +2113,33 @@ const UIRenderer = {
                 return;
             }
 
+            // Get current state to detect changes (for edit mode)
+            const currentState = mode === 'edit' ? Memory.getIndividualState(target) : {};
+
+            // Property values that are new or changed
+            console.log('Detecting changes for:', Object.keys(data));
+            const changes = this.collectFormChanges(data, currentState, model, (fieldName, value) =>
+                // Parse value type
+                this.parseFormValue(value, widget.fields?.find(f => f.name === fieldName || f.label === fieldName))
+            );
+            const changedCount = changes.length;
+
+            console.log(`Changed fields: ${changedCount}/${Object.keys(data).length}`);
+
+            // Skip if nothing changed (edit mode with no modifications)
+            if (mode === 'edit' && changedCount === 0) {
+                console.log('No changes detected, skipping update');
+                if (typeof addSystemMessage === 'function') {
+                    addSystemMessage(`No changes for ${target}`);
+                }
+                this.removeWidget(widgetId);
+                return;
+            }
+
+            if (!this.checkFormSubmit(form, { concept, target, model, create: mode === 'create', changes })) {
+                return;
+            }
+
             const createdEvents = [];
 
             // For CREATE mode: first create Individual and SetModel events
@@ -1610,7 +2150,7 @@ const UIRenderer = {
                     base: concept,
                     type: 'Individual',
                     value: target,
-                    actor: 'user',
+                    actor: Memory.getCurrentActor(),
                     model: null
                 }));
 
@@ -1619,58 +2159,28 @@ const UIRenderer = {
                     base: target,
                     type: 'SetModel',
                     value: model,
-                    actor: 'user',
+                    actor: Memory.getCurrentActor(),
                     model: model,
                     cause: createdEvents[0].id // Single cause, not array
                 }));
             }
 
-            // Get current state to detect changes (for edit mode)
-            const currentState = mode === 'edit' ? Memory.getIndividualState(target) : {};
-
             // Create property events only for changed/new values
-            console.log('Creating property events for:', Object.keys(data));
-            let changedCount = 0;
-            Object.entries(data).forEach(([fieldName, value]) => {
-                if (value !== '' && value !== null && value !== undefined) {
-                    // Parse value type
-                    const parsedValue = this.parseFormValue(value, widget.fields?.find(f => f.name === fieldName || f.label === fieldName));
-
-                    // Check if value has changed
-                    const currentValue = currentState[fieldName];
-                    const valueChanged = currentValue === undefined ||
-                        String(currentValue) !== String(parsedValue);
-
-                    if (valueChanged) {
-                        changedCount++;
-                        createdEvents.push(Memory.addEvent({
-                            base: target,
-                            type: fieldName,
-                            value: parsedValue,
-                            actor: 'user',
-                            model: model,
-                            cause: mode === 'create' ? createdEvents[1]?.id : null // Single cause
-                        }));
-                    }
-                }
+            changes.forEach(([fieldName, parsedValue]) => {
+                createdEvents.push(Memory.addEvent({
+                    base: target,
+                    type: fieldName,
+                    value: parsedValue,
+                    actor: Memory.getCurrentActor(),
+                    model: model,
+                    cause: mode === 'create' ? createdEvents[1]?.id : null // Single cause
+                }));
             });
 
-            console.log(`Changed fields: ${changedCount}/${Object.keys(data).length}`);
-
             console.log(`Created ${createdEvents.length} BSL events for ${target}`, createdEvents);
 
-            // Skip if nothing changed (edit mode with no modifications)
-            if (mode === 'edit' && createdEvents.length === 0) {
-                console.log('No changes detected, skipping update');
-                if (typeof addSystemMessage === 'function') {
-                    addSystemMessage(`No changes for ${target}`);
-                }
-                this.removeWidget(widgetId);
-                return;
-            }
-
-            // Execute dataflow to trigger SetValue/SetDo rules
-            const dataflowResult = Memory.executeToFixpoint(target);
+            // Execute dataflow to trigger SetValue/SetDo rules affected by the new events
+            const dataflowResult = Memory.propagate(createdEvents);
             if (dataflowResult.events.length > 0) {
                 console.log(`Dataflow generated ${dataflowResult.events.length} additional events`);
             }
@@ -1707,21 +2217,10 @@ const UIRenderer = {
     parseFormValue(value, fieldDef) {
         if (!fieldDef) return value;
 
-        const fieldType = fieldDef.type || fieldDef.dataType || 'text';
-
-        switch (fieldType) {
-            case 'number':
-            case 'Numeric':
-                return parseFloat(value) || 0;
-            case 'checkbox':
-            case 'Boolean':
-                return value === 'true' || value === '1' || value === true;
-            case 'date':
-            case 'DateTime':
-                return new Date(value).toISOString();
-            default:
-                return value;
-        }
+        // Canonical value of the field's DataType (or of its input type)
+        const inputTypes = { number: 'Numeric', checkbox: 'Boolean', date: 'DateTime', 'datetime-local': 'DateTime' };
+        const datatype = fieldDef.dataType || inputTypes[fieldDef.type];
+        return datatype ? BSLTypes.normalize(datatype, value) : value;
     },
 
     /**
@@ -2099,7 +2598,9 @@ const UIRenderer = {
     renderWorkspaceSidebar(widget) {
         const { models, state } = widget;
 
-        const modelItems = (models || []).map(m => `
+        // Models the actor may not read are not listed (RBAC)
+        const readable = (models || []).filter(m => Memory.can(Memory.getCurrentActor(), 'read', m.name));
+        const modelItems = readable.map(m => `
             <div class="sidebar-item ${state.currentModel === m.name ? 'active' : ''}"
                  onclick="UIRenderer.selectWorkspaceModel('${widget.id}', '${this.escape(m.name)}')">
                 <span class="sidebar-icon">${m.icon || '📋'}</span>
@@ -2217,7 +2718,7 @@ const UIRenderer = {
             base: appId,
             type: 'Models',
             value: modelName,
-            actor: 'user',
+            actor: Memory.getCurrentActor(),
             model: 'Model_Application'
         });
 
@@ -2253,25 +2754,60 @@ const UIRenderer = {
             return '<div class="workspace-empty">Select a model</div>';
         }
 
-        // Get individuals for this model
-        const individuals = this.getIndividualsByModel(modelName);
+        // Get individuals for this model (or the query result)
+        const query = state.query || '';
+        const queryResult = query ? this.runWorkspaceQuery(modelName, query) : null;
+        const queryError = queryResult && queryResult.error ? queryResult.error : null;
+        const individuals = queryResult && !queryError && queryResult.type !== 'table'
+            ? queryResult.map(item => ({ value: item.id }))
+            : this.getIndividualsByModel(modelName);
         const columns = this.getModelColumns(modelName);
 
         // Toolbar
+        const queryInputId = `query_${widget.id}`;
         const toolbar = `
             <div class="list-view-toolbar">
                 <button class="list-btn primary" onclick="UIRenderer.createNewInWorkspace('${widget.id}')">
                     + New ${modelName.replace(/^Model\s+/, '')}
                 </button>
+                <input type="text" id="${queryInputId}" class="list-query-input"
+                       placeholder='$GE.age(18), $ORDERBY.name("desc"), $LIMIT(20) or $GROUPBY.status(), $COUNT()'
+                       value="${this.escape(query)}"
+                       onkeydown="if (event.key === 'Enter') UIRenderer.setWorkspaceQuery('${widget.id}', this.value)">
+                <button class="list-btn" onclick="UIRenderer.setWorkspaceQuery('${widget.id}', document.getElementById('${queryInputId}').value)">Query</button>
+                ${query ? `<button class="list-btn" onclick="UIRenderer.setWorkspaceQuery('${widget.id}', '')">Clear</button>` : ''}
             </div>
+            ${queryError ? `<div class="list-query-error">${this.escape(queryError)}</div>` : ''}
         `;
 
+        // Aggregated query result
+        if (queryResult && queryResult.type === 'table') {
+            const headers = queryResult.columns.map(col =>
+                `<th class="list-header-cell">${this.escape(col)}</th>`
+            ).join('');
+            const tableRows = queryResult.rows.map(row => `
+                <tr>${queryResult.columns.map(col => `<td class="list-cell">${this.escape(row[col] ?? '')}</td>`).join('')}</tr>
+            `).join('');
+
+            return `
+                ${toolbar}
+                <div class="list-view-table-wrapper">
+                    <table class="list-view-table">
+                        <thead><tr>${headers}</tr></thead>
+                        <tbody>${tableRows}</tbody>
+                    </table>
+                </div>
+            `;
+        }
+
         if (individuals.length === 0) {
             return `
                 ${toolbar}
                 <div class="workspace-empty">
-                    <p>No ${modelName.replace(/^Model\s+/, '')} items yet</p>
-                    <p style="font-size: 0.75rem; color: var(--text-muted);">Click "+ New" to create one</p>
+                    ${query
+                        ? '<p>No items match the query</p>'
+                        : `<p>No ${modelName.replace(/^Model\s+/, '')} items yet</p>
+                           <p style="font-size: 0.75rem; color: var(--text-muted);">Click "+ New" to create one</p>`}
                 </div>
             `;
         }
@@ -2281,19 +2817,22 @@ const UIRenderer = {
             `<th class="list-header-cell">${this.escape(col.label)}</th>`
         ).join('');
 
-        // Build table rows
+        // Build table rows (actions the actor may take, RBAC and row policies)
         const rows = individuals.map(ind => {
+            const canWrite = Memory.canChangeIndividual(ind.value, 'write');
+            const canDelete = Memory.canChangeIndividual(ind.value, 'delete');
             const indState = Memory.getIndividualState(ind.value);
-            const cells = columns.slice(0, 4).map(col =>
-                `<td class="list-cell">${this.escape(indState[col.name] || '')}</td>`
+            const missing = Memory.getMissingFields(ind.value);
+            const cells = columns.slice(0, 4).map((col, i) =>
+                `<td class="list-cell">${this.escape(indState[col.name] || '')}${i === 0 && missing.length > 0 ? this.incompleteBadge(missing) : ''}</td>`
             ).join('');
 
             return `
                 <tr class="list-row" onclick="UIRenderer.openDetailInWorkspace('${widget.id}', '${this.escape(ind.value)}')">
                     ${cells}
                     <td class="list-cell list-actions">
-                        <button class="list-action-btn" onclick="event.stopPropagation(); UIRenderer.editInWorkspace('${widget.id}', '${this.escape(ind.value)}')" title="Edit">✏️</button>
-                        <button class="list-action-btn" onclick="event.stopPropagation(); UIRenderer.deleteInWorkspace('${widget.id}', '${this.escape(ind.value)}')" title="Delete">🗑️</button>
+                        ${canWrite ? `<button class="list-action-btn" onclick="event.stopPropagation(); UIRenderer.editInWorkspace('${widget.id}', '${this.escape(ind.value)}')" title="Edit">✏️</button>` : ''}
+                        ${canDelete ? `<button class="list-action-btn" onclick="event.stopPropagation(); UIRenderer.deleteInWorkspace('${widget.id}', '${this.escape(ind.value)}')" title="Delete">🗑️</button>` : ''}
                     </td>
                 </tr>
             `;
@@ -2315,8 +2854,9 @@ const UIRenderer = {
 
     /**
      * Render detail view within workspace
+     * @param {string|number|Date} [asOf] - Show the individual as it was at this moment (read-only)
      */
-    renderWorkspaceDetailView(widget) {
+    renderWorkspaceDetailView(widget, asOf = widget.state.asOf || null) {
         const { state } = widget;
         const individualId = state.selectedIndividual;
 
@@ -2324,8 +2864,9 @@ const UIRenderer = {
             return '<div class="workspace-empty">No item selected</div>';
         }
 
-        const indState = Memory.getIndividualState(individualId);
+        const indState = Memory.getIndividualState(individualId, asOf);
         const columns = this.getModelColumns(state.currentModel);
+        const activeTab = state.detailTab || 'details';
 
         // Back button
         const backBtn = `
@@ -2334,29 +2875,93 @@ const UIRenderer = {
             </button>
         `;
 
-        // Field display
+        // Point-in-time selector
+        const asOfInputId = `asof_${widget.id}`;
+        const asOfControls = `
+            <input type="text" id="${asOfInputId}" class="detail-asof-input"
+                   placeholder="As of: 2024-05-01T12:00 or event id"
+                   value="${this.escape(asOf || '')}"
+                   onkeydown="if (event.key === 'Enter') UIRenderer.setWorkspaceAsOf('${widget.id}', this.value)">
+            <button class="list-btn" onclick="UIRenderer.setWorkspaceAsOf('${widget.id}', document.getElementById('${asOfInputId}').value)">As of</button>
+            ${asOf ? `<button class="list-btn" onclick="UIRenderer.setWorkspaceAsOf('${widget.id}', null)">Now</button>` : ''}
+        `;
+
+        const tabs = this.renderDetailTabs(widget.id, activeTab);
+        if (activeTab === 'history') {
+            return `
+                <div class="detail-view">
+                    <div class="detail-toolbar">${backBtn}</div>
+                    <h3 class="detail-title">${this.escape(individualId)}</h3>
+                    ${tabs}
+                    ${this.renderIndividualHistory(widget.id, individualId, state.historyRange)}
+                </div>
+            `;
+        }
+        if (activeTab === 'dataflow') {
+            return `
+                <div class="detail-view">
+                    <div class="detail-toolbar">${backBtn}</div>
+                    <h3 class="detail-title">${this.escape(individualId)}</h3>
+                    ${tabs}
+                    ${this.renderDataflowDebugger(widget.id, individualId, state.dataflowDebug)}
+                </div>
+            `;
+        }
+
+        if (asOf) {
+            const asOfDate = new Date(Memory.resolveAsOf(asOf)).toLocaleString();
+            const existed = !!Memory.filterEventsAsOf(Memory.getEventsByTypeValue('Individual', individualId), asOf)[0];
+            const deleted = Memory.isDeleted(individualId, asOf) ||
+                indState.Delete === '1' || indState.Delete === 1 || indState.Delete === true;
+            const status = !existed ? 'not created yet' : (deleted ? 'deleted' : 'active');
+
+            const fields = columns.map(col => `
+                <div class="detail-field">
+                    <span class="detail-label">${this.escape(col.label)}</span>
+                    <span class="detail-value">${this.escape(indState[col.name] || '-')}</span>
+                </div>
+            `).join('');
+
+            return `
+                <div class="detail-view">
+                    <div class="detail-toolbar">${backBtn}${asOfControls}</div>
+                    <div class="detail-asof-banner">As of ${this.escape(asOfDate)}: ${status}</div>
+                    <h3 class="detail-title">${this.escape(individualId)}</h3>
+                    ${tabs}
+                    <div class="detail-fields">${fields}</div>
+                </div>
+            `;
+        }
+
+        // Field display (computed fields marked)
         const fields = columns.map(col => `
             <div class="detail-field">
-                <span class="detail-label">${this.escape(col.label)}</span>
+                <span class="detail-label">${this.escape(col.label)}${Memory.isDerivedField(individualId, col.name) ? this.derivedBadge() : ''}</span>
                 <span class="detail-value">${this.escape(indState[col.name] || '-')}</span>
             </div>
         `).join('');
 
+        // Owner: the actor that created it (row policies let it in regardless)
+        const owner = Memory.getOwner(individualId);
+
         // Actions
         const actions = `
             <div class="detail-actions">
-                <button class="list-btn primary" onclick="UIRenderer.editInWorkspace('${widget.id}', '${this.escape(individualId)}')">Edit</button>
-                <button class="list-btn danger" onclick="UIRenderer.deleteInWorkspace('${widget.id}', '${this.escape(individualId)}')">Delete</button>
+                ${Memory.canChangeIndividual(individualId, 'write') ? `<button class="list-btn primary" onclick="UIRenderer.editInWorkspace('${widget.id}', '${this.escape(individualId)}')">Edit</button>` : ''}
+                ${Memory.canChangeIndividual(individualId, 'delete') ? `<button class="list-btn danger" onclick="UIRenderer.deleteInWorkspace('${widget.id}', '${this.escape(individualId)}')">Delete</button>` : ''}
             </div>
         `;
 
         return `
             <div class="detail-view">
-                <div class="detail-toolbar">${backBtn}</div>
+                <div class="detail-toolbar">${backBtn}${asOfControls}</div>
                 <h3 class="detail-title">${this.escape(individualId)}</h3>
+                ${owner ? `<div class="detail-owner">Owner: ${this.escape(owner)}</div>` : ''}
+                ${tabs}
                 <div class="detail-fields">${fields}</div>
                 ${actions}
                 ${this.renderWorkflowActions(widget, individualId)}
+                ${this.renderWorkflowConfirmation(widget, individualId)}
             </div>
         `;
     },
@@ -2426,30 +3031,21 @@ const UIRenderer = {
      * Filters out deleted individuals
      */
     getIndividualsByModel(modelName) {
-        const events = Memory.getAllEvents();
-
         // Find concept from model
-        const modelEvent = events.find(e =>
-            e.type === 'Model' && e.value === modelName
-        );
+        const modelEvent = Memory.getModelEvent(modelName);
         const concept = modelEvent?.base;
 
         // Find all individuals of this concept with this model
-        return events.filter(e => {
-            if (e.type !== 'Individual') return false;
+        return Memory.getEventsByBaseType(concept, 'Individual').filter(e => {
+            if (!Memory.canReadIndividual(e.value)) return false;
+            const state = Memory.getIndividualState(e.value);
 
-            // Check if base matches concept
-            if (e.base === concept) {
-                const state = Memory.getIndividualState(e.value);
+            // Filter out deleted individuals
+            const isDeleted = state.Delete === '1' || state.Delete === 1 || state.Delete === true;
+            if (isDeleted) return false;
 
-                // Filter out deleted individuals
-                const isDeleted = state.Delete === '1' || state.Delete === 1 || state.Delete === true;
-                if (isDeleted) return false;
-
-                // Include if no SetModel or SetModel matches
-                return !state.SetModel || state.SetModel === modelName;
-            }
-            return false;
+            // Include if no SetModel or SetModel matches
+            return !state.SetModel || state.SetModel === modelName;
         });
     },
 
@@ -2457,18 +3053,15 @@ const UIRenderer = {
      * Get columns/fields for model
      */
     getModelColumns(modelName) {
-        const events = Memory.getAllEvents();
-
-        const modelEvent = events.find(e =>
-            e.type === 'Model' && e.value === modelName
-        );
+        const modelEvent = Memory.getModelEvent(modelName);
 
         if (!modelEvent) return [];
 
-        // Get Attribute and Relation events for this model
-        const fieldEvents = events.filter(e =>
-            e.cause === modelEvent.id &&
-            (e.type === 'Attribute' || e.type === 'Relation')
+        // Get Attribute and Relation events for this model (base = model event id)
+        // that the actor may read
+        const actor = Memory.getCurrentActor();
+        const fieldEvents = Memory.getEventsByBase(modelEvent.id).filter(e =>
+            (e.type === 'Attribute' || e.type === 'Relation') && Memory.can(actor, 'read', modelName, e.value)
         );
 
         return fieldEvents.map(e => ({
@@ -2488,6 +3081,37 @@ const UIRenderer = {
         widget.state.currentModel = modelName;
         widget.state.currentView = 'list';
         widget.state.selectedIndividual = null;
+        widget.state.query = null;
+        this.render();
+    },
+
+    /**
+     * Run list view query scoped to the workspace model
+     * Query is a list of clauses ($GE.age(18), $ORDERBY.name()) or a full $(...) query;
+     * error positions refer to the text the user typed
+     */
+    runWorkspaceQuery(modelName, query) {
+        if (BSLParser.isQuery(query)) {
+            return Memory.executeQuery(query);
+        }
+
+        const prefix = `$($EQ.$Model(${JSON.stringify(modelName)}), `;
+        const result = Memory.executeQuery(`${prefix}${query})`);
+        if (result && result.position !== undefined) {
+            const position = Math.min(query.length, Math.max(0, result.position - prefix.length));
+            return { error: result.error.replace(/at position \d+$/, `at position ${position}`), position };
+        }
+        return result;
+    },
+
+    /**
+     * Set list view query for workspace (empty value shows all items)
+     */
+    setWorkspaceQuery(widgetId, query) {
+        const widget = this.widgets.find(w => w.id === widgetId);
+        if (!widget) return;
+
+        widget.state.query = (query || '').trim() || null;
         this.render();
     },
 
@@ -2514,6 +3138,30 @@ const UIRenderer = {
 
         widget.state.selectedIndividual = individualId;
         widget.state.currentView = 'detail';
+        widget.state.asOf = null;
+        widget.state.detailTab = 'details';
+        widget.state.historyRange = null;
+        widget.state.dataflowDebug = null;
+        this.render();
+    },
+
+    /**
+     * Set point-in-time (timestamp or event id) for workspace detail view
+     * Empty value returns to the current state
+     */
+    setWorkspaceAsOf(widgetId, asOf) {
+        const widget = this.widgets.find(w => w.id === widgetId);
+        if (!widget) return;
+
+        const value = typeof asOf === 'string' ? asOf.trim() : asOf;
+        try {
+            Memory.resolveAsOf(value);
+        } catch (e) {
+            if (typeof showToast === 'function') showToast(e.message, 'error');
+            return;
+        }
+
+        widget.state.asOf = value || null;
         this.render();
     },
 
@@ -2555,7 +3203,7 @@ const UIRenderer = {
             base: individualId,
             type: 'Delete',
             value: '1',
-            actor: 'user',
+            actor: Memory.getCurrentActor(),
             model: widget.state.currentModel
         });
 
@@ -2589,9 +3237,10 @@ const UIRenderer = {
         const formData = new FormData(form);
         const data = {};
 
+        // Multi-value fields submit one entry per value
         formData.forEach((value, key) => {
             if (!key.startsWith('_')) {
-                data[key] = value;
+                data[key] = key in data ? [].concat(data[key], value) : value;
             }
         });
 
@@ -2617,6 +3266,14 @@ const UIRenderer = {
             }
         }
 
+        // Property values that are new or changed
+        const currentState = isEdit ? Memory.getIndividualState(target) : {};
+        const changes = this.collectFormChanges(data, currentState, modelName);
+
+        if (!this.checkFormSubmit(form, { concept, target, model: modelName, create: !isEdit, changes })) {
+            return;
+        }
+
         const createdEvents = [];
 
         // Create individual if new
@@ -2625,41 +3282,35 @@ const UIRenderer = {
                 base: concept,
                 type: 'Individual',
                 value: target,
-                actor: 'user'
+                actor: Memory.getCurrentActor()
             }));
 
             createdEvents.push(Memory.addEvent({
                 base: target,
                 type: 'SetModel',
                 value: modelName,
-                actor: 'user',
+                actor: Memory.getCurrentActor(),
                 model: modelName,
                 cause: createdEvents[0].id
             }));
         }
 
         // Create property events
-        const currentState = isEdit ? Memory.getIndividualState(target) : {};
-        Object.entries(data).forEach(([fieldName, value]) => {
-            if (value !== '' && value !== null && value !== undefined) {
-                const currentValue = currentState[fieldName];
-                if (currentValue === undefined || String(currentValue) !== String(value)) {
-                    createdEvents.push(Memory.addEvent({
-                        base: target,
-                        type: fieldName,
-                        value: value,
-                        actor: 'user',
-                        model: modelName,
-                        cause: !isEdit && createdEvents[1] ? createdEvents[1].id : null
-                    }));
-                }
-            }
+        changes.forEach(([fieldName, value]) => {
+            createdEvents.push(Memory.addEvent({
+                base: target,
+                type: fieldName,
+                value: value,
+                actor: Memory.getCurrentActor(),
+                model: modelName,
+                cause: !isEdit && createdEvents[1] ? createdEvents[1].id : null
+            }));
         });
 
         console.log(`Created ${createdEvents.length} events for ${target}`);
 
-        // Execute dataflow
-        Memory.executeToFixpoint(target);
+        // Execute dataflow for the changed fields
+        Memory.propagate(createdEvents);
 
         // Update UI
         if (typeof renderEvents === 'function') renderEvents();
@@ -2676,6 +3327,100 @@ const UIRenderer = {
         }
     },
 
+    /**
+     * New or changed values of a submitted form as [field, value] pairs
+     * Multiple fields add each value they do not have yet, others replace a changed value
+     * @param {Function} [parse] - (field, value) → value to store
+     */
+    collectFormChanges(data, currentState, model, parse = (field, value) => value) {
+        const changes = [];
+        Object.entries(data).forEach(([fieldName, submitted]) => {
+            const multiple = Memory.getFieldCardinality(model, fieldName).multiple;
+            const current = [].concat(currentState[fieldName] ?? []);
+
+            [].concat(submitted).forEach(value => {
+                if (value === '' || value === null || value === undefined) return;
+
+                const parsedValue = parse(fieldName, value);
+                const changed = multiple
+                    ? !current.some(v => String(v) === String(parsedValue)) &&
+                      !changes.some(([f, v]) => f === fieldName && String(v) === String(parsedValue))
+                    : currentState[fieldName] === undefined || String(currentState[fieldName]) !== String(parsedValue);
+                if (changed) {
+                    changes.push([fieldName, parsedValue]);
+                }
+            });
+        });
+        return changes;
+    },
+
+    /**
+     * Check a form submit before any event is added: value counts of multiple
+     * fields (Cardinality) and model invariants
+     * Shows the errors on the offending fields
+     * @param {Object} submit - { concept, target, model, create, changes: [[field, value]] }
+     * @returns {boolean} true if the submit can be saved
+     */
+    checkFormSubmit(form, { concept, target, model, create, changes }) {
+        const fieldNames = new Set([...form.elements].map(el => el.name).filter(n => n && !n.startsWith('_')));
+        const cardinalityErrors = [...fieldNames]
+            .filter(fieldName => Memory.getFieldCardinality(model, fieldName).multiple)
+            .flatMap(fieldName => Memory.checkCardinality(
+                target, model, fieldName, changes.filter(([f]) => f === fieldName).map(([, value]) => value)
+            ).errors);
+
+        const eventsData = changes.map(([fieldName, value]) => ({
+            base: target, type: fieldName, value, actor: Memory.getCurrentActor(), model
+        }));
+        if (create) {
+            eventsData.unshift(
+                { base: concept, type: 'Individual', value: target, actor: Memory.getCurrentActor() },
+                { base: target, type: 'SetModel', value: model, actor: Memory.getCurrentActor(), model }
+            );
+        }
+
+        const errors = [...cardinalityErrors, ...Memory.checkInvariants(eventsData).errors];
+        this.showFormErrors(form, errors);
+        if (errors.length > 0) {
+            console.warn('Form validation errors:', errors);
+        }
+        return errors.length === 0;
+    },
+
+    /**
+     * Show validation errors under the form fields they name
+     * Errors without a field in the form are shown above the form actions
+     */
+    showFormErrors(form, errors) {
+        form.querySelectorAll('.form-field-error, .form-error').forEach(el => el.remove());
+        form.querySelectorAll('.invalid').forEach(el => el.classList.remove('invalid'));
+
+        const message = (text, className) => {
+            const el = document.createElement('div');
+            el.className = className;
+            el.textContent = text;
+            return el;
+        };
+
+        errors.forEach(error => {
+            const inputs = (error.fields || [error.field])
+                .filter(Boolean)
+                .map(name => form.querySelector(`[name="${CSS.escape(name)}"]`))
+                .filter(Boolean);
+
+            if (inputs.length === 0) {
+                const actions = form.querySelector('.form-actions, .widget-actions');
+                form.insertBefore(message(error.message, 'form-error'), actions);
+                return;
+            }
+            inputs.forEach(input => {
+                input.classList.add('invalid');
+                (input.closest('.form-field, [data-field-name]') || input.parentElement)
+                    .appendChild(message(error.message, 'form-field-error'));
+            });
+        });
+    },
+
     // ============================================
     // WORKFLOW FUNCTIONALITY
     // ============================================
@@ -2684,40 +3429,31 @@ const UIRenderer = {
      * Get workflows (SetDo) defined in model
      */
     getModelWorkflows(modelName) {
-        const events = Memory.getAllEvents();
-        const modelEvent = events.find(e =>
-            e.type === 'Model' && e.value === modelName
-        );
+        const modelEvent = Memory.getModelEvent(modelName);
 
         if (!modelEvent) return [];
 
         // Find all SetDo events under model attributes
         const workflows = [];
 
-        // Get all attributes/relations of model
-        const fields = events.filter(e =>
-            e.cause === modelEvent.id &&
-            (e.type === 'Attribute' || e.type === 'Relation')
+        // Get all attributes/relations of model (nested by base, as in Memory.extractGuards)
+        const fields = Memory.getEventsByBase(modelEvent.id).filter(e =>
+            e.type === 'Attribute' || e.type === 'Relation'
         );
 
         fields.forEach(field => {
-            // Find SetDo under this field
-            const setDoEvents = events.filter(e =>
-                e.cause === field.id && e.type === 'SetDo'
-            );
-
-            setDoEvents.forEach(setDo => {
-                // Find associated Condition
-                const conditionEvent = events.find(e =>
-                    e.cause === field.id && e.type === 'Condition'
-                );
-
-                workflows.push({
-                    id: setDo.id,
-                    action: setDo.value,
-                    field: field.value,
-                    condition: conditionEvent?.value || null
-                });
+            // Latest SetDo under this field
+            const setDo = Memory.getEventsByBaseType(field.id, 'SetDo').pop();
+            if (!setDo) return;
+
+            // Find associated Condition (latest wins)
+            const conditionEvent = Memory.getEventsByBaseType(field.id, 'Condition').pop();
+
+            workflows.push({
+                id: setDo.id,
+                action: setDo.value,
+                field: field.value,
+                condition: conditionEvent?.value || null
             });
         });
 
@@ -2793,21 +3529,19 @@ const UIRenderer = {
 
         console.log('Executing workflow:', workflow);
 
-        // Parse action
-        if (workflow.action.startsWith('CreateIndividual')) {
-            const conceptMatch = workflow.action.match(/CreateIndividual\((\w+)\)/);
-            if (conceptMatch) {
-                const concept = conceptMatch[1];
-                const modelName = `Model ${concept}`;
+        // Parse action: CreateIndividual(Concept) without a name opens the create form
+        const conceptMatch = workflow.action.match(/^\s*CreateIndividual\((\w+)\)\s*$/);
+        if (conceptMatch) {
+            const concept = conceptMatch[1];
+            const modelName = `Model ${concept}`;
 
-                // Switch to create form for that model
-                if (widget.state.currentModel !== modelName) {
-                    widget.state.currentModel = modelName;
-                }
-                widget.state.selectedIndividual = null;
-                widget.state.currentView = 'form';
-                this.render();
+            // Switch to create form for that model
+            if (widget.state.currentModel !== modelName) {
+                widget.state.currentModel = modelName;
             }
+            widget.state.selectedIndividual = null;
+            widget.state.currentView = 'form';
+            this.render();
         }
         else if (workflow.action.includes('EditIndividual')) {
             if (individualId) {
@@ -2817,23 +3551,127 @@ const UIRenderer = {
             }
         }
         else {
-            // Custom action - trigger dataflow
+            // Custom action - preview the local dataflow run, commit after confirmation
             if (individualId) {
-                await this.triggerDataflow(individualId);
+                const guard = Memory.getWorkflowGuard(widget.state.currentModel, workflow.field);
+                const preview = guard
+                    ? Memory.dryRun(() => Memory.executeToFixpoint(individualId, [guard]))
+                    : null;
+                const failed = !preview || (preview.result.failed.length > 0 && preview.events.length === 0);
+
+                if (failed && CONFIG.dataflow.backendFallback) {
+                    await this.triggerDataflow(individualId);
+                    if (typeof renderEvents === 'function') renderEvents();
+                    this.render();
+                    return;
+                }
 
-                // Refresh view
-                if (typeof renderEvents === 'function') renderEvents();
+                widget.state.pendingWorkflow = { workflowId, individualId, preview };
                 this.render();
             }
         }
     },
 
     /**
-     * Trigger dataflow execution on backend
+     * Confirmation panel for a previewed workflow action
+     * Lists the events the local dataflow run would add, rejections and cycles
+     */
+    renderWorkflowConfirmation(widget, individualId) {
+        const pending = widget.state.pendingWorkflow;
+        if (!pending || pending.individualId !== individualId) return '';
+
+        const workflow = this.getModelWorkflows(widget.state.currentModel).find(w => w.id === pending.workflowId);
+        const label = workflow ? this.formatWorkflowLabel(workflow.action) : pending.workflowId;
+        const preview = pending.preview;
+        if (!preview) {
+            return `
+                <div class="workflow-confirm">
+                    <div class="workflow-confirm-title">${this.escape(label)}</div>
+                    <div class="workflow-confirm-error">Action cannot run locally</div>
+                    <div class="workflow-confirm-actions">
+                        <button class="list-btn" onclick="UIRenderer.cancelWorkflow('${widget.id}')">Close</button>
+                    </div>
+                </div>
+            `;
+        }
+
+        const rows = preview.events.map(e => `
+            <tr>
+                <td class="list-cell">${this.escape(e.base)}</td>
+                <td class="list-cell">${this.escape(e.type)}</td>
+                <td class="list-cell">${this.escape(e.value)}</td>
+            </tr>
+        `).join('');
+        const errors = preview.result.failed.flatMap(f => f.errors.map(error => `
+            <div class="workflow-confirm-error">${this.escape(f.individual)}: ${this.escape(error.message)}</div>
+        `)).join('');
+        const cycles = preview.result.cycles.map(c => `
+            <div class="workflow-confirm-error">Cycle: ${this.escape(c.guard)} for ${this.escape(c.individual)}</div>
+        `).join('');
+
+        return `
+            <div class="workflow-confirm">
+                <div class="workflow-confirm-title">${this.escape(label)}: ${preview.events.length} event(s)</div>
+                ${rows ? `
+                    <table class="list-view-table">
+                        <thead>
+                            <tr>
+                                <th class="list-header-cell">Base</th>
+                                <th class="list-header-cell">Type</th>
+                                <th class="list-header-cell">Value</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                ` : '<div class="workspace-empty">Nothing to change</div>'}
+                ${errors}${cycles}
+                <div class="workflow-confirm-actions">
+                    ${preview.events.length > 0 ? `<button class="list-btn primary" onclick="UIRenderer.confirmWorkflow('${widget.id}')">Apply</button>` : ''}
+                    <button class="list-btn" onclick="UIRenderer.cancelWorkflow('${widget.id}')">Cancel</button>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Run the confirmed workflow action for real
+     */
+    confirmWorkflow(widgetId) {
+        const widget = this.widgets.find(w => w.id === widgetId);
+        const pending = widget && widget.state.pendingWorkflow;
+        if (!pending) return;
+
+        widget.state.pendingWorkflow = null;
+        const workflow = this.getModelWorkflows(widget.state.currentModel).find(w => w.id === pending.workflowId);
+        const guard = workflow && Memory.getWorkflowGuard(widget.state.currentModel, workflow.field);
+        if (guard) {
+            const result = Memory.executeToFixpoint(pending.individualId, [guard]);
+            console.log('Workflow result:', result);
+        }
+
+        if (typeof renderEvents === 'function') renderEvents();
+        this.render();
+    },
+
+    /**
+     * Discard a previewed workflow action
+     */
+    cancelWorkflow(widgetId) {
+        const widget = this.widgets.find(w => w.id === widgetId);
+        if (!widget) return;
+        widget.state.pendingWorkflow = null;
+        this.render();
+    },
+
+    /**
+     * Trigger dataflow execution on backend (CONFIG.dataflow.backendFallback)
+     * Local events are pushed first, generated events are merged back
      */
     async triggerDataflow(individualId) {
         try {
-            const response = await fetch('/api/dataflow/fixpoint', {
+            await Sync.syncNow();
+
+            const response = await fetch(`${CONFIG.apiUrl}/api/dataflow/fixpoint`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ individual: individualId })
@@ -2842,9 +3680,7 @@ const UIRenderer = {
             if (response.ok) {
                 const result = await response.json();
                 console.log('Dataflow result:', result);
-
-                // Sync memory
-                await Memory.sync();
+                await Sync.mergeEvents(result.events || []);
             }
         } catch (error) {
             console.error('Dataflow error:', error);
@@ -3268,6 +4104,14 @@ Person: Individual: john_smith
             });
         });
 
+        // Model-level invariants (cross-field rules)
+        Memory.getEventsByBaseType(modelEvent.id, 'Invariant').forEach(invariant => {
+            lines.push(`: Invariant: ${invariant.value}`);
+            Memory.getEventsByBaseType(invariant.id, 'Description').forEach(d => {
+                lines.push(`:: Description: ${d.value}`);
+            });
+        });
+
         return lines.join('\n');
     },
 
@@ -3312,7 +4156,8 @@ Person: Individual: john_smith
         }
 
         try {
-            const events = this.parseBSLText(bslText);
+            const eventLines = new Map();
+            const events = this.parseBSLText(bslText, eventLines);
 
             if (events.length === 0) {
                 this.setBSLStatus('No valid events found', 'warning');
@@ -3323,7 +4168,7 @@ Person: Individual: john_smith
             let added = 0;
             events.forEach(evt => {
                 // Check if event already exists
-                const existing = Memory.events.find(e => e.id === evt.id);
+                const existing = Memory.getEventById(evt.id);
                 if (!existing) {
                     Memory.addEvent(evt);
                     added++;
@@ -3331,7 +4176,13 @@ Person: Individual: john_smith
             });
 
             const msg = `Parsed ${events.length} events, added ${added} new`;
-            if (validation.warnings.length > 0) {
+
+            // Expressions are checked against the models as saved
+            const expressionErrors = this.checkLoadedModelExpressions(events, eventLines);
+            if (expressionErrors.length > 0) {
+                this.showValidationDetails({ errors: expressionErrors, warnings: validation.warnings });
+                this.setBSLStatus(`${msg} (${expressionErrors.length} expression errors)`, 'error');
+            } else if (validation.warnings.length > 0) {
                 this.setBSLStatus(`${msg} (${validation.warnings.length} warnings)`, 'warning');
             } else {
                 this.setBSLStatus(msg, 'success');
@@ -3398,10 +4249,25 @@ Person: Individual: john_smith
         detailsEl.innerHTML = html;
     },
 
+    /**
+     * Type-check Condition/SetValue/ValueCondition of the models in parsed events,
+     * new ones and existing ones the events add restrictions to
+     * Returns issues in validateBSL format
+     */
+    checkLoadedModelExpressions(events, eventLines) {
+        return Memory.getModelsOfEvents(events).flatMap(name => Memory.checkModelExpressions(name)).map(issue => ({
+            type: issue.type,
+            line: eventLines.get(issue.eventId) ?? eventLines.get(issue.model),
+            message: issue.message,
+            code: issue.code
+        }));
+    },
+
     /**
      * Parse BSL text into events
+     * @param {Map} [eventLines] - filled with event id → line number
      */
-    parseBSLText(text) {
+    parseBSLText(text, eventLines = null) {
         const events = [];
         const lines = text.split('\n');
 
@@ -3462,8 +4328,12 @@ Person: Individual: john_smith
 
             if (!base || !type || value === undefined) continue;
 
-            // Generate event ID
-            const eventId = `bsl_${Date.now()}_${i}_${Math.random().toString(36).substr(2, 4)}`;
+            // Generate event ID (hash of the content when content ids are on)
+            const actor = Memory.getCurrentActor();
+            const date = new Date().toISOString();
+            const eventId = Memory.usesContentIds()
+                ? Memory.generateId({ base, type, value, actor, cause: base, date })
+                : `bsl_${Date.now()}_${i}_${Math.random().toString(36).substr(2, 4)}`;
 
             const event = {
                 id: eventId,
@@ -3472,8 +4342,8 @@ Person: Individual: john_smith
                 value: value,
                 model: 'Event',
                 cause: base,
-                actor: 'user',
-                date: new Date().toISOString()
+                actor: actor,
+                date: date
             };
 
             events.push(event);
@@ -3496,6 +4366,10 @@ Person: Individual: john_smith
             } else if (level === 2) {
                 currentLevel2 = eventId;
             }
+
+            if (eventLines) {
+                eventLines.set(event.id, i + 1);
+            }
         }
 
         return events;
@@ -3525,7 +4399,7 @@ Person: Individual: john_smith
             'Required', 'Multiple', 'DataType', 'Range', 'SetRange', 'Domain',
             'Condition', 'SetValue', 'SetDo', 'Permission', 'ValueCondition',
             'Default', 'Unique', 'UniqueIdentifier', 'Immutable', 'Mutable',
-            'Cardinality', 'AttributeValue', 'Title', 'Icon', 'Description',
+            'Cardinality', 'AttributeValue', 'Invariant', 'Title', 'Icon', 'Description',
             'Models', 'Vocabularies', 'Attributes', 'Relations', 'Roles'
         ]);
 